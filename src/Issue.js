@@ -1,26 +1,190 @@
+var checkParams = require('./utilities').checkParams;
+
 var ns = {};
-var Issue = function Issues() {
-  this.text = {};
-  this.pattern = {};
-  this.role = {};	
-}
+
+ns.Severity = Object.freeze({
+	ERROR: "error",
+	WARNING: "warning",
+	INFO: "info"
+});
+
+// ------- ISSUE -------
+/**
+ * A problem found by the validation.
+ * @class
+ * @param {Object} params
+ * @param {string=} params.text Message describing the problem
+ * @param {string=} params.pattern Id of the rule that failed
+ * @param {string=} params.severity One of the values of {@link Severity}
+ * @param {string=} params.elementId Id of the faulty element
+ * @param {string=} params.elementType Type of the faulty element: glyph, arc, port...
+ * @param {string=} params.location XPath-like path to the faulty element, like /sbgn/map[1]/glyph[2]
+ * @param {string=} params.fix Suggestion to solve the problem
+ * @param {string=} params.role
+ */
+var Issue = function (params) {
+	var params = checkParams(params, ['text', 'pattern', 'severity', 'elementId', 'elementType',
+		'location', 'fix', 'role']);
+	this.text 			= params.text;
+	this.pattern 		= params.pattern;
+	this.severity 		= params.severity;
+	this.elementId 		= params.elementId;
+	this.elementType 	= params.elementType;
+	this.location 		= params.location;
+	this.fix 			= params.fix;
+	this.role 			= params.role != null ? params.role : params.elementId;
+};
+
+/**
+ * @param {string} text
+ */
 Issue.prototype.setText = function(text) {
-  this.text = text;
+	this.text = text;
 };
+
+/**
+ * @return {string}
+ */
 Issue.prototype.getText = function() {
-  return this.text;
+	return this.text;
 };
+
+/**
+ * @param {string} pattern id of the rule
+ */
 Issue.prototype.setPattern = function(pattern) {
-  this.pattern = pattern;
+	this.pattern = pattern;
 };
+
+/**
+ * @return {string} id of the rule
+ */
 Issue.prototype.getPattern = function() {
-  return this.pattern;
+	return this.pattern;
 };
+
+/**
+ * @param {string} role
+ * @deprecated Holds the id of the faulty element, replaced by setElementId
+ */
 Issue.prototype.setRole = function(role) {
-  this.role = role;
+	this.role = role;
 };
-Issue.prototype.getPattern = function() {
-  return this.role;
+
+/**
+ * @return {string}
+ * @deprecated Holds the id of the faulty element, replaced by getElementId
+ */
+Issue.prototype.getRole = function() {
+	return this.role;
+};
+
+/**
+ * @param {string} severity
+ */
+Issue.prototype.setSeverity = function(severity) {
+	this.severity = severity;
+};
+
+/**
+ * @return {string}
+ */
+Issue.prototype.getSeverity = function() {
+	return this.severity;
+};
+
+/**
+ * @param {string} elementId
+ */
+Issue.prototype.setElementId = function(elementId) {
+	this.elementId = elementId;
+};
+
+/**
+ * @return {string}
+ */
+Issue.prototype.getElementId = function() {
+	return this.elementId;
+};
+
+/**
+ * @param {string} elementType
+ */
+Issue.prototype.setElementType = function(elementType) {
+	this.elementType = elementType;
+};
+
+/**
+ * @return {string}
+ */
+Issue.prototype.getElementType = function() {
+	return this.elementType;
+};
+
+/**
+ * @param {string} location
+ */
+Issue.prototype.setLocation = function(location) {
+	this.location = location;
+};
+
+/**
+ * @return {string}
+ */
+Issue.prototype.getLocation = function() {
+	return this.location;
+};
+
+/**
+ * @param {string} fix
+ */
+Issue.prototype.setFix = function(fix) {
+	this.fix = fix;
+};
+
+/**
+ * @return {string}
+ */
+Issue.prototype.getFix = function() {
+	return this.fix;
+};
+
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Issue.prototype.toJSON = function() {
+	return {
+		text: this.text,
+		pattern: this.pattern,
+		severity: this.severity,
+		elementId: this.elementId,
+		elementType: this.elementType,
+		location: this.location,
+		fix: this.fix
+	};
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Issue}
+ */
+Issue.fromJSON = function(json) {
+	if (typeof json == 'string') {
+		json = JSON.parse(json);
+	}
+	return new ns.Issue({
+		text: json.text,
+		pattern: json.pattern,
+		severity: json.severity,
+		elementId: json.elementId,
+		elementType: json.elementType,
+		location: json.location,
+		fix: json.fix
+	});
 };
+
 ns.Issue = Issue;
+// ------- END ISSUE -------
+
 module.exports = ns;
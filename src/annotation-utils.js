@@ -226,4 +226,65 @@ ns.addResource = function (graph, id, kvObject) {
 	}
 };
 
+/**
+ * removes the resources from the bags of their relation, kvObject is as in addResource.
+ * The remaining elements of the bag are numbered again, and an empty bag is removed.
+ */
+ns.removeResource = function (graph, id, kvObject) {
+	for(var relation in kvObject) {
+		var expandedRelation = ns.expandPrefix(relation);
+		var resource = kvObject[relation];
+		var objects = graph.getObjects(id, expandedRelation, null);
+		for(var i=0; i<objects.length; i++) {
+			var object = objects[i];
+			if (!N3.Util.isBlank(object)) {
+				if (object == resource) {
+					graph.removeTriple(id, expandedRelation, object);
+				}
+				continue;
+			}
+			var members = graph.getTriples(object, null, null).filter(function (triple) {
+				return triple.object != str_rdfbagexp;
+			});
+			members.sort(function (a, b) {
+				return ns.getBagIndex(a.predicate) - ns.getBagIndex(b.predicate);
+			});
+			graph.removeTriples(members);
+			var kept = members.filter(function (triple) { return triple.object != resource; });
+			if (kept.length == 0) {
+				graph.removeTriple(object, str_rdftypeexp, str_rdfbagexp);
+				graph.removeTriple(id, expandedRelation, object);
+				continue;
+			}
+			for(var j=0; j<kept.length; j++) {
+				graph.addTriple(object, ns.expandPrefix("rdf:_"+(j+1)), kept[j].object);
+			}
+		}
+	}
+};
+
+/**
+ * replaces an id in the triples where it is the subject or the object, returns false if it isn't in any triple
+ */
+ns.renameId = function (graph, oldId, newId) {
+	var triples = graph.getTriples(oldId, null, null).concat(graph.getTriples(null, null, oldId));
+	if (triples.length == 0) {
+		return false;
+	}
+	graph.removeTriples(triples);
+	for(var i=0; i<triples.length; i++) {
+		var triple = triples[i];
+		graph.addTriple(triple.subject == oldId ? newId : triple.subject, triple.predicate,
+			triple.object == oldId ? newId : triple.object, triple.graph);
+	}
+	return true;
+};
+
+/**
+ * index of a bag element from its predicate, rdf:_3 gives 3
+ */
+ns.getBagIndex = function (predicate) {
+	return parseInt(predicate.substring(predicate.lastIndexOf('_') + 1), 10);
+};
+
 module.exports = ns;
\ No newline at end of file
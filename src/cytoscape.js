@@ -0,0 +1,931 @@
+/**
+ * Export of maps to Cytoscape.js: the <code>elements</code> of the graph, in the shape used by SBGN-aware editors,
+ * and a stylesheet made from the render information of the map. The same shape is read back by
+ * {@link libsbgn.cytoscape.fromCytoscape}.
+ *
+ * Glyphs are nodes, their bbox gives the position of the center and the size. Compartments and complexes
+ * are compound nodes: the glyphs of a compartment, through their compartmentRef, and the members of a complex
+ * have it as parent. State variables and units of information are not nodes, they are listed in the data of the
+ * glyph owning them, the cardinality of an arc in the data of its edge.
+ * Arcs are edges between glyphs, an arc connected to a port is connected to the glyph owning the port
+ * and keeps the port in its data. Arcs with an end that isn't a node, like arcs targeting other arcs in Entity
+ * Relationship, are left out as Cytoscape.js can't draw them.
+ *
+ * You can access it like this: <code>libsbgn.cytoscape.toCytoscape(map)</code>
+ * @module cytoscape
+ * @namespace libsbgn.cytoscape
+*/
+var types = require('./libsbgn-types');
+var checkParams = require('./utilities').checkParams;
+
+var ns = {};
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+var GlyphClass = types.GlyphClass;
+
+/**
+ * Glyph classes drawn inside the glyph owning them, given in its data instead of being nodes.
+ * @type {string[]}
+ */
+ns.AUXILIARY_UNIT_CLASSES = [GlyphClass.STATE_VARIABLE, GlyphClass.UNIT_OF_INFORMATION];
+
+/**
+ * Data of a node.
+ * @typedef {Object} NodeData
+ * @property {string} id
+ * @property {string} class
+ * @property {string=} label
+ * @property {string=} parent id of the compartment or complex containing the glyph
+ * @property {{x: number, y: number, w: number, h: number}=} bbox x and y are the center of the glyph
+ * @property {boolean} clonemarker
+ * @property {AuxiliaryUnit[]} statesandinfos
+ * @property {{id: string, x: number, y: number}[]} ports position from the center of the glyph, in percentage of its size
+ */
+
+/**
+ * State variable or unit of information of a node.
+ * @typedef {Object} AuxiliaryUnit
+ * @property {string=} id
+ * @property {string} clazz
+ * @property {{value: string, variable: string}=} state of the state variables
+ * @property {{text: string}=} label of the units of information
+ * @property {{x: number, y: number, w: number, h: number}=} bbox x and y are the position of the center of the unit
+ * from the center of its glyph, in percentage of the size of the glyph, as for the ports
+ */
+
+/**
+ * Data of an edge, bendPointPositions are the absolute positions of the next points of the arc.
+ * @typedef {Object} EdgeData
+ * @property {string} id
+ * @property {string} class
+ * @property {string} source id of the glyph
+ * @property {string} target id of the glyph
+ * @property {string=} portsource id of the port when the arc starts from a port
+ * @property {string=} porttarget id of the port when the arc ends on a port
+ * @property {string=} cardinality
+ * @property {{x: number, y: number}[]} bendPointPositions
+ */
+
+/*
+	bbox with the center instead of the top left corner, as positions are centers in Cytoscape.js
+*/
+function centerBbox(bbox) {
+	return {x: bbox.x + bbox.w / 2, y: bbox.y + bbox.h / 2, w: bbox.w, h: bbox.h};
+}
+
+/*
+	position from the center of a bbox, in percentage of its size, as Cytoscape.js editors give the positions
+	of the ports and auxiliary units
+*/
+function getRelativePosition(point, centeredBbox) {
+	if (centeredBbox == null || centeredBbox.w == 0 || centeredBbox.h == 0) {
+		return {x: 0, y: 0};
+	}
+	return {x: (point.x - centeredBbox.x) * 100 / centeredBbox.w, y: (point.y - centeredBbox.y) * 100 / centeredBbox.h};
+}
+
+function getAuxiliaryUnit(glyph, parentBbox) {
+	var unit = {id: glyph.id, clazz: glyph.class_};
+	if (glyph.state != null) {
+		unit.state = {value: glyph.state.value, variable: glyph.state.variable};
+	}
+	if (glyph.label != null && glyph.label.text != null) {
+		unit.label = {text: glyph.label.text};
+	}
+	if (glyph.bbox != null) {
+		var center = centerBbox(glyph.bbox);
+		var position = getRelativePosition(center, parentBbox);
+		unit.bbox = {x: position.x, y: position.y, w: center.w, h: center.h};
+	}
+	return unit;
+}
+
+function getNode(glyph, parent) {
+	var data = {
+		id: glyph.id,
+		'class': glyph.class_,
+		clonemarker: glyph.clone != null,
+		statesandinfos: [],
+		ports: []
+	};
+	if (glyph.label != null && glyph.label.text != null) {
+		data.label = glyph.label.text;
+	}
+	if (parent != null) {
+		data.parent = parent;
+	}
+	if (glyph.orientation != null) {
+		data.orientation = glyph.orientation;
+	}
+	var node = {group: 'nodes', data: data};
+	if (glyph.bbox != null) {
+		data.bbox = centerBbox(glyph.bbox);
+		node.position = {x: data.bbox.x, y: data.bbox.y};
+	}
+	for(var i=0; i < glyph.glyphMembers.length; i++) {
+		if (ns.AUXILIARY_UNIT_CLASSES.indexOf(glyph.glyphMembers[i].class_) != -1) {
+			data.statesandinfos.push(getAuxiliaryUnit(glyph.glyphMembers[i], data.bbox));
+		}
+	}
+	for(var i=0; i < glyph.ports.length; i++) {
+		var port = glyph.ports[i];
+		var position = getRelativePosition(port, data.bbox);
+		data.ports.push({id: port.id, x: position.x, y: position.y});
+	}
+	return node;
+}
+
+function getEdge(map, arc, nodeIndex) {
+	var source = map.resolveGlyph(arc.source);
+	var target = map.resolveGlyph(arc.target);
+	if (arc.id == null || source == null || target == null ||
+		!nodeIndex.hasOwnProperty(source.id) || !nodeIndex.hasOwnProperty(target.id)) {
+		return null;
+	}
+	var data = {
+		id: arc.id,
+		'class': arc.class_,
+		source: source.id,
+		target: target.id,
+		bendPointPositions: arc.nexts.map(function (next) {
+			return {x: next.x, y: next.y};
+		})
+	};
+	if (arc.source != source.id) {
+		data.portsource = arc.source;
+	}
+	if (arc.target != target.id) {
+		data.porttarget = arc.target;
+	}
+	for(var i=0; i < arc.glyphs.length; i++) {
+		if (arc.glyphs[i].class_ == GlyphClass.CARDINALITY && arc.glyphs[i].label != null) {
+			data.cardinality = arc.glyphs[i].label.text;
+		}
+	}
+	return {group: 'edges', data: data};
+}
+
+/*
+	number of compound nodes above a node, parents have to come before their children
+*/
+function getDepth(node, nodeIndex) {
+	var depth = 0;
+	var visited = {};
+	while (node.data.parent != null && nodeIndex.hasOwnProperty(node.data.parent) && !visited[node.data.id]) {
+		visited[node.data.id] = true;
+		node = nodeIndex[node.data.parent];
+		depth++;
+	}
+	return depth;
+}
+
+/**
+ * Nodes and edges of the map, in the <code>{nodes, edges}</code> form accepted by the elements of Cytoscape.js.
+ * The parents come before their children. Glyphs and arcs without id are left out, as Cytoscape.js would
+ * give them random ones.
+ * @param {Map} map
+ * @return {{nodes: {group: string, data: NodeData, position: Object=}[], edges: {group: string, data: EdgeData}[]}}
+ */
+ns.toElements = function (map) {
+	var nodes = [];
+	var nodeIndex = {};
+	function addNodes(glyphs, parent) {
+		for(var i=0; i < glyphs.length; i++) {
+			var glyph = glyphs[i];
+			if (glyph.id == null || ns.AUXILIARY_UNIT_CLASSES.indexOf(glyph.class_) != -1 ||
+				glyph.class_ == GlyphClass.CARDINALITY || nodeIndex.hasOwnProperty(glyph.id)) {
+				continue;
+			}
+			var node = getNode(glyph, parent != null ? parent : glyph.compartmentRef);
+			nodes.push(node);
+			nodeIndex[glyph.id] = node;
+			addNodes(glyph.glyphMembers, glyph.id);
+		}
+	}
+	addNodes(map.glyphs);
+	var arcs = map.getAllArcs();
+	for(var i=0; i < arcs.length; i++) {
+		addNodes(arcs[i].glyphs);
+	}
+	for(var i=0; i < map.arcgroups.length; i++) {
+		addNodes(map.arcgroups[i].glyphs);
+	}
+	nodes.forEach(function (node) {
+		if (node.data.parent != null && !nodeIndex.hasOwnProperty(node.data.parent)) {
+			delete node.data.parent;
+		}
+	});
+	// stable sort by depth
+	var depths = nodes.map(function (node, i) {
+		return {node: node, depth: getDepth(node, nodeIndex), index: i};
+	});
+	depths.sort(function (a, b) {
+		return a.depth - b.depth || a.index - b.index;
+	});
+
+	var edges = [];
+	for(var i=0; i < arcs.length; i++) {
+		var edge = getEdge(map, arcs[i], nodeIndex);
+		if (edge != null) {
+			edges.push(edge);
+		}
+	}
+	return {
+		nodes: depths.map(function (item) {
+			return item.node;
+		}),
+		edges: edges
+	};
+};
+
+/*
+	Cytoscape.js doesn't read colors with an alpha, #rrggbbaa colors are split into the color and its opacity
+*/
+function splitColor(color) {
+	var match = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color);
+	if (match == null) {
+		return {color: color};
+	}
+	return {color: '#' + match[1], opacity: Math.round(parseInt(match[2], 16) / 255 * 100) / 100};
+}
+
+var TEXT_HALIGN = {start: 'left', middle: 'center', end: 'right'};
+var TEXT_VALIGN = {top: 'top', middle: 'center', bottom: 'bottom'};
+
+/*
+	properties of a render group that only need renaming, for nodes and edges
+*/
+var FONT_PROPERTIES = {fontSize: 'font-size', fontFamily: 'font-family', fontWeight: 'font-weight', fontStyle: 'font-style'};
+var BACKGROUND_PROPERTIES = {
+	backgroundFit: 'background-fit',
+	backgroundPosX: 'background-position-x',
+	backgroundPosY: 'background-position-y',
+	backgroundWidth: 'background-width',
+	backgroundHeight: 'background-height',
+	backgroundImageOpacity: 'background-image-opacity'
+};
+
+function copyProperties(renderGroup, names, style) {
+	for (var name in names) {
+		if (renderGroup[name] != null) {
+			style[names[name]] = renderGroup[name];
+		}
+	}
+}
+
+function getColor(render, value) {
+	if (value == null) {
+		return null;
+	}
+	var color = render.listOfColorDefinitions != null ? render.listOfColorDefinitions.getColorById(value) : null;
+	return splitColor(color != null ? color : value);
+}
+
+function getNodeStyle(render, renderGroup) {
+	var style = {};
+	copyProperties(renderGroup, FONT_PROPERTIES, style);
+	var fill = getColor(render, renderGroup.fill);
+	if (fill != null) {
+		style['background-color'] = fill.color;
+		if (fill.opacity != null) {
+			style['background-opacity'] = fill.opacity;
+		}
+	}
+	if (renderGroup.backgroundOpacity != null) {
+		style['background-opacity'] = renderGroup.backgroundOpacity;
+	}
+	var stroke = getColor(render, renderGroup.stroke);
+	if (stroke != null) {
+		style['border-color'] = stroke.color;
+		if (stroke.opacity != null) {
+			style['border-opacity'] = stroke.opacity;
+		}
+	}
+	if (renderGroup.strokeWidth != null) {
+		style['border-width'] = renderGroup.strokeWidth;
+	}
+	if (renderGroup.backgroundImage != null) {
+		var image = render.listOfBackgroundImages != null ?
+			render.listOfBackgroundImages.getBackgroundImageById(renderGroup.backgroundImage) : null;
+		style['background-image'] = image != null ? image : renderGroup.backgroundImage;
+	}
+	copyProperties(renderGroup, BACKGROUND_PROPERTIES, style);
+	addTextStyle(render, renderGroup, style);
+	return style;
+}
+
+function getEdgeStyle(render, renderGroup) {
+	var style = {};
+	copyProperties(renderGroup, FONT_PROPERTIES, style);
+	var stroke = getColor(render, renderGroup.stroke);
+	if (stroke != null) {
+		style['line-color'] = stroke.color;
+		style['source-arrow-color'] = stroke.color;
+		style['target-arrow-color'] = stroke.color;
+	}
+	if (renderGroup.strokeWidth != null) {
+		style.width = renderGroup.strokeWidth;
+	}
+	addTextStyle(render, renderGroup, style);
+	return style;
+}
+
+function addTextStyle(render, renderGroup, style) {
+	var fontColor = getColor(render, renderGroup.fontColor);
+	if (fontColor != null) {
+		style.color = fontColor.color;
+		if (fontColor.opacity != null) {
+			style['text-opacity'] = fontColor.opacity;
+		}
+	}
+	if (TEXT_HALIGN.hasOwnProperty(renderGroup.textAnchor)) {
+		style['text-halign'] = TEXT_HALIGN[renderGroup.textAnchor];
+	}
+	if (TEXT_VALIGN.hasOwnProperty(renderGroup.vtextAnchor)) {
+		style['text-valign'] = TEXT_VALIGN[renderGroup.vtextAnchor];
+	}
+}
+
+/**
+ * Escape an id to use it in a Cytoscape.js selector.
+ * @param {string} id
+ * @return {string}
+ */
+ns.escapeId = function (id) {
+	return String(id).replace(/[^\w-]/g, '\\$&');
+};
+
+function getSelector(group, ids) {
+	return ids.map(function (id) {
+		return group + '#' + ns.escapeId(id);
+	}).join(', ');
+}
+
+/**
+ * Stylesheet of Cytoscape.js made from the render information of the map, in the json form
+ * <code>[{selector, style}]</code>. Each style of the render information gives a rule for the nodes it applies to
+ * and one for the edges, the references to colors and background images are replaced by their value.
+ * @param {Map} map
+ * @param {{nodes: Object[], edges: Object[]}=} elements the elements the stylesheet is for, computed from the map if not given
+ * @return {{selector: string, style: Object}[]} empty if the map has no render information
+ */
+ns.toStylesheet = function (map, elements) {
+	var render = map.extension != null ? map.extension.get('renderInformation') : null;
+	if (render == null || render.listOfStyles == null) {
+		return [];
+	}
+	elements = elements || ns.toElements(map);
+	var groups = {nodes: {}, edges: {}};
+	['nodes', 'edges'].forEach(function (group) {
+		elements[group].forEach(function (element) {
+			groups[group][element.data.id] = true;
+		});
+	});
+	var stylesheet = [];
+	render.listOfStyles.styles.forEach(function (style) {
+		if (style.renderGroup == null || style.idList == null) {
+			return;
+		}
+		var ids = style.getIdListAsArray();
+		var nodeIds = ids.filter(function (id) {
+			return groups.nodes.hasOwnProperty(id);
+		});
+		var edgeIds = ids.filter(function (id) {
+			return groups.edges.hasOwnProperty(id);
+		});
+		var nodeStyle = getNodeStyle(render, style.renderGroup);
+		if (nodeIds.length > 0 && Object.keys(nodeStyle).length > 0) {
+			stylesheet.push({selector: getSelector('node', nodeIds), style: nodeStyle});
+		}
+		var edgeStyle = getEdgeStyle(render, style.renderGroup);
+		if (edgeIds.length > 0 && Object.keys(edgeStyle).length > 0) {
+			stylesheet.push({selector: getSelector('edge', edgeIds), style: edgeStyle});
+		}
+	});
+	return stylesheet;
+};
+
+/**
+ * Elements and stylesheet of the map, see {@link libsbgn.cytoscape.toElements} and {@link libsbgn.cytoscape.toStylesheet}.
+ * The result can be given as it is to Cytoscape.js: <code>cytoscape(Object.assign({container: div}, result))</code>
+ * @param {Map} map
+ * @return {{elements: {nodes: Object[], edges: Object[]}, style: Object[]}}
+ */
+ns.toCytoscape = function (map) {
+	var elements = ns.toElements(map);
+	return {elements: elements, style: ns.toStylesheet(map, elements)};
+};
+
+/*
+	named colors of css accepted in the style of Cytoscape.js that editors commonly write
+*/
+var NAMED_COLORS = {
+	black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+	orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', transparent: '#00000000'
+};
+
+function toHex(number) {
+	var hex = Math.max(0, Math.min(255, Math.round(number))).toString(16);
+	return hex.length == 1 ? '0' + hex : hex;
+}
+
+/*
+	color of the render extension, #rrggbb or #rrggbbaa, from a color of Cytoscape.js and its opacity.
+	Colors that can't be read are kept as they are.
+*/
+function toRenderColor(color, opacity) {
+	color = String(color).trim().toLowerCase();
+	if (NAMED_COLORS.hasOwnProperty(color)) {
+		color = NAMED_COLORS[color];
+	}
+	var rgb = null;
+	var alpha = null;
+	var match;
+	if ((match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(color)) != null) {
+		rgb = match[1] + match[1] + match[2] + match[2] + match[3] + match[3];
+	}
+	else if ((match = /^#([0-9a-f]{6})([0-9a-f]{2})?$/.exec(color)) != null) {
+		rgb = match[1];
+		alpha = match[2] != null ? parseInt(match[2], 16) / 255 : null;
+	}
+	else if ((match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(color)) != null) {
+		rgb = toHex(match[1]) + toHex(match[2]) + toHex(match[3]);
+		alpha = match[4] != null ? parseFloat(match[4]) : null;
+	}
+	if (rgb == null) {
+		return color;
+	}
+	if (opacity != null) {
+		alpha = (alpha != null ? alpha : 1) * opacity;
+	}
+	return '#' + rgb + (alpha != null && alpha < 1 ? toHex(alpha * 255) : '');
+}
+
+/*
+	sizes of Cytoscape.js can be given in pixels, like 12px
+*/
+function toNumber(value) {
+	if (typeof value == 'string' && /^-?\d+(\.\d+)?(px)?$/.test(value.trim())) {
+		return parseFloat(value);
+	}
+	return value;
+}
+
+/*
+	style properties of Cytoscape.js read for nodes and edges, by render attribute
+*/
+var IMPORTED_FONT_PROPERTIES = {'font-size': 'fontSize', 'font-family': 'fontFamily', 'font-weight': 'fontWeight', 'font-style': 'fontStyle'};
+var IMPORTED_BACKGROUND_PROPERTIES = {};
+for (var name in BACKGROUND_PROPERTIES) {
+	IMPORTED_BACKGROUND_PROPERTIES[BACKGROUND_PROPERTIES[name]] = name;
+}
+var NODE_STYLE_PROPERTIES = ['background-color', 'background-opacity', 'border-color', 'border-opacity', 'border-width',
+	'background-image', 'color', 'text-opacity', 'text-halign', 'text-valign']
+	.concat(Object.keys(IMPORTED_FONT_PROPERTIES), Object.keys(IMPORTED_BACKGROUND_PROPERTIES));
+var EDGE_STYLE_PROPERTIES = ['line-color', 'width', 'color', 'text-opacity', 'text-halign', 'text-valign']
+	.concat(Object.keys(IMPORTED_FONT_PROPERTIES));
+
+function invert(object) {
+	var inverted = {};
+	for (var key in object) {
+		inverted[object[key]] = key;
+	}
+	return inverted;
+}
+
+var TEXT_ANCHOR = invert(TEXT_HALIGN);
+var VTEXT_ANCHOR = invert(TEXT_VALIGN);
+
+/*
+	attributes of a render group from the style of an element, the colors and images are values, not references
+*/
+function getRenderAttributes(style, isEdge) {
+	var attributes = {};
+	for (var property in IMPORTED_FONT_PROPERTIES) {
+		if (style[property] != null) {
+			attributes[IMPORTED_FONT_PROPERTIES[property]] = toNumber(style[property]);
+		}
+	}
+	if (isEdge) {
+		if (style['line-color'] != null) {
+			attributes.stroke = toRenderColor(style['line-color']);
+		}
+		if (style.width != null) {
+			attributes.strokeWidth = toNumber(style.width);
+		}
+	}
+	else {
+		if (style['background-color'] != null) {
+			attributes.fill = toRenderColor(style['background-color'], style['background-opacity']);
+		}
+		else if (style['background-opacity'] != null) {
+			attributes.backgroundOpacity = style['background-opacity'];
+		}
+		if (style['border-color'] != null) {
+			attributes.stroke = toRenderColor(style['border-color'], style['border-opacity']);
+		}
+		if (style['border-width'] != null) {
+			attributes.strokeWidth = toNumber(style['border-width']);
+		}
+		if (style['background-image'] != null && style['background-image'] != 'none') {
+			attributes.backgroundImage = style['background-image'];
+		}
+		for (var property in IMPORTED_BACKGROUND_PROPERTIES) {
+			if (style[property] != null) {
+				attributes[IMPORTED_BACKGROUND_PROPERTIES[property]] = style[property];
+			}
+		}
+	}
+	if (style.color != null) {
+		attributes.fontColor = toRenderColor(style.color, style['text-opacity']);
+	}
+	if (TEXT_ANCHOR.hasOwnProperty(style['text-halign'])) {
+		attributes.textAnchor = TEXT_ANCHOR[style['text-halign']];
+	}
+	if (VTEXT_ANCHOR.hasOwnProperty(style['text-valign'])) {
+		attributes.vtextAnchor = VTEXT_ANCHOR[style['text-valign']];
+	}
+	return attributes;
+}
+
+/*
+	ids of the elements a selector applies to, null if the selector isn't only made of ids like the ones of toStylesheet
+*/
+function getSelectedIds(selector) {
+	var ids = [];
+	var parts = String(selector).split(',');
+	for(var i=0; i < parts.length; i++) {
+		var match = /^(?:node|edge)?#((?:\\.|[\w-])+)$/.exec(parts[i].trim());
+		if (match == null) {
+			return null;
+		}
+		ids.push(match[1].replace(/\\(.)/g, '$1'));
+	}
+	return ids;
+}
+
+/*
+	elements as a single list of {group, data, position, style}, from any form accepted by Cytoscape.js
+*/
+function getElementList(elements) {
+	if (Array.isArray(elements)) {
+		return elements;
+	}
+	if (elements == null || typeof elements != 'object' || !(Array.isArray(elements.nodes) || Array.isArray(elements.edges))) {
+		throw new Error("Bad Cytoscape.js elements provided, expected an array or an object with nodes and edges");
+	}
+	return (elements.nodes || []).map(function (node) {
+		return node.group != null ? node : Object.assign({group: 'nodes'}, node);
+	}).concat((elements.edges || []).map(function (edge) {
+		return edge.group != null ? edge : Object.assign({group: 'edges'}, edge);
+	}));
+}
+
+function isEdgeElement(element) {
+	return element.group == 'edges' || (element.group == null && element.data.source != null);
+}
+
+/*
+	center and size of a node, the position of Cytoscape.js comes before the bbox of the data as it follows the moves
+*/
+function getGeometry(element) {
+	var bbox = element.data.bbox || {};
+	var center = element.position || bbox;
+	var w = bbox.w != null ? bbox.w : element.data.width;
+	var h = bbox.h != null ? bbox.h : element.data.height;
+	if (center.x == null || center.y == null || w == null || h == null) {
+		return null;
+	}
+	return {x: Number(center.x), y: Number(center.y), w: Number(w), h: Number(h)};
+}
+
+function toBbox(geometry) {
+	var libsbgn = getModel();
+	return new libsbgn.Bbox({x: geometry.x - geometry.w / 2, y: geometry.y - geometry.h / 2, w: geometry.w, h: geometry.h});
+}
+
+/*
+	position of a point given from the center of a node, in percentage of its size
+*/
+function getAbsolutePosition(relative, geometry) {
+	return {x: geometry.x + Number(relative.x) * geometry.w / 100, y: geometry.y + Number(relative.y) * geometry.h / 100};
+}
+
+function getAuxiliaryUnitGlyph(unit, geometry) {
+	var libsbgn = getModel();
+	var glyph = new libsbgn.Glyph({id: unit.id, class_: unit.clazz || unit['class']});
+	if (unit.state != null && (unit.state.value != null || unit.state.variable != null)) {
+		glyph.setState(new libsbgn.State({value: unit.state.value, variable: unit.state.variable}));
+	}
+	if (unit.label != null && unit.label.text != null) {
+		glyph.setLabel(new libsbgn.Label({text: unit.label.text}));
+	}
+	if (geometry != null && unit.bbox != null && unit.bbox.x != null && unit.bbox.y != null) {
+		var center = getAbsolutePosition(unit.bbox, geometry);
+		glyph.setBbox(toBbox({x: center.x, y: center.y, w: Number(unit.bbox.w) || 0, h: Number(unit.bbox.h) || 0}));
+	}
+	return glyph;
+}
+
+function getGlyph(element) {
+	var libsbgn = getModel();
+	var data = element.data;
+	var glyph = new libsbgn.Glyph({id: data.id, class_: data['class'], orientation: data.orientation});
+	if (data.label != null && data.label !== '') {
+		glyph.setLabel(new libsbgn.Label({text: data.label}));
+	}
+	if (data.clonemarker) {
+		glyph.setClone(new libsbgn.Clone());
+	}
+	var geometry = getGeometry(element);
+	if (geometry != null) {
+		glyph.setBbox(toBbox(geometry));
+	}
+	(data.statesandinfos || []).forEach(function (unit) {
+		glyph.addGlyphMember(getAuxiliaryUnitGlyph(unit, geometry));
+	});
+	(data.ports || []).forEach(function (port) {
+		var params = {id: port.id};
+		if (geometry != null) {
+			var position = getAbsolutePosition(port, geometry);
+			params.x = position.x;
+			params.y = position.y;
+		}
+		glyph.addPort(new libsbgn.Port(params));
+	});
+	return glyph;
+}
+
+/*
+	position of the end of an arc: the port, or the center of the glyph
+*/
+function getEndPosition(map, id) {
+	var libsbgn = getModel();
+	var element = map.getElementById(id);
+	if (element instanceof libsbgn.Port && element.x != null && element.y != null) {
+		return {x: element.x, y: element.y};
+	}
+	var glyph = map.resolveGlyph(id);
+	if (glyph != null && glyph.bbox != null) {
+		return {x: glyph.bbox.x + glyph.bbox.w / 2, y: glyph.bbox.y + glyph.bbox.h / 2};
+	}
+	return null;
+}
+
+function getArc(map, element) {
+	var libsbgn = getModel();
+	var data = element.data;
+	var arc = new libsbgn.Arc({
+		id: data.id,
+		class_: data['class'],
+		source: data.portsource != null ? data.portsource : data.source,
+		target: data.porttarget != null ? data.porttarget : data.target
+	});
+	var start = getEndPosition(map, arc.source);
+	if (start != null) {
+		arc.setStart(new libsbgn.Start(start));
+	}
+	(data.bendPointPositions || []).forEach(function (point) {
+		arc.addNext(new libsbgn.Next({x: point.x, y: point.y}));
+	});
+	var end = getEndPosition(map, arc.target);
+	if (end != null) {
+		arc.setEnd(new libsbgn.End(end));
+	}
+	// editors give a cardinality of 0 to the arcs without one
+	if (data.cardinality != null && data.cardinality !== '' && data.cardinality != 0) {
+		arc.addGlyph(new libsbgn.Glyph({
+			id: map.getIdGenerator().next('glyph'),
+			class_: GlyphClass.CARDINALITY,
+			label: new libsbgn.Label({text: data.cardinality})
+		}));
+	}
+	return arc;
+}
+
+/*
+	first language allowing all the classes of the elements, process description first
+*/
+function guessLanguage(elements) {
+	var languages = [types.Language.PD, types.Language.AF, types.Language.ER];
+	for(var i=0; i < languages.length; i++) {
+		var glyphClasses = types.LanguageGlyphClasses[languages[i]];
+		var arcClasses = types.LanguageArcClasses[languages[i]];
+		var allowed = elements.every(function (element) {
+			var classes = isEdgeElement(element) ? arcClasses : glyphClasses;
+			return element.data['class'] == null || classes.indexOf(element.data['class']) != -1;
+		});
+		if (allowed) {
+			return languages[i];
+		}
+	}
+	return null;
+}
+
+/*
+	render information grouping the elements having the same style, null if no element has a style
+*/
+function getRenderInformation(map, styledElements) {
+	var render = getModel().render;
+	var generator = map.getIdGenerator();
+	var colors = {};
+	var images = {};
+	var listOfColorDefinitions = new render.ListOfColorDefinitions();
+	var listOfBackgroundImages = new render.ListOfBackgroundImages();
+	function getColorId(value) {
+		if (!colors.hasOwnProperty(value)) {
+			colors[value] = generator.next('colorDefinition');
+			listOfColorDefinitions.addColorDefinition(new render.ColorDefinition({id: colors[value], value: value}));
+		}
+		return colors[value];
+	}
+	function getImageId(value) {
+		if (!images.hasOwnProperty(value)) {
+			images[value] = generator.next('backgroundImage');
+			listOfBackgroundImages.addBackgroundImage(new render.BackgroundImage({id: images[value], value: value}));
+		}
+		return images[value];
+	}
+
+	var groups = [];
+	var groupIndex = {};
+	styledElements.forEach(function (styled) {
+		var attributes = getRenderAttributes(styled.style, styled.isEdge);
+		if (Object.keys(attributes).length == 0) {
+			return;
+		}
+		var key = JSON.stringify(attributes);
+		if (!groupIndex.hasOwnProperty(key)) {
+			groupIndex[key] = {attributes: attributes, ids: []};
+			groups.push(groupIndex[key]);
+		}
+		groupIndex[key].ids.push(styled.id);
+	});
+	if (groups.length == 0) {
+		return null;
+	}
+
+	var listOfStyles = new render.ListOfStyles();
+	groups.forEach(function (group) {
+		var attributes = group.attributes;
+		['fill', 'stroke', 'fontColor'].forEach(function (name) {
+			if (attributes[name] != null) {
+				attributes[name] = getColorId(attributes[name]);
+			}
+		});
+		if (attributes.backgroundImage != null) {
+			attributes.backgroundImage = getImageId(attributes.backgroundImage);
+		}
+		listOfStyles.addStyle(new render.Style({
+			id: generator.next('style'),
+			idList: group.ids.join(' '),
+			renderGroup: new render.RenderGroup(attributes)
+		}));
+	});
+	var renderInformation = new render.RenderInformation({id: generator.next('renderInformation'), listOfStyles: listOfStyles});
+	if (listOfColorDefinitions.colorDefinitions.length > 0) {
+		renderInformation.setListOfColorDefinitions(listOfColorDefinitions);
+	}
+	if (listOfBackgroundImages.backgroundImages.length > 0) {
+		renderInformation.setListOfBackgroundImages(listOfBackgroundImages);
+	}
+	return renderInformation;
+}
+
+/**
+ * Read the elements of Cytoscape.js, in the shape used by SBGN-aware editors and given by {@link libsbgn.cytoscape.toElements},
+ * into a map. Nodes whose parent is a compartment get it as compartmentRef, the other nodes with a parent, like the
+ * members of complexes, become members of their parent. The start and end of the arcs are the positions of their
+ * ports, or the centers of their glyphs.
+ *
+ * The styles of the elements give the render information of the map, the elements having the same style share
+ * a style of the render information. They are read, in order, from the rules of the stylesheet whose selectors
+ * are lists of ids, like the ones of {@link libsbgn.cytoscape.toStylesheet}, from the style properties of Cytoscape.js
+ * found in the data, as written by editors, and from the style bypass of the elements.
+ * @param {Object|Object[]|string} json elements as an array or an object with nodes and edges, or an object
+ * with the elements and the style, as given by {@link libsbgn.cytoscape.toCytoscape} and <code>cy.json()</code>,
+ * or the string of one of those
+ * @param {Object=} params
+ * @param {string=} params.id id of the map
+ * @param {string=} params.language language of the map, by default the first one allowing all the classes of the elements
+ * @return {Map}
+ * @throws {Error} if the json isn't made of Cytoscape.js elements, or if the parents of nodes form a cycle
+ */
+ns.fromCytoscape = function (json, params) {
+	var libsbgn = getModel();
+	var params = checkParams(params, ['id', 'language']);
+	if (typeof json == 'string') {
+		try {
+			json = JSON.parse(json);
+		}
+		catch(e) {
+			throw new Error("Bad JSON provided, " + e.message);
+		}
+	}
+	var stylesheet = [];
+	if (json != null && json.elements != null) {
+		stylesheet = Array.isArray(json.style) ? json.style : [];
+		json = json.elements;
+	}
+	var elements = getElementList(json).filter(function (element) {
+		return element != null && element.data != null;
+	});
+	var nodes = elements.filter(function (element) {
+		return !isEdgeElement(element);
+	});
+	var edges = elements.filter(isEdgeElement);
+
+	var map = new libsbgn.Map({id: params.id, language: params.language || guessLanguage(elements)});
+	var glyphIndex = {};
+	var glyphs = nodes.map(function (node) {
+		var glyph = getGlyph(node);
+		if (glyph.id != null) {
+			glyphIndex[glyph.id] = glyph;
+		}
+		return glyph;
+	});
+	var parentIds = {};
+	nodes.forEach(function (node) {
+		if (node.data.id != null) {
+			parentIds[node.data.id] = node.data.parent;
+		}
+	});
+	function getParent(parentId) {
+		return glyphIndex.hasOwnProperty(parentId) ? glyphIndex[parentId] : null;
+	}
+	// members of each other would never reach the map
+	nodes.forEach(function (node) {
+		var seen = [node.data.id];
+		for(var parent = getParent(node.data.parent); parent != null && parent.class_ != GlyphClass.COMPARTMENT;
+				parent = getParent(parentIds[parent.id])) {
+			if (seen.indexOf(parent.id) != -1) {
+				throw new Error("Bad Cytoscape.js elements provided, the parents of " + node.data.id + " form a cycle");
+			}
+			seen.push(parent.id);
+		}
+	});
+	// members first, so that the whole tree is indexed when it is added to the map
+	var roots = [];
+	nodes.forEach(function (node, i) {
+		var parent = getParent(node.data.parent);
+		if (parent != null && parent.class_ != GlyphClass.COMPARTMENT) {
+			parent.addGlyphMember(glyphs[i]);
+		}
+		else {
+			if (parent != null) {
+				glyphs[i].compartmentRef = parent.id;
+			}
+			roots.push(glyphs[i]);
+		}
+	});
+	roots.forEach(function (glyph) {
+		map.addGlyph(glyph);
+	});
+	// editors often leave the state variables and units of information without id, which SBGN-ML requires
+	glyphs.forEach(function (glyph) {
+		glyph.glyphMembers.forEach(function (member) {
+			if (member.id == null && ns.AUXILIARY_UNIT_CLASSES.indexOf(member.class_) != -1) {
+				member.id = map.getIdGenerator().next('glyph');
+				map.indexElement(member);
+			}
+		});
+	});
+	edges.forEach(function (edge) {
+		map.addArc(getArc(map, edge));
+	});
+
+	var styles = {};
+	stylesheet.forEach(function (rule) {
+		var ids = getSelectedIds(rule.selector);
+		if (ids == null) {
+			return;
+		}
+		ids.forEach(function (id) {
+			styles[id] = Object.assign(styles[id] || {}, rule.style || rule.css);
+		});
+	});
+	var styledElements = elements.filter(function (element) {
+		return element.data.id != null;
+	}).map(function (element) {
+		var isEdge = isEdgeElement(element);
+		var style = Object.assign({}, styles[element.data.id]);
+		(isEdge ? EDGE_STYLE_PROPERTIES : NODE_STYLE_PROPERTIES).forEach(function (property) {
+			if (element.data[property] != null) {
+				style[property] = element.data[property];
+			}
+		});
+		Object.assign(style, element.style);
+		return {id: element.data.id, isEdge: isEdge, style: style};
+	});
+	var renderInformation = getRenderInformation(map, styledElements);
+	if (renderInformation != null) {
+		map.setExtension(new libsbgn.Extension());
+		map.extension.add(renderInformation);
+	}
+	return map;
+};
+
+module.exports = ns;
@@ -0,0 +1,245 @@
+/**
+ * Versions of the SBGN-ML format, found in the namespace of the documents, and conversions between them.
+ *
+ * SBGN-ML 0.2 documents have a single map, whose language is required, and know nothing of the ids and versions of maps
+ * nor of the mapRef and tagRef of glyphs. SBGN-ML 0.3 documents can have several maps.
+ *
+ * You can access it like this: <code>libsbgn.formatVersions.convertTo03(sbgn)</code>
+ * @module formatVersions
+ * @namespace libsbgn.formatVersions
+*/
+var utils = require('./utilities');
+var ids = require('./ids');
+var types = require('./libsbgn-types');
+
+var ns = {};
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+/**
+ * The versions of SBGN-ML that can be read and written.
+ * @enum {string}
+ */
+ns.Version = Object.freeze({
+	V0_2: '0.2',
+	V0_3: '0.3'
+});
+
+/**
+ * Namespace of the documents of each version.
+ * @type {Object.<string, string>}
+ */
+ns.namespaces = Object.freeze({
+	'0.2': "http://sbgn.org/libsbgn/0.2",
+	'0.3': "http://sbgn.org/libsbgn/0.3"
+});
+
+/**
+ * Version written by default, the one of {@link libsbgn.xmlns}.
+ * @type {string}
+ */
+ns.latest = ns.Version.V0_3;
+
+/**
+ * @param {string} version
+ * @return {string} the namespace of the documents of this version
+ * @throws {Error} if the version is unknown
+ */
+ns.getNamespace = function (version) {
+	if (!ns.namespaces.hasOwnProperty(version)) {
+		throw new Error("Unknown SBGN-ML version " + version + ", expected one of " + Object.keys(ns.namespaces).join(', '));
+	}
+	return ns.namespaces[version];
+};
+
+/**
+ * @param {string} xmlns namespace of an sbgn element
+ * @return {string|null} the version using this namespace, null if it isn't an SBGN-ML namespace
+ */
+ns.getVersionOfNamespace = function (xmlns) {
+	for (var version in ns.namespaces) {
+		if (ns.namespaces[version] == xmlns) {
+			return version;
+		}
+	}
+	return null;
+};
+
+/**
+ * Change the namespace of the sbgn element of an xml document, without parsing it. Only the declaration on the
+ * root element is changed, the namespaces of the extensions are left as they are.
+ * @param {string} xml
+ * @param {string} version
+ * @return {string}
+ */
+ns.setNamespaceOfXML = function (xml, version) {
+	var namespace = ns.getNamespace(version);
+	return xml.replace(/(<(?:[\w-]+:)?sbgn\b[^>]*?\sxmlns(?::[\w-]+)?\s*=\s*)(["'])[^"']*\2/, function (match, start, quote) {
+		return start + quote + namespace + quote;
+	});
+};
+
+/**
+ * Convert a document to a version, see {@link libsbgn.formatVersions.convertTo02} and {@link libsbgn.formatVersions.convertTo03}.
+ * @param {Sbgn} sbgn
+ * @param {string} version
+ * @return {Sbgn} a copy of the document in this version
+ * @throws {Error} if the version is unknown, or if the document can't be converted to 0.2 as it has several maps
+ */
+ns.convert = function (sbgn, version) {
+	ns.getNamespace(version);
+	if (version == ns.Version.V0_2) {
+		if (sbgn.maps.length > 1) {
+			throw new Error("An SBGN-ML 0.2 document has a single map, this one has " + sbgn.maps.length +
+				", use libsbgn.formatVersions.convertTo02 to get a document for each map");
+		}
+		var converted = ns.convertTo02(sbgn);
+		return converted.length > 0 ? converted[0] : new (getModel().Sbgn)({xmlns: ns.getNamespace(version)});
+	}
+	return ns.convertTo03(sbgn);
+};
+
+/*
+	glyphs of a map at any depth
+*/
+function getAllGlyphs(map) {
+	var glyphs = [];
+	function addGlyphs(list) {
+		for(var i=0; i < list.length; i++) {
+			glyphs.push(list[i]);
+			addGlyphs(list[i].glyphMembers);
+		}
+	}
+	addGlyphs(map.glyphs);
+	map.getAllArcs().forEach(function (arc) {
+		addGlyphs(arc.glyphs);
+	});
+	map.arcgroups.forEach(function (arcgroup) {
+		addGlyphs(arcgroup.glyphs);
+	});
+	return glyphs;
+}
+
+/**
+ * Convert a document to SBGN-ML 0.2. As a 0.2 document has a single map, there is a document for each map.
+ * The id and version of the maps and the mapRef and tagRef of the glyphs are dropped. The maps without language
+ * get the one of their version, see {@link Map#getLanguage}.
+ * The documents are copies, the original is left untouched.
+ * @param {Sbgn} sbgn
+ * @return {Sbgn[]} a document for each map
+ * @throws {Error} if a map has neither language nor version, the language is required in SBGN-ML 0.2
+ */
+ns.convertTo02 = function (sbgn) {
+	var libsbgn = getModel();
+	return sbgn.deepClone().maps.map(function (map) {
+		map.language = map.getLanguage();
+		if (map.language == null) {
+			throw new Error("Can't convert the map " + map.id + " to SBGN-ML 0.2, it has no language");
+		}
+		map.id = null;
+		map.version = null;
+		getAllGlyphs(map).forEach(function (glyph) {
+			glyph.mapRef = null;
+			glyph.tagRef = null;
+		});
+		map.rebuildIndex();
+		var converted = new libsbgn.Sbgn({xmlns: ns.getNamespace(ns.Version.V0_2), maps: [map]});
+		converted.notes = utils.cloneValue(sbgn.notes);
+		converted.extension = utils.cloneValue(sbgn.extension);
+		return converted;
+	});
+};
+
+/*
+	references to the render elements that must follow their id: colors and background images used in render groups
+*/
+var RENDER_REFERENCES = {
+	colorDefinition: {list: 'listOfColorDefinitions', attributes: ['fill', 'stroke', 'fontColor']},
+	backgroundImage: {list: 'listOfBackgroundImages', attributes: ['backgroundImage']}
+};
+
+function renameRenderElement(map, info, newId) {
+	var oldId = info.element.id;
+	info.element.id = newId;
+	var references = RENDER_REFERENCES[info.type];
+	if (references == null) {
+		return;
+	}
+	var render = map.extension.get('renderInformation');
+	var styles = render.listOfStyles != null ? render.listOfStyles.styles : [];
+	styles.forEach(function (style) {
+		references.attributes.forEach(function (attribute) {
+			if (style.renderGroup != null && style.renderGroup[attribute] == oldId) {
+				style.renderGroup[attribute] = newId;
+			}
+		});
+	});
+	render[references.list].rebuildIndex();
+}
+
+/**
+ * Convert one or several documents to a single SBGN-ML 0.3 document holding all their maps, in order.
+ * The maps without id get one, and the ids already used by the maps before are replaced, with the references
+ * to them, including the mapRef of submaps and the tagRef of terminals, as ids must be unique in the whole document. The notes and extension of the sbgn element are kept
+ * when there is a single document.
+ * The document is made of copies, the originals are left untouched.
+ * @param {Sbgn|Sbgn[]} sbgns documents of any version
+ * @return {Sbgn}
+ */
+ns.convertTo03 = function (sbgns) {
+	var libsbgn = getModel();
+	sbgns = [].concat(sbgns);
+	var result = new libsbgn.Sbgn({xmlns: ns.getNamespace(ns.Version.V0_3)});
+	if (sbgns.length == 1) {
+		result.notes = utils.cloneValue(sbgns[0].notes);
+		result.extension = utils.cloneValue(sbgns[0].extension);
+	}
+	var generator = result.getIdGenerator();
+	var used = {};
+	sbgns.forEach(function (sbgn) {
+		// the submaps and terminals of a document follow the new ids of its maps and tags
+		var renamed = {};
+		var maps = sbgn.maps.map(function (original) {
+			var map = original.deepClone();
+			result.addMap(map);
+			ids.listElementsWithId(map).forEach(function (info) {
+				var id = info.element.id;
+				if (!used.hasOwnProperty(id)) {
+					return;
+				}
+				if (info.type == 'glyph' || info.type == 'port' || info.type == 'arc') {
+					var owner = info.type == 'port' ? map.getPortOwner(info.element) : null;
+					renamed[id] = generator.next(info.type, owner);
+					map.renameId(id, renamed[id]);
+				}
+				else if (info.type == 'map') {
+					map.id = generator.next('map');
+					renamed[id] = map.id;
+				}
+				else {
+					renameRenderElement(map, info, generator.next(info.type));
+				}
+			});
+			if (map.id == null) {
+				map.id = generator.next('map');
+			}
+			ids.listElementsWithId(map).forEach(function (info) {
+				used[info.element.id] = true;
+			});
+			return map;
+		});
+		maps.forEach(function (map) {
+			getAllGlyphs(map).forEach(function (glyph) {
+				glyph.mapRef = utils.mapId(glyph.mapRef, renamed);
+				if (glyph.class_ == types.GlyphClass.TERMINAL) {
+					glyph.tagRef = utils.mapId(glyph.tagRef, renamed);
+				}
+			});
+		});
+	});
+	return result;
+};
+
+module.exports = ns;
@@ -0,0 +1,289 @@
+/**
+ * Graph view of a map, where glyphs are the nodes and arcs the edges.
+ * The ends of the arcs are resolved with {@link Map#resolveGlyph}, so an arc connected to
+ * a port is connected to the glyph owning the port. Arcs with an end that can't be resolved to a glyph,
+ * like arcs targeting other arcs in Entity Relationship, are ignored.
+ * @module graph
+ * @namespace libsbgn.graph
+*/
+var types = require('./libsbgn-types');
+
+var ns = {};
+
+var ArcClass = types.ArcClass;
+
+/**
+ * Arc classes whose source modifies the process they target.
+ * @type {string[]}
+ */
+ns.MODIFIER_CLASSES = [ArcClass.MODULATION, ArcClass.STIMULATION, ArcClass.CATALYSIS, ArcClass.INHIBITION,
+	ArcClass.NECESSARY_STIMULATION, ArcClass.ABSOLUTE_INHIBITION, ArcClass.ABSOLUTE_STIMULATION];
+
+// ------- GRAPH -------
+/**
+ * The graph is built once from the map, it has to be built again if the map changes.
+ * @class
+ * @param {Map} map
+ */
+var Graph = function (map) {
+	this.map = map;
+	this.nodes = [];
+	this.edges = [];
+	this.nodeIndex = {};
+	this.outEdges = {};
+	this.inEdges = {};
+
+	for(var i=0; i < map.glyphs.length; i++) {
+		this.addNode(map.glyphs[i]);
+	}
+	for(var i=0; i < map.arcgroups.length; i++) {
+		for(var j=0; j < map.arcgroups[i].glyphs.length; j++) {
+			this.addNode(map.arcgroups[i].glyphs[j]);
+		}
+	}
+	var arcs = map.getAllArcs();
+	for(var i=0; i < arcs.length; i++) {
+		var source = map.resolveGlyph(arcs[i].source);
+		var target = map.resolveGlyph(arcs[i].target);
+		if (source == null || target == null) {
+			continue;
+		}
+		this.addNode(source);
+		this.addNode(target);
+		var edge = {arc: arcs[i], source: source, target: target};
+		this.edges.push(edge);
+		this.outEdges[source.id].push(edge);
+		this.inEdges[target.id].push(edge);
+	}
+};
+
+Graph.prototype.addNode = function (glyph) {
+	if (glyph.id != null && this.nodeIndex.hasOwnProperty(glyph.id)) {
+		return;
+	}
+	this.nodes.push(glyph);
+	if (glyph.id != null) {
+		this.nodeIndex[glyph.id] = glyph;
+		this.outEdges[glyph.id] = [];
+		this.inEdges[glyph.id] = [];
+	}
+};
+
+/**
+ * @param {Glyph|string} glyph the glyph or its id
+ * @return {Glyph|null}
+ */
+Graph.prototype.getNode = function (glyph) {
+	var id = typeof glyph == 'string' ? glyph : glyph.id;
+	return id != null && this.nodeIndex.hasOwnProperty(id) ? this.nodeIndex[id] : null;
+};
+
+/**
+ * @return {Glyph[]} top level glyphs, glyphs of arcgroups and any other glyph connected to an arc
+ */
+Graph.prototype.getNodes = function () {
+	return this.nodes;
+};
+
+/**
+ * @return {{arc: Arc, source: Glyph, target: Glyph}[]}
+ */
+Graph.prototype.getEdges = function () {
+	return this.edges;
+};
+
+function filterEdges(edges, arcClasses) {
+	if (!arcClasses) {
+		return edges.slice();
+	}
+	return edges.filter(function (edge) {
+		return arcClasses.indexOf(edge.arc.class_) != -1;
+	});
+}
+
+/**
+ * @param {Glyph|string} glyph
+ * @param {string[]=} arcClasses only keep arcs of these classes
+ * @return {{arc: Arc, source: Glyph, target: Glyph}[]}
+ */
+Graph.prototype.getOutgoingEdges = function (glyph, arcClasses) {
+	var node = this.getNode(glyph);
+	return node == null ? [] : filterEdges(this.outEdges[node.id], arcClasses);
+};
+
+/**
+ * @param {Glyph|string} glyph
+ * @param {string[]=} arcClasses only keep arcs of these classes
+ * @return {{arc: Arc, source: Glyph, target: Glyph}[]}
+ */
+Graph.prototype.getIncomingEdges = function (glyph, arcClasses) {
+	var node = this.getNode(glyph);
+	return node == null ? [] : filterEdges(this.inEdges[node.id], arcClasses);
+};
+
+/**
+ * Glyphs connected to a process, grouped by the class of the arc connecting them.
+ * For example: {consumption: [glyphA], production: [glyphB], catalysis: [glyphC]}
+ * @param {Glyph|string} process
+ * @return {Object.<string, Glyph[]>}
+ */
+Graph.prototype.getParticipants = function (process) {
+	var participants = {};
+	function add(role, glyph) {
+		participants[role] = participants[role] || [];
+		if (participants[role].indexOf(glyph) == -1) {
+			participants[role].push(glyph);
+		}
+	}
+	var incoming = this.getIncomingEdges(process);
+	for(var i=0; i < incoming.length; i++) {
+		add(incoming[i].arc.class_, incoming[i].source);
+	}
+	var outgoing = this.getOutgoingEdges(process);
+	for(var i=0; i < outgoing.length; i++) {
+		add(outgoing[i].arc.class_, outgoing[i].target);
+	}
+	return participants;
+};
+
+/**
+ * @param {Glyph|string} process
+ * @return {Glyph[]} sources of the consumption arcs of the process
+ */
+Graph.prototype.getReactants = function (process) {
+	return this.getParticipants(process)[ArcClass.CONSUMPTION] || [];
+};
+
+/**
+ * @param {Glyph|string} process
+ * @return {Glyph[]} targets of the production arcs of the process
+ */
+Graph.prototype.getProducts = function (process) {
+	return this.getParticipants(process)[ArcClass.PRODUCTION] || [];
+};
+
+/**
+ * @param {Glyph|string} process
+ * @return {Glyph[]} sources of the modulation arcs of the process, see {@link libsbgn.graph.MODIFIER_CLASSES}
+ */
+Graph.prototype.getModifiers = function (process) {
+	var participants = this.getParticipants(process);
+	var modifiers = [];
+	for(var i=0; i < ns.MODIFIER_CLASSES.length; i++) {
+		var glyphs = participants[ns.MODIFIER_CLASSES[i]] || [];
+		for(var j=0; j < glyphs.length; j++) {
+			if (modifiers.indexOf(glyphs[j]) == -1) {
+				modifiers.push(glyphs[j]);
+			}
+		}
+	}
+	return modifiers;
+};
+
+/**
+ * @param {Glyph|string} glyph
+ * @param {Object=} options
+ * @param {string=} options.direction out, in or both. Default is both.
+ * @param {string[]=} options.arcClasses only follow arcs of these classes
+ * @return {Glyph[]}
+ */
+Graph.prototype.getNeighbors = function (glyph, options) {
+	options = options || {};
+	var direction = options.direction || 'both';
+	var neighbors = [];
+	function add(neighbor) {
+		if (neighbors.indexOf(neighbor) == -1) {
+			neighbors.push(neighbor);
+		}
+	}
+	if (direction == 'out' || direction == 'both') {
+		this.getOutgoingEdges(glyph, options.arcClasses).forEach(function (edge) { add(edge.target); });
+	}
+	if (direction == 'in' || direction == 'both') {
+		this.getIncomingEdges(glyph, options.arcClasses).forEach(function (edge) { add(edge.source); });
+	}
+	return neighbors;
+};
+
+/**
+ * Shortest path between two glyphs, going through processes and any other glyph.
+ * @param {Glyph|string} from
+ * @param {Glyph|string} to
+ * @param {Object=} options
+ * @param {boolean=} options.directed if false, arcs can be followed in both directions. Default is true.
+ * @param {string[]=} options.arcClasses only follow arcs of these classes
+ * @return {Glyph[]|null} the glyphs of the path, from and to included, or null if there is no path
+ */
+Graph.prototype.getShortestPath = function (from, to, options) {
+	options = options || {};
+	var start = this.getNode(from);
+	var end = this.getNode(to);
+	if (start == null || end == null) {
+		return null;
+	}
+	var neighborOptions = {
+		direction: options.directed === false ? 'both' : 'out',
+		arcClasses: options.arcClasses
+	};
+	var previous = {};
+	previous[start.id] = null;
+	var queue = [start];
+	while (queue.length > 0) {
+		var current = queue.shift();
+		if (current === end) {
+			var path = [];
+			for(var node = end; node != null; node = previous[node.id]) {
+				path.unshift(node);
+			}
+			return path;
+		}
+		var neighbors = this.getNeighbors(current, neighborOptions);
+		for(var i=0; i < neighbors.length; i++) {
+			if (!previous.hasOwnProperty(neighbors[i].id)) {
+				previous[neighbors[i].id] = current;
+				queue.push(neighbors[i]);
+			}
+		}
+	}
+	return null;
+};
+
+/**
+ * Groups of glyphs connected by arcs, whatever their direction.
+ * @return {Glyph[][]}
+ */
+Graph.prototype.getConnectedComponents = function () {
+	var visited = {};
+	var components = [];
+	for(var i=0; i < this.nodes.length; i++) {
+		var node = this.nodes[i];
+		if (node.id == null) {
+			components.push([node]);
+			continue;
+		}
+		if (visited.hasOwnProperty(node.id)) {
+			continue;
+		}
+		var component = [];
+		var stack = [node];
+		visited[node.id] = true;
+		while (stack.length > 0) {
+			var current = stack.pop();
+			component.push(current);
+			var neighbors = this.getNeighbors(current);
+			for(var j=0; j < neighbors.length; j++) {
+				if (!visited.hasOwnProperty(neighbors[j].id)) {
+					visited[neighbors[j].id] = true;
+					stack.push(neighbors[j]);
+				}
+			}
+		}
+		components.push(component);
+	}
+	return components;
+};
+
+ns.Graph = Graph;
+// ------- END GRAPH -------
+
+module.exports = ns;
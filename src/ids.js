@@ -0,0 +1,293 @@
+/**
+ * Generation of unique ids for the elements of a document, and detection of duplicated ids.
+ *
+ * Ids must be unique in the whole document: the ids of the maps, of their glyphs, ports and arcs, and of the
+ * elements of the render extension share the same space.
+ *
+ * You can access the following classes like this: <code>libsbgn.ids.IdGenerator</code>
+ * @module ids
+ * @namespace libsbgn.ids
+*/
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+var validator = require('./validator');
+var Issue = require('./Issue').Issue;
+
+var ns = {};
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+/**
+ * Prefixes used by default for each kind of element. Ports have no prefix by default, their ids are made
+ * from the id of their glyph, like glyph1.1
+ */
+ns.defaultPrefixes = Object.freeze({
+	map: 'map',
+	glyph: 'glyph',
+	port: null,
+	arc: 'arc',
+	renderInformation: 'renderInformation',
+	colorDefinition: 'color',
+	style: 'style',
+	backgroundImage: 'image'
+});
+
+/*
+	elements of the render extension of a map having an id, with their type and location
+*/
+var RENDER_LISTS = [
+	{list: 'listOfColorDefinitions', elements: 'colorDefinitions', type: 'colorDefinition'},
+	{list: 'listOfStyles', elements: 'styles', type: 'style'},
+	{list: 'listOfBackgroundImages', elements: 'backgroundImages', type: 'backgroundImage'}
+];
+
+function getRenderElementInfos(map, location) {
+	var render = map.extension != null ? map.extension.get('renderInformation') : null;
+	if (render == null) {
+		return [];
+	}
+	location += '/extension/renderInformation';
+	var infos = [{element: render, type: 'renderInformation', location: location}];
+	RENDER_LISTS.forEach(function (renderList) {
+		var list = render[renderList.list];
+		if (list == null) {
+			return;
+		}
+		var listLocation = location + '/' + renderList.list;
+		for(var i=0; i < list[renderList.elements].length; i++) {
+			infos.push({element: list[renderList.elements][i], type: renderList.type,
+				location: listLocation + '/' + renderList.type + '[' + (i+1) + ']'});
+		}
+	});
+	return infos;
+}
+
+function getMaps(sbgnOrMap) {
+	return sbgnOrMap.maps ? sbgnOrMap.maps : [sbgnOrMap];
+}
+
+/**
+ * All the elements of the document having an id, with their type and their XPath-like location.
+ * @param {Sbgn|Map} sbgnOrMap
+ * @return {Object[]} {element, type, location}
+ */
+ns.listElementsWithId = function (sbgnOrMap) {
+	var infos = [];
+	var maps = getMaps(sbgnOrMap);
+	for(var i=0; i < maps.length; i++) {
+		var location = sbgnOrMap.maps ? '/sbgn/map[' + (i+1) + ']' : '/map';
+		var ctx = new validator.ValidationContext(maps[i], location);
+		infos = infos.concat(ctx.elementInfos, getRenderElementInfos(maps[i], location));
+	}
+	return infos.filter(function (info) {
+		return info.element.id != null;
+	});
+};
+
+/**
+ * Report the ids used more than once in the whole document, across all its maps.
+ * Each element having a duplicated id gets an issue, with the pattern of the rule of the validator
+ * checking the ids inside a map.
+ * @param {Sbgn|Map} sbgnOrMap
+ * @return {Issue[]}
+ */
+ns.checkDuplicateIds = function (sbgnOrMap) {
+	var rule = validator.commonRules[0];
+	var infos = ns.listElementsWithId(sbgnOrMap);
+	var count = {};
+	infos.forEach(function (info) {
+		count[info.element.id] = (count[info.element.id] || 0) + 1;
+	});
+	return infos.filter(function (info) {
+		return count[info.element.id] > 1;
+	}).map(function (info) {
+		return new Issue({
+			text: rule.text + ", " + info.element.id + " is used " + count[info.element.id] + " times",
+			pattern: rule.id,
+			severity: rule.severity,
+			elementId: info.element.id,
+			elementType: info.type,
+			location: info.location,
+			fix: rule.fix
+		});
+	});
+};
+
+// ------- IDGENERATOR -------
+/**
+ * Generates ids not used in a document, nor already generated. Ids are made of a prefix for each kind
+ * of element followed by a number: glyph1, glyph2...
+ *
+ * The glyphs, ports and arcs are looked for with the index of the maps, so they are seen as soon as
+ * they are added. The generator of a map that is part of a bigger document only knows the map.
+ * @class
+ * @param {Sbgn|Map} element the document
+ * @param {Object=} params
+ * @param {Object.<string, string>=} params.prefixes prefix for each kind of element, see {@link libsbgn.ids.defaultPrefixes}
+ */
+var IdGenerator = function (element, params) {
+	var params = checkParams(params, ['prefixes']);
+	this.element = element;
+	this.prefixes = {};
+	for (var kind in ns.defaultPrefixes) {
+		this.prefixes[kind] = ns.defaultPrefixes[kind];
+	}
+	this.setPrefixes(params.prefixes || {});
+	this.counters = {};
+	this.generated = {};
+};
+
+/**
+ * @param {Object.<string, string>} prefixes prefix for some kinds of elements, the others are kept
+ */
+IdGenerator.prototype.setPrefixes = function (prefixes) {
+	for (var kind in prefixes) {
+		this.checkKind(kind);
+		this.prefixes[kind] = prefixes[kind];
+	}
+};
+
+IdGenerator.prototype.checkKind = function (kind) {
+	if (!this.prefixes.hasOwnProperty(kind)) {
+		throw new Error("Unknown kind of element " + kind + ", expected one of " + Object.keys(this.prefixes).join(', '));
+	}
+};
+
+/**
+ * @param {string} id
+ * @return {boolean} true if the id is used in the document or has already been generated
+ */
+IdGenerator.prototype.isUsed = function (id) {
+	if (this.generated.hasOwnProperty(id)) {
+		return true;
+	}
+	var maps = getMaps(this.element);
+	for(var i=0; i < maps.length; i++) {
+		if (maps[i].id == id || maps[i].getElementById(id) != null) {
+			return true;
+		}
+		var renderInfos = getRenderElementInfos(maps[i], '');
+		for(var j=0; j < renderInfos.length; j++) {
+			if (renderInfos[j].element.id == id) {
+				return true;
+			}
+		}
+	}
+	return false;
+};
+
+/**
+ * @param {string} kind map, glyph, port, arc, renderInformation, colorDefinition, style or backgroundImage
+ * @param {Glyph=} glyph for ports without prefix, the glyph of the port
+ * @return {string} a new id
+ */
+IdGenerator.prototype.next = function (kind, glyph) {
+	this.checkKind(kind);
+	var prefix = this.prefixes[kind];
+	if (prefix == null) {
+		prefix = glyph != null && glyph.id != null ? glyph.id + '.' : kind;
+	}
+	var counter = this.counters[prefix] || 0;
+	var id;
+	do {
+		counter++;
+		id = prefix + counter;
+	} while (this.isUsed(id));
+	this.counters[prefix] = counter;
+	this.generated[id] = true;
+	return id;
+};
+
+/**
+ * Give an id to an element and to all the elements it contains that don't have one.
+ * @param {Sbgn|Map|Glyph|Port|Arc|Arcgroup|render.RenderInformation} element
+ * @return {Object} the element
+ */
+IdGenerator.prototype.assignIds = function (element) {
+	var libsbgn = getModel();
+	var self = this;
+	function assign(element, kind, glyph) {
+		if (element.id == null) {
+			libsbgn.observable.set(element, 'id', self.next(kind, glyph));
+		}
+	}
+	function assignAll(elements, kind) {
+		for(var i=0; i < elements.length; i++) {
+			assign(elements[i], kind);
+		}
+	}
+	function assignGlyphs(glyphs) {
+		for(var i=0; i < glyphs.length; i++) {
+			assign(glyphs[i], 'glyph');
+			for(var j=0; j < glyphs[i].ports.length; j++) {
+				assign(glyphs[i].ports[j], 'port', glyphs[i]);
+			}
+			assignGlyphs(glyphs[i].glyphMembers);
+		}
+	}
+	function assignArcs(arcs) {
+		assignAll(arcs, 'arc');
+		for(var i=0; i < arcs.length; i++) {
+			assignGlyphs(arcs[i].glyphs);
+		}
+	}
+	function assignRender(render) {
+		assign(render, 'renderInformation');
+		RENDER_LISTS.forEach(function (renderList) {
+			if (render[renderList.list] != null) {
+				assignAll(render[renderList.list][renderList.elements], renderList.type);
+			}
+		});
+	}
+	function assignArcgroups(arcgroups) {
+		for(var i=0; i < arcgroups.length; i++) {
+			assignGlyphs(arcgroups[i].glyphs);
+			assignArcs(arcgroups[i].arcs);
+		}
+	}
+	function assignMap(map) {
+		assign(map, 'map');
+		assignGlyphs(map.glyphs);
+		assignArcs(map.arcs);
+		assignArcgroups(map.arcgroups);
+		var render = map.extension != null ? map.extension.get('renderInformation') : null;
+		if (render != null) {
+			assignRender(render);
+		}
+	}
+
+	libsbgn.observable.batch(function () {
+		if (element instanceof libsbgn.Sbgn) {
+			element.maps.forEach(assignMap);
+		}
+		else if (element instanceof libsbgn.Map) {
+			assignMap(element);
+		}
+		else if (element instanceof libsbgn.Glyph) {
+			assignGlyphs([element]);
+		}
+		else if (element instanceof libsbgn.Port) {
+			assign(element, 'port');
+		}
+		else if (element instanceof libsbgn.Arc) {
+			assignArcs([element]);
+		}
+		else if (element instanceof libsbgn.Arcgroup) {
+			assignArcgroups([element]);
+		}
+		else if (element instanceof libsbgn.render.RenderInformation) {
+			assignRender(element);
+		}
+		else {
+			throw new Error("Can't assign ids to " + element);
+		}
+	});
+	return element;
+};
+
+ns.IdGenerator = IdGenerator;
+// ------- END IDGENERATOR -------
+
+module.exports = ns;
@@ -53,6 +53,25 @@ Annotation.prototype.setRdfElement = function(rdfElement) {
 	this.rdfElement = rdfElement;
 };
 
+/**
+ * Deep copy of the annotation and its rdf content.
+ * @param {Object|function=} idMapping
+ * @return {Annotation}
+ */
+Annotation.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the rdf content is compared triple by triple.
+ * @param {Annotation} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+Annotation.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 Annotation.prototype.buildJsObj = function () {
 	var annotationJsonObj = {};
 
@@ -101,6 +120,29 @@ Annotation.fromObj = function (jsObj) {
 	return annotation;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Annotation.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'rdfElement', this.rdfElement);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Annotation}
+ */
+Annotation.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'annotation');
+	var annotation = new ns.Annotation();
+	if(json.rdfElement) {
+		annotation.setRdfElement(ns.RdfElement.fromJSON(json.rdfElement));
+	}
+	return annotation;
+};
+
 ns.Annotation = Annotation;
 // ------- END ANNOTATION -------
 
@@ -137,6 +179,41 @@ StoreObject.prototype.addResource = function (id, kvObject) {
 	return Util.addResource(this.store, id, kvObject);
 };
 
+StoreObject.prototype.removeResource = function (id, kvObject) {
+	return Util.removeResource(this.store, id, kvObject);
+};
+
+/**
+ * Copy of the object, with a new store holding the same triples.
+ * @return {StoreObject}
+ */
+StoreObject.prototype.deepClone = function () {
+	var store = N3.Store();
+	store.addPrefixes(Util.prefixes);
+	store.addTriples(this.store.getTriples());
+	return new this.constructor({store: store});
+};
+
+/**
+ * Compare the triples of the stores. Blank nodes get different names each time rdf is parsed,
+ * so they are all considered equal.
+ * @param {StoreObject} other
+ * @return {boolean}
+ */
+StoreObject.prototype.equals = function (other) {
+	if (other == null || Object.getPrototypeOf(this) !== Object.getPrototypeOf(other)) {
+		return false;
+	}
+	function getTripleStrings(store) {
+		return store.getTriples().map(function (triple) {
+			return [triple.subject, triple.predicate, triple.object, triple.graph].map(function (term) {
+				return N3.Util.isBlank(term) ? '_:' : term;
+			}).join(' ');
+		}).sort();
+	}
+	return utils.equalValues(getTripleStrings(this.store), getTripleStrings(other.store));
+};
+
 ns.StoreObject = StoreObject;
 // ------- END STOREOBJECT -------
 
@@ -204,6 +281,14 @@ RdfElement.prototype.constructor = RdfElement;
 
 RdfElement.uri = 'http://www.eisbm.org/';
 
+/*
+	prefixes of the iris of the elements of the map: #id is read relatively to the uri used to parse,
+	and kept as /#id
+*/
+function getLocalPrefixes() {
+	return ['#', '/#', RdfElement.uri + '#'];
+}
+
 /**
  * @return {string}
  */
@@ -351,6 +436,83 @@ RdfElement.fromObj = function (jsObj) {
 	return rdfElement;
 };
 
+/**
+ * Replace the id of an element of the map in the triples describing it, written rdf:about="#id".
+ * @param {string} oldId
+ * @param {string} newId
+ * @return {boolean} false if the id isn't described
+ */
+RdfElement.prototype.renameId = function (oldId, newId) {
+	var found = false;
+	var prefixes = getLocalPrefixes();
+	for(var i=0; i < prefixes.length; i++) {
+		if (Util.renameId(this.store, prefixes[i] + oldId, prefixes[i] + newId)) {
+			found = true;
+		}
+	}
+	return found;
+};
+
+/**
+ * Copy of the element, with a new store holding the same triples. The ids of the elements of the map
+ * they describe are mapped too.
+ * @param {Object|function=} idMapping see {@link Glyph#deepClone}
+ * @return {RdfElement}
+ */
+RdfElement.prototype.deepClone = function (idMapping) {
+	var prefixes = getLocalPrefixes();
+	function mapTerm(term) {
+		for(var i=0; i < prefixes.length; i++) {
+			if (term.indexOf(prefixes[i]) == 0) {
+				return prefixes[i] + utils.mapId(term.substring(prefixes[i].length), idMapping);
+			}
+		}
+		return term;
+	}
+	var copy = ns.StoreObject.prototype.deepClone.call(this);
+	if (idMapping == null) {
+		return copy;
+	}
+	var triples = copy.store.getTriples();
+	copy.store.removeTriples(triples);
+	copy.store.addTriples(triples.map(function (triple) {
+		return {subject: mapTerm(triple.subject), predicate: triple.predicate, object: mapTerm(triple.object),
+			graph: triple.graph};
+	}));
+	return copy;
+};
+
+/**
+ * Also used by JSON.stringify. The rdf content is given as the list of its triples, in the N3 format
+ * of terms: iris as they are, literals quoted like "value" and blank nodes starting with _:
+ * @return {Object}
+ */
+RdfElement.prototype.toJSON = function () {
+	return {
+		triples: this.store.getTriples().map(function (triple) {
+			var json = {subject: triple.subject, predicate: triple.predicate, object: triple.object};
+			if (triple.graph) {
+				json.graph = triple.graph;
+			}
+			return json;
+		})
+	};
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {RdfElement}
+ */
+RdfElement.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'rdfElement');
+	var rdfElement = new ns.RdfElement();
+	var triples = json.triples || [];
+	for (var i=0; i < triples.length; i++) {
+		rdfElement.store.addTriple(triples[i].subject, triples[i].predicate, triples[i].object, triples[i].graph);
+	}
+	return rdfElement;
+};
+
 RdfElement.prototype.test = function() {
 	//console.log(this.store);
 	//console.log(this.store.getTriples("http://local/anID000001", null, null));
@@ -17,6 +17,7 @@
 var utils = require('./utilities');
 var checkParams = utils.checkParams;
 var xml2js = require('xml2js');
+var observable = require('./observable');
 
 var ns = {};
 
@@ -36,6 +37,25 @@ var ColorDefinition = function(params) {
 	this.value 	= params.value;
 };
 
+/**
+ * Deep copy of the color definition and all its content.
+ * @param {Object|function=} idMapping
+ * @return {ColorDefinition}
+ */
+ColorDefinition.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {ColorDefinition} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+ColorDefinition.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -97,6 +117,27 @@ ColorDefinition.fromObj = function (jsObj) {
 	return colorDefinition;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+ColorDefinition.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'value', this.value);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {ColorDefinition}
+ */
+ColorDefinition.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'colorDefinition');
+	var colorDefinition = new ns.ColorDefinition({id: json.id, value: json.value});
+	return colorDefinition;
+};
+
 ns.ColorDefinition = ColorDefinition;
 // ------- END COLORDEFINITION -------
 
@@ -118,6 +159,26 @@ ListOfColorDefinitions.prototype.addColorDefinition = function (colorDefinition)
 	this.colorIndex[colorDefinition.id] = colorDefinition.value;
 };
 
+/**
+ * The styles using the color are left as they are.
+ * @param {ColorDefinition|string|number} colorDefinition the color definition, its id or its position
+ * @return {ColorDefinition|null} the removed color definition, null if it isn't in the list
+ */
+ListOfColorDefinitions.prototype.removeColorDefinition = function (colorDefinition) {
+	var index = utils.indexOfElement(this.colorDefinitions, colorDefinition);
+	return index == -1 ? null : observable.remove(this, 'colorDefinitions', index, 'removeColorDefinition');
+};
+
+/**
+ * Index again the color values by id, if the list of color definitions has been modified directly.
+ */
+ListOfColorDefinitions.prototype.rebuildIndex = function () {
+	this.colorIndex = {};
+	for(var i=0; i < this.colorDefinitions.length; i++) {
+		this.colorIndex[this.colorDefinitions[i].id] = this.colorDefinitions[i].value;
+	}
+};
+
 /**
  * Convenient method to get a color value directly.
  * @param {string} id
@@ -135,6 +196,25 @@ ListOfColorDefinitions.prototype.getAllColors = function () {
 	return Object.values(this.colorIndex);
 };
 
+/**
+ * Deep copy of the list of color definitions and all its content.
+ * @param {Object|function=} idMapping
+ * @return {ListOfColorDefinitions}
+ */
+ListOfColorDefinitions.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {ListOfColorDefinitions} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+ListOfColorDefinitions.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -198,6 +278,31 @@ ListOfColorDefinitions.fromObj = function (jsObj) {
 	return listOfColorDefinitions;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+ListOfColorDefinitions.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'colorDefinitions', this.colorDefinitions);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {ListOfColorDefinitions}
+ */
+ListOfColorDefinitions.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'listOfColorDefinitions');
+	var listOfColorDefinitions = new ns.ListOfColorDefinitions();
+	if(json.colorDefinitions) {
+		for (var i=0; i < json.colorDefinitions.length; i++) {
+			listOfColorDefinitions.addColorDefinition(ns.ColorDefinition.fromJSON(json.colorDefinitions[i]));
+		}
+	}
+	return listOfColorDefinitions;
+};
+
 ns.ListOfColorDefinitions = ListOfColorDefinitions;
 // ------- END LISTOFCOLORDEFINITIONS -------
 
@@ -255,6 +360,25 @@ var RenderGroup = function (params) {
 	this.backgroundOpacity = params.backgroundOpacity;
 };
 
+/**
+ * Deep copy of the render group and all its content.
+ * @param {Object|function=} idMapping
+ * @return {RenderGroup}
+ */
+RenderGroup.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {RenderGroup} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+RenderGroup.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -384,6 +508,64 @@ RenderGroup.fromObj = function (jsObj) {
 	return g;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+RenderGroup.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'fontSize', this.fontSize);
+	utils.setJSONField(json, 'fontFamily', this.fontFamily);
+	utils.setJSONField(json, 'fontWeight', this.fontWeight);
+	utils.setJSONField(json, 'fontStyle', this.fontStyle);
+	utils.setJSONField(json, 'fontColor', this.fontColor);
+	utils.setJSONField(json, 'textAnchor', this.textAnchor);
+	utils.setJSONField(json, 'vtextAnchor', this.vtextAnchor);
+	utils.setJSONField(json, 'stroke', this.stroke);
+	utils.setJSONField(json, 'strokeWidth', this.strokeWidth);
+	utils.setJSONField(json, 'fill', this.fill);
+	utils.setJSONField(json, 'backgroundImage', this.backgroundImage);
+	utils.setJSONField(json, 'backgroundFit', this.backgroundFit);
+	utils.setJSONField(json, 'backgroundPosX', this.backgroundPosX);
+	utils.setJSONField(json, 'backgroundPosY', this.backgroundPosY);
+	utils.setJSONField(json, 'backgroundWidth', this.backgroundWidth);
+	utils.setJSONField(json, 'backgroundHeight', this.backgroundHeight);
+	utils.setJSONField(json, 'backgroundImageOpacity', this.backgroundImageOpacity);
+	utils.setJSONField(json, 'backgroundOpacity', this.backgroundOpacity);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {RenderGroup}
+ */
+RenderGroup.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'renderGroup');
+	var renderGroup = new ns.RenderGroup({
+		id: json.id,
+		fontSize: json.fontSize,
+		fontFamily: json.fontFamily,
+		fontWeight: json.fontWeight,
+		fontStyle: json.fontStyle,
+		fontColor: json.fontColor,
+		textAnchor: json.textAnchor,
+		vtextAnchor: json.vtextAnchor,
+		stroke: json.stroke,
+		strokeWidth: json.strokeWidth,
+		fill: json.fill,
+		backgroundImage: json.backgroundImage,
+		backgroundFit: json.backgroundFit,
+		backgroundPosX: json.backgroundPosX,
+		backgroundPosY: json.backgroundPosY,
+		backgroundWidth: json.backgroundWidth,
+		backgroundHeight: json.backgroundHeight,
+		backgroundImageOpacity: json.backgroundImageOpacity,
+		backgroundOpacity: json.backgroundOpacity
+	});
+	return renderGroup;
+};
+
 ns.RenderGroup = RenderGroup;
 // ------- END RENDERGROUP -------
 
@@ -440,6 +622,32 @@ Style.prototype.getStyleMap = function () {
 	}
 	return index;
 };
+
+/**
+ * Deep copy of the style and all its content.
+ * @param {Object|function=} idMapping new ids of the elements referenced in idList
+ * @return {Style}
+ */
+Style.prototype.deepClone = function (idMapping) {
+	var style = utils.cloneObject(this, idMapping);
+	if (this.idList != null && idMapping != null) {
+		style.setIdListFromArray(this.getIdListAsArray().map(function (id) {
+			return utils.mapId(id, idMapping);
+		}));
+	}
+	return style;
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Style} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+Style.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -517,6 +725,32 @@ Style.fromObj = function (jsObj) {
 	return style;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Style.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'name', this.name);
+	utils.setJSONField(json, 'idList', this.idList);
+	utils.setJSONField(json, 'renderGroup', this.renderGroup);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Style}
+ */
+Style.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'style');
+	var style = new ns.Style({id: json.id, name: json.name, idList: json.idList});
+	if(json.renderGroup) {
+		style.setRenderGroup(ns.RenderGroup.fromJSON(json.renderGroup));
+	}
+	return style;
+};
+
 ns.Style = Style;
 // ------- END STYLE -------
 
@@ -536,6 +770,15 @@ ListOfStyles.prototype.addStyle = function (style) {
 	this.styles.push(style);
 };
 
+/**
+ * @param {Style|string|number} style the style, its id or its position
+ * @return {Style|null} the removed style, null if it isn't in the list
+ */
+ListOfStyles.prototype.removeStyle = function (style) {
+	var index = utils.indexOfElement(this.styles, style);
+	return index == -1 ? null : observable.remove(this, 'styles', index, 'removeStyle');
+};
+
 /**
  * Convenience function returning a map of ids to their respective RenderGroup object,
  * for all the styles.
@@ -554,6 +797,25 @@ ListOfStyles.prototype.getStyleMap = function () {
 	return index;
 }
 
+/**
+ * Deep copy of the list of styles and all its content.
+ * @param {Object|function=} idMapping
+ * @return {ListOfStyles}
+ */
+ListOfStyles.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {ListOfStyles} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+ListOfStyles.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -617,6 +879,31 @@ ListOfStyles.fromObj = function (jsObj) {
 	return listOfStyles;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+ListOfStyles.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'styles', this.styles);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {ListOfStyles}
+ */
+ListOfStyles.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'listOfStyles');
+	var listOfStyles = new ns.ListOfStyles();
+	if(json.styles) {
+		for (var i=0; i < json.styles.length; i++) {
+			listOfStyles.addStyle(ns.Style.fromJSON(json.styles[i]));
+		}
+	}
+	return listOfStyles;
+};
+
 ns.ListOfStyles = ListOfStyles;
 // ------- END LISTOFSTYLES -------
 // ------- BACKGROUNDIMAGE -------
@@ -633,6 +920,25 @@ var BackgroundImage = function(params) {
 	this.value 	= params.value;
 };
 
+/**
+ * Deep copy of the background image and all its content.
+ * @param {Object|function=} idMapping
+ * @return {BackgroundImage}
+ */
+BackgroundImage.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {BackgroundImage} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+BackgroundImage.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -694,6 +1000,27 @@ BackgroundImage.fromObj = function (jsObj) {
 	return backgroundImage;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+BackgroundImage.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'value', this.value);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {BackgroundImage}
+ */
+BackgroundImage.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'backgroundImage');
+	var backgroundImage = new ns.BackgroundImage({id: json.id, value: json.value});
+	return backgroundImage;
+};
+
 ns.BackgroundImage = BackgroundImage;
 // ------- END BACKGROUNDIMAGE -------
 
@@ -715,6 +1042,25 @@ ListOfBackgroundImages.prototype.addBackgroundImage = function (backgroundImage)
 	this.imageIndex[backgroundImage.id] = backgroundImage.value;
 };
 
+/**
+ * @param {BackgroundImage|string|number} backgroundImage the background image, its id or its position
+ * @return {BackgroundImage|null} the removed background image, null if it isn't in the list
+ */
+ListOfBackgroundImages.prototype.removeBackgroundImage = function (backgroundImage) {
+	var index = utils.indexOfElement(this.backgroundImages, backgroundImage);
+	return index == -1 ? null : observable.remove(this, 'backgroundImages', index, 'removeBackgroundImage');
+};
+
+/**
+ * Index again the image values by id, if the list of background images has been modified directly.
+ */
+ListOfBackgroundImages.prototype.rebuildIndex = function () {
+	this.imageIndex = {};
+	for(var i=0; i < this.backgroundImages.length; i++) {
+		this.imageIndex[this.backgroundImages[i].id] = this.backgroundImages[i].value;
+	}
+};
+
 /**
  * Convenient method to get a background image value directly.
  * @param {string} id
@@ -732,6 +1078,25 @@ ListOfBackgroundImages.prototype.getAllImages = function () {
 	return Object.values(this.imageIndex);
 };
 
+/**
+ * Deep copy of the list of background images and all its content.
+ * @param {Object|function=} idMapping
+ * @return {ListOfBackgroundImages}
+ */
+ListOfBackgroundImages.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {ListOfBackgroundImages} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+ListOfBackgroundImages.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -795,6 +1160,31 @@ ListOfBackgroundImages.fromObj = function (jsObj) {
 	return listOfBackgroundImages;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+ListOfBackgroundImages.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'backgroundImages', this.backgroundImages);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {ListOfBackgroundImages}
+ */
+ListOfBackgroundImages.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'listOfBackgroundImages');
+	var listOfBackgroundImages = new ns.ListOfBackgroundImages();
+	if(json.backgroundImages) {
+		for (var i=0; i < json.backgroundImages.length; i++) {
+			listOfBackgroundImages.addBackgroundImage(ns.BackgroundImage.fromJSON(json.backgroundImages[i]));
+		}
+	}
+	return listOfBackgroundImages;
+};
+
 ns.ListOfBackgroundImages = ListOfBackgroundImages;
 // ------- END LISTOFBACKGROUNDIMAGES -------
 // ------- RENDERINFORMATION -------
@@ -845,6 +1235,25 @@ RenderInformation.prototype.setListOfBackgroundImages = function(listOfBackgroun
 	this.listOfBackgroundImages = listOfBackgroundImages;
 };
 
+/**
+ * Deep copy of the render information and all its content.
+ * @param {Object|function=} idMapping
+ * @return {RenderInformation}
+ */
+RenderInformation.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {RenderInformation} other
+ * @param {Object=} options see {@link Glyph#equals}
+ * @return {boolean}
+ */
+RenderInformation.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options);
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -944,6 +1353,48 @@ RenderInformation.fromObj = function (jsObj) {
 	return renderInformation;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+RenderInformation.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'name', this.name);
+	utils.setJSONField(json, 'programName', this.programName);
+	utils.setJSONField(json, 'programVersion', this.programVersion);
+	utils.setJSONField(json, 'backgroundColor', this.backgroundColor);
+	utils.setJSONField(json, 'listOfColorDefinitions', this.listOfColorDefinitions);
+	utils.setJSONField(json, 'listOfBackgroundImages', this.listOfBackgroundImages);
+	utils.setJSONField(json, 'listOfStyles', this.listOfStyles);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {RenderInformation}
+ */
+RenderInformation.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'renderInformation');
+	var renderInformation = new ns.RenderInformation({
+		id: json.id,
+		name: json.name,
+		programName: json.programName,
+		programVersion: json.programVersion,
+		backgroundColor: json.backgroundColor
+	});
+	if(json.listOfColorDefinitions) {
+		renderInformation.setListOfColorDefinitions(ns.ListOfColorDefinitions.fromJSON(json.listOfColorDefinitions));
+	}
+	if(json.listOfBackgroundImages) {
+		renderInformation.setListOfBackgroundImages(ns.ListOfBackgroundImages.fromJSON(json.listOfBackgroundImages));
+	}
+	if(json.listOfStyles) {
+		renderInformation.setListOfStyles(ns.ListOfStyles.fromJSON(json.listOfStyles));
+	}
+	return renderInformation;
+};
+
 ns.RenderInformation = RenderInformation;
 // ------- END RENDERINFORMATION -------
 
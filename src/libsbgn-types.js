@@ -80,6 +80,173 @@ ns.ArcClass = Object.freeze({
 	LOGIC_ARC: "logic arc"
 });
 
+/**
+ * The official identifiers of the languages of SBGN, for the version attribute of maps.
+ * They are of the form http://identifiers.org/combine.specifications/sbgn.[pd|er|af].level-[level].version-[version]
+ * @enum {string}
+ */
+ns.MapVersion = Object.freeze({
+	PD_LEVEL_1_VERSION_1_0: "http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.0",
+	PD_LEVEL_1_VERSION_1_1: "http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.1",
+	PD_LEVEL_1_VERSION_1_2: "http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.2",
+	PD_LEVEL_1_VERSION_1_3: "http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.3",
+	ER_LEVEL_1_VERSION_1_0: "http://identifiers.org/combine.specifications/sbgn.er.level-1.version-1.0",
+	ER_LEVEL_1_VERSION_1_2: "http://identifiers.org/combine.specifications/sbgn.er.level-1.version-1.2",
+	ER_LEVEL_1_VERSION_2: "http://identifiers.org/combine.specifications/sbgn.er.level-1.version-2",
+	AF_LEVEL_1_VERSION_1_0: "http://identifiers.org/combine.specifications/sbgn.af.level-1.version-1.0",
+	AF_LEVEL_1_VERSION_1_2: "http://identifiers.org/combine.specifications/sbgn.af.level-1.version-1.2"
+});
+
+/*
+	short name of the languages in the version identifiers
+*/
+var LANGUAGE_CODES = {
+	pd: ns.Language.PD,
+	er: ns.Language.ER,
+	af: ns.Language.AF
+};
+
+var MAP_VERSION_PATTERN = /^https?:\/\/identifiers\.org\/combine\.specifications\/sbgn\.(pd|er|af)\.level-(\d+)\.version-([\d.]+)$/;
+
+/**
+ * Version given to the maps of each language when only the language is known, the latest one.
+ * @type {Object.<string, string>}
+ */
+ns.defaultMapVersions = {};
+ns.defaultMapVersions[ns.Language.PD] = ns.MapVersion.PD_LEVEL_1_VERSION_1_3;
+ns.defaultMapVersions[ns.Language.ER] = ns.MapVersion.ER_LEVEL_1_VERSION_2;
+ns.defaultMapVersions[ns.Language.AF] = ns.MapVersion.AF_LEVEL_1_VERSION_1_2;
+Object.freeze(ns.defaultMapVersions);
+
+/**
+ * Read a version identifier of a map. Any level and version following the pattern of {@link MapVersion} are accepted.
+ * @param {string} version
+ * @return {{language: string, level: string, version: string}|null} null if it isn't an identifier of an SBGN language
+ */
+ns.parseMapVersion = function (version) {
+	var match = MAP_VERSION_PATTERN.exec(version == null ? '' : String(version).trim());
+	if (match == null) {
+		return null;
+	}
+	return {language: LANGUAGE_CODES[match[1]], level: match[2], version: match[3]};
+};
+
+/**
+ * @param {string} version version identifier of a map
+ * @return {string|null} the language of this version, null if it isn't an identifier of an SBGN language
+ */
+ns.getLanguageOfMapVersion = function (version) {
+	var parsed = ns.parseMapVersion(version);
+	return parsed != null ? parsed.language : null;
+};
+
+/**
+ * @param {string} language
+ * @return {string|null} the default version of the language, see {@link defaultMapVersions}
+ */
+ns.getDefaultMapVersion = function (language) {
+	return ns.defaultMapVersions.hasOwnProperty(language) ? ns.defaultMapVersions[language] : null;
+};
+
+/*
+	classes shared by several languages
+*/
+var REFERENCE_GLYPH_CLASSES = [ns.GlyphClass.TAG, ns.GlyphClass.SUBMAP, ns.GlyphClass.TERMINAL];
+var LOGIC_GLYPH_CLASSES = [ns.GlyphClass.AND, ns.GlyphClass.OR, ns.GlyphClass.NOT];
+
+/**
+ * Glyph classes allowed in each language, indexed by the language.
+ * @type {Object.<string, string[]>}
+ */
+ns.LanguageGlyphClasses = {};
+ns.LanguageGlyphClasses[ns.Language.PD] = Object.freeze([
+	ns.GlyphClass.UNSPECIFIED_ENTITY,
+	ns.GlyphClass.SIMPLE_CHEMICAL,
+	ns.GlyphClass.MACROMOLECULE,
+	ns.GlyphClass.NUCLEIC_ACID_FEATURE,
+	ns.GlyphClass.SIMPLE_CHEMICAL_MULTIMER,
+	ns.GlyphClass.MACROMOLECULE_MULTIMER,
+	ns.GlyphClass.NUCLEIC_ACID_FEATURE_MULTIMER,
+	ns.GlyphClass.COMPLEX,
+	ns.GlyphClass.COMPLEX_MULTIMER,
+	ns.GlyphClass.SOURCE_AND_SINK,
+	ns.GlyphClass.PERTURBING_AGENT,
+	ns.GlyphClass.COMPARTMENT,
+	ns.GlyphClass.PROCESS,
+	ns.GlyphClass.OMITTED_PROCESS,
+	ns.GlyphClass.UNCERTAIN_PROCESS,
+	ns.GlyphClass.ASSOCIATION,
+	ns.GlyphClass.DISSOCIATION,
+	ns.GlyphClass.PHENOTYPE,
+	ns.GlyphClass.STATE_VARIABLE,
+	ns.GlyphClass.UNIT_OF_INFORMATION,
+	ns.GlyphClass.CARDINALITY,
+	ns.GlyphClass.ANNOTATION
+].concat(LOGIC_GLYPH_CLASSES, REFERENCE_GLYPH_CLASSES));
+ns.LanguageGlyphClasses[ns.Language.AF] = Object.freeze([
+	ns.GlyphClass.BIOLOGICAL_ACTIVITY,
+	ns.GlyphClass.PHENOTYPE,
+	ns.GlyphClass.PERTURBATION,
+	ns.GlyphClass.DELAY,
+	ns.GlyphClass.COMPARTMENT,
+	ns.GlyphClass.UNIT_OF_INFORMATION
+].concat(LOGIC_GLYPH_CLASSES, REFERENCE_GLYPH_CLASSES));
+ns.LanguageGlyphClasses[ns.Language.ER] = Object.freeze([
+	ns.GlyphClass.ENTITY,
+	ns.GlyphClass.OUTCOME,
+	ns.GlyphClass.INTERACTION,
+	ns.GlyphClass.PERTURBING_AGENT,
+	ns.GlyphClass.PHENOTYPE,
+	ns.GlyphClass.STATE_VARIABLE,
+	ns.GlyphClass.VARIABLE_VALUE,
+	ns.GlyphClass.UNIT_OF_INFORMATION,
+	ns.GlyphClass.EXISTENCE,
+	ns.GlyphClass.LOCATION,
+	ns.GlyphClass.IMPLICIT_XOR,
+	ns.GlyphClass.CARDINALITY,
+	ns.GlyphClass.ANNOTATION,
+	ns.GlyphClass.DELAY
+].concat(LOGIC_GLYPH_CLASSES, REFERENCE_GLYPH_CLASSES));
+Object.freeze(ns.LanguageGlyphClasses);
+
+/**
+ * Arc classes allowed in each language, indexed by the language.
+ * @type {Object.<string, string[]>}
+ */
+ns.LanguageArcClasses = {};
+ns.LanguageArcClasses[ns.Language.PD] = Object.freeze([
+	ns.ArcClass.PRODUCTION,
+	ns.ArcClass.CONSUMPTION,
+	ns.ArcClass.MODULATION,
+	ns.ArcClass.STIMULATION,
+	ns.ArcClass.CATALYSIS,
+	ns.ArcClass.INHIBITION,
+	ns.ArcClass.NECESSARY_STIMULATION,
+	ns.ArcClass.LOGIC_ARC,
+	ns.ArcClass.EQUIVALENCE_ARC
+]);
+ns.LanguageArcClasses[ns.Language.AF] = Object.freeze([
+	ns.ArcClass.POSITIVE_INFLUENCE,
+	ns.ArcClass.NEGATIVE_INFLUENCE,
+	ns.ArcClass.UNKNOWN_INFLUENCE,
+	ns.ArcClass.NECESSARY_STIMULATION,
+	ns.ArcClass.LOGIC_ARC,
+	ns.ArcClass.EQUIVALENCE_ARC
+]);
+ns.LanguageArcClasses[ns.Language.ER] = Object.freeze([
+	ns.ArcClass.MODULATION,
+	ns.ArcClass.STIMULATION,
+	ns.ArcClass.INHIBITION,
+	ns.ArcClass.ABSOLUTE_STIMULATION,
+	ns.ArcClass.ABSOLUTE_INHIBITION,
+	ns.ArcClass.NECESSARY_STIMULATION,
+	ns.ArcClass.INTERACTION,
+	ns.ArcClass.ASSIGNMENT,
+	ns.ArcClass.LOGIC_ARC,
+	ns.ArcClass.EQUIVALENCE_ARC
+]);
+Object.freeze(ns.LanguageArcClasses);
+
 module.exports = ns;
    
     
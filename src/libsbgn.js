@@ -9,11 +9,117 @@ var annotExt = require('./libsbgn-annotations');
 var xml2js = require('xml2js');
 var utils = require('./utilities');
 var schematronValidator = require('./schematronValidator');
+var validator = require('./validator');
+var graph = require('./graph');
+var cytoscape = require('./cytoscape');
+var svg = require('./svg');
+var sbml = require('./sbml');
+var mapDiff = require('./mapDiff');
+var mapMerge = require('./mapMerge');
+var patch = require('./patch');
+var observable = require('./observable');
+var ids = require('./ids');
+var submaps = require('./submaps');
+var formatVersions = require('./formatVersions');
+var types = require('./libsbgn-types');
 var checkParams = utils.checkParams;
 
 var ns = {}; // namespace that encapsulates all exportable features
 
-ns.xmlns = "http://sbgn.org/libsbgn/0.3";
+ns.xmlns = formatVersions.getNamespace(formatVersions.latest);
+
+/**
+ * JSON Schema of the objects written by {@link Sbgn#toJSON} and read by {@link Sbgn.fromJSON}.
+ * @type {Object}
+ */
+ns.jsonSchema = require('./sbgn-json-schema.json');
+
+/*
+	elements of a map directly contained in an element: ports and glyph members of glyphs,
+	glyphs of arcs, glyphs and arcs of arcgroups
+*/
+function getChildElements(element) {
+	if (element instanceof ns.Glyph) {
+		return element.ports.concat(element.glyphMembers);
+	}
+	else if (element instanceof ns.Arc) {
+		return element.glyphs;
+	}
+	else if (element instanceof ns.Arcgroup) {
+		return element.glyphs.concat(element.arcs);
+	}
+	return [];
+}
+
+/*
+	ids of an element and of all the elements it contains
+*/
+function getAllIds(element) {
+	var result = element.id != null ? [element.id] : [];
+	var children = getChildElements(element);
+	for(var i=0; i < children.length; i++) {
+		result = result.concat(getAllIds(children[i]));
+	}
+	return result;
+}
+
+/*
+	elements whose references are being removed, so that arcs pointing to each other don't remove them twice
+*/
+var elementsBeingRemoved = [];
+
+function removeReferences(container, element, ids) {
+	var map = container instanceof ns.Map ? container : container.ownerMap;
+	if (map == null || ids.length == 0) {
+		return;
+	}
+	elementsBeingRemoved.push(element);
+	try {
+		map.removeReferencesTo(ids);
+	}
+	finally {
+		elementsBeingRemoved.pop();
+	}
+}
+
+/*
+	remove an element from a list of its container, the element being given as itself, its id or its position.
+	When the container is in a map, what references the element and its content is removed from the map first.
+*/
+function removeChild(container, property, element, method) {
+	var index = utils.indexOfElement(container[property], element);
+	if (index == -1) {
+		return null;
+	}
+	var removed = container[property][index];
+	observable.batch(function () {
+		removeReferences(container, removed, getAllIds(removed));
+		observable.remove(container, property, container[property].indexOf(removed), method);
+	});
+	return removed;
+}
+
+/*
+	put newElement at the place of element in a list of its container. The references to the ids
+	that newElement doesn't have anymore are removed from the map, like for removeChild.
+*/
+function replaceChild(container, property, element, newElement, method) {
+	var index = utils.indexOfElement(container[property], element);
+	if (index == -1) {
+		return null;
+	}
+	var replaced = container[property][index];
+	var newIds = getAllIds(newElement);
+	observable.batch(function () {
+		removeReferences(container, replaced, getAllIds(replaced).filter(function (id) {
+			return newIds.indexOf(id) == -1;
+		}));
+		index = container[property].indexOf(replaced);
+		observable.remove(container, property, index, method);
+		observable.insert(container, property, index, newElement, method);
+	});
+	return replaced;
+}
 
 // ------- SBGNBase -------
 /**
@@ -73,6 +179,27 @@ SBGNBase.prototype.baseFromObj = function (jsObj) {
 		this.setNotes(notes);
 	}
 };
+/**
+ * Add the notes and extension to the object built by toJSON.
+ * @param {Object} json
+ */
+SBGNBase.prototype.baseToJSON = function (json) {
+	utils.setJSONField(json, 'notes', this.notes);
+	utils.setJSONField(json, 'extension', this.extension);
+};
+
+/**
+ * Get the notes and extension from an object built by toJSON.
+ * @param {Object} json
+ */
+SBGNBase.prototype.baseFromJSON = function (json) {
+	if (json.notes) {
+		this.setNotes(ns.Notes.fromJSON(json.notes));
+	}
+	if (json.extension) {
+		this.setExtension(ns.Extension.fromJSON(json.extension));
+	}
+};
 ns.SBGNBase = SBGNBase;
 // ------- END SBGNBase -------
 
@@ -102,6 +229,119 @@ Sbgn.prototype.addMap = function (map) {
 	this.maps.push(map);
 };
 
+/**
+ * @param {Map|string|number} map the map, its id or its position
+ * @return {Map|null} the removed map, null if it isn't in the document
+ */
+Sbgn.prototype.removeMap = function (map) {
+	return removeChild(this, 'maps', map, 'removeMap');
+};
+
+/**
+ * Put another map at the place of a map of the document.
+ * @param {Map|string|number} map the map replaced, its id or its position
+ * @param {Map} newMap
+ * @return {Map|null} the replaced map, null if it isn't in the document
+ */
+Sbgn.prototype.replaceMap = function (map, newMap) {
+	return replaceChild(this, 'maps', map, newMap, 'replaceMap');
+};
+
+/**
+ * The generator of new ids for this document, created at first call. See {@link libsbgn.ids.IdGenerator}.
+ * @return {IdGenerator}
+ */
+Sbgn.prototype.getIdGenerator = function () {
+	if (this.idGenerator == null) {
+		utils.setHiddenProperty(this, 'idGenerator', new ids.IdGenerator(this));
+	}
+	return this.idGenerator;
+};
+
+/**
+ * Report the ids used more than once in the document, across all its maps.
+ * See {@link libsbgn.ids.checkDuplicateIds}.
+ * @return {Issue[]}
+ */
+Sbgn.prototype.checkDuplicateIds = function () {
+	return ids.checkDuplicateIds(this);
+};
+
+/**
+ * @param {string} id
+ * @return {Map|null} the map of the document having this id
+ */
+Sbgn.prototype.getMapById = function (id) {
+	return submaps.getMapById(this, id);
+};
+
+/**
+ * @param {Glyph} glyph a submap glyph
+ * @return {Map|null} the map of the document referenced by the mapRef of the glyph
+ */
+Sbgn.prototype.resolveMapRef = function (glyph) {
+	return submaps.resolveMapRef(this, glyph);
+};
+
+/**
+ * Tree of the maps of the document following the submaps, see {@link libsbgn.submaps.getSubmapHierarchy}.
+ * @return {Object[]} the root nodes
+ */
+Sbgn.prototype.getSubmapHierarchy = function () {
+	return submaps.getSubmapHierarchy(this);
+};
+
+/**
+ * Check the references of the submaps to the maps of the document and their terminals,
+ * see {@link libsbgn.submaps.checkSubmaps}.
+ * @return {Issue[]}
+ */
+Sbgn.prototype.checkSubmaps = function () {
+	return submaps.checkSubmaps(this);
+};
+
+/**
+ * Move glyphs of a map into a new map, replaced by a submap glyph. See {@link libsbgn.submaps.extractSubmap}.
+ * @param {Map} map
+ * @param {Array<Glyph|string>} glyphs
+ * @param {Object=} params
+ * @return {Glyph} the submap glyph
+ */
+Sbgn.prototype.extractSubmap = function (map, glyphs, params) {
+	return submaps.extractSubmap(this, map, glyphs, params);
+};
+
+/**
+ * Replace a submap glyph by the content of its map. See {@link libsbgn.submaps.inlineSubmap}.
+ * @param {Glyph|string} glyph
+ * @param {Object=} params
+ * @return {Map} the map where the submap glyph was
+ */
+Sbgn.prototype.inlineSubmap = function (glyph, params) {
+	return submaps.inlineSubmap(this, glyph, params);
+};
+
+/**
+ * Deep copy of the sbgn and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Sbgn}
+ */
+Sbgn.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Sbgn} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Sbgn.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -127,10 +367,23 @@ Sbgn.prototype.buildJsObj = function () {
 };
 
 /**
+ * Version of SBGN-ML of the document, detected from its namespace. See {@link libsbgn.formatVersions}.
+ * @return {string|null} 0.2 or 0.3, null if the namespace isn't an SBGN-ML one
+ */
+Sbgn.prototype.getFormatVersion = function () {
+	return formatVersions.getVersionOfNamespace(this.xmlns);
+};
+
+/**
+ * @param {Object=} options
+ * @param {string=} options.version version of SBGN-ML to write, 0.2 or 0.3. By default the document is written as it is.
+ * See {@link libsbgn.formatVersions.convert}.
  * @return {string}
  */
-Sbgn.prototype.toXML = function () {
-	return utils.buildString({sbgn: this.buildJsObj()});
+Sbgn.prototype.toXML = function (options) {
+	var options = checkParams(options, ['version']);
+	var sbgn = options.version != null ? formatVersions.convert(this, options.version) : this;
+	return utils.buildString({sbgn: sbgn.buildJsObj()});
 };
 
 /**
@@ -142,18 +395,51 @@ Sbgn.doValidation = function (file) {
 };
 
 /**
+ * Check the syntax rules of the language of each map directly on the objects.
+ * See {@link libsbgn.validator}.
+ * @return {Issue[]}
+ */
+Sbgn.prototype.validate = function () {
+	return validator.validate(this);
+};
+
+/**
+ * The version of SBGN-ML of the document is given by {@link Sbgn#getFormatVersion}.
  * @param {String} string
+ * @param {Object=} options
+ * @param {string=} options.version version of SBGN-ML to convert the document to, 0.2 or 0.3. By default the document
+ * is kept as it is. See {@link libsbgn.formatVersions.convert}.
  * @return {Sbgn}
  */
-Sbgn.fromXML = function (string) {
+Sbgn.fromXML = function (string, options) {
     var sbgn;
     function fn (err, result) {
         sbgn = Sbgn.fromObj(result);
     }
     utils.parseString(string, fn);
-    return sbgn;
+    return convertToVersion(sbgn, options);
+};
+
+/**
+ * Same as {@link Sbgn.fromXML}, but never swallows the errors of the parser.
+ * @param {String} string
+ * @param {Object=} options see {@link Sbgn.fromXML}
+ * @return {Promise<Sbgn>} rejected with the parse error, including line and column, or a bad XML error
+ */
+Sbgn.fromXMLAsync = function (string, options) {
+	return utils.parseStringAsync(string).then(function (jsObj) {
+		return convertToVersion(Sbgn.fromObj(jsObj), options);
+	});
 };
 
+function convertToVersion(sbgn, options) {
+	var options = checkParams(options, ['version']);
+	if (sbgn == null || options.version == null) {
+		return sbgn;
+	}
+	return formatVersions.convert(sbgn, options.version);
+}
+
 /**
  * @param {Object} jsObj - xml2js formatted object
  * @return {Sbgn}
@@ -188,90 +474,773 @@ Sbgn.fromObj = function (jsObj) {
 		}
 	}
 
-	if(jsObj.map) {
-		var maps = jsObj.map;
-		for (var i=0; i < maps.length; i++) {
-			var map = ns.Map.fromObj({map: maps[i]});
-			sbgn.addMap(map);
-		}
-	}
+	if(jsObj.map) {
+		var maps = jsObj.map;
+		for (var i=0; i < maps.length; i++) {
+			var map = ns.Map.fromObj({map: maps[i]});
+			sbgn.addMap(map);
+		}
+	}
+
+	sbgn.baseFromObj(jsObj); // call to parent class
+	return sbgn;
+};
+/**
+ * Also used by JSON.stringify.
+ * The shape of the object is described by the JSON Schema {@link libsbgn.jsonSchema}.
+ * @return {Object}
+ */
+Sbgn.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'xmlns', this.xmlns);
+	utils.setJSONField(json, 'maps', this.maps);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Sbgn}
+ */
+Sbgn.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'sbgn');
+	var sbgn = new ns.Sbgn({xmlns: json.xmlns});
+	if(json.maps) {
+		for (var i=0; i < json.maps.length; i++) {
+			sbgn.addMap(ns.Map.fromJSON(json.maps[i]));
+		}
+	}
+	sbgn.baseFromJSON(json);
+	return sbgn;
+};
+
+ns.Sbgn = Sbgn;
+// ------- END SBGN -------
+
+// ------- MAP -------
+/**
+ * Represents the <code>&lt;map&gt;</code> element.
+ * @class
+ * @extends SBGNBase
+ * @param {Object} params
+ * @param {string=} params.id
+ * @param {string=} params.language
+ * @param {string=} params.version
+ * @param {Glyph[]=} params.glyphs
+ * @param {Arc[]=} params.arcs
+ * @param {Bbox=} params.bbox
+ * @param {Arcgroup[]=} params.arcgroups
+ */
+var Map = function (params) {
+	ns.SBGNBase.call(this, params);
+	var params = checkParams(params, ['id', 'language', 'version', 'glyphs', 'arcs', 'bbox', 'arcgroups']);
+	this.id 		= params.id;
+	this.language 	= params.language;
+	this.version	= params.version;
+	this.bbox 		= params.bbox;
+	this.glyphs 	= params.glyphs || [];
+	this.arcs 		= params.arcs || [];
+	this.arcgroups 	= params.arcgroups || [];
+};
+
+Map.prototype = Object.create(ns.SBGNBase.prototype);
+Map.prototype.constructor = Map;
+
+/**
+ * @param {Glyph} glyph
+ */
+Map.prototype.addGlyph = function (glyph) {
+	this.glyphs.push(glyph);
+	this.indexElement(glyph);
+};
+
+/**
+ * @param {Arc} arc
+ */
+Map.prototype.addArc = function (arc) {
+	this.arcs.push(arc);
+	this.indexElement(arc);
+};
+
+/**
+ * @param {Bbox} bbox
+ */
+Map.prototype.setBbox = function (bbox) {
+	this.bbox = bbox;
+};
+
+/**
+ * The language of the map, given by its language attribute or else by its version.
+ * See {@link libsbgn.types.MapVersion}.
+ * @return {string|null}
+ */
+Map.prototype.getLanguage = function () {
+	if (this.language != null) {
+		return this.language;
+	}
+	return types.getLanguageOfMapVersion(this.version);
+};
+
+/**
+ * The version of the language of the map, given by its version attribute or else the default version of its language.
+ * See {@link libsbgn.types.defaultMapVersions}.
+ * @return {string|null}
+ */
+Map.prototype.getVersion = function () {
+	if (this.version != null) {
+		return this.version;
+	}
+	return types.getDefaultMapVersion(this.language);
+};
+
+/**
+ * Set the language of the map. If the version of the map is the identifier of another language,
+ * it is replaced by the default version of the new language.
+ * @param {string} language
+ */
+Map.prototype.setLanguage = function (language) {
+	var self = this;
+	observable.batch(function () {
+		observable.set(self, 'language', language);
+		var versionLanguage = types.getLanguageOfMapVersion(self.version);
+		if (versionLanguage != null && versionLanguage != language) {
+			observable.set(self, 'version', types.getDefaultMapVersion(language));
+		}
+	});
+};
+
+/**
+ * Set the version of the map. If it is the identifier of a language, see {@link libsbgn.types.MapVersion},
+ * the language of the map is set accordingly.
+ * @param {string} version
+ */
+Map.prototype.setVersion = function (version) {
+	var self = this;
+	observable.batch(function () {
+		observable.set(self, 'version', version);
+		var language = types.getLanguageOfMapVersion(version);
+		if (language != null && language != self.language) {
+			observable.set(self, 'language', language);
+		}
+	});
+};
+
+/**
+ * @param {Arcgroup} arc
+ */
+Map.prototype.addArcgroup = function (arcgroup) {
+	this.arcgroups.push(arcgroup);
+	this.indexElement(arcgroup);
+};
+
+/**
+ * Remove a glyph from the map, wherever it is: in the map, in another glyph, in an arc or in an arcgroup.
+ * What references the glyph, its ports or its glyph members is removed too:
+ * <ul>
+ * <li>the arcs attached to them are removed, and the arcs attached to these arcs</li>
+ * <li>the compartmentRef, tagRef and callout target pointing to them are unset</li>
+ * <li>their ids are dropped from the idList of the styles</li>
+ * </ul>
+ * All these changes are a single step of the histories, see {@link libsbgn.observable}.
+ * @param {Glyph|string} glyph the glyph or its id
+ * @return {Glyph|null} the removed glyph, null if it isn't in the map
+ */
+Map.prototype.removeGlyph = function (glyph) {
+	var item = this.findItem(glyph, ns.Glyph, 'glyphs');
+	if (item == null) {
+		return null;
+	}
+	if (item.parent == null) {
+		return removeChild(this, 'glyphs', item.element, 'removeGlyph');
+	}
+	if (item.parent instanceof ns.Glyph) {
+		return item.parent.removeGlyphMember(item.element);
+	}
+	return item.parent.removeGlyph(item.element);
+};
+
+/**
+ * Remove an arc from the map or from its arcgroup. The glyphs of the arc and the arcs attached to it
+ * are removed too, with what references them, see {@link Map#removeGlyph}.
+ * @param {Arc|string} arc the arc or its id
+ * @return {Arc|null} the removed arc, null if it isn't in the map
+ */
+Map.prototype.removeArc = function (arc) {
+	var item = this.findItem(arc, ns.Arc, 'arcs');
+	if (item == null) {
+		return null;
+	}
+	if (item.parent == null) {
+		return removeChild(this, 'arcs', item.element, 'removeArc');
+	}
+	return item.parent.removeArc(item.element);
+};
+
+/**
+ * Remove an arcgroup with its glyphs and arcs, and what references them, see {@link Map#removeGlyph}.
+ * @param {Arcgroup|number} arcgroup the arcgroup or its position
+ * @return {Arcgroup|null} the removed arcgroup, null if it isn't in the map
+ */
+Map.prototype.removeArcgroup = function (arcgroup) {
+	return removeChild(this, 'arcgroups', arcgroup, 'removeArcgroup');
+};
+
+/**
+ * Put another glyph at the place of a glyph of the map, wherever it is.
+ * The references to the ids that are not in the new glyph anymore are removed like for {@link Map#removeGlyph},
+ * those to the ids kept now point to the new glyph.
+ * @param {Glyph|string} glyph the glyph replaced or its id
+ * @param {Glyph} newGlyph
+ * @return {Glyph|null} the replaced glyph, null if it isn't in the map
+ */
+Map.prototype.replaceGlyph = function (glyph, newGlyph) {
+	var item = this.findItem(glyph, ns.Glyph, 'glyphs');
+	if (item == null) {
+		return null;
+	}
+	if (item.parent == null) {
+		return replaceChild(this, 'glyphs', item.element, newGlyph, 'replaceGlyph');
+	}
+	if (item.parent instanceof ns.Glyph) {
+		return item.parent.replaceGlyphMember(item.element, newGlyph);
+	}
+	return item.parent.replaceGlyph(item.element, newGlyph);
+};
+
+/**
+ * Put another arc at the place of an arc of the map or of its arcgroup, see {@link Map#replaceGlyph}.
+ * @param {Arc|string} arc the arc replaced or its id
+ * @param {Arc} newArc
+ * @return {Arc|null} the replaced arc, null if it isn't in the map
+ */
+Map.prototype.replaceArc = function (arc, newArc) {
+	var item = this.findItem(arc, ns.Arc, 'arcs');
+	if (item == null) {
+		return null;
+	}
+	if (item.parent == null) {
+		return replaceChild(this, 'arcs', item.element, newArc, 'replaceArc');
+	}
+	return item.parent.replaceArc(item.element, newArc);
+};
+
+/**
+ * Find a glyph or an arc of the map with its container, also building the index so that the elements
+ * of the map know it.
+ * @param {Glyph|Arc|string} element the element or its id
+ * @param {function} Class Glyph or Arc
+ * @param {string} kind glyphs or arcs, see {@link libsbgn.mapDiff.listElements}
+ * @return {Object|null} {element, parent}, parent being null for the elements directly in the map
+ * @private
+ */
+Map.prototype.findItem = function (element, Class, kind) {
+	if (typeof element == 'string') {
+		element = this.getElementById(element);
+	}
+	else if (this.idIndex == null) {
+		this.rebuildIndex();
+	}
+	if (!(element instanceof Class) || element.ownerMap !== this) {
+		return null;
+	}
+	var items = mapDiff.listElements(this)[kind];
+	for(var i=0; i < items.length; i++) {
+		if (items[i].element === element) {
+			return items[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * Remove what references some ids of the map: the arcs attached to them are removed, with what references
+ * these arcs, the compartmentRef, tagRef and callout target are unset and the ids are dropped from the
+ * idList of the styles.
+ * @param {string[]} ids
+ * @private
+ */
+Map.prototype.removeReferencesTo = function (ids) {
+	function isRemoved(id) {
+		return id != null && ids.indexOf(id) != -1;
+	}
+	var arcs = this.getAllArcs();
+	for(var i=0; i < arcs.length; i++) {
+		if ((isRemoved(arcs[i].source) || isRemoved(arcs[i].target)) && elementsBeingRemoved.indexOf(arcs[i]) == -1) {
+			this.removeArc(arcs[i]);
+		}
+	}
+
+	var glyphItems = mapDiff.listElements(this).glyphs;
+	for(var i=0; i < glyphItems.length; i++) {
+		var glyph = glyphItems[i].element;
+		['compartmentRef', 'tagRef'].forEach(function (attribute) {
+			if (isRemoved(glyph[attribute])) {
+				observable.set(glyph, attribute, null);
+			}
+		});
+		if (glyph.callout != null && isRemoved(glyph.callout.target)) {
+			observable.set(glyph.callout, 'target', null);
+		}
+	}
+
+	var render = this.extension != null ? this.extension.get('renderInformation') : null;
+	var styles = render != null && render.listOfStyles != null ? render.listOfStyles.styles : [];
+	for(var i=0; i < styles.length; i++) {
+		if (styles[i].idList == null) {
+			continue;
+		}
+		var idArray = styles[i].getIdListAsArray();
+		var kept = idArray.filter(function (id) { return !isRemoved(id); });
+		if (kept.length != idArray.length) {
+			styles[i].setIdListFromArray(kept);
+		}
+	}
+};
+
+/**
+ * Change the id of a glyph, a port or an arc, and update what references it: source and target of arcs,
+ * compartmentRef, tagRef and callout target of glyphs, idList of the styles and rdf:about of the annotations.
+ * The ports of a renamed glyph keep their ids. All the changes are a single step of the histories, see {@link libsbgn.observable}.
+ * @param {string} oldId
+ * @param {string} newId
+ * @return {Glyph|Port|Arc} the renamed element
+ * @throws {Error} if there is no element with oldId, or if newId is already used in the map
+ */
+Map.prototype.renameId = function (oldId, newId) {
+	var element = this.getElementById(oldId);
+	if (element == null) {
+		throw new Error("Can't rename " + oldId + ", there is no element with this id in map " + this.id);
+	}
+	if (typeof newId != 'string' || newId.length == 0) {
+		throw new Error("Can't rename " + oldId + ", the new id must be a non empty string");
+	}
+	if (newId == oldId) {
+		return element;
+	}
+	if (this.getElementById(newId) != null || newId == this.id) {
+		throw new Error("Can't rename " + oldId + ", there is already an element with id " + newId + " in map " + this.id);
+	}
+	var renaming = {};
+	renaming[oldId] = newId;
+	var self = this;
+	observable.batch(function () {
+		observable.set(element, 'id', newId);
+		self.renameReferences(renaming);
+	});
+	return element;
+};
+
+/**
+ * Update the references to ids that have been renamed, see {@link Map#renameId}.
+ * @param {Object.<string, string>} renaming {oldId: newId}
+ * @private
+ */
+Map.prototype.renameReferences = function (renaming) {
+	function rename(id) {
+		return id != null && renaming.hasOwnProperty(id) ? renaming[id] : id;
+	}
+	function update(element, attribute) {
+		var renamed = rename(element[attribute]);
+		if (renamed !== element[attribute]) {
+			observable.set(element, attribute, renamed);
+		}
+	}
+	var elements = mapDiff.listElements(this);
+	elements.arcs.forEach(function (item) {
+		update(item.element, 'source');
+		update(item.element, 'target');
+	});
+	elements.glyphs.forEach(function (item) {
+		update(item.element, 'compartmentRef');
+		update(item.element, 'tagRef');
+		if (item.element.callout != null) {
+			update(item.element.callout, 'target');
+		}
+	});
+
+	var render = this.extension != null ? this.extension.get('renderInformation') : null;
+	var styles = render != null && render.listOfStyles != null ? render.listOfStyles.styles : [];
+	for(var i=0; i < styles.length; i++) {
+		if (styles[i].idList == null) {
+			continue;
+		}
+		var idArray = styles[i].getIdListAsArray();
+		var renamedArray = idArray.map(rename);
+		if (renamedArray.join(' ') != idArray.join(' ')) {
+			styles[i].setIdListFromArray(renamedArray);
+		}
+	}
+
+	// the rdf store is changed on a copy, so that the change can be undone
+	var annotated = [this].concat(this.arcgroups);
+	['glyphs', 'ports', 'arcs'].forEach(function (kind) {
+		elements[kind].forEach(function (item) {
+			annotated.push(item.element);
+		});
+	});
+	for(var i=0; i < annotated.length; i++) {
+		var annotation = annotated[i].extension != null ? annotated[i].extension.get('annotation') : null;
+		if (annotation == null || annotation.rdfElement == null) {
+			continue;
+		}
+		var rdfElement = annotation.rdfElement.deepClone();
+		var found = false;
+		for (var id in renaming) {
+			found = rdfElement.renameId(id, renaming[id]) || found;
+		}
+		if (found) {
+			annotation.setRdfElement(rdfElement);
+		}
+	}
+};
+
+/**
+ * @param {string} class_
+ * @param {boolean=} recursive if true, also look into glyph members, and glyphs of arcs and arcgroups.
+ * Default is false, only top level glyphs are returned.
+ * @return {Gyph[]}
+ */
+Map.prototype.getGlyphsByClass = function (class_, recursive) {
+	var resultGlyphs = [];
+	function addGlyphs(glyphs) {
+		for(var i=0; i < glyphs.length; i++) {
+			var glyph = glyphs[i];
+			if(glyph.class_ == class_) {
+				resultGlyphs.push(glyph);
+			}
+			if(recursive) {
+				addGlyphs(glyph.glyphMembers);
+			}
+		}
+	}
+	addGlyphs(this.glyphs);
+	if(recursive) {
+		for(var i=0; i < this.arcs.length; i++) {
+			addGlyphs(this.arcs[i].glyphs);
+		}
+		for(var i=0; i < this.arcgroups.length; i++) {
+			addGlyphs(this.arcgroups[i].glyphs);
+			for(var j=0; j < this.arcgroups[i].arcs.length; j++) {
+				addGlyphs(this.arcgroups[i].arcs[j].glyphs);
+			}
+		}
+	}
+	return resultGlyphs;
+};
+
+/**
+ * Get a glyph, a port or an arc of the map by its id, wherever it is: glyph members,
+ * glyphs of arcs and arcgroups are also looked into.
+ * The index is built at first call, and then kept up to date by the add, remove and replace methods of the map
+ * and its elements.
+ * If the arrays of the map are modified directly, {@link Map#rebuildIndex} must be called.
+ * If an id is duplicated, the first element is returned.
+ * @param {string} id
+ * @return {Glyph|Port|Arc|null}
+ */
+Map.prototype.getElementById = function (id) {
+	if (this.idIndex == null) {
+		this.rebuildIndex();
+	}
+	return this.idIndex.hasOwnProperty(id) ? this.idIndex[id] : null;
+};
+
+/**
+ * Index again all the elements of the map by id.
+ */
+Map.prototype.rebuildIndex = function () {
+	utils.setHiddenProperty(this, 'idIndex', {});
+	for(var i=0; i < this.glyphs.length; i++) {
+		this.indexElement(this.glyphs[i]);
+	}
+	for(var i=0; i < this.arcs.length; i++) {
+		this.indexElement(this.arcs[i]);
+	}
+	for(var i=0; i < this.arcgroups.length; i++) {
+		this.indexElement(this.arcgroups[i]);
+	}
+};
+
+/**
+ * Add an element and its children to the index, if the index has already been built.
+ * The elements keep a reference to the map, so that their own add methods can update the index,
+ * and the ports keep a reference to their glyph.
+ * @param {Glyph|Port|Arc|Arcgroup} element
+ * @param {Glyph=} parent the glyph owning the element, if it is a port
+ * @private
+ */
+Map.prototype.indexElement = function (element, parent) {
+	if (this.idIndex == null) {
+		return;
+	}
+	utils.setHiddenProperty(element, 'ownerMap', this);
+	if (element instanceof ns.Port) {
+		utils.setHiddenProperty(element, 'ownerGlyph', parent || null);
+	}
+	if (element.id != null && !this.idIndex.hasOwnProperty(element.id)) {
+		this.idIndex[element.id] = element;
+	}
+	var children = getChildElements(element);
+	for(var i=0; i < children.length; i++) {
+		this.indexElement(children[i], element);
+	}
+};
+
+/**
+ * Remove an element and its children from the index, they don't belong to the map anymore.
+ * @param {Glyph|Port|Arc|Arcgroup} element
+ * @private
+ */
+Map.prototype.unindexElement = function (element) {
+	if (element.ownerMap === this) {
+		utils.setHiddenProperty(element, 'ownerMap', null);
+	}
+	if (this.idIndex != null && element.id != null && this.idIndex[element.id] === element) {
+		delete this.idIndex[element.id];
+	}
+	var children = getChildElements(element);
+	for(var i=0; i < children.length; i++) {
+		this.unindexElement(children[i]);
+	}
+};
+
+/**
+ * @param {Port|string} port the port or its id
+ * @return {Glyph|null} the glyph of the map that has this port
+ */
+Map.prototype.getPortOwner = function (port) {
+	if (typeof port == 'string') {
+		port = this.getElementById(port);
+	}
+	else if (this.idIndex == null) {
+		this.rebuildIndex();
+	}
+	if (!(port instanceof ns.Port) || port.ownerMap !== this) {
+		return null;
+	}
+	return port.ownerGlyph;
+};
+
+/**
+ * Follow a reference to a glyph. If the id is the one of a port, the glyph owning the port is returned.
+ * @param {string} id
+ * @return {Glyph|null}
+ */
+Map.prototype.resolveGlyph = function (id) {
+	var element = this.getElementById(id);
+	if (element instanceof ns.Port) {
+		return this.getPortOwner(element);
+	}
+	return element instanceof ns.Glyph ? element : null;
+};
+
+/**
+ * @param {Arc} arc
+ * @return {Glyph|Port|null} the element referenced by the source of the arc
+ */
+Map.prototype.getSource = function (arc) {
+	return arc.source != null ? this.getElementById(arc.source) : null;
+};
+
+/**
+ * @param {Arc} arc
+ * @return {Glyph|Port|Arc|null} the element referenced by the target of the arc
+ */
+Map.prototype.getTarget = function (arc) {
+	return arc.target != null ? this.getElementById(arc.target) : null;
+};
+
+/**
+ * @param {Glyph} glyph
+ * @return {Glyph|null} the compartment referenced by the compartmentRef of the glyph
+ */
+Map.prototype.getCompartment = function (glyph) {
+	return glyph.compartmentRef != null ? this.resolveGlyph(glyph.compartmentRef) : null;
+};
+
+/**
+ * @param {Glyph} glyph
+ * @return {Glyph|null} the glyph referenced by the tagRef of the glyph
+ */
+Map.prototype.getTag = function (glyph) {
+	return glyph.tagRef != null ? this.resolveGlyph(glyph.tagRef) : null;
+};
+
+/**
+ * @param {Glyph} glyph
+ * @return {Glyph|Port|Arc|null} the element pointed by the callout of the glyph
+ */
+Map.prototype.getCalloutTarget = function (glyph) {
+	if (glyph.callout == null || glyph.callout.target == null) {
+		return null;
+	}
+	return this.getElementById(glyph.callout.target);
+};
+
+/**
+ * All the arcs of the map and of its arcgroups.
+ * @return {Arc[]}
+ */
+Map.prototype.getAllArcs = function () {
+	var arcs = this.arcs.slice();
+	for(var i=0; i < this.arcgroups.length; i++) {
+		arcs = arcs.concat(this.arcgroups[i].arcs);
+	}
+	return arcs;
+};
+
+/**
+ * Arcs having the glyph, or one of its ports, as target.
+ * @param {Glyph} glyph
+ * @return {Arc[]}
+ */
+Map.prototype.getIncomingArcs = function (glyph) {
+	return this.getArcsOf(glyph, 'target');
+};
+
+/**
+ * Arcs having the glyph, or one of its ports, as source.
+ * @param {Glyph} glyph
+ * @return {Arc[]}
+ */
+Map.prototype.getOutgoingArcs = function (glyph) {
+	return this.getArcsOf(glyph, 'source');
+};
+
+/**
+ * @param {Glyph} glyph
+ * @param {string} end source or target
+ * @return {Arc[]}
+ * @private
+ */
+Map.prototype.getArcsOf = function (glyph, end) {
+	var ids = [glyph.id];
+	for(var i=0; i < glyph.ports.length; i++) {
+		ids.push(glyph.ports[i].id);
+	}
+	return this.getAllArcs().filter(function (arc) {
+		return arc[end] != null && ids.indexOf(arc[end]) != -1;
+	});
+};
+
+/**
+ * Graph view of the map, to query participants of processes, neighbors, paths and connected components.
+ * See {@link libsbgn.graph}.
+ * @return {Graph}
+ */
+Map.prototype.toGraph = function () {
+	return new graph.Graph(this);
+};
+
+/**
+ * Elements and stylesheet of the map for Cytoscape.js, see {@link libsbgn.cytoscape.toCytoscape}.
+ * @return {{elements: {nodes: Object[], edges: Object[]}, style: Object[]}}
+ */
+Map.prototype.toCytoscape = function () {
+	return cytoscape.toCytoscape(this);
+};
 
-	sbgn.baseFromObj(jsObj); // call to parent class
-	return sbgn;
+/**
+ * Draw the map as SVG, see {@link libsbgn.svg.toSVG}.
+ * @param {Object=} options
+ * @return {string}
+ */
+Map.prototype.toSVG = function (options) {
+	return svg.toSVG(this, options);
 };
-ns.Sbgn = Sbgn;
-// ------- END SBGN -------
 
-// ------- MAP -------
 /**
- * Represents the <code>&lt;map&gt;</code> element.
- * @class
- * @extends SBGNBase
- * @param {Object} params
+ * Read a map from the elements of Cytoscape.js, see {@link libsbgn.cytoscape.fromCytoscape}.
+ * @param {Object|Object[]|string} json
+ * @param {Object=} params
  * @param {string=} params.id
  * @param {string=} params.language
- * @param {string=} params.version
- * @param {Glyph[]=} params.glyphs
- * @param {Arc[]=} params.arcs
- * @param {Bbox=} params.bbox
- * @param {Arcgroup[]=} params.arcgroups
+ * @return {Map}
  */
-var Map = function (params) {
-	ns.SBGNBase.call(this, params);
-	var params = checkParams(params, ['id', 'language', 'version', 'glyphs', 'arcs', 'bbox', 'arcgroups']);
-	this.id 		= params.id;
-	this.language 	= params.language;
-	this.version	= params.version;
-	this.bbox 		= params.bbox;
-	this.glyphs 	= params.glyphs || [];
-	this.arcs 		= params.arcs || [];
-	this.arcgroups 	= params.arcgroups || [];
+Map.fromCytoscape = function (json, params) {
+	return cytoscape.fromCytoscape(json, params);
 };
 
-Map.prototype = Object.create(ns.SBGNBase.prototype);
-Map.prototype.constructor = Map;
+/**
+ * Read a Process Description map from an SBML Level 3 model and its layout, see {@link libsbgn.sbml.fromSBML}.
+ * @param {string} string
+ * @param {Object=} params
+ * @param {string=} params.layout
+ * @return {Map}
+ */
+Map.fromSBML = function (string, params) {
+	return sbml.fromSBML(string, params);
+};
 
 /**
- * @param {Glyph} glyph
+ * Differences from this map to another one, see {@link libsbgn.mapDiff.diff}.
+ * @param {Map} other
+ * @return {mapDiff.Change[]}
  */
-Map.prototype.addGlyph = function (glyph) {
-	this.glyphs.push(glyph);
+Map.prototype.diff = function (other) {
+	return mapDiff.diff(this, other);
 };
 
 /**
- * @param {Arc} arc
+ * Report the references that can't be resolved: source and target of arcs, compartmentRef,
+ * tagRef and callout target of glyphs.
+ * See {@link libsbgn.validator.referenceRules}.
+ * @return {Issue[]}
  */
-Map.prototype.addArc = function (arc) {
-	this.arcs.push(arc);
+Map.prototype.checkReferences = function () {
+	return validator.validate(this, validator.referenceRules);
 };
 
 /**
- * @param {Bbox} bbox
+ * The generator of new ids for this map, created at first call. If the map is part of a document,
+ * prefer the generator of the document, which knows the ids of all the maps.
+ * See {@link libsbgn.ids.IdGenerator}.
+ * @return {IdGenerator}
  */
-Map.prototype.setBbox = function (bbox) {
-	this.bbox = bbox;
+Map.prototype.getIdGenerator = function () {
+	if (this.idGenerator == null) {
+		utils.setHiddenProperty(this, 'idGenerator', new ids.IdGenerator(this));
+	}
+	return this.idGenerator;
 };
 
 /**
- * @param {Arcgroup} arc
+ * Report the ids used more than once in the map, including the ids of the render extension.
+ * See {@link libsbgn.ids.checkDuplicateIds}.
+ * @return {Issue[]}
  */
-Map.prototype.addArcgroup = function (arcgroup) {
-	this.arcgroups.push(arcgroup);
+Map.prototype.checkDuplicateIds = function () {
+	return ids.checkDuplicateIds(this);
 };
 
 /**
- * @param {string} class_
- * @return {Gyph[]}
+ * Check the syntax rules of the language of the map directly on the objects.
+ * See {@link libsbgn.validator}.
+ * @return {Issue[]}
  */
-Map.prototype.getGlyphsByClass = function (class_) {
-	var resultGlyphs = [];
-	for(var i=0; i < this.glyphs.length; i++) {
-		var glyph = this.glyphs[i];
-		if(glyph.class_ == class_) {
-			resultGlyphs.push(glyph);
-		}
-	}
-	return resultGlyphs;
+Map.prototype.validate = function () {
+	return validator.validate(this);
+};
+
+/**
+ * Deep copy of the map and all its content.
+ * @param {Object|function=} idMapping see {@link Glyph#deepClone}
+ * @return {Map}
+ */
+Map.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping, ['id']);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Map} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare bbox
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Map.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['bbox']));
 };
 
 /**
@@ -339,6 +1308,15 @@ Map.fromXML = function (string) {
     return map;
 };
 
+/**
+ * Same as {@link Map.fromXML}, but never swallows the errors of the parser.
+ * @param {String} string
+ * @return {Promise<Map>} rejected with the parse error, including line and column, or a bad XML error
+ */
+Map.fromXMLAsync = function (string) {
+	return utils.parseStringAsync(string).then(Map.fromObj);
+};
+
 /**
  * @param {Object} jsObj - xml2js formatted object
  * @return {Map}
@@ -391,6 +1369,52 @@ Map.fromObj = function (jsObj) {
 	return map;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Map.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'language', this.language);
+	utils.setJSONField(json, 'version', this.version);
+	utils.setJSONField(json, 'bbox', this.bbox);
+	utils.setJSONField(json, 'glyphs', this.glyphs);
+	utils.setJSONField(json, 'arcs', this.arcs);
+	utils.setJSONField(json, 'arcgroups', this.arcgroups);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Map}
+ */
+Map.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'map');
+	var map = new ns.Map({id: json.id, language: json.language, version: json.version});
+	if(json.bbox) {
+		map.setBbox(ns.Bbox.fromJSON(json.bbox));
+	}
+	if(json.glyphs) {
+		for (var i=0; i < json.glyphs.length; i++) {
+			map.addGlyph(ns.Glyph.fromJSON(json.glyphs[i]));
+		}
+	}
+	if(json.arcs) {
+		for (var i=0; i < json.arcs.length; i++) {
+			map.addArc(ns.Arc.fromJSON(json.arcs[i]));
+		}
+	}
+	if(json.arcgroups) {
+		for (var i=0; i < json.arcgroups.length; i++) {
+			map.addArcgroup(ns.Arcgroup.fromJSON(json.arcgroups[i]));
+		}
+	}
+	map.baseFromJSON(json);
+	return map;
+};
+
 ns.Map = Map;
 // ------- END MAP -------
 
@@ -458,6 +1482,27 @@ Extension.prototype.get = function (extensionName) {
 	}
 };
 
+/**
+ * Deep copy of the extension and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Extension}
+ */
+Extension.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Extension} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Extension.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -545,6 +1590,43 @@ Extension.fromObj = function (jsObj) {
 	return extension;
 };
 
+/**
+ * Also used by JSON.stringify. The extensions are kept by name, the unsupported ones as their xml string.
+ * @return {Object}
+ */
+Extension.prototype.toJSON = function () {
+	var json = {};
+	for (var name in this.list) {
+		var extension = this.list[name];
+		json[name] = typeof extension == 'string' ? extension : extension.toJSON();
+	}
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Extension}
+ */
+Extension.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'extension');
+	var extension = new ns.Extension();
+	for (var name in json) {
+		if (name == 'renderInformation') {
+			extension.add(renderExt.RenderInformation.fromJSON(json[name]));
+		}
+		else if (name == 'annotation') {
+			extension.add(annotExt.Annotation.fromJSON(json[name]));
+		}
+		else if (typeof json[name] == 'string') {
+			extension.list[name] = json[name];
+		}
+		else {
+			throw new Error("Bad JSON provided, the unsupported extension " + name + " must be an xml string");
+		}
+	}
+	return extension;
+};
+
 ns.Extension = Extension;
 // ------- END EXTENSION -------
 
@@ -573,6 +1655,27 @@ Notes.prototype.appendContent = function (string) {
 	this.content += string;
 };
 
+/**
+ * Deep copy of the notes and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Notes}
+ */
+Notes.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Notes} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Notes.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -633,6 +1736,25 @@ Notes.fromObj = function (jsObj) {
 	return notes;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Notes.prototype.toJSON = function () {
+	return {content: this.content};
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Notes}
+ */
+Notes.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'notes');
+	var notes = new ns.Notes();
+	notes.setContent(json.content || "");
+	return notes;
+};
+
 ns.Notes = Notes;
 // ------- END NOTES -------
 
@@ -731,6 +1853,9 @@ Glyph.prototype.setEntity = function (entity) {
  */
 Glyph.prototype.addGlyphMember = function (glyphMember) {
 	this.glyphMembers.push(glyphMember);
+	if (this.ownerMap) {
+		this.ownerMap.indexElement(glyphMember);
+	}
 };
 
 /**
@@ -738,6 +1863,71 @@ Glyph.prototype.addGlyphMember = function (glyphMember) {
  */
 Glyph.prototype.addPort = function (port) {
 	this.ports.push(port);
+	if (this.ownerMap) {
+		this.ownerMap.indexElement(port, this);
+	}
+};
+
+/**
+ * If the glyph is in a map, what references the glyph member is removed too, see {@link Map#removeGlyph}.
+ * The map of a glyph is known once the index of the map is built, which the methods of the map do.
+ * @param {Glyph|string|number} glyphMember the glyph member, its id or its position
+ * @return {Glyph|null} the removed glyph member, null if it isn't in the glyph
+ */
+Glyph.prototype.removeGlyphMember = function (glyphMember) {
+	return removeChild(this, 'glyphMembers', glyphMember, 'removeGlyphMember');
+};
+
+/**
+ * If the glyph is in a map, the arcs attached to the port are removed too, see {@link Map#removeGlyph}.
+ * @param {Port|string|number} port the port, its id or its position
+ * @return {Port|null} the removed port, null if it isn't in the glyph
+ */
+Glyph.prototype.removePort = function (port) {
+	return removeChild(this, 'ports', port, 'removePort');
+};
+
+/**
+ * See {@link Map#replaceGlyph}.
+ * @param {Glyph|string|number} glyphMember the glyph member replaced, its id or its position
+ * @param {Glyph} newGlyphMember
+ * @return {Glyph|null} the replaced glyph member, null if it isn't in the glyph
+ */
+Glyph.prototype.replaceGlyphMember = function (glyphMember, newGlyphMember) {
+	return replaceChild(this, 'glyphMembers', glyphMember, newGlyphMember, 'replaceGlyphMember');
+};
+
+/**
+ * If the new port doesn't have the same id, the arcs attached to the replaced port are removed.
+ * @param {Port|string|number} port the port replaced, its id or its position
+ * @param {Port} newPort
+ * @return {Port|null} the replaced port, null if it isn't in the glyph
+ */
+Glyph.prototype.replacePort = function (port, newPort) {
+	return replaceChild(this, 'ports', port, newPort, 'replacePort');
+};
+
+/**
+ * Deep copy of the glyph and all its content. All the classes of the model have the same method,
+ * taking the same idMapping. It is not named clone, as the clone field of a glyph holds its clone marker.
+ * @param {Object|function=} idMapping new ids, as an object {oldId: newId} or a function returning
+ * the new id. Ids that are not mapped are kept. The references to ids (compartmentRef, mapRef, tagRef) are mapped too.
+ * @return {Glyph}
+ */
+Glyph.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping, ['id', 'compartmentRef', 'mapRef', 'tagRef']);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Glyph} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare bbox
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Glyph.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['bbox']));
 };
 
 /**
@@ -826,6 +2016,15 @@ Glyph.fromXML = function (string) {
     return glyph;
 };
 
+/**
+ * Same as {@link Glyph.fromXML}, but never swallows the errors of the parser.
+ * @param {String} string
+ * @return {Promise<Glyph>} rejected with the parse error, including line and column, or a bad XML error
+ */
+Glyph.fromXMLAsync = function (string) {
+	return utils.parseStringAsync(string).then(Glyph.fromObj);
+};
+
 /**
  * @param {Object} jsObj - xml2js formatted object
  * @return {Glyph}
@@ -897,6 +2096,78 @@ Glyph.fromObj = function (jsObj) {
 	return glyph;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Glyph.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'class', this.class_);
+	utils.setJSONField(json, 'compartmentRef', this.compartmentRef);
+	utils.setJSONField(json, 'compartmentOrder', this.compartmentOrder);
+	utils.setJSONField(json, 'mapRef', this.mapRef);
+	utils.setJSONField(json, 'tagRef', this.tagRef);
+	utils.setJSONField(json, 'orientation', this.orientation);
+	utils.setJSONField(json, 'label', this.label);
+	utils.setJSONField(json, 'state', this.state);
+	utils.setJSONField(json, 'clone', this.clone);
+	utils.setJSONField(json, 'callout', this.callout);
+	utils.setJSONField(json, 'entity', this.entity);
+	utils.setJSONField(json, 'bbox', this.bbox);
+	utils.setJSONField(json, 'glyphMembers', this.glyphMembers);
+	utils.setJSONField(json, 'ports', this.ports);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Glyph}
+ */
+Glyph.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'glyph');
+	var glyph = new ns.Glyph({
+		id: json.id,
+		class_: json['class'],
+		compartmentRef: json.compartmentRef,
+		compartmentOrder: json.compartmentOrder,
+		mapRef: json.mapRef,
+		tagRef: json.tagRef,
+		orientation: json.orientation
+	});
+	if(json.label) {
+		glyph.setLabel(ns.Label.fromJSON(json.label));
+	}
+	if(json.state) {
+		glyph.setState(ns.State.fromJSON(json.state));
+	}
+	if(json.clone) {
+		glyph.setClone(ns.Clone.fromJSON(json.clone));
+	}
+	if(json.callout) {
+		glyph.setCallout(ns.Callout.fromJSON(json.callout));
+	}
+	if(json.entity) {
+		glyph.setEntity(ns.Entity.fromJSON(json.entity));
+	}
+	if(json.bbox) {
+		glyph.setBbox(ns.Bbox.fromJSON(json.bbox));
+	}
+	if(json.glyphMembers) {
+		for (var i=0; i < json.glyphMembers.length; i++) {
+			glyph.addGlyphMember(ns.Glyph.fromJSON(json.glyphMembers[i]));
+		}
+	}
+	if(json.ports) {
+		for (var i=0; i < json.ports.length; i++) {
+			glyph.addPort(ns.Port.fromJSON(json.ports[i]));
+		}
+	}
+	glyph.baseFromJSON(json);
+	return glyph;
+};
+
 ns.Glyph = Glyph;
 // ------- END GLYPH -------
 
@@ -926,6 +2197,27 @@ Label.prototype.setBbox = function (bbox) {
 	this.bbox = bbox;
 };
 
+/**
+ * Deep copy of the label and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Label}
+ */
+Label.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Label} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare bbox
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Label.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['bbox']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -999,6 +2291,32 @@ Label.fromObj = function (jsObj) {
 	return label;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Label.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'text', this.text);
+	utils.setJSONField(json, 'bbox', this.bbox);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Label}
+ */
+Label.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'label');
+	var label = new ns.Label({text: json.text});
+	if(json.bbox) {
+		label.setBbox(ns.Bbox.fromJSON(json.bbox));
+	}
+	label.baseFromJSON(json);
+	return label;
+};
+
 ns.Label = Label;
 // ------- END LABEL -------
 
@@ -1025,6 +2343,27 @@ var Bbox = function (params) {
 Bbox.prototype = Object.create(ns.SBGNBase.prototype);
 Bbox.prototype.constructor = ns.Bbox;
 
+/**
+ * Deep copy of the bbox and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Bbox}
+ */
+Bbox.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Bbox} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y, w, h
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Bbox.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y', 'w', 'h']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1096,6 +2435,36 @@ Bbox.fromObj = function (jsObj) {
 	return bbox;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Bbox.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	utils.setJSONField(json, 'w', this.w);
+	utils.setJSONField(json, 'h', this.h);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Bbox}
+ */
+Bbox.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'bbox');
+	var bbox = new ns.Bbox({
+		x: json.x,
+		y: json.y,
+		w: json.w,
+		h: json.h
+	});
+	bbox.baseFromJSON(json);
+	return bbox;
+};
+
 ns.Bbox = Bbox;
 // ------- END BBOX -------
 
@@ -1113,6 +2482,27 @@ var State = function (params) {
 	this.variable = params.variable;
 };
 
+/**
+ * Deep copy of the state and all its content.
+ * @param {Object|function=} idMapping
+ * @return {State}
+ */
+State.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {State} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+State.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1166,11 +2556,32 @@ State.fromObj = function (jsObj) {
 		return state;
 	}
 
-	if(jsObj.$) { // we have some attributes
-		var attributes = jsObj.$;
-		state.value = attributes.value || null;
-		state.variable = attributes.variable || null;
-	}
+	if(jsObj.$) { // we have some attributes
+		var attributes = jsObj.$;
+		state.value = attributes.value || null;
+		state.variable = attributes.variable || null;
+	}
+	return state;
+};
+
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+State.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'value', this.value);
+	utils.setJSONField(json, 'variable', this.variable);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {State}
+ */
+State.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'state');
+	var state = new ns.State({value: json.value, variable: json.variable});
 	return state;
 };
 
@@ -1201,6 +2612,27 @@ Clone.prototype.setLabel = function (label) {
 	this.label = label;
 };
 
+/**
+ * Deep copy of the clone and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Clone}
+ */
+Clone.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Clone} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Clone.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1257,6 +2689,29 @@ Clone.fromObj = function (jsObj) {
 	return clone;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Clone.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'label', this.label);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Clone}
+ */
+Clone.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'clone');
+	var clone = new ns.Clone();
+	if(json.label) {
+		clone.setLabel(ns.Label.fromJSON(json.label));
+	}
+	return clone;
+};
+
 ns.Clone = Clone;
 /**
  * @class CloneType
@@ -1277,6 +2732,27 @@ var Entity = function (params) {
 	this.name = params.name;
 };
 
+/**
+ * Deep copy of the entity and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Entity}
+ */
+Entity.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Entity} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Entity.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1334,6 +2810,26 @@ Entity.fromObj = function (jsObj) {
 	return entity;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Entity.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'name', this.name);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Entity}
+ */
+Entity.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'entity');
+	var entity = new ns.Entity({name: json.name});
+	return entity;
+};
+
 ns.Entity = Entity;
 /**
  * @class EntityType
@@ -1362,6 +2858,27 @@ var Port = function (params) {
 Port.prototype = Object.create(ns.SBGNBase.prototype);
 Port.prototype.constructor = ns.Port;
 
+/**
+ * Deep copy of the port and all its content.
+ * @param {Object|function=} idMapping see {@link Glyph#deepClone}
+ * @return {Port}
+ */
+Port.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping, ['id']);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Port} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Port.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1429,6 +2946,30 @@ Port.fromObj = function (jsObj) {
 	return port;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Port.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Port}
+ */
+Port.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'port');
+	var port = new ns.Port({id: json.id, x: json.x, y: json.y});
+	port.baseFromJSON(json);
+	return port;
+};
+
 ns.Port = Port;
 // ------- END PORT -------
 
@@ -1489,6 +3030,57 @@ Arc.prototype.addNext = function (next) {
  */
 Arc.prototype.addGlyph = function (glyph) {
 	this.glyphs.push(glyph);
+	if (this.ownerMap) {
+		this.ownerMap.indexElement(glyph);
+	}
+};
+
+/**
+ * @param {Next|number} next the next point or its position
+ * @return {Next|null} the removed point, null if it isn't in the arc
+ */
+Arc.prototype.removeNext = function (next) {
+	return removeChild(this, 'nexts', next, 'removeNext');
+};
+
+/**
+ * If the arc is in a map, what references the glyph is removed too, see {@link Map#removeGlyph}.
+ * @param {Glyph|string|number} glyph the glyph, its id or its position
+ * @return {Glyph|null} the removed glyph, null if it isn't in the arc
+ */
+Arc.prototype.removeGlyph = function (glyph) {
+	return removeChild(this, 'glyphs', glyph, 'removeGlyph');
+};
+
+/**
+ * See {@link Map#replaceGlyph}.
+ * @param {Glyph|string|number} glyph the glyph replaced, its id or its position
+ * @param {Glyph} newGlyph
+ * @return {Glyph|null} the replaced glyph, null if it isn't in the arc
+ */
+Arc.prototype.replaceGlyph = function (glyph, newGlyph) {
+	return replaceChild(this, 'glyphs', glyph, newGlyph, 'replaceGlyph');
+};
+
+/**
+ * Deep copy of the arc and all its content, the source and target are mapped too.
+ * @param {Object|function=} idMapping see {@link Glyph#deepClone}
+ * @return {Arc}
+ */
+Arc.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping, ['id', 'source', 'target']);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Arc} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare start, end, nexts
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Arc.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['start', 'end', 'nexts']));
 };
 
 /**
@@ -1559,6 +3151,15 @@ Arc.fromXML = function (string) {
     return arc;
 };
 
+/**
+ * Same as {@link Arc.fromXML}, but never swallows the errors of the parser.
+ * @param {String} string
+ * @return {Promise<Arc>} rejected with the parse error, including line and column, or a bad XML error
+ */
+Arc.fromXMLAsync = function (string) {
+	return utils.parseStringAsync(string).then(Arc.fromObj);
+};
+
 /**
  * @param {Object} jsObj - xml2js formatted object
  * @return {Arc}
@@ -1610,6 +3211,56 @@ Arc.fromObj = function (jsObj) {
 	return arc;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Arc.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'id', this.id);
+	utils.setJSONField(json, 'class', this.class_);
+	utils.setJSONField(json, 'source', this.source);
+	utils.setJSONField(json, 'target', this.target);
+	utils.setJSONField(json, 'start', this.start);
+	utils.setJSONField(json, 'nexts', this.nexts);
+	utils.setJSONField(json, 'end', this.end);
+	utils.setJSONField(json, 'glyphs', this.glyphs);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Arc}
+ */
+Arc.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'arc');
+	var arc = new ns.Arc({
+		id: json.id,
+		class_: json['class'],
+		source: json.source,
+		target: json.target
+	});
+	if(json.start) {
+		arc.setStart(ns.Start.fromJSON(json.start));
+	}
+	if(json.nexts) {
+		for (var i=0; i < json.nexts.length; i++) {
+			arc.addNext(ns.Next.fromJSON(json.nexts[i]));
+		}
+	}
+	if(json.end) {
+		arc.setEnd(ns.End.fromJSON(json.end));
+	}
+	if(json.glyphs) {
+		for (var i=0; i < json.glyphs.length; i++) {
+			arc.addGlyph(ns.Glyph.fromJSON(json.glyphs[i]));
+		}
+	}
+	arc.baseFromJSON(json);
+	return arc;
+};
+
 ns.Arc = Arc;
 // ------- END ARC -------
 
@@ -1627,6 +3278,27 @@ var Start = function (params) {
 	this.y = parseFloat(params.y);
 };
 
+/**
+ * Deep copy of the start and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Start}
+ */
+Start.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Start} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Start.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1688,6 +3360,27 @@ Start.fromObj = function (jsObj) {
 	return start;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Start.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Start}
+ */
+Start.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'start');
+	var start = new ns.Start({x: json.x, y: json.y});
+	return start;
+};
+
 ns.Start = Start;
 /**
  * @class StartType
@@ -1710,6 +3403,27 @@ var End = function (params) {
 	this.y = parseFloat(params.y);
 };
 
+/**
+ * Deep copy of the end and all its content.
+ * @param {Object|function=} idMapping
+ * @return {End}
+ */
+End.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {End} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+End.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1771,6 +3485,27 @@ End.fromObj = function (jsObj) {
 	return end;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+End.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {End}
+ */
+End.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'end');
+	var end = new ns.End({x: json.x, y: json.y});
+	return end;
+};
+
 ns.End = End;
 /**
  * @class EndType
@@ -1793,6 +3528,27 @@ var Next = function (params) {
 	this.y = parseFloat(params.y);
 };
 
+/**
+ * Deep copy of the next and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Next}
+ */
+Next.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Next} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Next.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1854,6 +3610,27 @@ Next.fromObj = function (jsObj) {
 	return next;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Next.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Next}
+ */
+Next.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'next');
+	var next = new ns.Next({x: json.x, y: json.y});
+	return next;
+};
+
 ns.Next = Next;
 /**
  * @class NextType
@@ -1879,6 +3656,27 @@ var Point = function (params) {
 Point.prototype = Object.create(ns.SBGNBase.prototype);
 Point.prototype.constructor = Point;
 
+/**
+ * Deep copy of the point and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Point}
+ */
+Point.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Point} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare x, y
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Point.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['x', 'y']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -1942,6 +3740,29 @@ Point.fromObj = function (jsObj) {
 	return point;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Point.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'x', this.x);
+	utils.setJSONField(json, 'y', this.y);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Point}
+ */
+Point.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'point');
+	var point = new ns.Point({x: json.x, y: json.y});
+	point.baseFromJSON(json);
+	return point;
+};
+
 ns.Point = Point;
 // ------- END POINT -------
 
@@ -1966,6 +3787,27 @@ Callout.prototype.setPoint = function(point) {
 	this.point = point;
 };
 
+/**
+ * Deep copy of the callout and all its content, the target is mapped too.
+ * @param {Object|function=} idMapping see {@link Glyph#deepClone}
+ * @return {Callout}
+ */
+Callout.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping, ['target']);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Callout} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare point
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Callout.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options, ['point']));
+};
+
 /**
  * @return {Object} - xml2js formatted object
  */
@@ -2034,6 +3876,30 @@ Callout.fromObj = function (jsObj) {
 	return callout;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Callout.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'target', this.target);
+	utils.setJSONField(json, 'point', this.point);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Callout}
+ */
+Callout.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'callout');
+	var callout = new ns.Callout({target: json.target});
+	if(json.point) {
+		callout.setPoint(ns.Point.fromJSON(json.point));
+	}
+	return callout;
+};
+
 ns.Callout = Callout;
 // ------- END CALLOUT -------
 
@@ -2063,6 +3929,9 @@ Arcgroup.prototype.constructor = Arcgroup;
  */
 Arcgroup.prototype.addGlyph = function (glyph) {
 	this.glyphs.push(glyph);
+	if (this.ownerMap) {
+		this.ownerMap.indexElement(glyph);
+	}
 };
 
 /**
@@ -2070,6 +3939,68 @@ Arcgroup.prototype.addGlyph = function (glyph) {
  */
 Arcgroup.prototype.addArc = function (arc) {
 	this.arcs.push(arc);
+	if (this.ownerMap) {
+		this.ownerMap.indexElement(arc);
+	}
+};
+
+/**
+ * If the arcgroup is in a map, what references the glyph is removed too, see {@link Map#removeGlyph}.
+ * @param {Glyph|string|number} glyph the glyph, its id or its position
+ * @return {Glyph|null} the removed glyph, null if it isn't in the arcgroup
+ */
+Arcgroup.prototype.removeGlyph = function (glyph) {
+	return removeChild(this, 'glyphs', glyph, 'removeGlyph');
+};
+
+/**
+ * If the arcgroup is in a map, what references the arc is removed too, see {@link Map#removeArc}.
+ * @param {Arc|string|number} arc the arc, its id or its position
+ * @return {Arc|null} the removed arc, null if it isn't in the arcgroup
+ */
+Arcgroup.prototype.removeArc = function (arc) {
+	return removeChild(this, 'arcs', arc, 'removeArc');
+};
+
+/**
+ * See {@link Map#replaceGlyph}.
+ * @param {Glyph|string|number} glyph the glyph replaced, its id or its position
+ * @param {Glyph} newGlyph
+ * @return {Glyph|null} the replaced glyph, null if it isn't in the arcgroup
+ */
+Arcgroup.prototype.replaceGlyph = function (glyph, newGlyph) {
+	return replaceChild(this, 'glyphs', glyph, newGlyph, 'replaceGlyph');
+};
+
+/**
+ * See {@link Map#replaceGlyph}.
+ * @param {Arc|string|number} arc the arc replaced, its id or its position
+ * @param {Arc} newArc
+ * @return {Arc|null} the replaced arc, null if it isn't in the arcgroup
+ */
+Arcgroup.prototype.replaceArc = function (arc, newArc) {
+	return replaceChild(this, 'arcs', arc, newArc, 'replaceArc');
+};
+
+/**
+ * Deep copy of the arcgroup and all its content.
+ * @param {Object|function=} idMapping
+ * @return {Arcgroup}
+ */
+Arcgroup.prototype.deepClone = function (idMapping) {
+	return utils.cloneObject(this, idMapping);
+};
+
+/**
+ * Structural equality, the content is compared recursively.
+ * @param {Arcgroup} other
+ * @param {Object=} options
+ * @param {boolean=} options.ignoreCoordinates don't compare the coordinates of the content
+ * @param {boolean=} options.ignoreExtensions don't compare extensions
+ * @return {boolean}
+ */
+Arcgroup.prototype.equals = function (other, options) {
+	return utils.equalObjects(this, other, options, utils.getIgnoredFields(options));
 };
 
 /**
@@ -2161,12 +4092,60 @@ Arcgroup.fromObj = function (jsObj) {
 	return arcgroup;
 };
 
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Arcgroup.prototype.toJSON = function () {
+	var json = {};
+	utils.setJSONField(json, 'class', this.class_);
+	utils.setJSONField(json, 'glyphs', this.glyphs);
+	utils.setJSONField(json, 'arcs', this.arcs);
+	this.baseToJSON(json);
+	return json;
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Arcgroup}
+ */
+Arcgroup.fromJSON = function (json) {
+	json = utils.parseJSON(json, 'arcgroup');
+	var arcgroup = new ns.Arcgroup({class_: json['class']});
+	if(json.glyphs) {
+		for (var i=0; i < json.glyphs.length; i++) {
+			arcgroup.addGlyph(ns.Glyph.fromJSON(json.glyphs[i]));
+		}
+	}
+	if(json.arcs) {
+		for (var i=0; i < json.arcs.length; i++) {
+			arcgroup.addArc(ns.Arc.fromJSON(json.arcs[i]));
+		}
+	}
+	arcgroup.baseFromJSON(json);
+	return arcgroup;
+};
+
 ns.Arcgroup = Arcgroup;
 // ------- END ARCGROUP -------
 
 ns.render = renderExt;
 ns.annot = annotExt;
 ns.schematronValidator = schematronValidator;
+ns.validator = validator;
+ns.graph = graph;
+ns.cytoscape = cytoscape;
+ns.svg = svg;
+ns.sbml = sbml;
+ns.mapDiff = mapDiff;
+ns.mapMerge = mapMerge;
+ns.patch = patch;
+ns.observable = observable;
+ns.ids = ids;
+ns.submaps = submaps;
+ns.formatVersions = formatVersions;
+ns.types = types;
+ns.streamParser = require('./streamParser');
 module.exports = ns;
 
 
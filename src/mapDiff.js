@@ -0,0 +1,463 @@
+/**
+ * Structural comparison of two maps.
+ *
+ * The elements of both maps are first matched: by id, then for the remaining ones with a heuristic.
+ * Glyphs are matched on their class, their label (or state variable) and their parent,
+ * arcs on their class and the elements they connect, ports on their position in their glyph.
+ * The differences between matched elements are then listed as {@link Change} objects.
+ *
+ * You can access the following classes like this: <code>libsbgn.mapDiff.Change</code>
+ * @module mapDiff
+ * @namespace libsbgn.mapDiff
+*/
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+
+var ns = {};
+
+ns.ChangeType = Object.freeze({
+	ADDED: "added",
+	REMOVED: "removed",
+	RENAMED: "renamed",
+	CLASS_CHANGED: "class changed",
+	STATE_CHANGED: "state changed",
+	REWIRED: "rewired",
+	MOVED: "moved",
+	ATTRIBUTE_CHANGED: "attribute changed",
+	STYLE_CHANGED: "style changed"
+});
+
+/**
+ * Attributes of glyphs compared by the diff, the references are compared through the matching.
+ * @type {string[]}
+ */
+ns.GLYPH_ATTRIBUTES = ['compartmentRef', 'compartmentOrder', 'mapRef', 'tagRef', 'orientation', 'clone', 'entity'];
+
+// ------- CHANGE -------
+/**
+ * A difference between two maps.
+ * @class
+ * @param {Object} params
+ * @param {string=} params.type One of the values of {@link ChangeType}
+ * @param {string=} params.elementType glyph, port, arc, style, colorDefinition or map
+ * @param {string=} params.id Id of the element in the first map, null if it was added
+ * @param {string=} params.newId Id of the element in the second map, null if it was removed
+ * @param {string=} params.parentId Id of the parent glyph or arc, in the map where the element exists
+ * @param {string=} params.attribute Name of the attribute that changed
+ * @param {*=} params.oldValue Value in the first map. For removed elements, their xml.
+ * @param {*=} params.newValue Value in the second map. For added elements, their xml.
+ */
+var Change = function (params) {
+	var params = checkParams(params, ['type', 'elementType', 'id', 'newId', 'parentId', 'attribute',
+		'oldValue', 'newValue']);
+	this.type 			= params.type;
+	this.elementType 	= params.elementType;
+	this.id 			= params.id;
+	this.newId 			= params.newId;
+	this.parentId 		= params.parentId;
+	this.attribute 		= params.attribute;
+	this.oldValue 		= params.oldValue;
+	this.newValue 		= params.newValue;
+};
+
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Change.prototype.toJSON = function () {
+	return {
+		type: this.type,
+		elementType: this.elementType,
+		id: this.id,
+		newId: this.newId,
+		parentId: this.parentId,
+		attribute: this.attribute,
+		oldValue: this.oldValue,
+		newValue: this.newValue
+	};
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Change}
+ */
+Change.fromJSON = function (json) {
+	if (typeof json == 'string') {
+		json = JSON.parse(json);
+	}
+	return new ns.Change(json);
+};
+
+ns.Change = Change;
+// ------- END CHANGE -------
+
+// ------- MATCHING -------
+/**
+ * All the glyphs, ports and arcs of the map, as objects {element, parent, parentId}.
+ * Glyphs are listed depth first, so parents always come before their children. The parent of a glyph
+ * is the glyph, arc or arcgroup containing it, null for the glyphs of the map. The parent of a port is its glyph.
+ * Arcs are the arcs of the map followed by the arcs of the arcgroups, their parent is their arcgroup or null.
+ * @param {Map} map
+ * @return {{glyphs: Object[], ports: Object[], arcs: Object[]}}
+ */
+ns.listElements = function (map) {
+	var glyphs = [];
+	var ports = [];
+	var arcs = [];
+	function addGlyphs(list, parent, parentId) {
+		for(var i=0; i < list.length; i++) {
+			glyphs.push({element: list[i], parent: parent, parentId: parentId});
+			for(var j=0; j < list[i].ports.length; j++) {
+				ports.push({element: list[i].ports[j], parent: list[i], parentId: list[i].id, position: j});
+			}
+			addGlyphs(list[i].glyphMembers, list[i], list[i].id);
+		}
+	}
+	function addArcs(list, parent) {
+		for(var i=0; i < list.length; i++) {
+			arcs.push({element: list[i], parent: parent, parentId: null});
+		}
+	}
+	addGlyphs(map.glyphs, null, null);
+	addArcs(map.arcs, null);
+	for(var i=0; i < map.arcgroups.length; i++) {
+		addArcs(map.arcgroups[i].arcs, map.arcgroups[i]);
+	}
+	for(var i=0; i < arcs.length; i++) {
+		addGlyphs(arcs[i].element.glyphs, arcs[i].element, arcs[i].element.id);
+	}
+	for(var i=0; i < map.arcgroups.length; i++) {
+		// glyphs of arcgroups have no parent id, like the glyphs of the map
+		addGlyphs(map.arcgroups[i].glyphs, map.arcgroups[i], null);
+	}
+	return {glyphs: glyphs, ports: ports, arcs: arcs};
+};
+
+function getGlyphKey(glyph, parentId) {
+	var name = null;
+	if (glyph.label != null && glyph.label.text) {
+		name = glyph.label.text;
+	}
+	else if (glyph.state != null && (glyph.state.variable || glyph.state.value)) {
+		name = glyph.state.variable || glyph.state.value;
+	}
+	if (name == null) {
+		return null;
+	}
+	return [glyph.class_, name, parentId].join('|');
+}
+
+/*
+	pair elements of both lists, first by id then by key. onMatch is called for each pair as soon as it is found,
+	so that getKeyA can translate the references of an element of the first list to the second map.
+	Items are objects {element, parentId}.
+*/
+function matchLists(listA, listB, getKeyA, getKeyB, onMatch) {
+	var pairs = [];
+	var matchedA = [];
+	var matchedB = [];
+	function match(i, j) {
+		matchedA[i] = true;
+		matchedB[j] = true;
+		pairs.push([listA[i], listB[j]]);
+		onMatch(listA[i], listB[j]);
+	}
+
+	var byId = {};
+	for(var j=0; j < listB.length; j++) {
+		var id = listB[j].element.id;
+		if (id != null && !byId.hasOwnProperty(id)) {
+			byId[id] = j;
+		}
+	}
+	for(var i=0; i < listA.length; i++) {
+		var id = listA[i].element.id;
+		if (id != null && byId.hasOwnProperty(id) && !matchedB[byId[id]]) {
+			match(i, byId[id]);
+		}
+	}
+
+	var keysB = listB.map(getKeyB);
+	for(var i=0; i < listA.length; i++) {
+		if (matchedA[i]) {
+			continue;
+		}
+		var key = getKeyA(listA[i]);
+		if (key == null) {
+			continue;
+		}
+		for(var j=0; j < listB.length; j++) {
+			if (!matchedB[j] && keysB[j] === key) {
+				match(i, j);
+				break;
+			}
+		}
+	}
+	return {
+		pairs: pairs,
+		removed: listA.filter(function (item, i) { return !matchedA[i]; }),
+		added: listB.filter(function (item, j) { return !matchedB[j]; })
+	};
+}
+
+/**
+ * Match the glyphs, ports and arcs of two maps.
+ * Each of glyphs, ports and arcs has a list of pairs of matched elements, and the lists of removed and added elements.
+ * The elements are given as in {@link libsbgn.mapDiff.listElements}.
+ * idMapping gives the id in the second map of each matched element of the first map.
+ * @param {Map} mapA
+ * @param {Map} mapB
+ * @return {{idMapping: Object.<string, string>, glyphs: Object, ports: Object, arcs: Object}}
+ */
+ns.matchMaps = function (mapA, mapB) {
+	var idMapping = {};
+	function translate(id) {
+		return id != null && idMapping.hasOwnProperty(id) ? idMapping[id] : id;
+	}
+	function onMatch(itemA, itemB) {
+		var id = itemA.element.id;
+		if (id != null && !idMapping.hasOwnProperty(id)) {
+			idMapping[id] = itemB.element.id;
+		}
+	}
+	var elementsA = ns.listElements(mapA);
+	var elementsB = ns.listElements(mapB);
+	var glyphs = matchLists(elementsA.glyphs, elementsB.glyphs, function (item) {
+		return getGlyphKey(item.element, translate(item.parentId));
+	}, function (item) {
+		return getGlyphKey(item.element, item.parentId);
+	}, onMatch);
+
+	// ports without the same id are matched on their position in their glyph
+	var ports = matchLists(elementsA.ports, elementsB.ports, function (item) {
+		return item.parentId == null ? null : translate(item.parentId) + '|' + item.position;
+	}, function (item) {
+		return item.parentId == null ? null : item.parentId + '|' + item.position;
+	}, onMatch);
+
+	var arcs = matchLists(elementsA.arcs, elementsB.arcs, function (item) {
+		return [item.element.class_, translate(item.element.source), translate(item.element.target)].join('|');
+	}, function (item) {
+		return [item.element.class_, item.element.source, item.element.target].join('|');
+	}, onMatch);
+
+	return {idMapping: idMapping, glyphs: glyphs, ports: ports, arcs: arcs};
+};
+// ------- END MATCHING -------
+
+// ------- DIFF -------
+function toBbox(bbox) {
+	return bbox == null ? null : {x: bbox.x, y: bbox.y, w: bbox.w, h: bbox.h};
+}
+
+function toPoint(point) {
+	return point == null ? null : {x: point.x, y: point.y};
+}
+
+function getLabelText(glyph) {
+	return glyph.label != null && glyph.label.text != null ? glyph.label.text : null;
+}
+
+function getState(glyph) {
+	return glyph.state == null ? null : {value: glyph.state.value, variable: glyph.state.variable};
+}
+
+function getAttribute(glyph, attribute) {
+	var value = glyph[attribute];
+	if (attribute == 'clone') {
+		return value == null ? null : {label: value.label != null ? value.label.text : null};
+	}
+	if (attribute == 'entity') {
+		return value == null ? null : {name: value.name};
+	}
+	return value;
+}
+
+function splitIdList(idList) {
+	return idList ? idList.split(/\s+/).filter(function (id) { return id; }) : [];
+}
+
+function getRenderInformation(map) {
+	return map.extension != null ? map.extension.get('renderInformation') : null;
+}
+
+function getStyles(renderInformation) {
+	return renderInformation != null && renderInformation.listOfStyles != null ?
+		renderInformation.listOfStyles.styles : [];
+}
+
+function getColorDefinitions(renderInformation) {
+	return renderInformation != null && renderInformation.listOfColorDefinitions != null ?
+		renderInformation.listOfColorDefinitions.colorDefinitions : [];
+}
+
+function indexById(elements) {
+	var index = {};
+	for(var i=0; i < elements.length; i++) {
+		index[elements[i].id] = elements[i];
+	}
+	return index;
+}
+
+/**
+ * List the differences between two maps, from mapA to mapB.
+ * Elements are matched with {@link libsbgn.mapDiff.matchMaps}. The references of mapA (compartmentRef, tagRef,
+ * sources and targets of arcs, idList of styles) are translated to mapB before being compared,
+ * so an element matched under another id is not reported as changed.
+ * @param {Map} mapA
+ * @param {Map} mapB
+ * @return {Change[]}
+ */
+ns.diff = function (mapA, mapB) {
+	var matching = ns.matchMaps(mapA, mapB);
+	var idMapping = matching.idMapping;
+	var changes = [];
+	function translate(id) {
+		return id != null && idMapping.hasOwnProperty(id) ? idMapping[id] : id;
+	}
+	function add(params) {
+		changes.push(new ns.Change(params));
+	}
+	function addIfDifferent(params, valueA, valueB) {
+		if (!utils.equalValues(valueA, valueB)) {
+			params.oldValue = valueA;
+			params.newValue = valueB;
+			add(params);
+		}
+	}
+	function addMatched(elementType, matched) {
+		for(var i=0; i < matched.removed.length; i++) {
+			var item = matched.removed[i];
+			add({type: ns.ChangeType.REMOVED, elementType: elementType, id: item.element.id,
+				parentId: item.parentId, oldValue: item.element.toXML()});
+		}
+		for(var i=0; i < matched.added.length; i++) {
+			var item = matched.added[i];
+			add({type: ns.ChangeType.ADDED, elementType: elementType, newId: item.element.id,
+				parentId: item.parentId, newValue: item.element.toXML()});
+		}
+	}
+
+	function diffById(listA, listB, elementType, compare) {
+		var indexA = indexById(listA);
+		var indexB = indexById(listB);
+		for(var i=0; i < listA.length; i++) {
+			if (!indexB.hasOwnProperty(listA[i].id)) {
+				add({type: ns.ChangeType.REMOVED, elementType: elementType, id: listA[i].id,
+					oldValue: listA[i].toXML()});
+			}
+		}
+		for(var i=0; i < listB.length; i++) {
+			if (!indexA.hasOwnProperty(listB[i].id)) {
+				add({type: ns.ChangeType.ADDED, elementType: elementType, newId: listB[i].id,
+					newValue: listB[i].toXML()});
+			}
+			else {
+				compare(indexA[listB[i].id], listB[i], {elementType: elementType, id: listB[i].id, newId: listB[i].id});
+			}
+		}
+	}
+
+	// map
+	var mapChange = {elementType: 'map', id: mapA.id, newId: mapB.id};
+	['language', 'version'].forEach(function (attribute) {
+		addIfDifferent(Object.assign({type: ns.ChangeType.ATTRIBUTE_CHANGED, attribute: attribute}, mapChange),
+			mapA[attribute], mapB[attribute]);
+	});
+
+	// glyphs
+	addMatched('glyph', matching.glyphs);
+	for(var i=0; i < matching.glyphs.pairs.length; i++) {
+		var glyphA = matching.glyphs.pairs[i][0].element;
+		var glyphB = matching.glyphs.pairs[i][1].element;
+		var ids = {elementType: 'glyph', id: glyphA.id, newId: glyphB.id, parentId: matching.glyphs.pairs[i][1].parentId};
+		addIfDifferent(Object.assign({type: ns.ChangeType.CLASS_CHANGED, attribute: 'class'}, ids),
+			glyphA.class_, glyphB.class_);
+		addIfDifferent(Object.assign({type: ns.ChangeType.RENAMED, attribute: 'label'}, ids),
+			getLabelText(glyphA), getLabelText(glyphB));
+		addIfDifferent(Object.assign({type: ns.ChangeType.STATE_CHANGED, attribute: 'state'}, ids),
+			getState(glyphA), getState(glyphB));
+		addIfDifferent(Object.assign({type: ns.ChangeType.MOVED, attribute: 'bbox'}, ids),
+			toBbox(glyphA.bbox), toBbox(glyphB.bbox));
+		for(var j=0; j < ns.GLYPH_ATTRIBUTES.length; j++) {
+			var attribute = ns.GLYPH_ATTRIBUTES[j];
+			var valueA = getAttribute(glyphA, attribute);
+			var valueB = getAttribute(glyphB, attribute);
+			var isReference = attribute == 'compartmentRef' || attribute == 'tagRef';
+			if (!utils.equalValues(isReference ? translate(valueA) : valueA, valueB)) {
+				add(Object.assign({type: ns.ChangeType.ATTRIBUTE_CHANGED, attribute: attribute,
+					oldValue: valueA, newValue: valueB}, ids));
+			}
+		}
+	}
+
+	// ports
+	addMatched('port', matching.ports);
+	for(var i=0; i < matching.ports.pairs.length; i++) {
+		var portA = matching.ports.pairs[i][0].element;
+		var portB = matching.ports.pairs[i][1].element;
+		addIfDifferent({type: ns.ChangeType.MOVED, elementType: 'port', id: portA.id, newId: portB.id,
+			parentId: matching.ports.pairs[i][1].parentId, attribute: 'position'}, toPoint(portA), toPoint(portB));
+	}
+
+	// arcs
+	addMatched('arc', matching.arcs);
+	for(var i=0; i < matching.arcs.pairs.length; i++) {
+		var arcA = matching.arcs.pairs[i][0].element;
+		var arcB = matching.arcs.pairs[i][1].element;
+		var ids = {elementType: 'arc', id: arcA.id, newId: arcB.id};
+		addIfDifferent(Object.assign({type: ns.ChangeType.CLASS_CHANGED, attribute: 'class'}, ids),
+			arcA.class_, arcB.class_);
+		['source', 'target'].forEach(function (end) {
+			if (translate(arcA[end]) !== arcB[end]) {
+				add(Object.assign({type: ns.ChangeType.REWIRED, attribute: end,
+					oldValue: arcA[end], newValue: arcB[end]}, ids));
+			}
+		});
+		addIfDifferent(Object.assign({type: ns.ChangeType.MOVED, attribute: 'start'}, ids),
+			toPoint(arcA.start), toPoint(arcB.start));
+		addIfDifferent(Object.assign({type: ns.ChangeType.MOVED, attribute: 'end'}, ids),
+			toPoint(arcA.end), toPoint(arcB.end));
+		addIfDifferent(Object.assign({type: ns.ChangeType.MOVED, attribute: 'nexts'}, ids),
+			arcA.nexts.map(toPoint), arcB.nexts.map(toPoint));
+	}
+
+	// render information
+	var renderA = getRenderInformation(mapA);
+	var renderB = getRenderInformation(mapB);
+	if (renderA != null || renderB != null) {
+		addIfDifferent({type: ns.ChangeType.STYLE_CHANGED, elementType: 'renderInformation',
+			id: renderA != null ? renderA.id : null, newId: renderB != null ? renderB.id : null,
+			attribute: 'backgroundColor'},
+			renderA != null ? renderA.backgroundColor : null, renderB != null ? renderB.backgroundColor : null);
+	}
+	diffById(getColorDefinitions(renderA), getColorDefinitions(renderB), 'colorDefinition',
+		function (colorA, colorB, ids) {
+			addIfDifferent(Object.assign({type: ns.ChangeType.STYLE_CHANGED, attribute: 'value'}, ids),
+				colorA.value, colorB.value);
+		});
+	diffById(getStyles(renderA), getStyles(renderB), 'style', function (styleA, styleB, ids) {
+		addIfDifferent(Object.assign({type: ns.ChangeType.STYLE_CHANGED, attribute: 'name'}, ids),
+			styleA.name, styleB.name);
+		var idListA = splitIdList(styleA.idList).map(translate).sort();
+		var idListB = splitIdList(styleB.idList).sort();
+		if (!utils.equalValues(idListA, idListB)) {
+			add(Object.assign({type: ns.ChangeType.STYLE_CHANGED, attribute: 'idList',
+				oldValue: styleA.idList, newValue: styleB.idList}, ids));
+		}
+		var groupA = styleA.renderGroup || {};
+		var groupB = styleB.renderGroup || {};
+		var attributes = Object.keys(groupA).concat(Object.keys(groupB)).filter(function (attribute, i, all) {
+			return all.indexOf(attribute) == i;
+		});
+		for(var i=0; i < attributes.length; i++) {
+			addIfDifferent(Object.assign({type: ns.ChangeType.STYLE_CHANGED,
+				attribute: 'renderGroup.' + attributes[i]}, ids), groupA[attributes[i]], groupB[attributes[i]]);
+		}
+	});
+
+	return changes;
+};
+// ------- END DIFF -------
+
+module.exports = ns;
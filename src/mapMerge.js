@@ -0,0 +1,799 @@
+/**
+ * Three-way merge of maps edited in parallel.
+ *
+ * The elements of both edited maps, ours and theirs, are matched with the elements of their common base
+ * with {@link libsbgn.mapDiff.matchMaps}. The merged map starts as a copy of ours, then the changes made in theirs
+ * are applied on it, attribute by attribute. When both sides changed the same attribute differently,
+ * or when one side removed an element that the other side changed, ours is kept and a {@link Conflict} is recorded.
+ * Styles and color definitions of the render extension are matched by id.
+ *
+ * Once merged, references that can't be resolved anymore (an arc connected to a glyph removed by
+ * the other side for example) are removed and also reported as conflicts, so that the result is a valid document.
+ *
+ * You can access the following classes like this: <code>libsbgn.mapMerge.Conflict</code>
+ * @module mapMerge
+ * @namespace libsbgn.mapMerge
+*/
+var utils = require('./utilities');
+var mapDiff = require('./mapDiff');
+var renderExt = require('./libsbgn-render');
+var types = require('./libsbgn-types');
+var checkParams = utils.checkParams;
+
+var ns = {};
+
+/*
+	the model is required lazily, as libsbgn itself exposes this module
+*/
+function getModel() {
+	return require('./libsbgn');
+}
+
+ns.ConflictType = Object.freeze({
+	BOTH_MODIFIED: "both modified",
+	MODIFIED_AND_REMOVED: "modified and removed",
+	ID_COLLISION: "id collision",
+	DANGLING_REFERENCE: "dangling reference"
+});
+
+// ------- CONFLICT -------
+/**
+ * A change of theirs that couldn't be merged. The merged map always keeps the version of ours.
+ * For conflicts on a whole element, the values are the xml of the element, null on the side where it was removed.
+ * @class
+ * @param {Object} params
+ * @param {string=} params.type One of the values of {@link ConflictType}
+ * @param {string=} params.text Message describing the conflict
+ * @param {string=} params.mapId Id of the merged map
+ * @param {string=} params.elementType glyph, port, arc, style, colorDefinition, renderInformation or map
+ * @param {string=} params.id Id of the element
+ * @param {string=} params.attribute Name of the attribute in conflict, null for the whole element
+ * @param {*=} params.baseValue
+ * @param {*=} params.oursValue
+ * @param {*=} params.theirsValue
+ */
+var Conflict = function (params) {
+	var params = checkParams(params, ['type', 'text', 'mapId', 'elementType', 'id', 'attribute',
+		'baseValue', 'oursValue', 'theirsValue']);
+	this.type 			= params.type;
+	this.text 			= params.text;
+	this.mapId 			= params.mapId;
+	this.elementType 	= params.elementType;
+	this.id 			= params.id;
+	this.attribute 		= params.attribute;
+	this.baseValue 		= params.baseValue;
+	this.oursValue 		= params.oursValue;
+	this.theirsValue 	= params.theirsValue;
+};
+
+/**
+ * Also used by JSON.stringify.
+ * @return {Object}
+ */
+Conflict.prototype.toJSON = function () {
+	return {
+		type: this.type,
+		text: this.text,
+		mapId: this.mapId,
+		elementType: this.elementType,
+		id: this.id,
+		attribute: this.attribute,
+		baseValue: this.baseValue,
+		oursValue: this.oursValue,
+		theirsValue: this.theirsValue
+	};
+};
+
+/**
+ * @param {Object|string} json object or string as produced by toJSON
+ * @return {Conflict}
+ */
+Conflict.fromJSON = function (json) {
+	if (typeof json == 'string') {
+		json = JSON.parse(json);
+	}
+	return new ns.Conflict(json);
+};
+
+ns.Conflict = Conflict;
+// ------- END CONFLICT -------
+
+// ------- ATTRIBUTES -------
+/*
+	Attributes merged for each kind of element. get returns a plain value that can be compared,
+	with the references translated to the ids of the merged map. copy sets the attribute of the target,
+	an element of the merged map, from the source, an element of theirs.
+*/
+function identity(id) {
+	return id;
+}
+
+function copyValue(field) {
+	return function (target, source) {
+		target[field] = source[field];
+	};
+}
+
+function copyReference(field) {
+	return function (target, source, translate) {
+		target[field] = translate(source[field]);
+	};
+}
+
+function copyObject(field) {
+	return function (target, source, translate) {
+		target[field] = source[field] == null ? null : source[field].deepClone(translate);
+	};
+}
+
+function toPoint(point) {
+	return point == null ? null : {x: point.x, y: point.y};
+}
+
+function valueAttribute(name, field) {
+	field = field || name;
+	return {name: name, get: function (element) { return element[field]; }, copy: copyValue(field)};
+}
+
+function referenceAttribute(name) {
+	return {
+		name: name,
+		get: function (element, translate) { return translate(element[name]); },
+		copy: copyReference(name)
+	};
+}
+
+var MAP_ATTRIBUTES = [valueAttribute('language'), valueAttribute('version')];
+
+var GLYPH_ATTRIBUTES = [
+	valueAttribute('class', 'class_'),
+	{
+		name: 'label',
+		get: function (glyph) { return glyph.label != null ? glyph.label.text : null; },
+		copy: copyObject('label')
+	},
+	{
+		name: 'state',
+		get: function (glyph) {
+			return glyph.state == null ? null : {value: glyph.state.value, variable: glyph.state.variable};
+		},
+		copy: copyObject('state')
+	},
+	{
+		name: 'bbox',
+		get: function (glyph) {
+			return glyph.bbox == null ? null : {x: glyph.bbox.x, y: glyph.bbox.y, w: glyph.bbox.w, h: glyph.bbox.h};
+		},
+		copy: copyObject('bbox')
+	},
+	referenceAttribute('compartmentRef'),
+	referenceAttribute('tagRef'),
+	valueAttribute('compartmentOrder'),
+	valueAttribute('mapRef'),
+	valueAttribute('orientation'),
+	{
+		name: 'clone',
+		get: function (glyph) {
+			return glyph.clone == null ? null : {label: glyph.clone.label != null ? glyph.clone.label.text : null};
+		},
+		copy: copyObject('clone')
+	},
+	{
+		name: 'entity',
+		get: function (glyph) { return glyph.entity == null ? null : {name: glyph.entity.name}; },
+		copy: copyObject('entity')
+	},
+	{
+		name: 'callout',
+		get: function (glyph, translate) {
+			return glyph.callout == null ? null :
+				{target: translate(glyph.callout.target), point: toPoint(glyph.callout.point)};
+		},
+		copy: copyObject('callout')
+	}
+];
+
+var PORT_ATTRIBUTES = [{
+	name: 'position',
+	get: toPoint,
+	copy: function (target, source) {
+		target.x = source.x;
+		target.y = source.y;
+	}
+}];
+
+var ARC_ATTRIBUTES = [
+	valueAttribute('class', 'class_'),
+	referenceAttribute('source'),
+	referenceAttribute('target'),
+	{name: 'start', get: function (arc) { return toPoint(arc.start); }, copy: copyObject('start')},
+	{name: 'end', get: function (arc) { return toPoint(arc.end); }, copy: copyObject('end')},
+	{
+		name: 'nexts',
+		get: function (arc) { return arc.nexts.map(toPoint); },
+		copy: function (target, source) {
+			target.nexts = source.nexts.map(function (next) { return next.deepClone(); });
+		}
+	}
+];
+
+var COLOR_DEFINITION_ATTRIBUTES = [valueAttribute('value')];
+
+var RENDER_INFORMATION_ATTRIBUTES = [valueAttribute('backgroundColor')];
+
+function splitIdList(idList) {
+	return idList ? idList.split(/\s+/).filter(function (id) { return id; }) : [];
+}
+
+/*
+	the attributes of the render group depend on what is set in the styles
+*/
+function getStyleAttributes(styles) {
+	var attributes = [
+		valueAttribute('name'),
+		{
+			name: 'idList',
+			get: function (style, translate) { return splitIdList(style.idList).map(translate).sort(); },
+			copy: function (target, source, translate) {
+				target.idList = splitIdList(source.idList).map(translate).join(' ');
+			}
+		}
+	];
+	var keys = [];
+	for(var i=0; i < styles.length; i++) {
+		if (styles[i] != null && styles[i].renderGroup != null) {
+			Object.keys(styles[i].renderGroup).forEach(function (key) {
+				if (keys.indexOf(key) == -1) {
+					keys.push(key);
+				}
+			});
+		}
+	}
+	keys.forEach(function (key) {
+		attributes.push({
+			name: 'renderGroup.' + key,
+			get: function (style) { return style.renderGroup != null ? style.renderGroup[key] : null; },
+			copy: function (target, source) {
+				if (target.renderGroup == null) {
+					target.setRenderGroup(new renderExt.RenderGroup());
+				}
+				target.renderGroup[key] = source.renderGroup != null ? source.renderGroup[key] : null;
+			}
+		});
+	});
+	return attributes;
+}
+
+var ATTRIBUTES = {glyphs: GLYPH_ATTRIBUTES, ports: PORT_ATTRIBUTES, arcs: ARC_ATTRIBUTES};
+var ELEMENT_TYPES = {glyphs: 'glyph', ports: 'port', arcs: 'arc'};
+// ------- END ATTRIBUTES -------
+
+// ------- MERGER -------
+/*
+	State of the merge of one map. The merged map is a copy of ours, so the elements of ours keep their ids
+	and the references of base and theirs are translated to the ids of ours.
+*/
+var Merger = function (base, ours, theirs) {
+	this.base = base;
+	this.ours = ours;
+	this.theirs = theirs;
+	this.result = ours.deepClone();
+	this.conflicts = [];
+
+	var matchingOurs = mapDiff.matchMaps(base, ours);
+	var matchingTheirs = mapDiff.matchMaps(base, theirs);
+	this.matchingOurs = matchingOurs;
+	this.matchingTheirs = matchingTheirs;
+	var theirsToBase = {};
+	for (var id in matchingTheirs.idMapping) {
+		theirsToBase[matchingTheirs.idMapping[id]] = id;
+	}
+	this.baseToResult = function (id) {
+		return id != null && matchingOurs.idMapping.hasOwnProperty(id) ? matchingOurs.idMapping[id] : id;
+	};
+	var baseToResult = this.baseToResult;
+	this.theirsToResult = function (id) {
+		return id != null && theirsToBase.hasOwnProperty(id) ? baseToResult(theirsToBase[id]) : id;
+	};
+
+	this.baseElements = mapDiff.listElements(base);
+	this.oursElements = mapDiff.listElements(ours);
+	this.resultElements = mapDiff.listElements(this.result);
+	// elements of theirs already added to the merged map, or skipped, with all their content:
+	// indexed by id, the few ones without id (arcgroups) are listed
+	this.handled = {};
+	this.handledWithoutId = [];
+};
+
+Merger.prototype.setHandled = function (element) {
+	if (element.id != null) {
+		this.handled[element.id] = element;
+	}
+	else {
+		this.handledWithoutId.push(element);
+	}
+};
+
+Merger.prototype.isHandled = function (element) {
+	if (element == null) {
+		return false;
+	}
+	if (element.id != null) {
+		return this.handled.hasOwnProperty(element.id) && this.handled[element.id] === element;
+	}
+	return this.handledWithoutId.indexOf(element) != -1;
+};
+
+Merger.prototype.addConflict = function (params) {
+	params.mapId = this.result.id;
+	this.conflicts.push(new ns.Conflict(params));
+};
+
+Merger.prototype.getValues = function (attribute, base, ours, theirs) {
+	return {
+		base: base != null ? attribute.get(base, this.baseToResult) : null,
+		ours: ours != null ? attribute.get(ours, identity) : null,
+		theirs: theirs != null ? attribute.get(theirs, this.theirsToResult) : null
+	};
+};
+
+Merger.prototype.isModified = function (attributes, base, element, translate, baseTranslate) {
+	baseTranslate = baseTranslate || this.baseToResult;
+	for(var i=0; i < attributes.length; i++) {
+		if (!utils.equalValues(attributes[i].get(base, baseTranslate), attributes[i].get(element, translate))) {
+			return true;
+		}
+	}
+	return false;
+};
+
+/*
+	glyphs are also modified when glyph members or ports were added or removed
+*/
+Merger.prototype.isElementModified = function (kind, base, element, translate) {
+	if (this.isModified(ATTRIBUTES[kind], base, element, translate)) {
+		return true;
+	}
+	if (kind != 'glyphs') {
+		return false;
+	}
+	var baseToResult = this.baseToResult;
+	function childIds(glyph, translate) {
+		return glyph.glyphMembers.concat(glyph.ports).map(function (child) { return translate(child.id); });
+	}
+	return !utils.equalValues(childIds(base, baseToResult), childIds(element, translate));
+};
+
+Merger.prototype.mergeAttributes = function (elementType, attributes, base, ours, theirs, result) {
+	for(var i=0; i < attributes.length; i++) {
+		var values = this.getValues(attributes[i], base, ours, theirs);
+		if (utils.equalValues(values.base, values.theirs) || utils.equalValues(values.ours, values.theirs)) {
+			continue;
+		}
+		if (utils.equalValues(values.base, values.ours)) {
+			attributes[i].copy(result, theirs, this.theirsToResult);
+		}
+		else {
+			this.addConflict({type: ns.ConflictType.BOTH_MODIFIED, elementType: elementType, id: result.id,
+				attribute: attributes[i].name, baseValue: values.base, oursValue: values.ours,
+				theirsValue: values.theirs,
+				text: "The " + attributes[i].name + " of " + elementType + " " + result.id + " was changed on both sides"});
+		}
+	}
+};
+
+/*
+	the element matched with each element of base, null if it was removed
+*/
+function getCounterparts(baseItems, pairs) {
+	var baseList = baseItems.map(function (item) { return item.element; });
+	var counterparts = baseItems.map(function () { return null; });
+	for(var i=0; i < pairs.length; i++) {
+		counterparts[baseList.indexOf(pairs[i][0].element)] = pairs[i][1];
+	}
+	return counterparts;
+}
+
+Merger.prototype.getResultItem = function (kind, oursItem) {
+	var list = this.oursElements[kind].map(function (item) { return item.element; });
+	return this.resultElements[kind][list.indexOf(oursItem.element)];
+};
+
+/*
+	apply the modifications and removals of theirs on the elements existing in base
+*/
+Merger.prototype.mergeExisting = function () {
+	this.mergeAttributes('map', MAP_ATTRIBUTES, this.base, this.ours, this.theirs, this.result);
+	var removals = [];
+	for (var kind in ATTRIBUTES) {
+		var baseItems = this.baseElements[kind];
+		var oursCounterparts = getCounterparts(baseItems, this.matchingOurs[kind].pairs);
+		var theirsCounterparts = getCounterparts(baseItems, this.matchingTheirs[kind].pairs);
+		for(var i=0; i < baseItems.length; i++) {
+			var base = baseItems[i].element;
+			var oursItem = oursCounterparts[i];
+			var theirsItem = theirsCounterparts[i];
+			if (oursItem == null && theirsItem == null) {
+				continue;
+			}
+			var conflict = {type: ns.ConflictType.MODIFIED_AND_REMOVED, elementType: ELEMENT_TYPES[kind],
+				baseValue: base.toXML()};
+			if (oursItem == null) {
+				if (this.isElementModified(kind, base, theirsItem.element, this.theirsToResult)) {
+					conflict.id = base.id;
+					conflict.theirsValue = theirsItem.element.toXML();
+					conflict.text = "The " + ELEMENT_TYPES[kind] + " " + base.id + " was removed in ours and modified in theirs";
+					this.addConflict(conflict);
+				}
+				continue;
+			}
+			var resultItem = this.getResultItem(kind, oursItem);
+			if (theirsItem == null) {
+				if (this.isElementModified(kind, base, oursItem.element, identity)) {
+					conflict.id = resultItem.element.id;
+					conflict.oursValue = oursItem.element.toXML();
+					conflict.text = "The " + ELEMENT_TYPES[kind] + " " + resultItem.element.id + " was modified in ours and removed in theirs";
+					this.addConflict(conflict);
+				}
+				else {
+					removals.push({kind: kind, item: resultItem});
+				}
+				continue;
+			}
+			this.mergeAttributes(ELEMENT_TYPES[kind], ATTRIBUTES[kind], base, oursItem.element, theirsItem.element,
+				resultItem.element);
+		}
+	}
+	return removals;
+};
+
+Merger.prototype.findInResult = function (theirsElement) {
+	if (theirsElement == null || theirsElement.id == null) {
+		return null;
+	}
+	return this.result.getElementById(this.theirsToResult(theirsElement.id));
+};
+
+/*
+	arcgroups are not matched, the arcgroup of the merged map containing one of the elements of
+	theirs arcgroup is used, or a copy of the whole arcgroup when none of its elements is in the merged map
+*/
+Merger.prototype.findArcgroup = function (theirsArcgroup) {
+	var children = theirsArcgroup.glyphs.concat(theirsArcgroup.arcs);
+	for(var i=0; i < children.length; i++) {
+		var child = this.findInResult(children[i]);
+		if (child == null) {
+			continue;
+		}
+		for(var j=0; j < this.result.arcgroups.length; j++) {
+			var arcgroup = this.result.arcgroups[j];
+			if (arcgroup.glyphs.indexOf(child) != -1 || arcgroup.arcs.indexOf(child) != -1) {
+				return arcgroup;
+			}
+		}
+	}
+	return null;
+};
+
+Merger.prototype.addElement = function (kind, item) {
+	var element = item.element;
+	if (this.isHandled(item.parent) || this.isHandled(element)) {
+		this.setHandled(element);
+		return;
+	}
+	this.setHandled(element);
+	var elementType = ELEMENT_TYPES[kind];
+	if (element.id != null && this.result.getElementById(element.id) != null) {
+		this.addConflict({type: ns.ConflictType.ID_COLLISION, elementType: elementType, id: element.id,
+			theirsValue: element.toXML(),
+			text: "The " + elementType + " " + element.id + " added in theirs has the id of another element of ours"});
+		return;
+	}
+
+	var parent = item.parent;
+	if (parent instanceof getModel().Arcgroup) {
+		var arcgroup = this.findArcgroup(parent);
+		if (arcgroup == null) {
+			this.result.addArcgroup(parent.deepClone(this.theirsToResult));
+			parent.glyphs.concat(parent.arcs).forEach(this.setHandled, this);
+			return;
+		}
+		arcgroup[kind == 'arcs' ? 'addArc' : 'addGlyph'](element.deepClone(this.theirsToResult));
+		return;
+	}
+	if (parent == null) {
+		this.result[kind == 'arcs' ? 'addArc' : 'addGlyph'](element.deepClone(this.theirsToResult));
+		return;
+	}
+
+	var resultParent = this.findInResult(parent);
+	if (resultParent == null) {
+		this.addConflict({type: ns.ConflictType.MODIFIED_AND_REMOVED, elementType: elementType, id: element.id,
+			attribute: 'parent', theirsValue: element.toXML(),
+			text: "The " + elementType + " " + element.id + " was added in theirs to " + parent.id + ", which is not in ours"});
+		return;
+	}
+	var clone = element.deepClone(this.theirsToResult);
+	if (kind == 'ports') {
+		resultParent.addPort(clone);
+	}
+	else if (resultParent instanceof getModel().Glyph) {
+		resultParent.addGlyphMember(clone);
+	}
+	else {
+		resultParent.addGlyph(clone);
+	}
+};
+
+/*
+	glyphs of arcs come after the arcs, so that glyphs of added arcs are added with their arc
+*/
+Merger.prototype.addNewElements = function () {
+	var glyphs = this.matchingTheirs.glyphs.added;
+	function isArcGlyph(item) {
+		return item.parent instanceof getModel().Arc;
+	}
+	var items = glyphs.filter(function (item) { return !isArcGlyph(item); }).map(function (item) {
+		return {kind: 'glyphs', item: item};
+	});
+	items = items.concat(this.matchingTheirs.ports.added.map(function (item) {
+		return {kind: 'ports', item: item};
+	}));
+	items = items.concat(this.matchingTheirs.arcs.added.map(function (item) {
+		return {kind: 'arcs', item: item};
+	}));
+	items = items.concat(glyphs.filter(isArcGlyph).map(function (item) {
+		return {kind: 'glyphs', item: item};
+	}));
+	for(var i=0; i < items.length; i++) {
+		this.addElement(items[i].kind, items[i].item);
+	}
+};
+
+Merger.prototype.removeElements = function (removals) {
+	for(var i=0; i < removals.length; i++) {
+		var item = removals[i].item;
+		var list;
+		if (removals[i].kind == 'ports') {
+			list = item.parent.ports;
+		}
+		else if (removals[i].kind == 'arcs') {
+			list = (item.parent || this.result).arcs;
+		}
+		else if (item.parent == null) {
+			list = this.result.glyphs;
+		}
+		else {
+			list = item.parent instanceof getModel().Glyph ? item.parent.glyphMembers : item.parent.glyphs;
+		}
+		var index = list.indexOf(item.element);
+		if (index != -1) {
+			list.splice(index, 1);
+		}
+	}
+	this.result.rebuildIndex();
+};
+
+function getRenderInformation(map) {
+	return map.extension != null ? map.extension.get('renderInformation') : null;
+}
+
+/*
+	three-way merge of lists of elements identified by their id
+*/
+Merger.prototype.mergeById = function (elementType, baseList, oursList, theirsList, getAttributes, addToResult) {
+	function indexById(list) {
+		var index = {};
+		for(var i=0; i < list.length; i++) {
+			index[list[i].id] = list[i];
+		}
+		return index;
+	}
+	var baseIndex = indexById(baseList);
+	var oursIndex = indexById(oursList);
+	var theirsIndex = indexById(theirsList);
+	for(var i=0; i < theirsList.length; i++) {
+		var theirs = theirsList[i];
+		var base = baseIndex[theirs.id];
+		var ours = oursIndex[theirs.id];
+		var attributes = getAttributes([base, ours, theirs]);
+		if (base == null && ours == null) {
+			addToResult(theirs.deepClone(this.theirsToResult));
+		}
+		else if (base == null) {
+			if (this.isModified(attributes, theirs, ours, identity, this.theirsToResult)) {
+				this.addConflict({type: ns.ConflictType.ID_COLLISION, elementType: elementType, id: theirs.id,
+					oursValue: ours.toXML(), theirsValue: theirs.toXML(),
+					text: "The " + elementType + " " + theirs.id + " was added on both sides with different content"});
+			}
+		}
+		else if (ours == null) {
+			if (this.isModified(attributes, base, theirs, this.theirsToResult)) {
+				this.addConflict({type: ns.ConflictType.MODIFIED_AND_REMOVED, elementType: elementType, id: theirs.id,
+					baseValue: base.toXML(), theirsValue: theirs.toXML(),
+					text: "The " + elementType + " " + theirs.id + " was removed in ours and modified in theirs"});
+			}
+		}
+		else {
+			this.mergeAttributes(elementType, attributes, base, ours, theirs, ours);
+		}
+	}
+	for(var i=0; i < baseList.length; i++) {
+		var base = baseList[i];
+		var ours = oursIndex[base.id];
+		if (theirsIndex.hasOwnProperty(base.id) || ours == null) {
+			continue;
+		}
+		if (this.isModified(getAttributes([base, ours]), base, ours, identity)) {
+			this.addConflict({type: ns.ConflictType.MODIFIED_AND_REMOVED, elementType: elementType, id: base.id,
+				baseValue: base.toXML(), oursValue: ours.toXML(),
+				text: "The " + elementType + " " + base.id + " was modified in ours and removed in theirs"});
+		}
+		else {
+			oursList.splice(oursList.indexOf(ours), 1);
+		}
+	}
+};
+
+/*
+	the merged map is a copy of ours, so the styles of ours are modified in place
+*/
+Merger.prototype.mergeRender = function () {
+	var base = getRenderInformation(this.base);
+	var result = getRenderInformation(this.result);
+	var theirs = getRenderInformation(this.theirs);
+	if (theirs == null) {
+		return;
+	}
+	if (result == null) {
+		if (base == null) {
+			if (this.result.extension == null) {
+				this.result.setExtension(new (getModel().Extension)());
+			}
+			this.result.extension.add(theirs.deepClone(this.theirsToResult));
+		}
+		return;
+	}
+	if (base != null) {
+		this.mergeAttributes('renderInformation', RENDER_INFORMATION_ATTRIBUTES, base, result, theirs, result);
+	}
+
+	function getList(renderInformation, listName, field) {
+		return renderInformation != null && renderInformation[listName] != null ?
+			renderInformation[listName][field] : [];
+	}
+	if (result.listOfColorDefinitions == null) {
+		result.setListOfColorDefinitions(new renderExt.ListOfColorDefinitions());
+	}
+	this.mergeById('colorDefinition', getList(base, 'listOfColorDefinitions', 'colorDefinitions'),
+		result.listOfColorDefinitions.colorDefinitions, getList(theirs, 'listOfColorDefinitions', 'colorDefinitions'),
+		function () { return COLOR_DEFINITION_ATTRIBUTES; }, function (colorDefinition) {
+			result.listOfColorDefinitions.addColorDefinition(colorDefinition);
+		});
+	if (result.listOfStyles == null) {
+		result.setListOfStyles(new renderExt.ListOfStyles());
+	}
+	this.mergeById('style', getList(base, 'listOfStyles', 'styles'), result.listOfStyles.styles,
+		getList(theirs, 'listOfStyles', 'styles'), getStyleAttributes, function (style) {
+			result.listOfStyles.addStyle(style);
+		});
+};
+
+/*
+	remove the references to elements that are not in the merged map anymore
+*/
+Merger.prototype.removeDanglingReferences = function () {
+	var map = this.result;
+	var self = this;
+	function exists(id) {
+		return map.getElementById(id) != null;
+	}
+	function addConflict(elementType, id, attribute, value) {
+		self.addConflict({type: ns.ConflictType.DANGLING_REFERENCE, elementType: elementType, id: id,
+			attribute: attribute, oursValue: value,
+			text: "The " + attribute + " " + value + " of " + elementType + " " + id + " is not in the merged map anymore"});
+	}
+
+	// removing an arc can leave other arcs pointing to it
+	var removed = true;
+	while (removed) {
+		removed = false;
+		var arcItems = mapDiff.listElements(map).arcs;
+		for(var i=0; i < arcItems.length; i++) {
+			var arc = arcItems[i].element;
+			var missing = ['source', 'target'].filter(function (end) { return !exists(arc[end]); });
+			if (missing.length == 0) {
+				continue;
+			}
+			missing.forEach(function (end) { addConflict('arc', arc.id, end, arc[end]); });
+			var list = (arcItems[i].parent || map).arcs;
+			list.splice(list.indexOf(arc), 1);
+			removed = true;
+		}
+		map.rebuildIndex();
+	}
+
+	var glyphItems = mapDiff.listElements(map).glyphs;
+	for(var i=0; i < glyphItems.length; i++) {
+		var glyph = glyphItems[i].element;
+		['compartmentRef', 'tagRef'].forEach(function (attribute) {
+			// the tagRef of a terminal points to a tag of another map, see libsbgn.submaps
+			if (glyph[attribute] != null && !exists(glyph[attribute]) && !(attribute == 'tagRef' && glyph.class_ == types.GlyphClass.TERMINAL)) {
+				addConflict('glyph', glyph.id, attribute, glyph[attribute]);
+				glyph[attribute] = null;
+			}
+		});
+	}
+
+	var render = getRenderInformation(map);
+	var styles = render != null && render.listOfStyles != null ? render.listOfStyles.styles : [];
+	for(var i=0; i < styles.length; i++) {
+		var ids = splitIdList(styles[i].idList);
+		var kept = ids.filter(exists);
+		if (kept.length != ids.length) {
+			addConflict('style', styles[i].id, 'idList', styles[i].idList);
+			styles[i].idList = kept.join(' ');
+		}
+	}
+};
+
+Merger.prototype.merge = function () {
+	var removals = this.mergeExisting();
+	this.addNewElements();
+	this.removeElements(removals);
+	this.mergeRender();
+	this.removeDanglingReferences();
+	return {map: this.result, conflicts: this.conflicts};
+};
+// ------- END MERGER -------
+
+/**
+ * Three-way merge of a single map.
+ * @param {Map} base the common version both sides started from
+ * @param {Map} ours
+ * @param {Map} theirs
+ * @return {{map: Map, conflicts: Conflict[]}} the merged map, a new object, and the changes of theirs that
+ * couldn't be applied
+ */
+ns.mergeMaps = function (base, ours, theirs) {
+	return new Merger(base, ours, theirs).merge();
+};
+
+/**
+ * Three-way merge of sbgn documents, or of maps.
+ * Maps of sbgn documents are merged with the map at the same position in the other documents.
+ * A map only in theirs is added to the result, a map missing in theirs is kept as in ours.
+ * @param {Sbgn|Map} base the common version both sides started from
+ * @param {Sbgn|Map} ours
+ * @param {Sbgn|Map} theirs
+ * @return {{sbgn: Sbgn, conflicts: Conflict[]}} the merged document, a new object, and the changes of theirs
+ * that couldn't be applied
+ */
+ns.merge = function (base, ours, theirs) {
+	var libsbgn = getModel();
+	if (!(base instanceof libsbgn.Sbgn)) {
+		var merged = ns.mergeMaps(base, ours, theirs);
+		return {sbgn: new libsbgn.Sbgn({xmlns: libsbgn.xmlns, maps: [merged.map]}), conflicts: merged.conflicts};
+	}
+	var sbgn = ours.deepClone();
+	var conflicts = [];
+	var count = Math.max(ours.maps.length, theirs.maps.length);
+	for(var i=0; i < count; i++) {
+		var theirsMap = theirs.maps[i];
+		if (i >= ours.maps.length) {
+			if (i >= base.maps.length) {
+				sbgn.addMap(theirsMap.deepClone());
+			}
+			continue;
+		}
+		if (theirsMap == null) {
+			continue;
+		}
+		var merged = ns.mergeMaps(base.maps[i] || new libsbgn.Map(), ours.maps[i], theirsMap);
+		sbgn.replaceMap(i, merged.map);
+		conflicts = conflicts.concat(merged.conflicts);
+	}
+	return {sbgn: sbgn, conflicts: conflicts};
+};
+
+module.exports = ns;
@@ -0,0 +1,638 @@
+/**
+ * Observable layer over the model. Once an element is observed, the setters, add, remove and replace methods
+ * of the model, like {@link Glyph#setLabel}, {@link Map#addGlyph} or {@link Map#removeGlyph}, emit a {@link ChangeEvent}
+ * for each change made to the element or to its content. Changes can be recorded in a {@link History} to be undone
+ * and redone.
+ *
+ * Attributes without setter, like the id or class of a glyph, are changed with {@link libsbgn.observable.set},
+ * lists with {@link libsbgn.observable.insert} and {@link libsbgn.observable.remove}.
+ * Changes made by assigning the fields directly can't be seen.
+ *
+ * The methods of the model are only wrapped the first time an element is observed, so the layer costs nothing
+ * when it is not used. They are wrapped on the prototypes of the model classes, for every element and for the rest
+ * of the process: the wrapped methods of an element which isn't observed just call the original ones.
+ * A {@link History} is only referenced by the element it records, it can be garbage collected with it.
+ *
+ * You can access the following classes like this: <code>libsbgn.observable.History</code>
+ * @module observable
+ * @namespace libsbgn.observable
+*/
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+
+var ns = {};
+
+ns.ChangeType = Object.freeze({
+	SET: "set",
+	ADD: "add",
+	REMOVE: "remove"
+});
+
+/*
+	mutation methods of the model, with the field they change. add methods append to the list in the field.
+	The classes are found by name in libsbgn, then in libsbgn.render and libsbgn.annot.
+*/
+var SET_METHODS = {
+	SBGNBase: {setExtension: 'extension', setNotes: 'notes'},
+	Notes: {setContent: 'content'},
+	Glyph: {setLabel: 'label', setState: 'state', setBbox: 'bbox', setClone: 'clone', setCallout: 'callout',
+		setEntity: 'entity'},
+	Label: {setBbox: 'bbox'},
+	Clone: {setLabel: 'label'},
+	Map: {setBbox: 'bbox'},
+	Arc: {setStart: 'start', setEnd: 'end'},
+	Callout: {setPoint: 'point'},
+	RenderInformation: {setListOfColorDefinitions: 'listOfColorDefinitions', setListOfStyles: 'listOfStyles',
+		setListOfBackgroundImages: 'listOfBackgroundImages'},
+	Style: {setRenderGroup: 'renderGroup', setIdListFromArray: 'idList'},
+	Annotation: {setRdfElement: 'rdfElement'}
+};
+
+var ADD_METHODS = {
+	Sbgn: {addMap: 'maps'},
+	Map: {addGlyph: 'glyphs', addArc: 'arcs', addArcgroup: 'arcgroups'},
+	Glyph: {addGlyphMember: 'glyphMembers', addPort: 'ports'},
+	Arc: {addNext: 'nexts', addGlyph: 'glyphs'},
+	Arcgroup: {addGlyph: 'glyphs', addArc: 'arcs'},
+	ListOfColorDefinitions: {addColorDefinition: 'colorDefinitions'},
+	ListOfStyles: {addStyle: 'styles'},
+	ListOfBackgroundImages: {addBackgroundImage: 'backgroundImages'}
+};
+
+// ------- CHANGEEVENT -------
+/**
+ * A change made to an element of the model.
+ * For set changes, property is the field that changed, from oldValue to newValue.
+ * For add and remove changes, property is the list that changed, index is the position of the element
+ * in the list, newValue is the added element and oldValue the removed one.
+ * @class
+ * @param {Object} params
+ * @param {string=} params.type One of the values of {@link ChangeType}
+ * @param {Object=} params.target the changed element, or the list of extensions of an {@link Extension}
+ * @param {string=} params.property
+ * @param {string=} params.method name of the method called, null for changes made by the history or by set
+ * @param {*=} params.oldValue
+ * @param {*=} params.newValue
+ * @param {number=} params.index
+ */
+var ChangeEvent = function (params) {
+	var params = checkParams(params, ['type', 'target', 'property', 'method', 'oldValue', 'newValue', 'index']);
+	this.type 		= params.type;
+	this.target 	= params.target;
+	this.property 	= params.property;
+	this.method 	= params.method;
+	this.oldValue 	= params.oldValue;
+	this.newValue 	= params.newValue;
+	this.index 		= params.index;
+};
+
+ns.ChangeEvent = ChangeEvent;
+// ------- END CHANGEEVENT -------
+
+// ------- OBSERVERS -------
+/*
+	each node of an observed tree holds the observed elements it belongs to, in the hidden property observedBy.
+	Listeners are in the hidden property changeListeners of the observed element.
+*/
+var modelClasses = null;
+
+function isNode(value) {
+	if (value == null || typeof value != 'object') {
+		return false;
+	}
+	if (Object.getPrototypeOf(value) === Object.prototype) { // list of the extensions
+		return true;
+	}
+	for(var i=0; i < modelClasses.length; i++) {
+		if (value instanceof modelClasses[i]) {
+			return true;
+		}
+	}
+	return false;
+}
+
+function forEachNode(value, fn) {
+	if (Array.isArray(value)) {
+		for(var i=0; i < value.length; i++) {
+			forEachNode(value[i], fn);
+		}
+		return;
+	}
+	if (!isNode(value)) {
+		return;
+	}
+	fn(value);
+	for (var key in value) {
+		if (value.hasOwnProperty(key)) {
+			forEachNode(value[key], fn);
+		}
+	}
+}
+
+function getObservers(node) {
+	return node.observedBy || [];
+}
+
+function attach(value, observers) {
+	if (observers.length == 0) {
+		return;
+	}
+	forEachNode(value, function (node) {
+		var current = getObservers(node);
+		var added = observers.filter(function (observer) { return current.indexOf(observer) == -1; });
+		if (added.length > 0) {
+			utils.setHiddenProperty(node, 'observedBy', current.concat(added));
+		}
+	});
+}
+
+function detach(value, observers) {
+	if (observers.length == 0) {
+		return;
+	}
+	forEachNode(value, function (node) {
+		utils.setHiddenProperty(node, 'observedBy', getObservers(node).filter(function (observer) {
+			return observers.indexOf(observer) == -1;
+		}));
+	});
+}
+
+function isObserved(node) {
+	return node.observedBy != null && node.observedBy.length > 0;
+}
+
+function emit(event) {
+	var observers = getObservers(event.target);
+	for(var i=0; i < observers.length; i++) {
+		var listeners = observers[i].changeListeners.slice();
+		for(var j=0; j < listeners.length; j++) {
+			listeners[j](event);
+		}
+	}
+}
+
+/*
+	replacing a list or changing an id bypasses the index of the map, or the index of the list of colors or images
+*/
+function refreshIndex(target, property) {
+	var libsbgn = require('./libsbgn');
+	if (property != 'id' && !Array.isArray(target[property])) {
+		return;
+	}
+	var map = target instanceof libsbgn.Map ? target : target.ownerMap;
+	if (map != null) {
+		if (map.idIndex != null) {
+			map.rebuildIndex();
+		}
+	}
+	else if (typeof target.rebuildIndex == 'function') {
+		target.rebuildIndex();
+	}
+}
+
+/*
+	elements added to or removed from a list of an element of a map are indexed or unindexed
+*/
+function updateIndex(target, added, removed) {
+	var libsbgn = require('./libsbgn');
+	var map = target instanceof libsbgn.Map ? target : target.ownerMap;
+	if (map == null) {
+		if (typeof target.rebuildIndex == 'function') {
+			target.rebuildIndex();
+		}
+		return;
+	}
+	if (removed != null) {
+		map.unindexElement(removed);
+	}
+	if (added != null) {
+		map.indexElement(added, target);
+	}
+}
+// ------- END OBSERVERS -------
+
+// ------- CHANGES -------
+function changed(target, type, property, method, oldValue, newValue, index) {
+	var observers = getObservers(target);
+	if (type != ns.ChangeType.ADD) {
+		detach(oldValue, observers);
+	}
+	if (type != ns.ChangeType.REMOVE) {
+		attach(newValue, observers);
+	}
+	emit(new ns.ChangeEvent({type: type, target: target, property: property, method: method,
+		oldValue: oldValue, newValue: newValue, index: index}));
+}
+
+function setValue(target, property, value, method) {
+	var oldValue = target[property];
+	if (value === undefined) {
+		delete target[property];
+	}
+	else {
+		target[property] = value;
+	}
+	refreshIndex(target, property);
+	changed(target, ns.ChangeType.SET, property, method, oldValue, value);
+}
+
+function insertValue(target, property, index, value, method) {
+	target[property].splice(index, 0, value);
+	updateIndex(target, value, null);
+	changed(target, ns.ChangeType.ADD, property, method, undefined, value, index);
+}
+
+function removeValue(target, property, index, method) {
+	var value = target[property].splice(index, 1)[0];
+	updateIndex(target, null, value);
+	changed(target, ns.ChangeType.REMOVE, property, method, value, undefined, index);
+	return value;
+}
+
+/**
+ * Undo a change, a new event is emitted for the reverting change.
+ * @param {ChangeEvent} event
+ */
+ns.revertChange = function (event) {
+	if (event.type == ns.ChangeType.SET) {
+		setValue(event.target, event.property, event.oldValue, null);
+	}
+	else if (event.type == ns.ChangeType.ADD) {
+		removeValue(event.target, event.property, event.index, null);
+	}
+	else {
+		insertValue(event.target, event.property, event.index, event.oldValue, null);
+	}
+};
+
+/**
+ * Make a change again after it has been reverted, a new event is emitted.
+ * @param {ChangeEvent} event
+ */
+ns.applyChange = function (event) {
+	if (event.type == ns.ChangeType.SET) {
+		setValue(event.target, event.property, event.newValue, null);
+	}
+	else if (event.type == ns.ChangeType.ADD) {
+		insertValue(event.target, event.property, event.index, event.newValue, null);
+	}
+	else {
+		removeValue(event.target, event.property, event.index, null);
+	}
+};
+
+/**
+ * Set a field of an element and emit the change, for attributes without setter like id or class_.
+ * @param {Object} element
+ * @param {string} property
+ * @param {*} value
+ */
+ns.set = function (element, property, value) {
+	setValue(element, property, value, null);
+};
+
+/**
+ * Insert an element in a list field of another element and emit the change.
+ * @param {Object} element
+ * @param {string} property name of the list field, like glyphs
+ * @param {number} index
+ * @param {*} value
+ * @param {string=} method name of the method of the model making the change
+ */
+ns.insert = function (element, property, index, value, method) {
+	insertValue(element, property, index, value, method || null);
+};
+
+/**
+ * Remove an element from a list field of another element and emit the change.
+ * @param {Object} element
+ * @param {string} property name of the list field, like glyphs
+ * @param {number} index
+ * @param {string=} method name of the method of the model making the change
+ * @return {*} the removed element
+ */
+ns.remove = function (element, property, index, method) {
+	return removeValue(element, property, index, method || null);
+};
+
+/*
+	histories having recorded changes in the batch being run, and depth of the batches being run.
+	The list is emptied at the end of each batch, so it never keeps a history alive.
+*/
+var pendingHistories = [];
+var batchDepth = 0;
+
+/**
+ * Make all the changes done by fn a single step of the histories, for the methods of the model
+ * making several changes, like {@link Map#removeGlyph} removing the arcs of the glyph too.
+ * @param {function()} fn
+ * @return {*} the value returned by fn
+ */
+ns.batch = function (fn) {
+	batchDepth++;
+	try {
+		return fn();
+	}
+	finally {
+		batchDepth--;
+		if (batchDepth == 0) {
+			var pending = pendingHistories;
+			pendingHistories = [];
+			pending.forEach(function (history) {
+				history.flush();
+			});
+		}
+	}
+};
+// ------- END CHANGES -------
+
+// ------- INSTRUMENTATION -------
+function findClass(name) {
+	var libsbgn = require('./libsbgn');
+	var Class = libsbgn[name] || libsbgn.render[name] || libsbgn.annot[name];
+	if (Class == null) {
+		throw new Error("Can't make the model observable, class " + name + " not found");
+	}
+	return Class;
+}
+
+function wrapSetter(Class, method, property) {
+	var original = Class.prototype[method];
+	Class.prototype[method] = function () {
+		if (!isObserved(this)) {
+			return original.apply(this, arguments);
+		}
+		var oldValue = this[property];
+		var result = original.apply(this, arguments);
+		if (this[property] !== oldValue) {
+			changed(this, ns.ChangeType.SET, property, method, oldValue, this[property]);
+		}
+		return result;
+	};
+}
+
+function wrapAdder(Class, method, property) {
+	var original = Class.prototype[method];
+	Class.prototype[method] = function () {
+		if (!isObserved(this)) {
+			return original.apply(this, arguments);
+		}
+		var result = original.apply(this, arguments);
+		var index = this[property].length - 1;
+		changed(this, ns.ChangeType.ADD, property, method, undefined, this[property][index], index);
+		return result;
+	};
+}
+
+/*
+	the extensions are kept by name in the list field, the change is a set on the list
+*/
+function wrapExtensionAdd(Extension) {
+	var original = Extension.prototype.add;
+	Extension.prototype.add = function () {
+		if (!isObserved(this)) {
+			return original.apply(this, arguments);
+		}
+		var before = {};
+		for (var name in this.list) {
+			before[name] = this.list[name];
+		}
+		var result = original.apply(this, arguments);
+		for (var name in this.list) {
+			if (this.list[name] !== before[name]) {
+				changed(this.list, ns.ChangeType.SET, name, 'add', before[name], this.list[name]);
+			}
+		}
+		return result;
+	};
+}
+
+function instrument() {
+	if (modelClasses != null) {
+		return;
+	}
+	var libsbgn = require('./libsbgn');
+	modelClasses = [];
+	[libsbgn, libsbgn.render, libsbgn.annot].forEach(function (namespace) {
+		for (var name in namespace) {
+			var Class = namespace[name];
+			if (typeof Class == 'function' && Class.prototype != null && modelClasses.indexOf(Class) == -1) {
+				modelClasses.push(Class);
+			}
+		}
+	});
+	for (var name in SET_METHODS) {
+		for (var method in SET_METHODS[name]) {
+			wrapSetter(findClass(name), method, SET_METHODS[name][method]);
+		}
+	}
+	for (var name in ADD_METHODS) {
+		for (var method in ADD_METHODS[name]) {
+			wrapAdder(findClass(name), method, ADD_METHODS[name][method]);
+		}
+	}
+	wrapExtensionAdd(libsbgn.Extension);
+}
+// ------- END INSTRUMENTATION -------
+
+/**
+ * Listen to the changes of an element and of all its content.
+ * The first call wraps the methods of the prototypes of the model classes, for all their elements.
+ * @param {Object} element any element of the model, usually an {@link Sbgn} or a {@link Map}
+ * @param {function(ChangeEvent)} listener
+ * @return {function()} stops listening, same as {@link libsbgn.observable.unobserve}
+ */
+ns.observe = function (element, listener) {
+	instrument();
+	if (element.changeListeners == null) {
+		utils.setHiddenProperty(element, 'changeListeners', []);
+	}
+	element.changeListeners.push(listener);
+	attach(element, [element]);
+	return function () {
+		ns.unobserve(element, listener);
+	};
+};
+
+/**
+ * @param {Object} element
+ * @param {function(ChangeEvent)} listener
+ */
+ns.unobserve = function (element, listener) {
+	var listeners = element.changeListeners || [];
+	var index = listeners.indexOf(listener);
+	if (index == -1) {
+		return;
+	}
+	listeners.splice(index, 1);
+	if (listeners.length == 0) {
+		detach(element, [element]);
+	}
+};
+
+// ------- HISTORY -------
+/**
+ * Undo/redo history of the changes made to an element and its content.
+ * Each call to a method of the model is one step of the history, several changes can be grouped
+ * into one step with {@link History#transaction}.
+ * @class
+ * @param {Object} element the element recorded, usually an {@link Sbgn} or a {@link Map}
+ * @param {Object=} params
+ * @param {number=} params.limit maximum number of steps kept, default is no limit
+ */
+var History = function (element, params) {
+	var params = checkParams(params, ['limit']);
+	this.element = element;
+	this.limit = params.limit;
+	this.undoStack = [];
+	this.redoStack = [];
+	this.group = null;
+	this.pending = [];
+	this.replaying = false;
+	this.listener = this.record.bind(this);
+	ns.observe(element, this.listener);
+};
+
+History.prototype.record = function (event) {
+	if (this.replaying) {
+		return;
+	}
+	if (this.group != null) {
+		this.group.push(event);
+		return;
+	}
+	this.pending.push(event);
+	if (batchDepth == 0) {
+		this.flush();
+	}
+	else if (pendingHistories.indexOf(this) == -1) {
+		pendingHistories.push(this);
+	}
+};
+
+/*
+	the changes of the batch that just ended become one step
+*/
+History.prototype.flush = function () {
+	if (this.pending.length > 0) {
+		var events = this.pending;
+		this.pending = [];
+		this.push(events);
+	}
+};
+
+History.prototype.push = function (events) {
+	this.undoStack.push(events);
+	this.redoStack = [];
+	if (this.limit != null && this.undoStack.length > this.limit) {
+		this.undoStack.shift();
+	}
+};
+
+/**
+ * Make all the changes done by fn a single step of the history.
+ * @param {function()} fn
+ */
+History.prototype.transaction = function (fn) {
+	if (this.group != null) { // nested transactions are part of the outer one
+		fn();
+		return;
+	}
+	this.group = [];
+	try {
+		fn();
+	}
+	finally {
+		var events = this.group;
+		this.group = null;
+		if (events.length > 0) {
+			this.push(events);
+		}
+	}
+};
+
+/**
+ * @return {boolean}
+ */
+History.prototype.canUndo = function () {
+	return this.undoStack.length > 0;
+};
+
+/**
+ * @return {boolean}
+ */
+History.prototype.canRedo = function () {
+	return this.redoStack.length > 0;
+};
+
+/**
+ * Revert the last step. The reverting changes are emitted to the listeners, but not recorded.
+ * @return {boolean} false if there was nothing to undo
+ */
+History.prototype.undo = function () {
+	if (!this.canUndo()) {
+		return false;
+	}
+	var events = this.undoStack.pop();
+	this.replay(function () {
+		for(var i=events.length - 1; i >= 0; i--) {
+			ns.revertChange(events[i]);
+		}
+	});
+	this.redoStack.push(events);
+	return true;
+};
+
+/**
+ * Make the last undone step again.
+ * @return {boolean} false if there was nothing to redo
+ */
+History.prototype.redo = function () {
+	if (!this.canRedo()) {
+		return false;
+	}
+	var events = this.redoStack.pop();
+	this.replay(function () {
+		for(var i=0; i < events.length; i++) {
+			ns.applyChange(events[i]);
+		}
+	});
+	this.undoStack.push(events);
+	return true;
+};
+
+History.prototype.replay = function (fn) {
+	this.replaying = true;
+	try {
+		fn();
+	}
+	finally {
+		this.replaying = false;
+	}
+};
+
+/**
+ * Forget all the steps.
+ */
+History.prototype.clear = function () {
+	this.undoStack = [];
+	this.redoStack = [];
+};
+
+/**
+ * Stop recording the changes.
+ */
+History.prototype.dispose = function () {
+	ns.unobserve(this.element, this.listener);
+	this.clear();
+	this.pending = [];
+	var index = pendingHistories.indexOf(this);
+	if (index != -1) {
+		pendingHistories.splice(index, 1);
+	}
+};
+
+ns.History = History;
+// ------- END HISTORY -------
+
+module.exports = ns;
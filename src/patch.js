@@ -0,0 +1,391 @@
+/**
+ * Patches are JSON arrays of operations applied in order on an sbgn document, to store an operation log
+ * or to send edits between clients without the whole document.
+ *
+ * Each operation is a plain object with an op field, one of the values of {@link Operation}, and a mapId field,
+ * the id of the map to edit (the first map if missing). Elements are given as xml, and identified by their id.
+ * <ul>
+ * <li>addGlyph / removeGlyph: {id, parentId, index, glyph}. parentId is the glyph or arc containing the glyph,
+ * null for a glyph of the map. index is its position in its parent, default is at the end.</li>
+ * <li>addArc / removeArc: {id, arcgroup, index, arc}. arcgroup is the position of the arcgroup containing the arc,
+ * null for an arc of the map.</li>
+ * <li>setLabelText: {id, oldValue, value}</li>
+ * <li>moveBbox: {id, oldValue, value}, values are objects {x, y, w, h}</li>
+ * <li>setStyleProperty: {styleId, property, oldValue, value}, for a property of the render group of the style</li>
+ * <li>addAnnotationResource / removeAnnotationResource: {id, about, relation, resource}.
+ * id is the annotated element, the map if missing. about is the subject of the rdf description,
+ * default is #id. relation is a qualifier like bqbiol:is. Once applied, changed tells if the resource was
+ * actually added or removed, when it wasn't the inverse does nothing.</li>
+ * </ul>
+ * The ids of an added element and of the ports, glyphs and arcs it contains must not be used in the map yet.
+ *
+ * To be inverted, an operation needs the values it replaces, like oldValue or the xml of a removed element.
+ * {@link libsbgn.patch.applyPatch} returns the patch completed with them.
+ * @module patch
+ * @namespace libsbgn.patch
+*/
+var mapDiff = require('./mapDiff');
+var renderExt = require('./libsbgn-render');
+var annotExt = require('./libsbgn-annotations');
+var annotUtils = require('./annotation-utils');
+
+var ns = {};
+
+/*
+	the model is required lazily, as libsbgn itself exposes this module
+*/
+function getModel() {
+	return require('./libsbgn');
+}
+
+ns.Operation = Object.freeze({
+	ADD_GLYPH: "addGlyph",
+	REMOVE_GLYPH: "removeGlyph",
+	ADD_ARC: "addArc",
+	REMOVE_ARC: "removeArc",
+	SET_LABEL_TEXT: "setLabelText",
+	MOVE_BBOX: "moveBbox",
+	SET_STYLE_PROPERTY: "setStyleProperty",
+	ADD_ANNOTATION_RESOURCE: "addAnnotationResource",
+	REMOVE_ANNOTATION_RESOURCE: "removeAnnotationResource"
+});
+
+var Operation = ns.Operation;
+
+var INVERSES = {};
+INVERSES[Operation.ADD_GLYPH] = Operation.REMOVE_GLYPH;
+INVERSES[Operation.REMOVE_GLYPH] = Operation.ADD_GLYPH;
+INVERSES[Operation.ADD_ARC] = Operation.REMOVE_ARC;
+INVERSES[Operation.REMOVE_ARC] = Operation.ADD_ARC;
+INVERSES[Operation.SET_LABEL_TEXT] = Operation.SET_LABEL_TEXT;
+INVERSES[Operation.MOVE_BBOX] = Operation.MOVE_BBOX;
+INVERSES[Operation.SET_STYLE_PROPERTY] = Operation.SET_STYLE_PROPERTY;
+INVERSES[Operation.ADD_ANNOTATION_RESOURCE] = Operation.REMOVE_ANNOTATION_RESOURCE;
+INVERSES[Operation.REMOVE_ANNOTATION_RESOURCE] = Operation.ADD_ANNOTATION_RESOURCE;
+
+function copyOperation(operation) {
+	return JSON.parse(JSON.stringify(operation));
+}
+
+function getMap(sbgn, mapId) {
+	if (mapId == null) {
+		if (sbgn.maps.length == 0) {
+			throw new Error("Patch can't be applied, the sbgn has no map");
+		}
+		return sbgn.maps[0];
+	}
+	for(var i=0; i < sbgn.maps.length; i++) {
+		if (sbgn.maps[i].id == mapId) {
+			return sbgn.maps[i];
+		}
+	}
+	throw new Error("Patch can't be applied, no map with id " + mapId);
+}
+
+function getElement(map, id, Class, name) {
+	var element = map.getElementById(id);
+	if (!(element instanceof Class)) {
+		throw new Error("Patch can't be applied, no " + name + " with id " + id + " in map " + map.id);
+	}
+	return element;
+}
+
+function findItem(items, element) {
+	for(var i=0; i < items.length; i++) {
+		if (items[i].element === element) {
+			return items[i];
+		}
+	}
+	return null;
+}
+
+/*
+	list of glyphs containing the glyph to add or remove, the map, a glyph or an arc
+*/
+function getGlyphList(map, parentId) {
+	if (parentId == null) {
+		return map.glyphs;
+	}
+	var parent = map.getElementById(parentId);
+	var libsbgn = getModel();
+	if (parent instanceof libsbgn.Glyph) {
+		return parent.glyphMembers;
+	}
+	if (parent instanceof libsbgn.Arc) {
+		return parent.glyphs;
+	}
+	throw new Error("Patch can't be applied, no glyph or arc with id " + parentId + " in map " + map.id);
+}
+
+/*
+	list of arcs containing the arc to add or remove, the map or one of its arcgroups given by its position
+*/
+function getArcList(map, arcgroup) {
+	if (arcgroup == null) {
+		return map.arcs;
+	}
+	if (map.arcgroups[arcgroup] == null) {
+		throw new Error("Patch can't be applied, no arcgroup at position " + arcgroup + " in map " + map.id);
+	}
+	return map.arcgroups[arcgroup].arcs;
+}
+
+/*
+	the ids of an element to add and of everything it contains must be new in the map, and unique
+*/
+function checkNewIds(map, element) {
+	var ids = [];
+	(function collect(element) {
+		if (element.id != null) {
+			ids.push(element.id);
+		}
+		(element.ports || []).concat(element.glyphMembers || [], element.glyphs || []).forEach(collect);
+	})(element);
+	ids.forEach(function (id, i) {
+		if (map.getElementById(id) != null || ids.indexOf(id) != i) {
+			throw new Error("Patch can't be applied, there is already an element with id " + id + " in map " + map.id);
+		}
+	});
+}
+
+function insert(list, element, index) {
+	if (index == null || index > list.length) {
+		index = list.length;
+	}
+	list.splice(index, 0, element);
+	return index;
+}
+
+function getRenderGroup(map, styleId) {
+	var render = map.extension != null ? map.extension.get('renderInformation') : null;
+	var styles = render != null && render.listOfStyles != null ? render.listOfStyles.styles : [];
+	for(var i=0; i < styles.length; i++) {
+		if (styles[i].id == styleId) {
+			if (styles[i].renderGroup == null) {
+				styles[i].setRenderGroup(new renderExt.RenderGroup());
+			}
+			return styles[i].renderGroup;
+		}
+	}
+	throw new Error("Patch can't be applied, no style with id " + styleId + " in map " + map.id);
+}
+
+function getRdfElement(element, create) {
+	var annotation = element.extension != null ? element.extension.get('annotation') : null;
+	if (annotation == null || annotation.rdfElement == null) {
+		if (!create) {
+			return null;
+		}
+		if (element.extension == null) {
+			element.setExtension(new (getModel().Extension)());
+		}
+		if (annotation == null) {
+			annotation = new annotExt.Annotation();
+			element.extension.add(annotation);
+		}
+		annotation.setRdfElement(new annotExt.RdfElement());
+	}
+	return annotation.rdfElement;
+}
+
+/*
+	an annotation without any triple left is removed, so that adding a resource and removing it gives back the element
+*/
+function removeEmptyAnnotation(element) {
+	var annotation = element.extension.get('annotation');
+	if (annotation.rdfElement.store.countTriples(null, null, null) > 0) {
+		return;
+	}
+	delete element.extension.list['annotation'];
+	if (Object.keys(element.extension.list).length == 0) {
+		element.setExtension(null);
+	}
+}
+
+/*
+	RdfElement.fromString stores the relative subjects like #glyph1 as /#glyph1, toXML removes the slash
+*/
+function getSubject(rdfElement, about) {
+	var ids = rdfElement.getAllIds();
+	if (ids.indexOf(about) == -1 && about.charAt(0) == '#') {
+		return '/' + about;
+	}
+	return about;
+}
+
+function hasResource(rdfElement, subject, relation, resource) {
+	var resources = rdfElement.getResourcesOfId(subject)[annotUtils.expandPrefix(relation)] || [];
+	return resources.indexOf(resource) != -1;
+}
+
+function getAnnotated(map, operation) {
+	if (operation.id == null || operation.id == map.id) {
+		return map;
+	}
+	var element = map.getElementById(operation.id);
+	if (element == null) {
+		throw new Error("Patch can't be applied, no element with id " + operation.id + " in map " + map.id);
+	}
+	return element;
+}
+
+/*
+	apply one operation, and return it completed with the values replaced
+*/
+function applyOperation(sbgn, operation) {
+	var libsbgn = getModel();
+	var map = getMap(sbgn, operation.mapId);
+	var done = copyOperation(operation);
+	switch (operation.op) {
+		case Operation.ADD_GLYPH:
+			var glyph = libsbgn.Glyph.fromXML(operation.glyph);
+			checkNewIds(map, glyph);
+			done.index = insert(getGlyphList(map, operation.parentId), glyph, operation.index);
+			done.id = glyph.id;
+			map.rebuildIndex();
+			break;
+		case Operation.REMOVE_GLYPH:
+			var glyph = getElement(map, operation.id, libsbgn.Glyph, 'glyph');
+			var item = findItem(mapDiff.listElements(map).glyphs, glyph);
+			if (item.parent instanceof libsbgn.Arcgroup) {
+				throw new Error("Patch can't be applied, the glyph " + operation.id + " is in an arcgroup");
+			}
+			var list = getGlyphList(map, item.parentId);
+			done.parentId = item.parentId;
+			done.index = list.indexOf(glyph);
+			done.glyph = glyph.toXML();
+			list.splice(done.index, 1);
+			map.rebuildIndex();
+			break;
+		case Operation.ADD_ARC:
+			var arc = libsbgn.Arc.fromXML(operation.arc);
+			checkNewIds(map, arc);
+			done.index = insert(getArcList(map, operation.arcgroup), arc, operation.index);
+			done.id = arc.id;
+			map.rebuildIndex();
+			break;
+		case Operation.REMOVE_ARC:
+			var arc = getElement(map, operation.id, libsbgn.Arc, 'arc');
+			var item = findItem(mapDiff.listElements(map).arcs, arc);
+			done.arcgroup = item.parent != null ? map.arcgroups.indexOf(item.parent) : null;
+			var list = getArcList(map, done.arcgroup);
+			done.index = list.indexOf(arc);
+			done.arc = arc.toXML();
+			list.splice(done.index, 1);
+			map.rebuildIndex();
+			break;
+		case Operation.SET_LABEL_TEXT:
+			var glyph = getElement(map, operation.id, libsbgn.Glyph, 'glyph');
+			done.oldValue = glyph.label != null ? glyph.label.text : null;
+			if (operation.value == null) {
+				glyph.setLabel(null);
+			}
+			else if (glyph.label == null) {
+				glyph.setLabel(new libsbgn.Label({text: operation.value}));
+			}
+			else {
+				glyph.label.text = operation.value;
+			}
+			break;
+		case Operation.MOVE_BBOX:
+			var glyph = getElement(map, operation.id, libsbgn.Glyph, 'glyph');
+			var bbox = glyph.bbox;
+			done.oldValue = bbox == null ? null : {x: bbox.x, y: bbox.y, w: bbox.w, h: bbox.h};
+			glyph.setBbox(operation.value == null ? null : new libsbgn.Bbox(copyOperation(operation.value)));
+			break;
+		case Operation.SET_STYLE_PROPERTY:
+			var renderGroup = getRenderGroup(map, operation.styleId);
+			if (!renderGroup.hasOwnProperty(operation.property)) {
+				throw new Error("Patch can't be applied, unknown style property " + operation.property);
+			}
+			done.oldValue = renderGroup[operation.property];
+			renderGroup[operation.property] = operation.value;
+			break;
+		case Operation.ADD_ANNOTATION_RESOURCE:
+		case Operation.REMOVE_ANNOTATION_RESOURCE:
+			var element = getAnnotated(map, operation);
+			done.about = operation.about != null ? operation.about : '#' + element.id;
+			var rdfElement = getRdfElement(element, operation.op == Operation.ADD_ANNOTATION_RESOURCE);
+			var kvObject = {};
+			kvObject[operation.relation] = operation.resource;
+			var subject = rdfElement != null ? getSubject(rdfElement, done.about) : null;
+			var present = rdfElement != null && hasResource(rdfElement, subject, operation.relation, operation.resource);
+			if (operation.op == Operation.ADD_ANNOTATION_RESOURCE) {
+				done.changed = !present;
+				if (done.changed) {
+					rdfElement.addResource(subject, kvObject);
+				}
+			}
+			else {
+				done.changed = present;
+				if (done.changed) {
+					rdfElement.removeResource(subject, kvObject);
+					removeEmptyAnnotation(element);
+				}
+			}
+			break;
+		default:
+			throw new Error("Patch can't be applied, unknown operation " + operation.op);
+	}
+	return done;
+}
+
+/**
+ * Apply the operations of the patch in order. If an operation fails, the operations already applied
+ * are reverted and the error is thrown, so the sbgn is left as it was.
+ * @param {Sbgn} sbgn edited in place
+ * @param {Object[]} patch
+ * @return {Object[]} the patch completed with the values it replaced, that can be given to {@link libsbgn.patch.invertPatch}
+ */
+ns.applyPatch = function (sbgn, patch) {
+	var done = [];
+	try {
+		for(var i=0; i < patch.length; i++) {
+			done.push(applyOperation(sbgn, patch[i]));
+		}
+	}
+	catch(e) {
+		var undo = ns.invertPatch(done);
+		for(var i=0; i < undo.length; i++) {
+			applyOperation(sbgn, undo[i]);
+		}
+		throw e;
+	}
+	return done;
+};
+
+/**
+ * Patch reverting the given patch: the inverse operations, in reverse order.
+ * @param {Object[]} patch
+ * @return {Object[]}
+ */
+ns.invertPatch = function (patch) {
+	var inverse = [];
+	for(var i=patch.length - 1; i >= 0; i--) {
+		var operation = patch[i];
+		if (!INVERSES.hasOwnProperty(operation.op)) {
+			throw new Error("Patch can't be inverted, unknown operation " + operation.op);
+		}
+		// an annotation resource that was already there, or already missing, is left as it is
+		if ((operation.op == Operation.ADD_ANNOTATION_RESOURCE || operation.op == Operation.REMOVE_ANNOTATION_RESOURCE)
+				&& operation.changed === false) {
+			continue;
+		}
+		var inverted = copyOperation(operation);
+		inverted.op = INVERSES[operation.op];
+		if (operation.op == Operation.REMOVE_GLYPH && operation.glyph == null
+				|| operation.op == Operation.REMOVE_ARC && operation.arc == null
+				|| operation.hasOwnProperty('value') && !operation.hasOwnProperty('oldValue')) {
+			throw new Error("Patch can't be inverted, the operation " + operation.op + " on " +
+				(operation.id || operation.styleId) + " doesn't have the value it replaces");
+		}
+		if (operation.hasOwnProperty('value')) {
+			inverted.value = operation.oldValue;
+			inverted.oldValue = operation.value;
+		}
+		inverse.push(inverted);
+	}
+	return inverse;
+};
+
+module.exports = ns;
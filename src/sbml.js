@@ -0,0 +1,792 @@
+/**
+ * Import of SBML Level 3 models, with their Layout and Render packages, as Process Description maps.
+ *
+ * The glyphs of the layout become the glyphs of the map and keep their ids, so that the styles of the render
+ * information still apply to them: compartment glyphs are compartments, species glyphs are entity pool nodes
+ * whose class is given by the SBO term of their species, and reaction glyphs are processes whose class is given
+ * by the SBO term of their reaction. The species references of the reactions become consumption and production arcs
+ * attached to the two ports of the process, or production arcs on both sides for reversible reactions, and the modifiers
+ * become modulation arcs, whose class is given by their SBO term or the role of their glyph. An empty side of a reaction
+ * gets a source and sink glyph. Species drawn several times get a clone marker.
+ *
+ * Models without layout give a map without coordinates, with a glyph for each compartment, species and reaction
+ * having the id of the element of the model.
+ *
+ * You can access it like this: <code>libsbgn.sbml.fromSBML(string)</code>
+ * @module sbml
+ * @namespace libsbgn.sbml
+*/
+var xml2js = require('xml2js');
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+var types = require('./libsbgn-types');
+
+var ns = {};
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+var GlyphClass = types.GlyphClass;
+var ArcClass = types.ArcClass;
+
+/**
+ * Glyph class of the species having each SBO term, the others are unspecified entities.
+ * @type {Object.<string, string>}
+ */
+ns.speciesClasses = Object.freeze({
+	'SBO:0000247': GlyphClass.SIMPLE_CHEMICAL,
+	'SBO:0000327': GlyphClass.SIMPLE_CHEMICAL,
+	'SBO:0000328': GlyphClass.SIMPLE_CHEMICAL,
+	'SBO:0000245': GlyphClass.MACROMOLECULE,
+	'SBO:0000246': GlyphClass.MACROMOLECULE,
+	'SBO:0000252': GlyphClass.MACROMOLECULE,
+	'SBO:0000250': GlyphClass.NUCLEIC_ACID_FEATURE,
+	'SBO:0000251': GlyphClass.NUCLEIC_ACID_FEATURE,
+	'SBO:0000354': GlyphClass.NUCLEIC_ACID_FEATURE,
+	'SBO:0000253': GlyphClass.COMPLEX,
+	'SBO:0000291': GlyphClass.SOURCE_AND_SINK,
+	'SBO:0000405': GlyphClass.PERTURBING_AGENT,
+	'SBO:0000358': GlyphClass.PHENOTYPE
+});
+
+/**
+ * Glyph class of the reactions having each SBO term, the others are processes.
+ * @type {Object.<string, string>}
+ */
+ns.reactionClasses = Object.freeze({
+	'SBO:0000397': GlyphClass.OMITTED_PROCESS,
+	'SBO:0000396': GlyphClass.UNCERTAIN_PROCESS,
+	'SBO:0000177': GlyphClass.ASSOCIATION,
+	'SBO:0000180': GlyphClass.DISSOCIATION
+});
+
+/**
+ * Arc class of the modifiers having each SBO term, the others are modulations unless the role of their glyph
+ * says otherwise.
+ * @type {Object.<string, string>}
+ */
+ns.modifierClasses = Object.freeze({
+	'SBO:0000013': ArcClass.CATALYSIS,
+	'SBO:0000460': ArcClass.CATALYSIS,
+	'SBO:0000020': ArcClass.INHIBITION,
+	'SBO:0000536': ArcClass.INHIBITION,
+	'SBO:0000537': ArcClass.INHIBITION,
+	'SBO:0000459': ArcClass.STIMULATION,
+	'SBO:0000462': ArcClass.STIMULATION,
+	'SBO:0000461': ArcClass.NECESSARY_STIMULATION,
+	'SBO:0000019': ArcClass.MODULATION
+});
+
+/*
+	roles of the species reference glyphs of the layout
+*/
+var ROLE_CLASSES = {
+	substrate: ArcClass.CONSUMPTION,
+	sidesubstrate: ArcClass.CONSUMPTION,
+	product: ArcClass.PRODUCTION,
+	sideproduct: ArcClass.PRODUCTION,
+	activator: ArcClass.STIMULATION,
+	inhibitor: ArcClass.INHIBITION,
+	modifier: ArcClass.MODULATION
+};
+
+/*
+	attributes of the render groups of SBML and their name in the render extension of SBGN-ML
+*/
+var RENDER_ATTRIBUTES = {
+	'stroke': 'stroke',
+	'stroke-width': 'strokeWidth',
+	'fill': 'fill',
+	'font-family': 'fontFamily',
+	'font-size': 'fontSize',
+	'font-weight': 'fontWeight',
+	'font-style': 'fontStyle',
+	'text-anchor': 'textAnchor',
+	'vtext-anchor': 'vtextAnchor'
+};
+
+// ------- XML ACCESS -------
+/*
+	the namespaces of SBML packages are given by prefixes that vary between files,
+	they are removed from the names of elements and attributes
+*/
+function parse(string) {
+	var parser = new xml2js.Parser({
+		tagNameProcessors: [xml2js.processors.stripPrefix],
+		attrNameProcessors: [xml2js.processors.stripPrefix]
+	});
+	var parsed, error;
+	try {
+		parser.parseString(string, function (err, result) {
+			error = err;
+			parsed = result;
+		});
+	}
+	catch(e) {
+		error = e;
+	}
+	if (error) {
+		throw utils.toParseError(error);
+	}
+	return parsed;
+}
+
+function children(element, name) {
+	return element != null && Array.isArray(element[name]) ? element[name].filter(function (child) {
+		return child != null && typeof child == 'object';
+	}) : [];
+}
+
+function child(element, name) {
+	return children(element, name)[0] || null;
+}
+
+/*
+	elements of a list element, like the species of listOfSpecies
+*/
+function listItems(element, listName, itemName) {
+	return children(child(element, listName), itemName);
+}
+
+function attribute(element, name) {
+	return element != null && element.$ != null && element.$[name] != null ? element.$[name] : null;
+}
+
+function numberAttribute(element, name) {
+	var value = attribute(element, name);
+	return value != null && value !== '' && !isNaN(Number(value)) ? Number(value) : null;
+}
+// ------- END XML ACCESS -------
+
+function getBoundingBox(element) {
+	var boundingBox = child(element, 'boundingBox');
+	var position = child(boundingBox, 'position');
+	var dimensions = child(boundingBox, 'dimensions');
+	if (position == null || dimensions == null) {
+		return null;
+	}
+	return new (getModel().Bbox)({
+		x: numberAttribute(position, 'x') || 0,
+		y: numberAttribute(position, 'y') || 0,
+		w: numberAttribute(dimensions, 'width') || 0,
+		h: numberAttribute(dimensions, 'height') || 0
+	});
+}
+
+/*
+	points of a curve of the layout, the base points of cubic beziers are left out
+*/
+function getCurvePoints(element) {
+	var points = [];
+	listItems(child(element, 'curve'), 'listOfCurveSegments', 'curveSegment').forEach(function (segment) {
+		[child(segment, 'start'), child(segment, 'end')].forEach(function (point) {
+			var x = numberAttribute(point, 'x'), y = numberAttribute(point, 'y');
+			if (x == null || y == null) {
+				return;
+			}
+			var last = points[points.length - 1];
+			if (last == null || last.x != x || last.y != y) {
+				points.push({x: x, y: y});
+			}
+		});
+	});
+	return points;
+}
+
+function getCenter(glyph) {
+	return glyph != null && glyph.bbox != null ?
+		{x: glyph.bbox.x + glyph.bbox.w / 2, y: glyph.bbox.y + glyph.bbox.h / 2} : null;
+}
+
+function distance(a, b) {
+	return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2));
+}
+
+/*
+	size of the processes drawn from the curve of their reaction glyph
+*/
+var PROCESS_SIZE = 20;
+
+/*
+	everything read from the model, indexed by the ids of its elements
+*/
+function readModel(model) {
+	var index = function (list) {
+		var byId = {};
+		list.forEach(function (element) {
+			if (attribute(element, 'id') != null) {
+				byId[attribute(element, 'id')] = element;
+			}
+		});
+		return byId;
+	};
+	var reactions = listItems(model, 'listOfReactions', 'reaction');
+	var speciesReferences = {};
+	reactions.forEach(function (reaction) {
+		['listOfReactants', 'listOfProducts'].forEach(function (listName) {
+			listItems(reaction, listName, 'speciesReference').forEach(function (reference) {
+				if (attribute(reference, 'id') != null) {
+					speciesReferences[attribute(reference, 'id')] = reference;
+				}
+			});
+		});
+		listItems(reaction, 'listOfModifiers', 'modifierSpeciesReference').forEach(function (reference) {
+			if (attribute(reference, 'id') != null) {
+				speciesReferences[attribute(reference, 'id')] = reference;
+			}
+		});
+	});
+	return {
+		compartments: index(listItems(model, 'listOfCompartments', 'compartment')),
+		species: index(listItems(model, 'listOfSpecies', 'species')),
+		reactions: index(reactions),
+		speciesReferences: speciesReferences
+	};
+}
+
+function getLabel(element) {
+	var text = attribute(element, 'name') || attribute(element, 'id');
+	return text != null ? new (getModel().Label)({text: text}) : null;
+}
+
+function getSpeciesClass(species) {
+	var sboTerm = attribute(species, 'sboTerm');
+	return ns.speciesClasses.hasOwnProperty(sboTerm) ? ns.speciesClasses[sboTerm] : GlyphClass.UNSPECIFIED_ENTITY;
+}
+
+function getReactionClass(reaction) {
+	var sboTerm = attribute(reaction, 'sboTerm');
+	return ns.reactionClasses.hasOwnProperty(sboTerm) ? ns.reactionClasses[sboTerm] : GlyphClass.PROCESS;
+}
+
+/*
+	the SBO terms are tried in order, then the role of the glyph
+*/
+function getModifierClass(sboTerms, role) {
+	for (var i=0; i < sboTerms.length; i++) {
+		if (ns.modifierClasses.hasOwnProperty(sboTerms[i])) {
+			return ns.modifierClasses[sboTerms[i]];
+		}
+	}
+	return isModifierRole(role) ? ROLE_CLASSES[role] : ArcClass.MODULATION;
+}
+
+function isModifierRole(role) {
+	return ROLE_CLASSES.hasOwnProperty(role) && ROLE_CLASSES[role] != ArcClass.CONSUMPTION &&
+		ROLE_CLASSES[role] != ArcClass.PRODUCTION;
+}
+
+/*
+	the species references of a reaction as {reference, species, kind}, kind being reactant, product or modifier
+*/
+function getParticipants(reaction) {
+	var participants = [];
+	listItems(reaction, 'listOfReactants', 'speciesReference').forEach(function (reference) {
+		participants.push({reference: reference, species: attribute(reference, 'species'), kind: 'reactant'});
+	});
+	listItems(reaction, 'listOfProducts', 'speciesReference').forEach(function (reference) {
+		participants.push({reference: reference, species: attribute(reference, 'species'), kind: 'product'});
+	});
+	listItems(reaction, 'listOfModifiers', 'modifierSpeciesReference').forEach(function (reference) {
+		participants.push({reference: reference, species: attribute(reference, 'species'), kind: 'modifier'});
+	});
+	return participants;
+}
+
+/*
+	class of the arc of a participant, whether it goes from the process to the species, and the port of the process
+	it is attached to: the first one for the reactants and the second one for the products
+*/
+function getArcClass(participant, reaction, role, glyphSboTerm) {
+	var roleClass = ROLE_CLASSES[role];
+	if (participant.kind == 'modifier' ||
+		(participant.kind == null && roleClass != ArcClass.CONSUMPTION && roleClass != ArcClass.PRODUCTION)) {
+		return {class_: getModifierClass([glyphSboTerm, attribute(participant.reference, 'sboTerm')], role), fromProcess: false,
+			port: null};
+	}
+	var kind = participant.kind || (roleClass == ArcClass.CONSUMPTION ? 'reactant' : 'product');
+	return getSideArcClass(reaction, kind == 'reactant' ? 0 : 1);
+}
+
+/*
+	class of the arcs on a side of a process, production arcs on both sides for reversible reactions
+*/
+function getSideArcClass(reaction, port) {
+	if (port == 1 || attribute(reaction, 'reversible') == 'true') {
+		return {class_: ArcClass.PRODUCTION, fromProcess: true, port: port};
+	}
+	return {class_: ArcClass.CONSUMPTION, fromProcess: false, port: port};
+}
+
+/*
+	arc between a species glyph and a process, the points of the curve of the layout are put in the direction
+	of the arc, as the curves of the layout usually go from the reaction to the species
+*/
+function makeArc(map, params) {
+	var libsbgn = getModel();
+	var process = params.process;
+	var species = params.species;
+	var processEnd = params.arcClass.port != null ? process.ports[params.arcClass.port].id : process.id;
+	var arc = new libsbgn.Arc({
+		id: params.id != null && !map.getIdGenerator().isUsed(params.id) ? params.id : map.getIdGenerator().next('arc'),
+		class_: params.arcClass.class_,
+		source: params.arcClass.fromProcess ? processEnd : species.id,
+		target: params.arcClass.fromProcess ? species.id : processEnd
+	});
+	var sourcePosition = getEndPosition(map, arc.source);
+	var points = (params.points || []).slice();
+	if (points.length >= 2 && sourcePosition != null &&
+		distance(points[points.length - 1], sourcePosition) < distance(points[0], sourcePosition)) {
+		points.reverse();
+	}
+	if (points.length < 2) {
+		points = [sourcePosition, getEndPosition(map, arc.target)].filter(function (point) {
+			return point != null;
+		});
+	}
+	if (points.length >= 2) {
+		arc.setStart(new libsbgn.Start(points[0]));
+		points.slice(1, -1).forEach(function (point) {
+			arc.addNext(new libsbgn.Next(point));
+		});
+		arc.setEnd(new libsbgn.End(points[points.length - 1]));
+	}
+	var stoichiometry = numberAttribute(params.reference, 'stoichiometry');
+	if (stoichiometry != null && stoichiometry != 1 && params.arcClass.class_ != ArcClass.MODULATION &&
+		ns.modifierClasses[attribute(params.reference, 'sboTerm')] == null) {
+		arc.addGlyph(new libsbgn.Glyph({
+			id: map.getIdGenerator().next('glyph'),
+			class_: GlyphClass.CARDINALITY,
+			label: new libsbgn.Label({text: stoichiometry})
+		}));
+	}
+	map.addArc(arc);
+	return arc;
+}
+
+function getEndPosition(map, id) {
+	var element = map.getElementById(id);
+	if (element instanceof getModel().Port) {
+		return isNaN(element.x) || isNaN(element.y) ? null : {x: element.x, y: element.y};
+	}
+	return getCenter(element);
+}
+
+/*
+	process glyph of a reaction glyph, the curve of the reaction gives its position and its two ports.
+	Without curve, the ports are on the left and right of the bounding box, or have no position without bounding box.
+*/
+function makeProcess(map, id, reaction, reactionGlyph) {
+	var libsbgn = getModel();
+	var glyph = new libsbgn.Glyph({id: id, class_: getReactionClass(reaction)});
+	var bbox = reactionGlyph != null ? getBoundingBox(reactionGlyph) : null;
+	var curve = reactionGlyph != null ? getCurvePoints(reactionGlyph) : [];
+	if (curve.length >= 2) {
+		var start = curve[0], end = curve[curve.length - 1];
+		var center = {x: (start.x + end.x) / 2, y: (start.y + end.y) / 2};
+		if (bbox == null) {
+			bbox = new libsbgn.Bbox({x: center.x - PROCESS_SIZE / 2, y: center.y - PROCESS_SIZE / 2, w: PROCESS_SIZE, h: PROCESS_SIZE});
+		}
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph), x: start.x, y: start.y}));
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph), x: end.x, y: end.y}));
+		glyph.orientation = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y) ? types.Orientation.HORIZONTAL :
+			types.Orientation.VERTICAL;
+	}
+	else if (bbox != null) {
+		var y = bbox.y + bbox.h / 2;
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph), x: bbox.x - bbox.w / 2, y: y}));
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph), x: bbox.x + bbox.w * 3 / 2, y: y}));
+		glyph.orientation = types.Orientation.HORIZONTAL;
+	}
+	else {
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph)}));
+		glyph.addPort(new libsbgn.Port({id: map.getIdGenerator().next('port', glyph)}));
+	}
+	if (bbox != null) {
+		glyph.setBbox(bbox);
+	}
+	return glyph;
+}
+
+/*
+	source and sink glyph for each side of a process without consumption or production arc, put past the port
+	of that side when the process has a position. It is in the compartment of a species connected to the process.
+*/
+function addSourceAndSinks(map, process, reaction) {
+	var libsbgn = getModel();
+	var ends = [process.id].concat(process.ports.map(function (port) { return port.id; }));
+	var compartmentRef = null;
+	map.arcs.forEach(function (arc) {
+		var other = ends.indexOf(arc.source) != -1 ? arc.target : ends.indexOf(arc.target) != -1 ? arc.source : null;
+		var glyph = other != null ? map.getElementById(other) : null;
+		if (compartmentRef == null && glyph instanceof libsbgn.Glyph) {
+			compartmentRef = glyph.compartmentRef;
+		}
+	});
+	if (compartmentRef == null) {
+		compartmentRef = map.glyphs.filter(function (glyph) {
+			return glyph.class_ == GlyphClass.COMPARTMENT;
+		}).map(function (glyph) {
+			return glyph.id;
+		})[0];
+	}
+	var center = getCenter(process);
+	process.ports.forEach(function (port, i) {
+		var isUsed = map.arcs.some(function (arc) {
+			return arc.source == port.id || arc.target == port.id;
+		});
+		if (isUsed) {
+			return;
+		}
+		var glyph = new libsbgn.Glyph({
+			id: map.getIdGenerator().next('glyph'),
+			class_: GlyphClass.SOURCE_AND_SINK,
+			compartmentRef: compartmentRef
+		});
+		var position = getEndPosition(map, port.id);
+		if (position != null && center != null) {
+			var length = distance(position, center) || 1;
+			var x = position.x + (position.x - center.x) / length * PROCESS_SIZE * 2;
+			var y = position.y + (position.y - center.y) / length * PROCESS_SIZE * 2;
+			glyph.setBbox(new libsbgn.Bbox({x: x - PROCESS_SIZE / 2, y: y - PROCESS_SIZE / 2, w: PROCESS_SIZE, h: PROCESS_SIZE}));
+		}
+		map.addGlyph(glyph);
+		makeArc(map, {process: process, species: glyph, reference: null, arcClass: getSideArcClass(reaction, i)});
+	});
+}
+
+/*
+	glyphs and arcs of a layout
+*/
+function readLayout(map, model, layout) {
+	var libsbgn = getModel();
+	var dimensions = child(layout, 'dimensions');
+	if (dimensions != null) {
+		map.setBbox(new libsbgn.Bbox({x: 0, y: 0, w: numberAttribute(dimensions, 'width') || 0,
+			h: numberAttribute(dimensions, 'height') || 0}));
+	}
+	var elements = {compartment: [], species: [], process: [], arc: [], roles: {}};
+	var compartmentGlyphs = {};
+	listItems(layout, 'listOfCompartmentGlyphs', 'compartmentGlyph').forEach(function (compartmentGlyph) {
+		var compartmentId = attribute(compartmentGlyph, 'compartment');
+		var glyph = new libsbgn.Glyph({
+			id: attribute(compartmentGlyph, 'id'),
+			class_: GlyphClass.COMPARTMENT,
+			label: getLabel(model.compartments[compartmentId] || null),
+			bbox: getBoundingBox(compartmentGlyph),
+			compartmentOrder: numberAttribute(compartmentGlyph, 'order')
+		});
+		map.addGlyph(glyph);
+		elements.compartment.push(glyph.id);
+		if (compartmentId != null && !compartmentGlyphs.hasOwnProperty(compartmentId)) {
+			compartmentGlyphs[compartmentId] = glyph.id;
+		}
+	});
+
+	var speciesGlyphs = {};
+	listItems(layout, 'listOfSpeciesGlyphs', 'speciesGlyph').forEach(function (speciesGlyph) {
+		var species = model.species[attribute(speciesGlyph, 'species')] || null;
+		var glyph = new libsbgn.Glyph({
+			id: attribute(speciesGlyph, 'id'),
+			class_: getSpeciesClass(species),
+			label: getLabel(species),
+			bbox: getBoundingBox(speciesGlyph),
+			compartmentRef: compartmentGlyphs[attribute(species, 'compartment')]
+		});
+		map.addGlyph(glyph);
+		elements.species.push(glyph.id);
+		var speciesId = attribute(speciesGlyph, 'species');
+		speciesGlyphs[speciesId] = (speciesGlyphs[speciesId] || []).concat(glyph);
+	});
+	// species drawn several times are clones
+	Object.keys(speciesGlyphs).forEach(function (speciesId) {
+		if (speciesGlyphs[speciesId].length > 1) {
+			speciesGlyphs[speciesId].forEach(function (glyph) {
+				if (glyph.class_ != GlyphClass.SOURCE_AND_SINK) {
+					glyph.setClone(new libsbgn.Clone());
+				}
+			});
+		}
+	});
+
+	var glyphsById = {};
+	elements.species.forEach(function (id) {
+		glyphsById[id] = map.getElementById(id);
+	});
+	listItems(layout, 'listOfReactionGlyphs', 'reactionGlyph').forEach(function (reactionGlyph) {
+		var reaction = model.reactions[attribute(reactionGlyph, 'reaction')] || null;
+		var process = makeProcess(map, attribute(reactionGlyph, 'id'), reaction, reactionGlyph);
+		map.addGlyph(process);
+		elements.process.push(process.id);
+		var participants = getParticipants(reaction);
+		var drawn = [];
+		listItems(reactionGlyph, 'listOfSpeciesReferenceGlyphs', 'speciesReferenceGlyph').forEach(function (referenceGlyph) {
+			var species = glyphsById[attribute(referenceGlyph, 'speciesGlyph')];
+			if (species == null) {
+				return;
+			}
+			var reference = model.speciesReferences[attribute(referenceGlyph, 'speciesReference')] || null;
+			var participant = participants.filter(function (participant) {
+				return participant.reference === reference;
+			})[0] || {reference: reference, kind: null};
+			drawn.push(participant.reference);
+			var role = attribute(referenceGlyph, 'role');
+			var arc = makeArc(map, {
+				id: attribute(referenceGlyph, 'id'),
+				process: process,
+				species: species,
+				reference: participant.reference,
+				arcClass: getArcClass(participant, reaction, role, attribute(referenceGlyph, 'sboTerm')),
+				points: getCurvePoints(referenceGlyph)
+			});
+			elements.arc.push(arc.id);
+			if (role != null) {
+				elements.roles[role] = (elements.roles[role] || []).concat(arc.id);
+			}
+		});
+		// participants without glyph are connected to the first glyph of their species
+		participants.forEach(function (participant) {
+			if (drawn.indexOf(participant.reference) != -1 || !speciesGlyphs.hasOwnProperty(participant.species)) {
+				return;
+			}
+			var arc = makeArc(map, {
+				id: attribute(participant.reference, 'id'),
+				process: process,
+				species: speciesGlyphs[participant.species][0],
+				reference: participant.reference,
+				arcClass: getArcClass(participant, reaction, null, null)
+			});
+			elements.arc.push(arc.id);
+		});
+		addSourceAndSinks(map, process, reaction);
+	});
+
+	listItems(layout, 'listOfTextGlyphs', 'textGlyph').forEach(function (textGlyph) {
+		var glyph = map.getElementById(attribute(textGlyph, 'graphicalObject'));
+		if (!(glyph instanceof libsbgn.Glyph)) {
+			return;
+		}
+		var text = attribute(textGlyph, 'text');
+		var origin = attribute(textGlyph, 'originOfText');
+		var originElement = model.species[origin] || model.compartments[origin] || model.reactions[origin] || null;
+		var label = text != null ? new libsbgn.Label({text: text}) : getLabel(originElement) || glyph.label;
+		if (label == null) {
+			return;
+		}
+		label.setBbox(getBoundingBox(textGlyph));
+		glyph.setLabel(label);
+	});
+	return elements;
+}
+
+/*
+	glyphs and arcs of a model without layout, having the ids of the model
+*/
+function readModelWithoutLayout(map, model) {
+	var libsbgn = getModel();
+	Object.keys(model.compartments).forEach(function (id) {
+		map.addGlyph(new libsbgn.Glyph({id: id, class_: GlyphClass.COMPARTMENT, label: getLabel(model.compartments[id])}));
+	});
+	Object.keys(model.species).forEach(function (id) {
+		var species = model.species[id];
+		map.addGlyph(new libsbgn.Glyph({
+			id: id,
+			class_: getSpeciesClass(species),
+			label: getLabel(species),
+			compartmentRef: attribute(species, 'compartment')
+		}));
+	});
+	Object.keys(model.reactions).forEach(function (id) {
+		var reaction = model.reactions[id];
+		var process = makeProcess(map, id, reaction, null);
+		map.addGlyph(process);
+		getParticipants(reaction).forEach(function (participant) {
+			var species = map.getElementById(participant.species);
+			if (!(species instanceof libsbgn.Glyph)) {
+				return;
+			}
+			makeArc(map, {
+				id: attribute(participant.reference, 'id'),
+				process: process,
+				species: species,
+				reference: participant.reference,
+				arcClass: getArcClass(participant, reaction, null, null)
+			});
+		});
+		addSourceAndSinks(map, process, reaction);
+	});
+}
+
+// ------- RENDER -------
+function toRenderValue(value) {
+	return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+}
+
+/*
+	render information of the map from the one of SBML: colors, styles and images. Gradients and line endings have
+	no equivalent, the styles referencing them keep their other attributes. The roleList and typeList of the styles
+	are replaced by the ids of the elements they apply to, and the styles are ordered so that the ones given by id
+	come after the ones given by role, themselves after the ones given by type, as the last style of an element wins.
+*/
+function readRenderInformation(map, renderInformation, elements) {
+	var render = getModel().render;
+	var generator = map.getIdGenerator();
+	function newId(id, kind) {
+		return id != null && !generator.isUsed(id) ? id : generator.next(kind);
+	}
+	var result = new render.RenderInformation({
+		id: newId(attribute(renderInformation, 'id'), 'renderInformation'),
+		name: attribute(renderInformation, 'name'),
+		programName: attribute(renderInformation, 'programName'),
+		programVersion: attribute(renderInformation, 'programVersion'),
+		backgroundColor: attribute(renderInformation, 'backgroundColor')
+	});
+	var colors = {};
+	var colorDefinitions = listItems(renderInformation, 'listOfColorDefinitions', 'colorDefinition');
+	if (colorDefinitions.length > 0) {
+		var listOfColorDefinitions = new render.ListOfColorDefinitions();
+		colorDefinitions.forEach(function (colorDefinition) {
+			var id = attribute(colorDefinition, 'id');
+			colors[id] = newId(id, 'colorDefinition');
+			listOfColorDefinitions.addColorDefinition(new render.ColorDefinition({id: colors[id], value: attribute(colorDefinition, 'value')}));
+		});
+		result.setListOfColorDefinitions(listOfColorDefinitions);
+	}
+	function getColor(value) {
+		if (value == null) {
+			return null;
+		}
+		if (colors.hasOwnProperty(value)) {
+			return colors[value];
+		}
+		// gradients and unknown references are dropped
+		return /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value) ? value : null;
+	}
+
+	var listOfBackgroundImages = new render.ListOfBackgroundImages();
+	var specificities = [[], [], []];
+	listItems(renderInformation, 'listOfStyles', 'style').forEach(function (style) {
+		var group = child(style, 'g');
+		if (group == null) {
+			return;
+		}
+		var ids = [];
+		var add = function (list) {
+			list.forEach(function (id) {
+				if (ids.indexOf(id) == -1) {
+					ids.push(id);
+				}
+			});
+		};
+		var specificity = 0;
+		(attribute(style, 'typeList') || '').split(/\s+/).filter(Boolean).forEach(function (type) {
+			type = type.toUpperCase();
+			var byType = {COMPARTMENTGLYPH: elements.compartment, SPECIESGLYPH: elements.species,
+				REACTIONGLYPH: elements.process, SPECIESREFERENCEGLYPH: elements.arc};
+			if (type == 'ANY' || type == 'GRAPHICALOBJECT') {
+				add(elements.compartment.concat(elements.species, elements.process, elements.arc));
+			}
+			else if (byType.hasOwnProperty(type)) {
+				add(byType[type]);
+			}
+		});
+		(attribute(style, 'roleList') || '').split(/\s+/).filter(Boolean).forEach(function (role) {
+			specificity = 1;
+			add(elements.roles[role] || []);
+		});
+		var idList = (attribute(style, 'idList') || '').split(/\s+/).filter(Boolean);
+		if (idList.length > 0) {
+			specificity = 2;
+			add(idList);
+		}
+		var params = {};
+		for (var name in RENDER_ATTRIBUTES) {
+			var value = attribute(group, name);
+			if (value != null) {
+				params[RENDER_ATTRIBUTES[name]] = toRenderValue(value);
+			}
+		}
+		['fill', 'stroke'].forEach(function (name) {
+			if (params[name] != null) {
+				params[name] = getColor(params[name]);
+			}
+		});
+		var image = child(group, 'image');
+		if (attribute(image, 'href') != null) {
+			var imageId = generator.next('backgroundImage');
+			listOfBackgroundImages.addBackgroundImage(new render.BackgroundImage({id: imageId, value: attribute(image, 'href')}));
+			params.backgroundImage = imageId;
+		}
+		if (ids.length == 0) {
+			return;
+		}
+		specificities[specificity].push(new render.Style({
+			id: newId(attribute(style, 'id'), 'style'),
+			name: attribute(style, 'name'),
+			idList: ids.join(' '),
+			renderGroup: new render.RenderGroup(params)
+		}));
+	});
+	var listOfStyles = new render.ListOfStyles();
+	specificities[0].concat(specificities[1], specificities[2]).forEach(function (style) {
+		listOfStyles.addStyle(style);
+	});
+	result.setListOfStyles(listOfStyles);
+	if (listOfBackgroundImages.backgroundImages.length > 0) {
+		result.setListOfBackgroundImages(listOfBackgroundImages);
+	}
+	return result;
+}
+// ------- END RENDER -------
+
+/**
+ * Read an SBML Level 3 model, with its layout and render information when it has them, as a Process Description map.
+ * @param {string} string xml of the SBML document
+ * @param {Object=} params
+ * @param {string=} params.layout id of the layout to read, the first one by default
+ * @return {Map}
+ * @throws {Error} if the xml can't be parsed, isn't an SBML Level 3 document, or has no layout with the given id
+ */
+ns.fromSBML = function (string, params) {
+	var libsbgn = getModel();
+	var params = checkParams(params, ['layout']);
+	var parsed = parse(string);
+	var sbml = parsed != null ? parsed.sbml : null;
+	if (sbml == null) {
+		throw new Error("Bad SBML provided, the root element isn't sbml");
+	}
+	if (String(attribute(sbml, 'level')) != '3') {
+		throw new Error("Only SBML Level 3 can be read, this document is of level " + attribute(sbml, 'level'));
+	}
+	var modelElement = child(sbml, 'model');
+	var model = readModel(modelElement);
+	var listOfLayouts = child(modelElement, 'listOfLayouts');
+	var layouts = children(listOfLayouts, 'layout');
+	var layout = layouts[0] || null;
+	if (params.layout != null) {
+		layout = layouts.filter(function (layout) {
+			return attribute(layout, 'id') == params.layout;
+		})[0];
+		if (layout == null) {
+			throw new Error("No layout with id " + params.layout + " in the SBML document");
+		}
+	}
+
+	var map = new libsbgn.Map({id: attribute(modelElement, 'id'), language: types.Language.PD});
+	if (layout == null) {
+		readModelWithoutLayout(map, model);
+		return map;
+	}
+	var elements = readLayout(map, model, layout);
+	// the render information of the layout comes before the global one
+	var renderInformation = listItems(layout, 'listOfRenderInformation', 'renderInformation')[0] ||
+		listItems(listOfLayouts, 'listOfGlobalRenderInformation', 'renderInformation')[0];
+	if (renderInformation != null) {
+		map.setExtension(new libsbgn.Extension());
+		map.extension.add(readRenderInformation(map, renderInformation, elements));
+	}
+	return map;
+};
+
+module.exports = ns;
@@ -1,65 +1,282 @@
-var ns = {};
-var xml2js = require('xml2js');
-var Issue =  require('./Issue').Issue;
-ns.doValidation = function(file) {
- 	try {
-  		var isoContent= loadXMLDoc("templatelibsbgn.xslt");
-		file = file.replace('libsbgn/0.3', 'libsbgn/0.2');
-		var xml = new DOMParser().parseFromString(file, "text/xml");
-		var xsltProcessor = new XSLTProcessor();
-	        var result ;
-		if (window.ActiveXObject || xhttp.responseType == "msxml-document")
- 		 {
-  			result = xml.transformNode(xsl);
-  		}
-		// code for Chrome, Firefox, Opera, etc.
-		else if (document.implementation && document.implementation.createDocument)
- 		 {
- 			 xsltProcessor = new XSLTProcessor();
-  		         xsltProcessor.importStylesheet(isoContent);
- 			 result = xsltProcessor.transformToFragment(xml, document);
-  		}
-		var tmp = document.createElement("div");
-		tmp.appendChild(result);
-		result = tmp.innerHTML; 
-		var parseString = xml2js.parseString;
-		var parsedResult;
-		parseString(result, function (err, data) {
-    			parsedResult = data;
-		});
-		var errors = [];
-		if(parsedResult["svrl:schematron-output"]["svrl:failed-assert"] == undefined)
-			return errors;
-		var errCount= parsedResult["svrl:schematron-output"]["svrl:failed-assert"].length;
-		for(var i=0;i<errCount;i++){
-		   var error = new Issue();
-		   error.setText(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["svrl:text"]);
-		   error.setPattern(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["$"]["id"]); 
-		   error.setRole(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["svrl:diagnostic-reference"][0]["_"]);	
-		   errors.push(error);	 			
-		}
-					
-		//console.log(result["svrl:schematron-output"]["svrl:failed-assert"][0]);
-		return errors;
-	}
-	catch(e) {
-		console.log(e);
-		return false;
-	}	
-}
-function loadXMLDoc(filename)
-{
-	if (window.ActiveXObject)
-  	{
-  		xhttp = new ActiveXObject("Msxml2.XMLHTTP");
-  	}
-	else 
-  	{
- 		 xhttp = new XMLHttpRequest();
-  	}
-	xhttp.open("GET", filename, false);
-	try {xhttp.responseType = "msxml-document"} catch(err) {} // Helping IE11
-	xhttp.send("");
-	return xhttp.responseXML;
-}
-module.exports = ns;
+var ns = {};
+var xml2js = require('xml2js');
+var fs = require('fs');
+var path = require('path');
+var xpath = require('xpath');
+var DOMParserNode = require('@xmldom/xmldom').DOMParser;
+var Issue =  require('./Issue').Issue;
+var Severity = require('./Issue').Severity;
+var formatVersions = require('./formatVersions');
+
+ns.xsltFile = path.join(__dirname, 'templatelibsbgn.xslt');
+
+var XSL_NS = 'http://www.w3.org/1999/XSL/Transform';
+var SVRL_NS = 'http://purl.oclc.org/dsdl/svrl';
+
+ns.doValidation = function(file) {
+	// XSLTProcessor only exists in browsers, in node we evaluate the rules ourselves
+	if (typeof window == 'undefined' || typeof XSLTProcessor == 'undefined') {
+		return ns.doNodeValidation(file);
+	}
+ 	try {
+  		var isoContent= loadXMLDoc("templatelibsbgn.xslt");
+		// the compiled rules expect the namespace of SBGN-ML 0.2
+		file = formatVersions.setNamespaceOfXML(file, formatVersions.Version.V0_2);
+		var xml = new DOMParser().parseFromString(file, "text/xml");
+		var xsltProcessor = new XSLTProcessor();
+	        var result ;
+		if (window.ActiveXObject || xhttp.responseType == "msxml-document")
+ 		 {
+  			result = xml.transformNode(xsl);
+  		}
+		// code for Chrome, Firefox, Opera, etc.
+		else if (document.implementation && document.implementation.createDocument)
+ 		 {
+ 			 xsltProcessor = new XSLTProcessor();
+  		         xsltProcessor.importStylesheet(isoContent);
+ 			 result = xsltProcessor.transformToFragment(xml, document);
+  		}
+		var tmp = document.createElement("div");
+		tmp.appendChild(result);
+		result = tmp.innerHTML; 
+		var parseString = xml2js.parseString;
+		var parsedResult;
+		parseString(result, function (err, data) {
+    			parsedResult = data;
+		});
+		var errors = [];
+		if(parsedResult["svrl:schematron-output"]["svrl:failed-assert"] == undefined)
+			return errors;
+		var errCount= parsedResult["svrl:schematron-output"]["svrl:failed-assert"].length;
+		for(var i=0;i<errCount;i++){
+		   var error = new Issue();
+		   error.setText(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["svrl:text"]);
+		   error.setPattern(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["$"]["id"]); 
+		   error.setRole(parsedResult["svrl:schematron-output"]["svrl:failed-assert"][i]["svrl:diagnostic-reference"][0]["_"]);	
+		   errors.push(error);	 			
+		}
+					
+		//console.log(result["svrl:schematron-output"]["svrl:failed-assert"][0]);
+		return errors;
+	}
+	catch(e) {
+		console.log(e);
+		return false;
+	}	
+}
+function loadXMLDoc(filename)
+{
+	if (window.ActiveXObject)
+  	{
+  		xhttp = new ActiveXObject("Msxml2.XMLHTTP");
+  	}
+	else 
+  	{
+ 		 xhttp = new XMLHttpRequest();
+  	}
+	xhttp.open("GET", filename, false);
+	try {xhttp.responseType = "msxml-document"} catch(err) {} // Helping IE11
+	xhttp.send("");
+	return xhttp.responseXML;
+}
+
+/*
+	Node implementation of the validation.
+	The schematron rules are read from the compiled templatelibsbgn.xslt. Each rule template gives a match
+	pattern, a list of variables and the tests of its asserts, all of them XPath 1.0 expressions that
+	can be evaluated directly with the xpath module.
+*/
+var cachedRules = null;
+
+/**
+ * Extract the rules from the compiled schematron stylesheet.
+ * Only the first time, result is kept in cache.
+ * @return {Object[]}
+ */
+ns.loadRules = function () {
+	if (cachedRules != null) {
+		return cachedRules;
+	}
+	var xslt = new DOMParserNode().parseFromString(fs.readFileSync(ns.xsltFile, 'utf8'), 'text/xml');
+	var rulesByMode = {};
+	var modes = [];
+	var templates = xslt.getElementsByTagNameNS(XSL_NS, 'template');
+	for(var i=0; i < templates.length; i++) {
+		var template = templates[i];
+		// the actual rules have priority 1000, others are the default templates of each mode
+		if (template.getAttribute('priority') != '1000') {
+			continue;
+		}
+		var rule = {
+			match: template.getAttribute('match').trim(),
+			variables: [],
+			asserts: []
+		};
+		for(var j=0; j < template.childNodes.length; j++) {
+			var child = template.childNodes[j];
+			if (child.namespaceURI == XSL_NS && child.localName == 'variable') {
+				rule.variables.push({name: child.getAttribute('name'), select: parseExpression(child.getAttribute('select'))});
+			}
+			else if (child.namespaceURI == XSL_NS && child.localName == 'choose') {
+				rule.asserts.push(parseAssert(child));
+			}
+		}
+		var mode = template.getAttribute('mode');
+		if (!rulesByMode.hasOwnProperty(mode)) {
+			modes.push(mode);
+		}
+		// as in xslt, when 2 templates match the same thing in the same mode, the last one wins
+		rulesByMode[mode] = rule;
+	}
+	cachedRules = modes.map(function (mode) { return rulesByMode[mode]; });
+	return cachedRules;
+};
+
+// xpath module doesn't accept spaces between a function name and its parenthesis, like: not (@id)
+function parseExpression(expression) {
+	return xpath.parse(expression.replace(/\b(?!and\b|or\b|div\b|mod\b)([\w-]+)\s+\(/g, '$1('));
+}
+
+function parseAssert(chooseElement) {
+	var when = chooseElement.getElementsByTagNameNS(XSL_NS, 'when')[0];
+	var failedAssert = chooseElement.getElementsByTagNameNS(SVRL_NS, 'failed-assert')[0];
+	var assert = {
+		test: parseExpression(when.getAttribute('test')),
+		id: null,
+		role: null,
+		text: failedAssert.getElementsByTagNameNS(SVRL_NS, 'text')[0].textContent.replace(/\s+/g, ' ').trim(),
+		diagnostic: null
+	};
+	var attributes = failedAssert.getElementsByTagNameNS(XSL_NS, 'attribute');
+	for(var i=0; i < attributes.length; i++) {
+		var name = attributes[i].getAttribute('name');
+		if (name == 'id' || name == 'role') {
+			assert[name] = attributes[i].textContent.trim();
+		}
+	}
+	// the first diagnostic gives the id of the faulty element
+	var diagnostic = failedAssert.getElementsByTagNameNS(SVRL_NS, 'diagnostic-reference')[0];
+	if (diagnostic) {
+		var valueOf = diagnostic.getElementsByTagNameNS(XSL_NS, 'value-of')[0];
+		assert.diagnostic = parseExpression(valueOf.getAttribute('select'));
+	}
+	return assert;
+}
+
+/**
+ * XPath-like location of a node, with the position of each element among its siblings of the same name.
+ * The root element has no position, like /sbgn/map[1]/glyph[2].
+ * @param {Node} node
+ * @return {string}
+ */
+function getLocation(node) {
+	var location = '';
+	while (node && node.nodeType == 1) {
+		var parent = node.parentNode;
+		if (!parent || parent.nodeType != 1) {
+			return '/' + node.localName + location;
+		}
+		var position = 1;
+		for(var sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+			if (sibling.nodeType == 1 && sibling.localName == node.localName) {
+				position++;
+			}
+		}
+		location = '/' + node.localName + '[' + position + ']' + location;
+		node = parent;
+	}
+	return location;
+}
+
+/*
+	document parsed by xmldom, or the issue of the first error met while parsing it. The errors xmldom can recover
+	from count too, as the rules would be evaluated on a partial document.
+*/
+function parseDocument(file) {
+	var error = null;
+	function onError(level, message, context) {
+		if (level != 'warning' && error == null) {
+			error = {message: message, locator: context && context.locator};
+		}
+	}
+	var xml = null;
+	try {
+		xml = new DOMParserNode({onError: onError}).parseFromString(String(file), 'text/xml');
+	}
+	catch(e) {
+		if (error == null) {
+			error = {message: e.message, locator: e.locator};
+		}
+	}
+	if (error == null) {
+		return {xml: xml, issue: null};
+	}
+	var text = "Bad XML provided, " + error.message;
+	if (error.locator != null && error.locator.lineNumber != null) {
+		text += " at line " + error.locator.lineNumber + ", column " + error.locator.columnNumber;
+	}
+	return {xml: null, issue: new Issue({text: text, severity: Severity.ERROR})};
+}
+
+/**
+ * @param {String} file
+ * @return {Issue[]} a single issue if the file isn't well formed xml
+ */
+ns.doNodeValidation = function(file) {
+	var parsed = parseDocument(file);
+	if (parsed.issue != null) {
+		return [parsed.issue];
+	}
+	var xml = parsed.xml;
+	// the rules use the sbgn prefix, bind it to whatever namespace the document is using
+	var namespaces = {sbgn: xml.documentElement.namespaceURI || ''};
+	var errors = [];
+	var rules = ns.loadRules();
+	for(var i=0; i < rules.length; i++) {
+		var rule = rules[i];
+		// relative patterns of xslt can match at any depth
+		var match = rule.match.charAt(0) == '/' ? rule.match : '//' + rule.match;
+		var nodes = xpath.parse(match).select({node: xml, namespaces: namespaces});
+		for(var j=0; j < nodes.length; j++) {
+			var options = {
+				node: nodes[j],
+				namespaces: namespaces,
+				variables: {},
+				functions: {current: currentFunction(nodes[j])}
+			};
+			for(var k=0; k < rule.variables.length; k++) {
+				var variable = rule.variables[k];
+				options.variables[variable.name] = variable.select.evaluate(options);
+			}
+			for(var k=0; k < rule.asserts.length; k++) {
+				var assert = rule.asserts[k];
+				if (assert.test.evaluateBoolean(options)) {
+					continue;
+				}
+				var error = new Issue({
+					text: assert.text,
+					pattern: assert.id,
+					severity: assert.role,
+					elementType: nodes[j].localName,
+					location: getLocation(nodes[j])
+				});
+				if (assert.diagnostic) {
+					var elementId = assert.diagnostic.evaluateString(options);
+					error.setElementId(elementId);
+					error.setRole(elementId);
+				}
+				errors.push(error);
+			}
+		}
+	}
+	return errors;
+};
+
+// xslt current() function, always returns the node matched by the rule
+function currentFunction(node) {
+	return function () {
+		return node;
+	};
+}
+
+module.exports = ns;
@@ -0,0 +1,346 @@
+/**
+ * Streaming reader of SBGN-ML documents, to handle very large maps.
+ * The document is read with sax and the glyphs, arcs and arcgroups of each map are emitted
+ * one by one, as soon as their closing tag is read. Only the xml of the current element is kept in memory,
+ * never the xml2js tree of the whole document.
+ *
+ * Emitted events:
+ * <ul>
+ * <li>sbgn (sbgn): the sbgn element, without its maps</li>
+ * <li>map (map, sbgn): start of a map, with its attributes only</li>
+ * <li>glyph (glyph, map), arc (arc, map), arcgroup (arcgroup, map): a top level element of the map</li>
+ * <li>mapEnd (map, sbgn): end of a map, its bbox, notes and extension are now set</li>
+ * <li>end (sbgn): end of the document, notes and extension of the sbgn element are now set</li>
+ * <li>error (error): a parse error including line and column, or a bad XML error</li>
+ * </ul>
+ * @module streamParser
+ * @namespace libsbgn.streamParser
+*/
+var sax = require('sax');
+var EventEmitter = require('events').EventEmitter;
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+
+var ns = {};
+
+/*
+	children of each level of the document that are built with their own fromObj.
+	The model is required lazily, as libsbgn itself exposes this module.
+*/
+var MAP_CHILDREN = ['glyph', 'arc', 'arcgroup', 'bbox', 'notes', 'extension'];
+var SBGN_CHILDREN = ['notes', 'extension'];
+var ADD_METHODS = {glyph: 'addGlyph', arc: 'addArc', arcgroup: 'addArcgroup'};
+var CLASS_NAMES = {
+	sbgn: 'Sbgn',
+	map: 'Map',
+	glyph: 'Glyph',
+	arc: 'Arc',
+	arcgroup: 'Arcgroup',
+	bbox: 'Bbox',
+	notes: 'Notes',
+	extension: 'Extension'
+};
+
+function escapeXml(string) {
+	return string.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;').replace(/\n/g, '&#xA;');
+}
+
+function openTag(node, selfClosing) {
+	var tag = '<' + node.name;
+	for (var attr in node.attributes) {
+		tag += ' ' + attr + '="' + escapeXml(String(node.attributes[attr])) + '"';
+	}
+	return tag + (selfClosing ? '/>' : '>');
+}
+
+// ------- STREAMPARSER -------
+/**
+ * Push based parser, to be fed with chunks of the document.
+ * @class
+ * @extends EventEmitter
+ * @param {Object} params
+ * @param {boolean=} params.keepElements if true, the emitted elements are also added to their map,
+ * and the maps to the sbgn. Default is false.
+ */
+var StreamParser = function (params) {
+	EventEmitter.call(this);
+	var params = checkParams(params, ['keepElements']);
+	this.keepElements = params.keepElements || false;
+
+	this.sbgn = null;
+	this.map = null;
+	this.depth = 0;
+	this.failed = false;
+	this.ended = false;
+	this.finished = false;
+	// true between the tags of a map, before its element may even be parsed
+	this.inMap = false;
+	// parsed elements waiting for the ones before them, so that the events keep the order of the document
+	this.queue = [];
+	// xml of the element currently recorded, and its depth
+	this.recordName = null;
+	this.recordDepth = null;
+	this.record = null;
+
+	this.saxParser = sax.parser(true);
+	this.saxParser.onopentag = this.onOpenTag.bind(this);
+	this.saxParser.onclosetag = this.onCloseTag.bind(this);
+	this.saxParser.ontext = this.onText.bind(this);
+	this.saxParser.oncdata = this.onCdata.bind(this);
+	this.saxParser.onerror = this.onError.bind(this);
+};
+
+StreamParser.prototype = Object.create(EventEmitter.prototype);
+StreamParser.prototype.constructor = StreamParser;
+
+/**
+ * @param {string} chunk
+ * @return {StreamParser} this
+ */
+StreamParser.prototype.write = function (chunk) {
+	if (!this.failed) {
+		this.saxParser.write(String(chunk));
+	}
+	return this;
+};
+
+/**
+ * Signal the end of the document.
+ * @return {StreamParser} this
+ */
+StreamParser.prototype.end = function () {
+	if (!this.failed) {
+		this.saxParser.close();
+	}
+	this.ended = true;
+	this.flush();
+	return this;
+};
+
+/*
+	run the tasks of the queue whose element is ready, in order, and finish the document
+	once all of them have run
+*/
+StreamParser.prototype.flush = function () {
+	while (!this.failed && this.queue.length > 0 && this.queue[0].ready) {
+		this.queue.shift().run.call(this);
+	}
+	if (this.failed || !this.ended || this.finished || this.queue.length > 0) {
+		return;
+	}
+	this.finished = true;
+	if (this.sbgn == null) {
+		this.fail(new Error("Bad XML provided, expected tagName sbgn, got nothing"));
+		return;
+	}
+	this.emit('end', this.sbgn);
+};
+
+StreamParser.prototype.enqueue = function (run) {
+	this.queue.push({ready: true, run: run});
+	this.flush();
+};
+
+StreamParser.prototype.fail = function (error) {
+	this.failed = true;
+	this.emit('error', error);
+};
+
+StreamParser.prototype.onError = function (error) {
+	if (this.failed) {
+		return;
+	}
+	this.fail(utils.toParseError(error));
+};
+
+StreamParser.prototype.onOpenTag = function (node) {
+	if (this.failed) {
+		return;
+	}
+	this.depth++;
+	if (this.record != null) {
+		this.record.push(openTag(node, false));
+		return;
+	}
+
+	var name = utils.removePrefixForSbgnTags(node.name);
+	if (this.depth == 1) {
+		if (name != 'sbgn') {
+			this.fail(new Error("Bad XML provided, expected tagName sbgn, got: " + name));
+			return;
+		}
+		this.parseElement('sbgn', openTag(node, true), function (sbgn) {
+			this.sbgn = sbgn;
+			this.emit('sbgn', sbgn);
+		});
+	}
+	else if (this.depth == 2 && name == 'map') {
+		this.inMap = true;
+		this.parseElement('map', openTag(node, true), function (map) {
+			this.map = map;
+			if (this.keepElements) {
+				this.sbgn.addMap(map);
+			}
+			this.emit('map', map, this.sbgn);
+		});
+	}
+	else if ((this.depth == 3 && this.inMap && MAP_CHILDREN.indexOf(name) != -1)
+			|| (this.depth == 2 && SBGN_CHILDREN.indexOf(name) != -1)) {
+		this.recordName = name;
+		this.recordDepth = this.depth;
+		this.record = [openTag(node, false)];
+	}
+};
+
+StreamParser.prototype.onCloseTag = function (tagName) {
+	if (this.failed) {
+		return;
+	}
+	if (this.record != null) {
+		this.record.push('</' + tagName + '>');
+		if (this.depth == this.recordDepth) {
+			var xml = this.record.join('');
+			var name = this.recordName;
+			this.record = null;
+			this.recordName = null;
+			this.recordDepth = null;
+			this.onElement(name, xml);
+		}
+	}
+	else if (this.depth == 2 && this.inMap) {
+		this.inMap = false;
+		this.enqueue(function () {
+			var map = this.map;
+			this.map = null;
+			this.emit('mapEnd', map, this.sbgn);
+		});
+	}
+	this.depth--;
+};
+
+StreamParser.prototype.onText = function (text) {
+	if (this.record != null) {
+		this.record.push(escapeXml(text));
+	}
+};
+
+StreamParser.prototype.onCdata = function (cdata) {
+	if (this.record != null) {
+		this.record.push('<![CDATA[' + cdata + ']]>');
+	}
+};
+
+/*
+	the xml of a single element is parsed the same way as the whole document would be,
+	so the resulting object is the same as with fromXML. The callback gets the element once the ones
+	before it are done, whenever the parser calls back, and the errors go to the error event.
+*/
+StreamParser.prototype.parseElement = function (name, xml, callback) {
+	var self = this;
+	var libsbgn = require('./libsbgn');
+	var task = {ready: false, run: null};
+	this.queue.push(task);
+	utils.parseString(xml, function (err, result) {
+		// the parser can report an error after the result, if the callback itself throws
+		if (task.ready || self.failed) {
+			return;
+		}
+		var element;
+		try {
+			if (err) {
+				throw err;
+			}
+			var jsObj = {};
+			jsObj[name] = result[Object.keys(result)[0]];
+			element = libsbgn[CLASS_NAMES[name]].fromObj(jsObj);
+		}
+		catch(e) {
+			self.fail(e);
+			return;
+		}
+		task.ready = true;
+		task.run = function () {
+			callback.call(this, element);
+		};
+		self.flush();
+	});
+};
+
+StreamParser.prototype.onElement = function (name, xml) {
+	var inMap = this.inMap;
+	this.parseElement(name, xml, function (element) {
+		var parent = inMap ? this.map : this.sbgn;
+		if (name == 'notes') {
+			parent.setNotes(element);
+		}
+		else if (name == 'extension') {
+			parent.setExtension(element);
+		}
+		else if (name == 'bbox') {
+			parent.setBbox(element);
+		}
+		else {
+			if (this.keepElements) {
+				parent[ADD_METHODS[name]](element);
+			}
+			this.emit(name, element, parent);
+		}
+	});
+};
+
+ns.StreamParser = StreamParser;
+// ------- END STREAMPARSER -------
+
+/**
+ * Read a stream of SBGN-ML, like the one returned by fs.createReadStream.
+ * @param {stream.Readable} stream
+ * @param {Object=} params see {@link StreamParser}
+ * @return {StreamParser} to listen to
+ */
+ns.parseStream = function (stream, params) {
+	var parser = new ns.StreamParser(params);
+	if (typeof stream.setEncoding == 'function') {
+		stream.setEncoding('utf8');
+	}
+	stream.on('data', function (chunk) {
+		parser.write(chunk);
+	});
+	stream.on('end', function () {
+		parser.end();
+	});
+	stream.on('error', function (error) {
+		parser.fail(error);
+	});
+	return parser;
+};
+
+/**
+ * Read a whole document, and resolve with the sbgn once all elements have been emitted.
+ * Listeners can be attached to the parser in the init callback.
+ * @param {string|stream.Readable} input
+ * @param {function(StreamParser)=} init called with the parser before the reading starts
+ * @param {Object=} params see {@link StreamParser}
+ * @return {Promise<Sbgn>}
+ */
+ns.parseAsync = function (input, init, params) {
+	return new Promise(function (resolve, reject) {
+		var parser;
+		if (typeof input == 'string') {
+			parser = new ns.StreamParser(params);
+		}
+		else {
+			parser = ns.parseStream(input, params);
+		}
+		parser.on('end', resolve);
+		parser.on('error', reject);
+		if (init) {
+			init(parser);
+		}
+		if (typeof input == 'string') {
+			parser.write(input).end();
+		}
+	});
+};
+
+module.exports = ns;
@@ -0,0 +1,814 @@
+/**
+ * Links between the maps of a document through submaps.
+ *
+ * A submap glyph stands for another map of the document, the one whose id is its mapRef. The terminals of
+ * the submap glyph correspond to the tags of that map: the tagRef of a terminal is the id of its tag in the
+ * referenced map. A terminal without tagRef corresponds to the tag having the same label.
+ *
+ * You can access it like this: <code>libsbgn.submaps.getSubmapHierarchy(sbgn)</code>
+ * @module submaps
+ * @namespace libsbgn.submaps
+*/
+var utils = require('./utilities');
+var checkParams = utils.checkParams;
+var validator = require('./validator');
+var types = require('./libsbgn-types');
+var Issue = require('./Issue').Issue;
+var Severity = require('./Issue').Severity;
+
+var ns = {};
+
+var GlyphClass = types.GlyphClass;
+var ArcClass = types.ArcClass;
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+function getLabelText(glyph) {
+	return glyph.label != null && glyph.label.text != null ? glyph.label.text : null;
+}
+
+function isTerminal(glyph) {
+	return glyph.class_ == GlyphClass.TERMINAL;
+}
+
+/**
+ * @param {Sbgn} sbgn
+ * @param {string} id
+ * @return {Map|null}
+ */
+ns.getMapById = function (sbgn, id) {
+	for(var i=0; i < sbgn.maps.length; i++) {
+		if (sbgn.maps[i].id == id) {
+			return sbgn.maps[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * The map a submap glyph stands for.
+ * @param {Sbgn} sbgn
+ * @param {Glyph} glyph a glyph of class submap
+ * @return {Map|null} null if the glyph has no mapRef, or if no map of the document has this id
+ */
+ns.resolveMapRef = function (sbgn, glyph) {
+	return glyph.mapRef != null ? ns.getMapById(sbgn, glyph.mapRef) : null;
+};
+
+/**
+ * The submap glyphs of a map, including the ones in glyph members, arcs and arcgroups.
+ * @param {Map} map
+ * @return {Glyph[]}
+ */
+ns.getSubmapGlyphs = function (map) {
+	return map.getGlyphsByClass(GlyphClass.SUBMAP, true);
+};
+
+/**
+ * The tag of the referenced map corresponding to each terminal of a submap glyph.
+ * @param {Sbgn} sbgn
+ * @param {Glyph} glyph a glyph of class submap
+ * @return {Object[]} {terminal, tag}, tag being null when it can't be found
+ */
+ns.getTerminalLinks = function (sbgn, glyph) {
+	var map = ns.resolveMapRef(sbgn, glyph);
+	var tags = map != null ? map.getGlyphsByClass(GlyphClass.TAG) : [];
+	return glyph.glyphMembers.filter(isTerminal).map(function (terminal) {
+		return {terminal: terminal, tag: findTag(tags, terminal)};
+	});
+};
+
+function findTag(tags, terminal) {
+	for(var i=0; i < tags.length; i++) {
+		if (terminal.tagRef != null ? tags[i].id == terminal.tagRef :
+				getLabelText(terminal) != null && getLabelText(tags[i]) == getLabelText(terminal)) {
+			return tags[i];
+		}
+	}
+	return null;
+}
+
+/**
+ * Tree of the maps of the document following the submaps. Each node is an object {map, glyph, children, cycle}:
+ * <ul>
+ * <li>map: the map of the node, null if the mapRef of the glyph can't be resolved</li>
+ * <li>glyph: the submap glyph standing for the map in the map of the parent node, null for the roots</li>
+ * <li>children: the nodes of the submap glyphs of the map</li>
+ * <li>cycle: true if the map is already one of the ancestors of the node, the node has no children then</li>
+ * </ul>
+ * The roots are the maps that no submap references. The maps only reachable through a cycle of submaps are roots too.
+ * @param {Sbgn} sbgn
+ * @return {Object[]} the root nodes, in the order of the maps
+ */
+ns.getSubmapHierarchy = function (sbgn) {
+	var referenced = [];
+	for(var i=0; i < sbgn.maps.length; i++) {
+		ns.getSubmapGlyphs(sbgn.maps[i]).forEach(function (glyph) {
+			var map = ns.resolveMapRef(sbgn, glyph);
+			if (map != null) {
+				referenced.push(map);
+			}
+		});
+	}
+
+	var reached = [];
+	function buildNode(map, glyph, ancestors) {
+		var node = {map: map, glyph: glyph, children: [], cycle: map != null && ancestors.indexOf(map) != -1};
+		if (map == null || node.cycle) {
+			return node;
+		}
+		reached.push(map);
+		var path = ancestors.concat([map]);
+		node.children = ns.getSubmapGlyphs(map).map(function (submapGlyph) {
+			return buildNode(ns.resolveMapRef(sbgn, submapGlyph), submapGlyph, path);
+		});
+		return node;
+	}
+
+	var roots = [];
+	for(var i=0; i < sbgn.maps.length; i++) {
+		if (referenced.indexOf(sbgn.maps[i]) == -1) {
+			roots.push(buildNode(sbgn.maps[i], null, []));
+		}
+	}
+	for(var i=0; i < sbgn.maps.length; i++) {
+		if (reached.indexOf(sbgn.maps[i]) == -1) {
+			roots.push(buildNode(sbgn.maps[i], null, []));
+		}
+	}
+	return roots;
+};
+
+function getAllSubmapGlyphs(sbgn) {
+	var glyphs = [];
+	for(var i=0; i < sbgn.maps.length; i++) {
+		glyphs = glyphs.concat(ns.getSubmapGlyphs(sbgn.maps[i]));
+	}
+	return glyphs;
+}
+
+// helper for rules looking at the terminals of the submaps whose map can be resolved
+function getResolvedLinks(sbgn) {
+	var links = [];
+	getAllSubmapGlyphs(sbgn).forEach(function (glyph) {
+		if (ns.resolveMapRef(sbgn, glyph) != null) {
+			links = links.concat(ns.getTerminalLinks(sbgn, glyph));
+		}
+	});
+	return links;
+}
+
+// ------- SUBMAP RULES -------
+/**
+ * Rules checking that the maps linked by submaps are consistent. They work like the rules of {@link libsbgn.validator},
+ * except that their validate function receives the whole {@link Sbgn} and returns the faulty glyphs of any of its maps.
+ * @type {Object[]}
+ */
+ns.rules = [
+	{
+		id: '00007',
+		text: "The mapRef of a submap should be the id of a map of the document",
+		severity: Severity.ERROR,
+		fix: "Point the mapRef to an existing map, or remove it",
+		validate: function (sbgn) {
+			return getAllSubmapGlyphs(sbgn).filter(function (glyph) {
+				return glyph.mapRef != null && ns.resolveMapRef(sbgn, glyph) == null;
+			});
+		}
+	},
+	{
+		id: '00008',
+		text: "A submap should not contain the map it stands for, directly or through other submaps",
+		severity: Severity.ERROR,
+		fix: "Point the mapRef to another map",
+		validate: function (sbgn) {
+			var glyphs = [];
+			function visit(node) {
+				if (node.cycle && glyphs.indexOf(node.glyph) == -1) {
+					glyphs.push(node.glyph);
+				}
+				node.children.forEach(visit);
+			}
+			ns.getSubmapHierarchy(sbgn).forEach(visit);
+			return glyphs;
+		}
+	},
+	{
+		id: '00009',
+		text: "A terminal of a submap should correspond to a tag of the map referenced by the submap",
+		severity: Severity.ERROR,
+		fix: "Set the tagRef of the terminal to the id of a tag of the referenced map",
+		validate: function (sbgn) {
+			return getResolvedLinks(sbgn).filter(function (link) {
+				return link.tag == null;
+			}).map(function (link) {
+				return link.terminal;
+			});
+		}
+	},
+	{
+		id: '00010',
+		text: "A terminal and its tag should have the same label",
+		severity: Severity.WARNING,
+		fix: "Give the same label to the terminal and to the tag",
+		validate: function (sbgn) {
+			return getResolvedLinks(sbgn).filter(function (link) {
+				return link.tag != null && getLabelText(link.tag) != getLabelText(link.terminal);
+			}).map(function (link) {
+				return link.terminal;
+			});
+		}
+	},
+	{
+		id: '00011',
+		text: "Each tag of the map referenced by a submap should have a terminal in the submap",
+		severity: Severity.WARNING,
+		fix: "Add a terminal to the submap for each tag of the referenced map",
+		validate: function (sbgn) {
+			return getAllSubmapGlyphs(sbgn).filter(function (glyph) {
+				var map = ns.resolveMapRef(sbgn, glyph);
+				if (map == null) {
+					return false;
+				}
+				var linkedTags = ns.getTerminalLinks(sbgn, glyph).map(function (link) {
+					return link.tag;
+				});
+				return map.getGlyphsByClass(GlyphClass.TAG).some(function (tag) {
+					return linkedTags.indexOf(tag) == -1;
+				});
+			});
+		}
+	}
+];
+// ------- END SUBMAP RULES -------
+
+/**
+ * Check that the submaps of the document point to existing maps, without cycles, and that their terminals
+ * match the tags of the maps they stand for.
+ * @param {Sbgn} sbgn
+ * @param {Object[]=} rules default is {@link libsbgn.submaps.rules}
+ * @return {Issue[]}
+ */
+ns.checkSubmaps = function (sbgn, rules) {
+	rules = rules || ns.rules;
+	var contexts = sbgn.maps.map(function (map, i) {
+		return new validator.ValidationContext(map, '/sbgn/map[' + (i+1) + ']');
+	});
+	function getElementInfo(element) {
+		for(var i=0; i < contexts.length; i++) {
+			var info = contexts[i].getElementInfo(element);
+			if (info.type != null) {
+				return info;
+			}
+		}
+		return {type: null, location: null};
+	}
+
+	var issues = [];
+	for(var i=0; i < rules.length; i++) {
+		var rule = rules[i];
+		var elements = rule.validate(sbgn);
+		for(var j=0; j < elements.length; j++) {
+			var info = getElementInfo(elements[j]);
+			issues.push(new Issue({
+				text: rule.text,
+				pattern: rule.id,
+				severity: rule.severity,
+				elementId: elements[j].id,
+				elementType: info.type,
+				location: info.location,
+				fix: rule.fix
+			}));
+		}
+	}
+	return issues;
+};
+
+// ------- EXTRACT AND INLINE -------
+/*
+	ids of a glyph, of its ports and of its glyph members
+*/
+function getGlyphIds(glyph) {
+	var ids = [glyph.id];
+	for(var i=0; i < glyph.ports.length; i++) {
+		ids.push(glyph.ports[i].id);
+	}
+	for(var i=0; i < glyph.glyphMembers.length; i++) {
+		ids = ids.concat(getGlyphIds(glyph.glyphMembers[i]));
+	}
+	return ids;
+}
+
+function getArcIds(arc) {
+	var ids = [arc.id];
+	for(var i=0; i < arc.glyphs.length; i++) {
+		ids = ids.concat(getGlyphIds(arc.glyphs[i]));
+	}
+	return ids;
+}
+
+function getRenderInformation(map) {
+	return map.extension != null ? map.extension.get('renderInformation') : null;
+}
+
+/*
+	copy of a render group where the colors and background images given by id are replaced by their value,
+	so that render groups of different maps can be compared
+*/
+function resolveRenderGroup(render, renderGroup) {
+	var resolved = renderGroup.deepClone();
+	resolved.id = null;
+	var colors = render.listOfColorDefinitions;
+	if (colors != null) {
+		['fill', 'stroke', 'fontColor'].forEach(function (attribute) {
+			var value = resolved[attribute] != null ? colors.getColorById(resolved[attribute]) : null;
+			if (value != null) {
+				resolved[attribute] = value;
+			}
+		});
+	}
+	var images = render.listOfBackgroundImages;
+	var image = images != null && resolved.backgroundImage != null ? images.getBackgroundImageById(resolved.backgroundImage) : null;
+	if (image != null) {
+		resolved.backgroundImage = image;
+	}
+	return resolved;
+}
+
+/*
+	give the style of some elements of the source map to their equivalent in the target map.
+	The ids are added to a style of the target having the same render group once resolved, or to a new style.
+	mapId gives the id in the target of an id of the source.
+*/
+function copyStyles(source, target, ids, mapId, generator) {
+	var libsbgn = getModel();
+	var sourceRender = getRenderInformation(source);
+	if (sourceRender == null || sourceRender.listOfStyles == null) {
+		return;
+	}
+	sourceRender.listOfStyles.styles.forEach(function (style) {
+		if (style.idList == null || style.renderGroup == null) {
+			return;
+		}
+		var styleIds = style.getIdListAsArray().filter(function (id) {
+			return ids.indexOf(id) != -1;
+		}).map(mapId);
+		if (styleIds.length == 0) {
+			return;
+		}
+		var renderGroup = resolveRenderGroup(sourceRender, style.renderGroup);
+		var targetRender = getRenderInformation(target);
+		if (targetRender == null) {
+			targetRender = new libsbgn.render.RenderInformation({id: generator.next('renderInformation')});
+			if (target.extension == null) {
+				target.setExtension(new libsbgn.Extension());
+			}
+			target.extension.add(targetRender);
+		}
+		if (targetRender.listOfStyles == null) {
+			targetRender.setListOfStyles(new libsbgn.render.ListOfStyles());
+		}
+		var targetStyles = targetRender.listOfStyles.styles;
+		for(var i=0; i < targetStyles.length; i++) {
+			if (targetStyles[i].renderGroup != null &&
+					resolveRenderGroup(targetRender, targetStyles[i].renderGroup).equals(renderGroup)) {
+				var idArray = targetStyles[i].idList ? targetStyles[i].getIdListAsArray() : [];
+				var added = styleIds.filter(function (id) {
+					return idArray.indexOf(id) == -1;
+				});
+				if (added.length > 0) {
+					targetStyles[i].setIdListFromArray(idArray.concat(added));
+				}
+				return;
+			}
+		}
+		targetRender.listOfStyles.addStyle(new libsbgn.render.Style({
+			id: generator.next('style'), idList: styleIds.join(' '), renderGroup: renderGroup}));
+	});
+}
+
+/*
+	unset the compartmentRef and tagRef of the glyphs that don't point to anything in the map.
+	The tagRef of terminals is left as is, it points to a tag of another map.
+*/
+function unsetDanglingReferences(map, glyphs) {
+	var libsbgn = getModel();
+	glyphs.forEach(function unset(glyph) {
+		['compartmentRef', 'tagRef'].forEach(function (attribute) {
+			if (glyph[attribute] != null && map.getElementById(glyph[attribute]) == null &&
+					!(attribute == 'tagRef' && isTerminal(glyph))) {
+				libsbgn.observable.set(glyph, attribute, null);
+			}
+		});
+		glyph.glyphMembers.forEach(unset);
+	});
+}
+
+function getCenter(bbox) {
+	return {x: bbox.x + bbox.w / 2, y: bbox.y + bbox.h / 2};
+}
+
+/*
+	equivalence arc between two glyphs, going from the center of one to the center of the other
+*/
+function createEquivalenceArc(id, source, target) {
+	var libsbgn = getModel();
+	var arc = new libsbgn.Arc({id: id, class_: ArcClass.EQUIVALENCE_ARC, source: source.id, target: target.id});
+	if (source.bbox != null && target.bbox != null) {
+		arc.setStart(new libsbgn.StartType(getCenter(source.bbox)));
+		arc.setEnd(new libsbgn.EndType(getCenter(target.bbox)));
+	}
+	return arc;
+}
+
+function getSurroundingBbox(glyphs) {
+	var libsbgn = getModel();
+	var bboxes = glyphs.filter(function (glyph) {
+		return glyph.bbox != null;
+	}).map(function (glyph) {
+		return glyph.bbox;
+	});
+	if (bboxes.length == 0) {
+		return null;
+	}
+	var minX = Math.min.apply(null, bboxes.map(function (bbox) { return bbox.x; }));
+	var minY = Math.min.apply(null, bboxes.map(function (bbox) { return bbox.y; }));
+	var maxX = Math.max.apply(null, bboxes.map(function (bbox) { return bbox.x + bbox.w; }));
+	var maxY = Math.max.apply(null, bboxes.map(function (bbox) { return bbox.y + bbox.h; }));
+	return new libsbgn.Bbox({x: minX, y: minY, w: maxX - minX, h: maxY - minY});
+}
+
+/*
+	classes of the glyphs that can be linked to a tag by an equivalence arc, in each language.
+	Other glyphs attached to the extracted glyphs, like the processes of Process Description, are moved with them.
+*/
+var LINKABLE_CLASSES = {};
+LINKABLE_CLASSES[types.Language.PD] = [
+	GlyphClass.UNSPECIFIED_ENTITY,
+	GlyphClass.SIMPLE_CHEMICAL,
+	GlyphClass.MACROMOLECULE,
+	GlyphClass.NUCLEIC_ACID_FEATURE,
+	GlyphClass.SIMPLE_CHEMICAL_MULTIMER,
+	GlyphClass.MACROMOLECULE_MULTIMER,
+	GlyphClass.NUCLEIC_ACID_FEATURE_MULTIMER,
+	GlyphClass.COMPLEX,
+	GlyphClass.COMPLEX_MULTIMER,
+	GlyphClass.SOURCE_AND_SINK,
+	GlyphClass.PERTURBING_AGENT
+];
+LINKABLE_CLASSES[types.Language.AF] = [GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.PHENOTYPE, GlyphClass.PERTURBATION];
+
+function checkNewId(generator, id) {
+	if (id != null && generator.isUsed(id)) {
+		throw new Error("Can't extract a submap, there is already an element with id " + id);
+	}
+}
+
+/**
+ * Move some glyphs of a map into a new map of the document, and put in their place a submap glyph standing for
+ * the new map. The arcs between the moved glyphs are moved with them.
+ *
+ * The glyphs attached to the moved glyphs that can't be linked to a tag in the language of the map, the process nodes
+ * and logical operators of Process Description or the logical operators of Activity Flow, are moved with them.
+ * The glyphs that stay in the map but are attached to the moved glyphs are copied into the new map, where the arcs
+ * crossing the boundary now end. Each of them is linked to the submap glyph through a tag and a terminal:
+ * <ul>
+ * <li>in the new map, an equivalence arc goes from the copy to a tag having the label of the glyph</li>
+ * <li>in the map, an equivalence arc goes from the glyph to a terminal of the submap glyph whose tagRef is the tag</li>
+ * </ul>
+ * The glyphs keep their coordinates, the submap glyph surrounds them. The references of the map to the moved glyphs
+ * are removed like for {@link Map#removeGlyph}, the references of the new map to glyphs it doesn't contain are unset.
+ * The moved glyphs and the copies keep their style, the new map gets styles with the same render groups.
+ * New ids are given by the id generator of the document, and all the changes are a single step of the histories.
+ * @param {Sbgn} sbgn
+ * @param {Map} map a map of the document
+ * @param {Array<Glyph|string>} glyphs glyphs at the top level of the map, or their ids
+ * @param {Object=} params
+ * @param {string=} params.mapId id of the new map
+ * @param {string=} params.submapId id of the submap glyph
+ * @param {string=} params.label label of the submap glyph, default is the id of the new map
+ * @return {Glyph} the submap glyph
+ * @throws {Error} if a glyph isn't at the top level of the map, if an arcgroup uses the glyphs, if an arc goes from
+ * the glyphs to an arc staying in the map or to a glyph that can't be linked to a tag and isn't at the top level
+ */
+ns.extractSubmap = function (sbgn, map, glyphs, params) {
+	var params = checkParams(params, ['mapId', 'submapId', 'label']);
+	var libsbgn = getModel();
+	if (sbgn.maps.indexOf(map) == -1) {
+		throw new Error("Can't extract a submap, the map isn't part of the document");
+	}
+	if (glyphs.length == 0) {
+		throw new Error("Can't extract a submap without glyphs");
+	}
+	var moved = glyphs.map(function (glyph) {
+		var element = typeof glyph == 'string' ? map.getElementById(glyph) : glyph;
+		if (map.glyphs.indexOf(element) == -1) {
+			throw new Error("Can't extract a submap, " + (typeof glyph == 'string' ? glyph : glyph.id) +
+				" isn't a glyph at the top level of the map");
+		}
+		return element;
+	});
+	var generator = sbgn.getIdGenerator();
+	checkNewId(generator, params.mapId);
+	checkNewId(generator, params.submapId);
+
+	var movedIds = [];
+	moved.forEach(function (glyph) {
+		movedIds = movedIds.concat(getGlyphIds(glyph));
+	});
+	function isMoved(id) {
+		return id != null && movedIds.indexOf(id) != -1;
+	}
+	// only the glyphs that can be linked to a tag stay behind, the other ones attached to moved glyphs are moved too
+	var linkable = LINKABLE_CLASSES[map.getLanguage()];
+	var added = linkable != null;
+	while (added) {
+		added = false;
+		map.arcs.forEach(function (arc) {
+			if (isMoved(arc.source) == isMoved(arc.target)) {
+				return;
+			}
+			var glyph = map.resolveGlyph(isMoved(arc.source) ? arc.target : arc.source);
+			if (glyph == null || linkable.indexOf(glyph.class_) != -1 || isMoved(glyph.id)) {
+				return;
+			}
+			if (map.glyphs.indexOf(glyph) == -1) {
+				throw new Error("Can't extract a submap, the " + glyph.class_ + " " + glyph.id +
+					" attached to the glyphs can't be linked to a tag and isn't at the top level of the map");
+			}
+			moved.push(glyph);
+			movedIds = movedIds.concat(getGlyphIds(glyph));
+			added = true;
+		});
+	}
+	map.arcgroups.forEach(function (arcgroup) {
+		arcgroup.arcs.forEach(function (arc) {
+			if (isMoved(arc.source) || isMoved(arc.target)) {
+				throw new Error("Can't extract a submap, the arc " + arc.id + " of an arcgroup uses the glyphs");
+			}
+		});
+	});
+	// arcs between moved elements are moved, which can make other arcs pointing to them internal too
+	var found = true;
+	while (found) {
+		found = false;
+		map.arcs.forEach(function (arc) {
+			if (!isMoved(arc.id) && isMoved(arc.source) && isMoved(arc.target)) {
+				movedIds = movedIds.concat(getArcIds(arc));
+				found = true;
+			}
+		});
+	}
+
+	var newMap = new libsbgn.Map({id: params.mapId || generator.next('map'), language: map.language, version: map.version});
+	var submap = new libsbgn.Glyph({id: params.submapId || generator.next('glyph'), class_: GlyphClass.SUBMAP,
+		mapRef: newMap.id, label: new libsbgn.Label({text: params.label || newMap.id}), bbox: getSurroundingBbox(moved)});
+	moved.forEach(function (glyph) {
+		newMap.addGlyph(glyph.deepClone());
+	});
+
+	// glyphs staying in the map but attached to moved glyphs, each with its copy, tag and terminal
+	var boundaries = [];
+	var parentArcs = [];
+	function getBoundary(glyph) {
+		for(var i=0; i < boundaries.length; i++) {
+			if (boundaries[i].glyph === glyph) {
+				return boundaries[i];
+			}
+		}
+		var idMapping = {};
+		(function mapIds(glyph) {
+			idMapping[glyph.id] = generator.next('glyph');
+			glyph.ports.forEach(function (port) {
+				idMapping[port.id] = generator.next('port', {id: idMapping[glyph.id]});
+			});
+			glyph.glyphMembers.forEach(mapIds);
+		})(glyph);
+		var copy = glyph.deepClone(idMapping);
+		var text = getLabelText(glyph) || glyph.id;
+		var tag = new libsbgn.Glyph({id: generator.next('glyph'), class_: GlyphClass.TAG, label: new libsbgn.Label({text: text})});
+		var terminal = new libsbgn.Glyph({id: generator.next('glyph'), class_: GlyphClass.TERMINAL, tagRef: tag.id,
+			label: new libsbgn.Label({text: text})});
+		if (copy.bbox != null) {
+			tag.setBbox(new libsbgn.Bbox({x: copy.bbox.x - 60, y: copy.bbox.y + copy.bbox.h / 2 - 10, w: 40, h: 20}));
+		}
+		if (submap.bbox != null) {
+			terminal.setBbox(new libsbgn.Bbox({x: submap.bbox.x, y: submap.bbox.y + 10 + boundaries.length * 30, w: 40, h: 20}));
+		}
+		newMap.addGlyph(copy);
+		newMap.addGlyph(tag);
+		newMap.addArc(createEquivalenceArc(generator.next('arc'), copy, tag));
+		submap.addGlyphMember(terminal);
+		parentArcs.push(createEquivalenceArc(generator.next('arc'), glyph, terminal));
+		var boundary = {glyph: glyph, idMapping: idMapping};
+		boundaries.push(boundary);
+		return boundary;
+	}
+
+	var removedArcs = [];
+	map.arcs.forEach(function (arc) {
+		if (isMoved(arc.id)) {
+			removedArcs.push(arc);
+			newMap.addArc(arc.deepClone());
+		}
+		else if (isMoved(arc.source) || isMoved(arc.target)) {
+			var end = isMoved(arc.source) ? 'target' : 'source';
+			var glyph = map.resolveGlyph(arc[end]);
+			if (glyph == null) {
+				throw new Error("Can't extract a submap, the arc " + arc.id + " goes from the glyphs to an element that isn't a glyph");
+			}
+			removedArcs.push(arc);
+			newMap.addArc(arc.deepClone(getBoundary(glyph).idMapping));
+		}
+	});
+	unsetDanglingReferences(newMap, newMap.glyphs);
+
+	var styledIds = movedIds.slice();
+	var styleMapping = {};
+	boundaries.forEach(function (boundary) {
+		styledIds.push(boundary.glyph.id);
+		styleMapping[boundary.glyph.id] = boundary.idMapping[boundary.glyph.id];
+	});
+	copyStyles(map, newMap, styledIds, function (id) {
+		return utils.mapId(id, styleMapping);
+	}, generator);
+
+	libsbgn.observable.batch(function () {
+		removedArcs.forEach(function (arc) {
+			map.removeArc(arc);
+		});
+		moved.forEach(function (glyph) {
+			map.removeGlyph(glyph);
+		});
+		map.addGlyph(submap);
+		parentArcs.forEach(function (arc) {
+			map.addArc(arc);
+		});
+		sbgn.addMap(newMap);
+	});
+	return submap;
+};
+
+/*
+	the glyph at the other end of the first equivalence arc attached to a glyph, with all these arcs
+*/
+function getEquivalence(map, glyph) {
+	var arcs = map.getIncomingArcs(glyph).concat(map.getOutgoingArcs(glyph)).filter(function (arc) {
+		return arc.class_ == ArcClass.EQUIVALENCE_ARC;
+	});
+	var other = null;
+	for(var i=0; i < arcs.length && other == null; i++) {
+		var end = map.resolveGlyph(arcs[i].source) === glyph ? arcs[i].target : arcs[i].source;
+		other = map.resolveGlyph(end);
+	}
+	return {glyph: other, arcs: arcs};
+}
+
+/**
+ * Put the content of the map a submap glyph stands for in place of the glyph, the reverse of {@link libsbgn.submaps.extractSubmap}.
+ *
+ * Each terminal of the submap glyph is resolved to its tag, see {@link libsbgn.submaps.getTerminalLinks}. When the tag
+ * and the terminal are both attached by an equivalence arc to a glyph, these two glyphs are merged: the glyph of the
+ * submap isn't copied and its arcs are attached to the glyph of the map, their ports being matched by position.
+ * The tags, their arcs, the submap glyph and its terminals are not part of the result.
+ *
+ * The glyphs keep their coordinates. The ids already used elsewhere in the document are replaced by new ones, the
+ * references to glyphs that are not in the map are unset and the styles of the submap are given to the copies.
+ * By default the map of the submap is removed from the document if no other submap references it.
+ * All the changes are a single step of the histories.
+ * @param {Sbgn} sbgn
+ * @param {Glyph|string} glyph a submap glyph of the document, or its id
+ * @param {Object=} params
+ * @param {boolean=} params.keepMap if true, the map of the submap stays in the document. Default is false.
+ * @return {Map} the map where the submap glyph was
+ * @throws {Error} if the glyph isn't a submap of the document, or if its map can't be found or contains it
+ */
+ns.inlineSubmap = function (sbgn, glyph, params) {
+	var params = checkParams(params, ['keepMap']);
+	var libsbgn = getModel();
+	var map = null;
+	for(var i=0; i < sbgn.maps.length && map == null; i++) {
+		var element = typeof glyph == 'string' ? sbgn.maps[i].getElementById(glyph) : glyph;
+		if (element != null && element.id != null && sbgn.maps[i].getElementById(element.id) === element) {
+			map = sbgn.maps[i];
+			glyph = element;
+		}
+	}
+	if (map == null || glyph.class_ != GlyphClass.SUBMAP) {
+		throw new Error("Can't inline " + (typeof glyph == 'string' ? glyph : glyph.id) + ", it isn't a submap glyph of the document");
+	}
+	var submap = ns.resolveMapRef(sbgn, glyph);
+	if (submap == null) {
+		throw new Error("Can't inline the submap " + glyph.id + ", no map with id " + glyph.mapRef);
+	}
+	if (submap === map) {
+		throw new Error("Can't inline the submap " + glyph.id + " into the map it stands for");
+	}
+	var generator = sbgn.getIdGenerator();
+
+	// glyphs of the submap merged with the glyphs of the map, and elements of the submap left out
+	var merged = {};
+	var skipped = [];
+	ns.getTerminalLinks(sbgn, glyph).forEach(function (link) {
+		if (link.tag == null) {
+			return;
+		}
+		skipped.push(link.tag);
+		var inner = getEquivalence(submap, link.tag);
+		var outer = getEquivalence(map, link.terminal);
+		skipped = skipped.concat(inner.arcs);
+		if (inner.glyph == null || outer.glyph == null || submap.glyphs.indexOf(inner.glyph) == -1 ||
+				merged.hasOwnProperty(inner.glyph.id)) {
+			return;
+		}
+		skipped.push(inner.glyph);
+		merged[inner.glyph.id] = outer.glyph.id;
+		inner.glyph.ports.forEach(function (port, i) {
+			merged[port.id] = i < outer.glyph.ports.length ? outer.glyph.ports[i].id : outer.glyph.id;
+		});
+	});
+	function isCopied(element) {
+		return skipped.indexOf(element) == -1;
+	}
+	var glyphs = submap.glyphs.filter(isCopied);
+	var arcs = submap.arcs.filter(function (arc) {
+		// arcs attached to a left out tag would point to nothing
+		return isCopied(arc) && !skipped.some(function (element) {
+			return element.class_ == GlyphClass.TAG && (submap.resolveGlyph(arc.source) === element ||
+				submap.resolveGlyph(arc.target) === element);
+		});
+	});
+	var arcgroups = submap.arcgroups.slice();
+
+	// ids already used elsewhere in the document get a new one, including the map of the submap if it is kept
+	var keepMap = params.keepMap || getAllSubmapGlyphs(sbgn).some(function (submapGlyph) {
+		return submapGlyph !== glyph && ns.resolveMapRef(sbgn, submapGlyph) === submap;
+	});
+	var renamed = {};
+	function mapId(id) {
+		return utils.mapId(id, merged.hasOwnProperty(id) ? merged : renamed);
+	}
+	function rename(element, kind, owner) {
+		if (element.id == null) {
+			return;
+		}
+		var used = sbgn.maps.some(function (other) {
+			return (other !== submap || keepMap) && (other.id == element.id || other.getElementById(element.id) != null);
+		});
+		if (used) {
+			renamed[element.id] = generator.next(kind, owner != null ? {id: mapId(owner.id)} : null);
+		}
+	}
+	var copiedIds = [];
+	function renameGlyph(glyph) {
+		rename(glyph, 'glyph');
+		copiedIds.push(glyph.id);
+		glyph.ports.forEach(function (port) {
+			rename(port, 'port', glyph);
+			copiedIds.push(port.id);
+		});
+		glyph.glyphMembers.forEach(renameGlyph);
+	}
+	function renameArc(arc) {
+		rename(arc, 'arc');
+		copiedIds.push(arc.id);
+		arc.glyphs.forEach(renameGlyph);
+	}
+	glyphs.forEach(renameGlyph);
+	arcs.forEach(renameArc);
+	arcgroups.forEach(function (arcgroup) {
+		arcgroup.glyphs.forEach(renameGlyph);
+		arcgroup.arcs.forEach(renameArc);
+	});
+
+	function copy(element) {
+		return element.deepClone(mapId);
+	}
+	glyphs = glyphs.map(copy);
+	arcs = arcs.map(copy);
+	arcgroups = arcgroups.map(copy);
+
+	libsbgn.observable.batch(function () {
+		map.removeGlyph(glyph);
+		glyphs.forEach(function (copiedGlyph) {
+			map.addGlyph(copiedGlyph);
+		});
+		arcs.forEach(function (copiedArc) {
+			map.addArc(copiedArc);
+		});
+		arcgroups.forEach(function (copiedArcgroup) {
+			map.addArcgroup(copiedArcgroup);
+		});
+		unsetDanglingReferences(map, glyphs);
+		copyStyles(submap, map, copiedIds.concat(Object.keys(merged)), mapId, generator);
+		if (!keepMap) {
+			sbgn.removeMap(submap);
+		}
+	});
+	return map;
+};
+// ------- END EXTRACT AND INLINE -------
+
+module.exports = ns;
@@ -0,0 +1,692 @@
+/**
+ * Drawing of maps as SVG, made of strings only so that it works in Node as well as in browsers.
+ *
+ * Glyphs are drawn with the shapes of the SBGN specifications, with their labels, state variables, units of information
+ * and clone markers, and arcs with the arrowheads of their class. The styles of the render information of the map
+ * give the colors, widths, fonts and background images of the elements they apply to.
+ *
+ * Compartments are drawn first, in their compartmentOrder, then the arcs and the other glyphs, so that the arcs
+ * are under the glyphs they connect. Each glyph and arc is a <code>g</code> element having its id and its class,
+ * with spaces replaced by dashes, like <code>class="glyph macromolecule-multimer"</code>.
+ *
+ * You can access it like this: <code>libsbgn.svg.toSVG(map)</code>
+ * @module svg
+ * @namespace libsbgn.svg
+*/
+var types = require('./libsbgn-types');
+
+var ns = {};
+
+function getModel() {
+	return require('./libsbgn');
+}
+
+var GlyphClass = types.GlyphClass;
+var ArcClass = types.ArcClass;
+
+/**
+ * Options used when not given to {@link libsbgn.svg.toSVG}.
+ * @type {{padding: number, scale: number, fontFamily: string, fontSize: number, render: boolean}}
+ */
+ns.defaultOptions = Object.freeze({
+	padding: 10,
+	scale: 1,
+	fontFamily: 'Helvetica, Arial, sans-serif',
+	fontSize: 11,
+	render: true
+});
+
+/*
+	colors used when the render information doesn't give any
+*/
+var DEFAULT_FILL = '#ffffff';
+var DEFAULT_STROKE = '#000000';
+var DEFAULT_STROKE_WIDTH = 1.25;
+var COMPARTMENT_STROKE_WIDTH = 3;
+var CLONE_MARKER_COLOR = '#a9a9a9';
+var LINE_HEIGHT = 1.2;
+
+/*
+	glyph classes drawn with their class name or a symbol inside, when they have no label
+*/
+var SYMBOLS = {};
+SYMBOLS[GlyphClass.UNCERTAIN_PROCESS] = '?';
+SYMBOLS[GlyphClass.AND] = 'AND';
+SYMBOLS[GlyphClass.OR] = 'OR';
+SYMBOLS[GlyphClass.NOT] = 'NOT';
+SYMBOLS[GlyphClass.DELAY] = 'τ';
+
+var MULTIMERS = {};
+MULTIMERS[GlyphClass.SIMPLE_CHEMICAL_MULTIMER] = GlyphClass.SIMPLE_CHEMICAL;
+MULTIMERS[GlyphClass.MACROMOLECULE_MULTIMER] = GlyphClass.MACROMOLECULE;
+MULTIMERS[GlyphClass.NUCLEIC_ACID_FEATURE_MULTIMER] = GlyphClass.NUCLEIC_ACID_FEATURE;
+MULTIMERS[GlyphClass.COMPLEX_MULTIMER] = GlyphClass.COMPLEX;
+
+/*
+	offset of the shape drawn behind multimers
+*/
+var MULTIMER_OFFSET = 5;
+
+/*
+	glyph classes having a label at the bottom when the label has no bbox, as their content is in the middle
+*/
+var BOTTOM_LABEL_CLASSES = [GlyphClass.COMPARTMENT, GlyphClass.COMPLEX, GlyphClass.COMPLEX_MULTIMER];
+
+/*
+	arrowheads of each arc class, drawn at the end of the arc, as a list of parts:
+	triangle, diamond, circle, bar or dot, at a distance from the end in sizes of arrowhead
+*/
+var ARROWHEADS = {};
+ARROWHEADS[ArcClass.PRODUCTION] = [{shape: 'triangle', filled: true}];
+ARROWHEADS[ArcClass.ASSIGNMENT] = [{shape: 'triangle', filled: true}];
+ARROWHEADS[ArcClass.STIMULATION] = [{shape: 'triangle'}];
+ARROWHEADS[ArcClass.POSITIVE_INFLUENCE] = [{shape: 'triangle'}];
+ARROWHEADS[ArcClass.ABSOLUTE_STIMULATION] = [{shape: 'triangle'}, {shape: 'triangle', at: 0.6}];
+ARROWHEADS[ArcClass.NECESSARY_STIMULATION] = [{shape: 'triangle'}, {shape: 'bar', at: 1.3}];
+ARROWHEADS[ArcClass.MODULATION] = [{shape: 'diamond'}];
+ARROWHEADS[ArcClass.UNKNOWN_INFLUENCE] = [{shape: 'diamond'}];
+ARROWHEADS[ArcClass.CATALYSIS] = [{shape: 'circle'}];
+ARROWHEADS[ArcClass.INHIBITION] = [{shape: 'bar'}];
+ARROWHEADS[ArcClass.NEGATIVE_INFLUENCE] = [{shape: 'bar'}];
+ARROWHEADS[ArcClass.ABSOLUTE_INHIBITION] = [{shape: 'bar'}, {shape: 'bar', at: 0.4}];
+ARROWHEADS[ArcClass.INTERACTION] = [{shape: 'dot'}];
+
+/*
+	numbers are rounded to keep the svg short
+*/
+function formatNumber(number) {
+	return String(Math.round(number * 100) / 100);
+}
+
+function escapeXml(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/*
+	an svg element, attributes with a null value are left out and numbers are rounded
+*/
+function element(name, attributes, content) {
+	var string = '<' + name;
+	for (var key in attributes) {
+		var value = attributes[key];
+		if (value == null) {
+			continue;
+		}
+		string += ' ' + key + '="' + escapeXml(typeof value == 'number' ? formatNumber(value) : value) + '"';
+	}
+	return content != null ? string + '>' + content + '</' + name + '>' : string + '/>';
+}
+
+function points(list) {
+	return list.map(function (point) {
+		return formatNumber(point.x) + ',' + formatNumber(point.y);
+	}).join(' ');
+}
+
+function polygon(list, attributes) {
+	return element('polygon', Object.assign({points: points(list)}, attributes));
+}
+
+function rect(box, radius, attributes) {
+	return element('rect', Object.assign({x: box.x, y: box.y, width: box.w, height: box.h,
+		rx: radius > 0 ? radius : null, ry: radius > 0 ? radius : null}, attributes));
+}
+
+function ellipse(box, attributes) {
+	return element('ellipse', Object.assign({cx: box.x + box.w / 2, cy: box.y + box.h / 2, rx: box.w / 2, ry: box.h / 2}, attributes));
+}
+
+function line(x1, y1, x2, y2, attributes) {
+	return element('line', Object.assign({x1: x1, y1: y1, x2: x2, y2: y2}, attributes));
+}
+
+/*
+	rectangle with the bottom corners rounded, the shape of nucleic acid features
+*/
+function bottomRoundedRect(box, radius, attributes) {
+	var x = box.x, y = box.y, w = box.w, h = box.h;
+	var d = 'M' + points([{x: x, y: y}]) + ' H' + formatNumber(x + w) + ' V' + formatNumber(y + h - radius) +
+		' Q' + points([{x: x + w, y: y + h}, {x: x + w - radius, y: y + h}]) + ' H' + formatNumber(x + radius) +
+		' Q' + points([{x: x, y: y + h}, {x: x, y: y + h - radius}]) + ' Z';
+	return element('path', Object.assign({d: d}, attributes));
+}
+
+function cutRect(box, corner) {
+	var x = box.x, y = box.y, w = box.w, h = box.h;
+	return [
+		{x: x + corner, y: y}, {x: x + w - corner, y: y}, {x: x + w, y: y + corner}, {x: x + w, y: y + h - corner},
+		{x: x + w - corner, y: y + h}, {x: x + corner, y: y + h}, {x: x, y: y + h - corner}, {x: x, y: y + corner}
+	];
+}
+
+/*
+	arrow shape of tags and terminals, pointing to their orientation, right by default
+*/
+function arrowShape(box, orientation) {
+	var x = box.x, y = box.y, w = box.w, h = box.h;
+	if (orientation == 'up' || orientation == 'down') {
+		var c = Math.min(w / 2, h / 2);
+		return orientation == 'up' ?
+			[{x: x + w / 2, y: y}, {x: x + w, y: y + c}, {x: x + w, y: y + h}, {x: x, y: y + h}, {x: x, y: y + c}] :
+			[{x: x, y: y}, {x: x + w, y: y}, {x: x + w, y: y + h - c}, {x: x + w / 2, y: y + h}, {x: x, y: y + h - c}];
+	}
+	var c = Math.min(h / 2, w / 2);
+	return orientation == 'left' ?
+		[{x: x, y: y + h / 2}, {x: x + c, y: y}, {x: x + w, y: y}, {x: x + w, y: y + h}, {x: x + c, y: y + h}] :
+		[{x: x, y: y}, {x: x + w - c, y: y}, {x: x + w, y: y + h / 2}, {x: x + w - c, y: y + h}, {x: x, y: y + h}];
+}
+
+/*
+	markup of the shape of a glyph class in a box, without its texts
+*/
+function getShape(glyphClass, box, attributes, orientation) {
+	var x = box.x, y = box.y, w = box.w, h = box.h;
+	var min = Math.min(w, h);
+	if (MULTIMERS.hasOwnProperty(glyphClass)) {
+		var offset = Math.min(MULTIMER_OFFSET, min / 4);
+		var back = {x: x + offset, y: y + offset, w: w - offset, h: h - offset};
+		var front = {x: x, y: y, w: w - offset, h: h - offset};
+		return getShape(MULTIMERS[glyphClass], back, attributes) + getShape(MULTIMERS[glyphClass], front, attributes);
+	}
+	switch (glyphClass) {
+		case GlyphClass.SIMPLE_CHEMICAL:
+		case GlyphClass.STATE_VARIABLE:
+		case GlyphClass.VARIABLE_VALUE:
+			return rect(box, min / 2, attributes);
+		case GlyphClass.MACROMOLECULE:
+		case GlyphClass.ENTITY:
+			return rect(box, min / 5, attributes);
+		case GlyphClass.NUCLEIC_ACID_FEATURE:
+			return bottomRoundedRect(box, min / 5, attributes);
+		case GlyphClass.COMPLEX:
+			return polygon(cutRect(box, Math.min(10, min / 4)), attributes);
+		case GlyphClass.COMPARTMENT:
+			return rect(box, Math.min(20, min / 4), attributes);
+		case GlyphClass.UNSPECIFIED_ENTITY:
+		case GlyphClass.AND:
+		case GlyphClass.OR:
+		case GlyphClass.NOT:
+		case GlyphClass.DELAY:
+		case GlyphClass.IMPLICIT_XOR:
+		case GlyphClass.INTERACTION:
+		case GlyphClass.EXISTENCE:
+			return ellipse(box, attributes);
+		case GlyphClass.ASSOCIATION:
+		case GlyphClass.OUTCOME:
+			return ellipse(box, Object.assign({}, attributes, {fill: attributes.stroke, 'fill-opacity': attributes['stroke-opacity']}));
+		case GlyphClass.DISSOCIATION:
+			return ellipse(box, attributes) + ellipse({x: x + w / 5, y: y + h / 5, w: w * 3 / 5, h: h * 3 / 5}, attributes);
+		case GlyphClass.SOURCE_AND_SINK:
+			return ellipse(box, attributes) + line(x, y + h, x + w, y, {stroke: attributes.stroke,
+				'stroke-opacity': attributes['stroke-opacity'], 'stroke-width': attributes['stroke-width']});
+		case GlyphClass.PERTURBING_AGENT:
+		case GlyphClass.PERTURBATION:
+			var notch = Math.min(h / 2, w / 4);
+			return polygon([{x: x, y: y}, {x: x + w, y: y}, {x: x + w - notch, y: y + h / 2}, {x: x + w, y: y + h},
+				{x: x, y: y + h}, {x: x + notch, y: y + h / 2}], attributes);
+		case GlyphClass.PHENOTYPE:
+			var side = Math.min(h / 2, w / 4);
+			return polygon([{x: x + side, y: y}, {x: x + w - side, y: y}, {x: x + w, y: y + h / 2},
+				{x: x + w - side, y: y + h}, {x: x + side, y: y + h}, {x: x, y: y + h / 2}], attributes);
+		case GlyphClass.TAG:
+		case GlyphClass.TERMINAL:
+			return polygon(arrowShape(box, orientation), attributes);
+		case GlyphClass.OMITTED_PROCESS:
+			var slashes = rect(box, 0, attributes);
+			[0.35, 0.55].forEach(function (position) {
+				slashes += line(x + w * position, y + h * 0.75, x + w * (position + 0.1), y + h * 0.25,
+					{stroke: attributes.stroke, 'stroke-width': attributes['stroke-width']});
+			});
+			return slashes;
+		case GlyphClass.ANNOTATION:
+			var fold = Math.min(10, min / 3);
+			return polygon([{x: x, y: y}, {x: x + w - fold, y: y}, {x: x + w, y: y + fold}, {x: x + w, y: y + h}, {x: x, y: y + h}],
+				attributes) + polygon([{x: x + w - fold, y: y}, {x: x + w - fold, y: y + fold}, {x: x + w, y: y + fold}], attributes);
+		default:
+			return rect(box, 0, attributes);
+	}
+}
+
+/*
+	{color, opacity} of a color of the render information, a reference to a color definition or a value,
+	as #rrggbbaa colors aren't understood by all the svg renderers
+*/
+function getColor(context, value) {
+	if (value == null) {
+		return null;
+	}
+	var render = context.render;
+	var color = render != null && render.listOfColorDefinitions != null ? render.listOfColorDefinitions.getColorById(value) : null;
+	color = color != null ? color : String(value);
+	var match = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color);
+	if (match == null) {
+		return {color: color, opacity: null};
+	}
+	return {color: '#' + match[1], opacity: Math.round(parseInt(match[2], 16) / 255 * 100) / 100};
+}
+
+function getRenderGroup(context, id) {
+	return id != null && context.styleMap.hasOwnProperty(id) ? context.styleMap[id] : {};
+}
+
+/*
+	presentation attributes of the shape of an element
+*/
+function getShapeAttributes(context, renderGroup, defaultStrokeWidth) {
+	var fill = getColor(context, renderGroup.fill) || {color: DEFAULT_FILL, opacity: null};
+	var stroke = getColor(context, renderGroup.stroke) || {color: DEFAULT_STROKE, opacity: null};
+	return {
+		fill: fill.color,
+		'fill-opacity': renderGroup.backgroundOpacity != null ? renderGroup.backgroundOpacity : fill.opacity,
+		stroke: stroke.color,
+		'stroke-opacity': stroke.opacity,
+		'stroke-width': renderGroup.strokeWidth != null ? Number(renderGroup.strokeWidth) : defaultStrokeWidth
+	};
+}
+
+/*
+	lines of text in a box, aligned following the text anchors of the render group
+*/
+function drawText(context, text, box, renderGroup, options) {
+	options = options || {};
+	if (text == null || text === '') {
+		return '';
+	}
+	var fontSize = renderGroup.fontSize != null ? Number(renderGroup.fontSize) : (options.fontSize || context.options.fontSize);
+	var fontColor = getColor(context, renderGroup.fontColor) || {color: DEFAULT_STROKE, opacity: null};
+	var lines = String(text).split(/\r?\n/);
+	var lineHeight = fontSize * LINE_HEIGHT;
+	var anchor = renderGroup.textAnchor || 'middle';
+	var x = anchor == 'start' ? box.x + 2 : anchor == 'end' ? box.x + box.w - 2 : box.x + box.w / 2;
+	var vAnchor = renderGroup.vtextAnchor || options.vtextAnchor || 'middle';
+	var firstY = vAnchor == 'top' ? box.y + lineHeight / 2 :
+		vAnchor == 'bottom' ? box.y + box.h - (lines.length - 0.5) * lineHeight :
+		box.y + box.h / 2 - (lines.length - 1) * lineHeight / 2;
+	var attributes = {
+		x: x,
+		y: firstY,
+		'text-anchor': anchor,
+		'dominant-baseline': 'central',
+		'font-family': renderGroup.fontFamily || context.options.fontFamily,
+		'font-size': fontSize,
+		'font-weight': renderGroup.fontWeight,
+		'font-style': renderGroup.fontStyle,
+		fill: fontColor.color,
+		'fill-opacity': fontColor.opacity
+	};
+	if (lines.length == 1) {
+		return element('text', attributes, escapeXml(lines[0]));
+	}
+	return element('text', attributes, lines.map(function (text, i) {
+		return element('tspan', {x: x, y: firstY + i * lineHeight}, escapeXml(text));
+	}).join(''));
+}
+
+function toBox(bbox) {
+	return {x: Number(bbox.x), y: Number(bbox.y), w: Number(bbox.w), h: Number(bbox.h)};
+}
+
+function hasSize(bbox) {
+	return bbox != null && bbox.w != null && bbox.h != null && bbox.x != null && bbox.y != null;
+}
+
+function getClassName(prefix, className) {
+	return prefix + (className != null ? ' ' + String(className).replace(/\s+/g, '-') : '');
+}
+
+/*
+	text of a state variable: value@variable
+*/
+function getStateText(glyph) {
+	var state = glyph.state;
+	if (state == null) {
+		return glyph.label != null ? glyph.label.text : null;
+	}
+	var value = state.value != null ? String(state.value) : '';
+	return state.variable != null && state.variable !== '' ? value + '@' + state.variable : value;
+}
+
+function drawAuxiliaryUnit(context, glyph) {
+	var box = toBox(glyph.bbox);
+	var renderGroup = getRenderGroup(context, glyph.id);
+	var attributes = getShapeAttributes(context, renderGroup, DEFAULT_STROKE_WIDTH);
+	var shapeClass = glyph.class_;
+	var text;
+	if (glyph.class_ == GlyphClass.STATE_VARIABLE) {
+		text = getStateText(glyph);
+	}
+	else {
+		// units of information of activity flow have the shape of their entity
+		if (glyph.entity != null && glyph.entity.name != null) {
+			shapeClass = glyph.entity.name;
+		}
+		text = glyph.label != null ? glyph.label.text : null;
+	}
+	return element('g', {id: glyph.id, 'class': getClassName('glyph', glyph.class_)},
+		getShape(shapeClass, box, attributes) +
+		drawText(context, text, box, renderGroup, {fontSize: Math.round(context.options.fontSize * 0.8)}));
+}
+
+/*
+	clone marker: the bottom of the shape filled with a darker color, with the label of the clone in it
+*/
+function drawCloneMarker(context, glyph, box, attributes) {
+	var clipId = 'libsbgn-clone-' + (++context.clipCount);
+	var markerBox = {x: box.x, y: box.y + box.h * 0.7, w: box.w, h: box.h * 0.3};
+	context.defs.push(element('clipPath', {id: clipId}, rect(markerBox, 0, {})));
+	var markup = getShape(glyph.class_, box, {fill: CLONE_MARKER_COLOR, stroke: 'none', 'clip-path': 'url(#' + clipId + ')'},
+		glyph.orientation);
+	markup += getShape(glyph.class_, box, Object.assign({}, attributes, {fill: 'none'}), glyph.orientation);
+	if (glyph.clone.label != null && glyph.clone.label.text != null) {
+		markup += drawText(context, glyph.clone.label.text, markerBox, {fontColor: DEFAULT_FILL},
+			{fontSize: Math.round(context.options.fontSize * 0.7)});
+	}
+	return markup;
+}
+
+function drawBackgroundImage(context, renderGroup, box) {
+	if (renderGroup.backgroundImage == null) {
+		return '';
+	}
+	var render = context.render;
+	var image = render != null && render.listOfBackgroundImages != null ?
+		render.listOfBackgroundImages.getBackgroundImageById(renderGroup.backgroundImage) : null;
+	return element('image', {
+		x: box.x,
+		y: box.y,
+		width: box.w,
+		height: box.h,
+		'xlink:href': image != null ? image : renderGroup.backgroundImage,
+		preserveAspectRatio: renderGroup.backgroundFit == 'cover' ? 'xMidYMid slice' : 'xMidYMid meet',
+		opacity: renderGroup.backgroundImageOpacity
+	});
+}
+
+/*
+	lines joining the processes and logical operators to their ports
+*/
+function drawPorts(glyph, box, attributes) {
+	var markup = '';
+	var cx = box.x + box.w / 2;
+	var cy = box.y + box.h / 2;
+	glyph.ports.forEach(function (port) {
+		if (port.x == null || port.y == null) {
+			return;
+		}
+		var px = Number(port.x), py = Number(port.y);
+		// the line starts at the border of the glyph, on the side of the port
+		var sx = Math.max(box.x, Math.min(box.x + box.w, px));
+		var sy = Math.max(box.y, Math.min(box.y + box.h, py));
+		if (Math.abs(px - cx) * box.h >= Math.abs(py - cy) * box.w) {
+			sx = px < cx ? box.x : box.x + box.w;
+			sy = cy;
+		}
+		else {
+			sx = cx;
+			sy = py < cy ? box.y : box.y + box.h;
+		}
+		markup += line(sx, sy, px, py, {stroke: attributes.stroke, 'stroke-width': attributes['stroke-width']});
+	});
+	return markup;
+}
+
+function drawCallout(glyph, box, attributes) {
+	if (glyph.callout == null || glyph.callout.point == null) {
+		return '';
+	}
+	var cx = box.x + box.w / 2;
+	var cy = box.y + box.h / 2;
+	var half = Math.min(box.w, box.h) / 4;
+	return polygon([{x: cx - half, y: cy}, {x: cx + half, y: cy}, {x: Number(glyph.callout.point.x), y: Number(glyph.callout.point.y)}],
+		attributes);
+}
+
+function drawGlyph(context, glyph) {
+	var content = '';
+	if (hasSize(glyph.bbox)) {
+		var box = toBox(glyph.bbox);
+		var renderGroup = getRenderGroup(context, glyph.id);
+		var defaultStrokeWidth = glyph.class_ == GlyphClass.COMPARTMENT ? COMPARTMENT_STROKE_WIDTH : DEFAULT_STROKE_WIDTH;
+		var attributes = getShapeAttributes(context, renderGroup, defaultStrokeWidth);
+		content += drawCallout(glyph, box, attributes);
+		content += drawPorts(glyph, box, attributes);
+		content += getShape(glyph.class_, box, attributes, glyph.orientation);
+		content += drawBackgroundImage(context, renderGroup, box);
+		if (glyph.clone != null) {
+			content += drawCloneMarker(context, glyph, box, attributes);
+		}
+		var text = glyph.label != null ? glyph.label.text : null;
+		if ((text == null || text === '') && SYMBOLS.hasOwnProperty(glyph.class_)) {
+			text = SYMBOLS[glyph.class_];
+		}
+		var labelBox = glyph.label != null && hasSize(glyph.label.bbox) && glyph.label.bbox.w > 0 && glyph.label.bbox.h > 0 ?
+			toBox(glyph.label.bbox) : box;
+		var vtextAnchor = labelBox === box && BOTTOM_LABEL_CLASSES.indexOf(glyph.class_) != -1 ? 'bottom' : null;
+		// the members of complexes are drawn over the label of the complex
+		content += drawText(context, text, labelBox, renderGroup, {vtextAnchor: vtextAnchor});
+	}
+	glyph.glyphMembers.forEach(function (member) {
+		if (member.class_ == GlyphClass.STATE_VARIABLE || member.class_ == GlyphClass.UNIT_OF_INFORMATION) {
+			content += hasSize(member.bbox) ? drawAuxiliaryUnit(context, member) : '';
+		}
+		else {
+			content += drawGlyph(context, member);
+		}
+	});
+	return element('g', {id: glyph.id, 'class': getClassName('glyph', glyph.class_)}, content);
+}
+
+/*
+	position of an end of an arc without start or end: the port, or the center of the glyph
+*/
+function getEndPosition(map, id) {
+	var port = id != null ? map.getElementById(id) : null;
+	if (port instanceof getModel().Port && port.x != null && port.y != null) {
+		return {x: Number(port.x), y: Number(port.y)};
+	}
+	var glyph = id != null ? map.resolveGlyph(id) : null;
+	if (glyph != null && hasSize(glyph.bbox)) {
+		return {x: Number(glyph.bbox.x) + Number(glyph.bbox.w) / 2, y: Number(glyph.bbox.y) + Number(glyph.bbox.h) / 2};
+	}
+	return null;
+}
+
+function getArcPoints(map, arc) {
+	var start = arc.start != null ? {x: Number(arc.start.x), y: Number(arc.start.y)} : getEndPosition(map, arc.source);
+	var end = arc.end != null ? {x: Number(arc.end.x), y: Number(arc.end.y)} : getEndPosition(map, arc.target);
+	var list = arc.nexts.map(function (next) {
+		return {x: Number(next.x), y: Number(next.y)};
+	});
+	if (start != null) {
+		list.unshift(start);
+	}
+	if (end != null) {
+		list.push(end);
+	}
+	return list;
+}
+
+/*
+	arrowhead of an arc at its end, following the direction of its last segment
+*/
+function drawArrowhead(context, arc, list, attributes) {
+	var parts = ARROWHEADS[arc.class_];
+	if (parts == null || list.length < 2) {
+		return '';
+	}
+	var end = list[list.length - 1];
+	var previous = list[list.length - 2];
+	var length = Math.sqrt(Math.pow(end.x - previous.x, 2) + Math.pow(end.y - previous.y, 2));
+	if (length == 0) {
+		return '';
+	}
+	var dx = (end.x - previous.x) / length, dy = (end.y - previous.y) / length;
+	var size = 8 + 2 * attributes['stroke-width'];
+	var half = size / 2;
+	function at(distance, side) {
+		return {x: end.x - dx * distance - dy * side, y: end.y - dy * distance + dx * side};
+	}
+	var open = {fill: context.backgroundColor, stroke: attributes.stroke, 'stroke-opacity': attributes['stroke-opacity'],
+		'stroke-width': attributes['stroke-width']};
+	var filled = Object.assign({}, open, {fill: attributes.stroke, 'fill-opacity': attributes['stroke-opacity']});
+	return parts.map(function (part) {
+		var offset = (part.at || 0) * size;
+		switch (part.shape) {
+			case 'triangle':
+				return polygon([at(offset, 0), at(offset + size, half), at(offset + size, -half)], part.filled ? filled : open);
+			case 'diamond':
+				return polygon([at(offset, 0), at(offset + half, half), at(offset + size, 0), at(offset + half, -half)], open);
+			case 'circle':
+			case 'dot':
+				var center = at(offset + half, 0);
+				return element('circle', Object.assign({cx: center.x, cy: center.y, r: half}, part.shape == 'dot' ? filled : open));
+			case 'bar':
+				var a = at(offset, half * 1.2), b = at(offset, -half * 1.2);
+				return line(a.x, a.y, b.x, b.y, open);
+		}
+	}).join('');
+}
+
+function drawArc(context, map, arc) {
+	var list = getArcPoints(map, arc);
+	var renderGroup = getRenderGroup(context, arc.id);
+	var attributes = getShapeAttributes(context, renderGroup, DEFAULT_STROKE_WIDTH);
+	var content = '';
+	if (list.length >= 2) {
+		content += element('polyline', {points: points(list), fill: 'none', stroke: attributes.stroke,
+			'stroke-opacity': attributes['stroke-opacity'], 'stroke-width': attributes['stroke-width']});
+		content += drawArrowhead(context, arc, list, attributes);
+	}
+	arc.glyphs.forEach(function (glyph) {
+		content += drawGlyph(context, glyph);
+	});
+	return element('g', {id: arc.id, 'class': getClassName('arc', arc.class_)}, content);
+}
+
+/*
+	box holding all the glyphs and arcs of the map, and its bbox
+*/
+function getBounds(map) {
+	var bounds = null;
+	function add(x, y) {
+		if (isNaN(x) || isNaN(y)) {
+			return;
+		}
+		if (bounds == null) {
+			bounds = {minX: x, minY: y, maxX: x, maxY: y};
+		}
+		bounds.minX = Math.min(bounds.minX, x);
+		bounds.minY = Math.min(bounds.minY, y);
+		bounds.maxX = Math.max(bounds.maxX, x);
+		bounds.maxY = Math.max(bounds.maxY, y);
+	}
+	function addBox(bbox) {
+		if (hasSize(bbox)) {
+			var box = toBox(bbox);
+			add(box.x, box.y);
+			add(box.x + box.w, box.y + box.h);
+		}
+	}
+	function addGlyphs(glyphs) {
+		glyphs.forEach(function (glyph) {
+			addBox(glyph.bbox);
+			if (glyph.callout != null && glyph.callout.point != null) {
+				add(Number(glyph.callout.point.x), Number(glyph.callout.point.y));
+			}
+			addGlyphs(glyph.glyphMembers);
+		});
+	}
+	addBox(map.bbox);
+	addGlyphs(map.glyphs);
+	map.arcgroups.forEach(function (arcgroup) {
+		addGlyphs(arcgroup.glyphs);
+	});
+	map.getAllArcs().forEach(function (arc) {
+		getArcPoints(map, arc).forEach(function (point) {
+			add(point.x, point.y);
+		});
+		addGlyphs(arc.glyphs);
+	});
+	return bounds != null ? bounds : {minX: 0, minY: 0, maxX: 0, maxY: 0};
+}
+
+/**
+ * Draw a map as an SVG document.
+ * @param {Map} map
+ * @param {Object=} options see {@link libsbgn.svg.defaultOptions}
+ * @param {number=} options.padding space around the content of the map
+ * @param {number=} options.scale ratio between the size of the svg and the coordinates of the map
+ * @param {string=} options.fontFamily font of the labels without style
+ * @param {number=} options.fontSize font size of the labels without style
+ * @param {boolean=} options.render false to ignore the render information of the map
+ * @return {string} the svg element
+ */
+ns.toSVG = function (map, options) {
+	options = options || {};
+	var merged = {};
+	for (var name in ns.defaultOptions) {
+		merged[name] = options[name] != null ? options[name] : ns.defaultOptions[name];
+	}
+	var render = merged.render && map.extension != null ? map.extension.get('renderInformation') : null;
+	var context = {
+		options: merged,
+		render: render,
+		styleMap: render != null && render.listOfStyles != null ? render.listOfStyles.getStyleMap() : {},
+		clipCount: 0,
+		defs: [],
+		backgroundColor: DEFAULT_FILL
+	};
+	var background = '';
+	var bounds = getBounds(map);
+	var x = bounds.minX - merged.padding;
+	var y = bounds.minY - merged.padding;
+	var width = bounds.maxX - bounds.minX + 2 * merged.padding;
+	var height = bounds.maxY - bounds.minY + 2 * merged.padding;
+	if (render != null && render.backgroundColor != null) {
+		var backgroundColor = getColor(context, render.backgroundColor);
+		context.backgroundColor = backgroundColor.color;
+		background = element('rect', {'class': 'background', x: x, y: y, width: width, height: height,
+			fill: backgroundColor.color, 'fill-opacity': backgroundColor.opacity});
+	}
+
+	var compartments = [];
+	var glyphs = [];
+	map.glyphs.forEach(function (glyph) {
+		(glyph.class_ == GlyphClass.COMPARTMENT ? compartments : glyphs).push(glyph);
+	});
+	map.arcgroups.forEach(function (arcgroup) {
+		glyphs = glyphs.concat(arcgroup.glyphs);
+	});
+	// stable sort on the compartmentOrder, compartments without order first
+	compartments = compartments.map(function (glyph, i) {
+		return {glyph: glyph, index: i, order: glyph.compartmentOrder != null ? Number(glyph.compartmentOrder) : -Infinity};
+	}).sort(function (a, b) {
+		return a.order - b.order || a.index - b.index;
+	}).map(function (item) {
+		return item.glyph;
+	});
+
+	var content = background +
+		element('g', {'class': 'compartments'}, compartments.map(function (glyph) {
+			return drawGlyph(context, glyph);
+		}).join('')) +
+		element('g', {'class': 'arcs'}, map.getAllArcs().map(function (arc) {
+			return drawArc(context, map, arc);
+		}).join('')) +
+		element('g', {'class': 'glyphs'}, glyphs.map(function (glyph) {
+			return drawGlyph(context, glyph);
+		}).join(''));
+	if (context.defs.length > 0) {
+		content = element('defs', {}, context.defs.join('')) + content;
+	}
+	return element('svg', {
+		xmlns: 'http://www.w3.org/2000/svg',
+		'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+		width: width * merged.scale,
+		height: height * merged.scale,
+		viewBox: [x, y, width, height].map(formatNumber).join(' ')
+	}, content);
+};
+
+module.exports = ns;
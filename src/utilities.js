@@ -20,6 +20,194 @@ ns.checkParams = function (params, names) {
 	return params;
 }
 
+/*
+	define a property that is ignored by enumeration, deep equality or serialization,
+	used to keep indexes and back references in the model
+*/
+ns.setHiddenProperty = function (obj, name, value) {
+	Object.defineProperty(obj, name, {value: value, writable: true, configurable: true, enumerable: false});
+};
+
+/*
+	position of an element in a list, the element being given as itself, its id or its position. -1 if not found
+*/
+ns.indexOfElement = function (list, element) {
+	if (typeof element == 'number') {
+		return element >= 0 && element < list.length ? element : -1;
+	}
+	if (typeof element == 'string') {
+		for(var i=0; i < list.length; i++) {
+			if (list[i].id === element) {
+				return i;
+			}
+		}
+		return -1;
+	}
+	return list.indexOf(element);
+};
+
+/*
+	ids used by the deepClone methods: idMapping is either an object {oldId: newId}
+	or a function returning the new id. Ids that are not mapped are kept as they are.
+*/
+ns.mapId = function (id, idMapping) {
+	if (id == null || idMapping == null) {
+		return id;
+	}
+	if (typeof idMapping == 'function') {
+		var newId = idMapping(id);
+		return newId == null ? id : newId;
+	}
+	return Object.prototype.hasOwnProperty.call(idMapping, id) ? idMapping[id] : id;
+};
+
+/*
+	deep copy of any value of the model: arrays are copied, objects having a deepClone method
+	are copied with it, other objects are copied property by property.
+*/
+ns.cloneValue = function (value, idMapping) {
+	if (value == null || typeof value != 'object') {
+		return value;
+	}
+	if (Array.isArray(value)) {
+		return value.map(function (item) {
+			return ns.cloneValue(item, idMapping);
+		});
+	}
+	if (typeof value.deepClone == 'function') {
+		return value.deepClone(idMapping);
+	}
+	return ns.cloneObject(value, idMapping);
+};
+
+/*
+	copy of the own enumerable properties of an object, keeping its prototype.
+	The properties listed in idFields contain ids or references to ids, they are mapped with idMapping.
+*/
+ns.cloneObject = function (obj, idMapping, idFields) {
+	idFields = idFields || [];
+	var copy = Object.create(Object.getPrototypeOf(obj));
+	for (var key in obj) {
+		if (!Object.prototype.hasOwnProperty.call(obj, key)) {
+			continue;
+		}
+		if (idFields.indexOf(key) != -1) {
+			copy[key] = ns.mapId(obj[key], idMapping);
+		}
+		else {
+			copy[key] = ns.cloneValue(obj[key], idMapping);
+		}
+	}
+	return copy;
+};
+
+/*
+	structural equality of any value of the model, NaN being equal to NaN and null to undefined.
+	Objects having an equals method are compared with it.
+*/
+ns.equalValues = function (value, other, options) {
+	if (value === other || (value == null && other == null)) {
+		return true;
+	}
+	if (typeof value == 'number' && typeof other == 'number') {
+		return isNaN(value) && isNaN(other);
+	}
+	if (value == null || other == null || typeof value != 'object' || typeof other != 'object') {
+		return false;
+	}
+	if (Array.isArray(value) || Array.isArray(other)) {
+		if (!Array.isArray(value) || !Array.isArray(other) || value.length != other.length) {
+			return false;
+		}
+		for (var i=0; i < value.length; i++) {
+			if (!ns.equalValues(value[i], other[i], options)) {
+				return false;
+			}
+		}
+		return true;
+	}
+	if (typeof value.equals == 'function') {
+		return value.equals(other, options);
+	}
+	return ns.equalObjects(value, other, options);
+};
+
+/*
+	compare the own enumerable properties of two objects of the same class,
+	except the ones listed in ignoredFields
+*/
+ns.equalObjects = function (obj, other, options, ignoredFields) {
+	ignoredFields = ignoredFields || [];
+	if (other == null || Object.getPrototypeOf(obj) !== Object.getPrototypeOf(other)) {
+		return false;
+	}
+	var keys = Object.keys(obj);
+	var otherKeys = Object.keys(other);
+	for (var i=0; i < otherKeys.length; i++) {
+		if (keys.indexOf(otherKeys[i]) == -1) {
+			keys.push(otherKeys[i]);
+		}
+	}
+	for (var i=0; i < keys.length; i++) {
+		if (ignoredFields.indexOf(keys[i]) != -1) {
+			continue;
+		}
+		if (!ns.equalValues(obj[keys[i]], other[keys[i]], options)) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/*
+	fields that equals must skip, given its options:
+	ignoreExtensions skips the extension field, ignoreCoordinates the fields given as coordinateFields
+*/
+ns.getIgnoredFields = function (options, coordinateFields) {
+	var fields = [];
+	if (options && options.ignoreExtensions) {
+		fields.push('extension');
+	}
+	if (options && options.ignoreCoordinates) {
+		fields = fields.concat(coordinateFields || []);
+	}
+	return fields;
+};
+
+/*
+	json given to the fromJSON methods, either an object or a string to parse.
+	name is the name of the expected element, used in the errors.
+*/
+ns.parseJSON = function (json, name) {
+	if (typeof json == 'string') {
+		try {
+			json = JSON.parse(json);
+		}
+		catch(e) {
+			throw new Error("Bad JSON provided, " + e.message);
+		}
+	}
+	if (json == null || typeof json != 'object' || Array.isArray(json)) {
+		throw new Error("Bad JSON provided, expected an object for " + name + ", got: " +
+			(Array.isArray(json) ? 'array' : json === null ? 'null' : typeof json));
+	}
+	return json;
+};
+
+/*
+	set a field of the object built by the toJSON methods, only if the value is set: null, NaN and empty lists
+	are left out. Elements of the model are converted with their own toJSON method.
+*/
+ns.setJSONField = function (json, name, value) {
+	if (value == null || (typeof value == 'number' && isNaN(value)) || (Array.isArray(value) && value.length == 0)) {
+		return;
+	}
+	function toJSON(item) {
+		return item != null && typeof item.toJSON == 'function' ? item.toJSON() : item;
+	}
+	json[name] = Array.isArray(value) ? value.map(toJSON) : toJSON(value);
+};
+
 ns.getFirstLevelByName = function (xmlObj, localName) {
 	var result = [];
 	for(var i=0; i<xmlObj.childNodes.length; i++) {
@@ -43,6 +231,53 @@ ns.parseString = function (string, fn) {
 	parser.parseString(string, fn);
 };
 
+/**
+ * Same as parseString, but returns a Promise. The Promise is rejected with the error of the parser,
+ * completed with the line and column where it happened when they are known.
+ * @param {string} string
+ * @return {Promise<Object>} xml2js formatted object
+ */
+ns.parseStringAsync = function (string) {
+	return new Promise(function (resolve, reject) {
+		try {
+			ns.parseString(string, function (err, result) {
+				if (err) {
+					reject(ns.toParseError(err));
+				}
+				else {
+					resolve(result);
+				}
+			});
+		}
+		catch(e) {
+			reject(ns.toParseError(e));
+		}
+	});
+};
+
+/*
+	sax reports the position at the end of the message like: "Unexpected close tag\nLine: 0\nColumn: 18\nChar: >"
+	with a line starting at 0. The original error is kept as cause.
+*/
+ns.toParseError = function (err) {
+	var message = String(err && err.message || err);
+	var position = /^([\s\S]*?)\nLine: (\d+)\nColumn: (\d+)(?:\nChar: ([\s\S]*))?$/.exec(message);
+	var error;
+	if (position) {
+		error = new Error("Bad XML provided, " + position[1] + " at line " + (Number(position[2]) + 1) +
+			", column " + position[3]);
+		error.line = Number(position[2]) + 1;
+		error.column = Number(position[3]);
+	}
+	else {
+		error = new Error("Bad XML provided, " + message);
+		error.line = null;
+		error.column = null;
+	}
+	error.cause = err;
+	return error;
+};
+
 ns.removePrefixForSbgnTags = function (name){
 	var sbgnTags = new Set([
 		"arc",
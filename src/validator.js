@@ -0,0 +1,1031 @@
+/**
+ * This submodule checks the syntax rules of SBGN directly on the object model, without going through
+ * the xml and the xslt of the schematron validation.
+ *
+ * Each rule is a simple object with an id, a text, a severity, an optional fix suggestion and a validate function. The validate
+ * function receives a {@link ValidationContext} built from the map and returns the list of faulty elements.
+ * The rules are grouped by language in {@link ruleSets}, the set used is chosen from the language of each map.
+ * Rules whose id starts with libsbgnjs- are checks of this library, they have no counterpart in the rules of SBGN.
+ *
+ * You can access it like this: <code>libsbgn.validator.validate(sbgn)</code>
+ *
+ * @module validator
+ * @namespace libsbgn.validator
+*/
+
+var Issue = require('./Issue').Issue;
+var Severity = require('./Issue').Severity;
+var types = require('./libsbgn-types');
+
+var ns = {};
+
+var GlyphClass = types.GlyphClass;
+var ArcClass = types.ArcClass;
+
+// ------- CLASS LISTS -------
+var EPN_CLASSES = [
+	GlyphClass.UNSPECIFIED_ENTITY,
+	GlyphClass.SIMPLE_CHEMICAL,
+	GlyphClass.MACROMOLECULE,
+	GlyphClass.NUCLEIC_ACID_FEATURE,
+	GlyphClass.SIMPLE_CHEMICAL_MULTIMER,
+	GlyphClass.MACROMOLECULE_MULTIMER,
+	GlyphClass.NUCLEIC_ACID_FEATURE_MULTIMER,
+	GlyphClass.COMPLEX,
+	GlyphClass.COMPLEX_MULTIMER
+];
+var PN_CLASSES = [
+	GlyphClass.PROCESS,
+	GlyphClass.OMITTED_PROCESS,
+	GlyphClass.UNCERTAIN_PROCESS,
+	GlyphClass.ASSOCIATION,
+	GlyphClass.DISSOCIATION
+];
+var LOGIC_CLASSES = [GlyphClass.AND, GlyphClass.OR, GlyphClass.NOT];
+var MODULATION_CLASSES = [
+	ArcClass.MODULATION,
+	ArcClass.STIMULATION,
+	ArcClass.CATALYSIS,
+	ArcClass.INHIBITION,
+	ArcClass.NECESSARY_STIMULATION
+];
+
+var AF_ACTIVITY_CLASSES = [GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.PHENOTYPE, GlyphClass.PERTURBATION];
+var AF_LOGIC_CLASSES = LOGIC_CLASSES.concat([GlyphClass.DELAY]);
+var AF_INFLUENCE_CLASSES = [
+	ArcClass.POSITIVE_INFLUENCE,
+	ArcClass.NEGATIVE_INFLUENCE,
+	ArcClass.UNKNOWN_INFLUENCE,
+	ArcClass.NECESSARY_STIMULATION
+];
+var ER_LOGIC_CLASSES = AF_LOGIC_CLASSES;
+var ER_INFLUENCE_CLASSES = [
+	ArcClass.MODULATION,
+	ArcClass.STIMULATION,
+	ArcClass.INHIBITION,
+	ArcClass.ABSOLUTE_STIMULATION,
+	ArcClass.ABSOLUTE_INHIBITION,
+	ArcClass.NECESSARY_STIMULATION
+];
+var REFERENCE_CLASSES = [GlyphClass.TAG, GlyphClass.SUBMAP, GlyphClass.TERMINAL];
+
+var EPN_OR_SOURCE_SINK = EPN_CLASSES.concat([GlyphClass.SOURCE_AND_SINK]);
+var EPN_OR_PERTURBING_AGENT = EPN_CLASSES.concat([GlyphClass.PERTURBING_AGENT]);
+var TOP_LEVEL_EPN = EPN_CLASSES.concat([GlyphClass.SOURCE_AND_SINK, GlyphClass.PERTURBING_AGENT]);
+var PN_OR_PHENOTYPE = PN_CLASSES.concat([GlyphClass.PHENOTYPE]);
+var PD_FORBIDDEN_CLASSES = [GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.OUTCOME, GlyphClass.VARIABLE_VALUE, GlyphClass.ENTITY];
+// ------- END CLASS LISTS -------
+
+// ------- VALIDATIONCONTEXT -------
+/**
+ * Indexes the content of a map so that rules can easily follow the references between elements.
+ * Glyphs are indexed at any depth, including glyph members, arc glyphs and arcgroups.
+ * The type and the XPath-like location of each element are also kept, to be reported in issues.
+ * @class
+ * @param {Map} map
+ * @param {string=} location location of the map itself, default is /map
+ */
+var ValidationContext = function (map, location) {
+	this.map = map;
+	this.glyphs = [];
+	this.arcs = [];
+	this.ports = [];
+	this.glyphIndex = {};
+	this.arcIndex = {};
+	this.portIndex = {};
+	this.portOwnerIndex = {};
+	this.idCount = {};
+	this.elementInfos = [];
+	this.elementInfoIndex = {};
+
+	location = location || '/map';
+	this.addElementInfo(map, 'map', location);
+	this.countId(map.id);
+	this.addGlyphs(map.glyphs, location);
+	this.addArcs(map.arcs, location);
+	for(var i=0; i < map.arcgroups.length; i++) {
+		var arcgroupLocation = location + '/arcgroup[' + (i+1) + ']';
+		this.addElementInfo(map.arcgroups[i], 'arcgroup', arcgroupLocation);
+		this.addGlyphs(map.arcgroups[i].glyphs, arcgroupLocation);
+		this.addArcs(map.arcgroups[i].arcs, arcgroupLocation);
+	}
+};
+
+ValidationContext.prototype.countId = function (id) {
+	if (id == null) {
+		return;
+	}
+	this.idCount[id] = (this.idCount[id] || 0) + 1;
+};
+
+/*
+	the infos are indexed by id, the ones of elements without id or sharing an id are told apart by identity
+*/
+ValidationContext.prototype.addElementInfo = function (element, type, location) {
+	var info = {element: element, type: type, location: location};
+	var key = String(element.id);
+	this.elementInfos.push(info);
+	if (!this.elementInfoIndex.hasOwnProperty(key)) {
+		this.elementInfoIndex[key] = [];
+	}
+	this.elementInfoIndex[key].push(info);
+};
+
+ValidationContext.prototype.addGlyphs = function (glyphs, parentLocation) {
+	for(var i=0; i < glyphs.length; i++) {
+		var glyph = glyphs[i];
+		var location = parentLocation + '/glyph[' + (i+1) + ']';
+		this.glyphs.push(glyph);
+		this.addElementInfo(glyph, 'glyph', location);
+		this.countId(glyph.id);
+		if (glyph.id != null && !this.glyphIndex.hasOwnProperty(glyph.id)) {
+			this.glyphIndex[glyph.id] = glyph;
+		}
+		for(var j=0; j < glyph.ports.length; j++) {
+			var port = glyph.ports[j];
+			this.ports.push(port);
+			this.addElementInfo(port, 'port', location + '/port[' + (j+1) + ']');
+			this.countId(port.id);
+			if (port.id != null && !this.portIndex.hasOwnProperty(port.id)) {
+				this.portIndex[port.id] = port;
+				this.portOwnerIndex[port.id] = glyph;
+			}
+		}
+		this.addGlyphs(glyph.glyphMembers, location);
+	}
+};
+
+ValidationContext.prototype.addArcs = function (arcs, parentLocation) {
+	for(var i=0; i < arcs.length; i++) {
+		var arc = arcs[i];
+		var location = parentLocation + '/arc[' + (i+1) + ']';
+		this.arcs.push(arc);
+		this.addElementInfo(arc, 'arc', location);
+		this.countId(arc.id);
+		if (arc.id != null && !this.arcIndex.hasOwnProperty(arc.id)) {
+			this.arcIndex[arc.id] = arc;
+		}
+		this.addGlyphs(arc.glyphs, location);
+	}
+};
+
+/**
+ * Type and location of an element of the map.
+ * @param {Object} element
+ * @return {{type: string, location: string}}
+ */
+ValidationContext.prototype.getElementInfo = function (element) {
+	var key = String(element.id);
+	var infos = this.elementInfoIndex.hasOwnProperty(key) ? this.elementInfoIndex[key] : [];
+	for(var i=0; i < infos.length; i++) {
+		if (infos[i].element === element) {
+			return infos[i];
+		}
+	}
+	return {type: null, location: null};
+};
+
+/**
+ * @param {string} id
+ * @return {boolean}
+ */
+ValidationContext.prototype.hasId = function (id) {
+	return this.idCount.hasOwnProperty(id);
+};
+
+/**
+ * @param {string} id
+ * @return {number}
+ */
+ValidationContext.prototype.getIdCount = function (id) {
+	return this.idCount[id] || 0;
+};
+
+/**
+ * @param {string} id
+ * @return {Glyph}
+ */
+ValidationContext.prototype.getGlyph = function (id) {
+	return this.glyphIndex.hasOwnProperty(id) ? this.glyphIndex[id] : null;
+};
+
+/**
+ * @param {string} id
+ * @return {Arc}
+ */
+ValidationContext.prototype.getArc = function (id) {
+	return this.arcIndex.hasOwnProperty(id) ? this.arcIndex[id] : null;
+};
+
+/**
+ * Class of the glyph with the given id, null if the id isn't a glyph.
+ * @param {string} id
+ * @return {string}
+ */
+ValidationContext.prototype.getGlyphClass = function (id) {
+	var glyph = this.getGlyph(id);
+	return glyph ? glyph.class_ : null;
+};
+
+/**
+ * The glyph holding the port with the given id.
+ * @param {string} id
+ * @return {Glyph}
+ */
+ValidationContext.prototype.getPortOwner = function (id) {
+	return this.portOwnerIndex.hasOwnProperty(id) ? this.portOwnerIndex[id] : null;
+};
+
+/**
+ * Class of the glyph holding the port with the given id, null if the id isn't a port.
+ * @param {string} id
+ * @return {string}
+ */
+ValidationContext.prototype.getPortOwnerClass = function (id) {
+	var owner = this.getPortOwner(id);
+	return owner ? owner.class_ : null;
+};
+
+/**
+ * @param {string|string[]} classes
+ * @return {Glyph[]}
+ */
+ValidationContext.prototype.getGlyphsByClass = function (classes) {
+	classes = [].concat(classes);
+	return this.glyphs.filter(function (glyph) {
+		return classes.indexOf(glyph.class_) != -1;
+	});
+};
+
+/**
+ * @param {string|string[]} classes
+ * @return {Arc[]}
+ */
+ValidationContext.prototype.getArcsByClass = function (classes) {
+	classes = [].concat(classes);
+	return this.arcs.filter(function (arc) {
+		return classes.indexOf(arc.class_) != -1;
+	});
+};
+
+/**
+ * Arcs having the glyph or one of its ports as source or target.
+ * @param {Glyph} glyph
+ * @param {string=} end 'source' or 'target', both are considered if omitted
+ * @param {string|string[]=} classes restrict to these arc classes
+ * @return {Arc[]}
+ */
+ValidationContext.prototype.getArcsOfGlyph = function (glyph, end, classes) {
+	var portArcs = this.getArcsOfPorts(glyph, end, classes);
+	var arcs = classes ? this.getArcsByClass(classes) : this.arcs;
+	return arcs.filter(function (arc) {
+		if (portArcs.indexOf(arc) != -1) {
+			return true;
+		}
+		var isSource = arc.source == glyph.id;
+		var isTarget = arc.target == glyph.id;
+		if (end == 'source') {
+			return isSource;
+		}
+		if (end == 'target') {
+			return isTarget;
+		}
+		return isSource || isTarget;
+	});
+};
+
+/**
+ * Arcs having one of the ports of the glyph as source or target.
+ * @param {Glyph} glyph
+ * @param {string=} end 'source' or 'target', both are considered if omitted
+ * @param {string|string[]=} classes restrict to these arc classes
+ * @return {Arc[]}
+ */
+ValidationContext.prototype.getArcsOfPorts = function (glyph, end, classes) {
+	var portIds = glyph.ports.map(function (port) { return port.id; });
+	var arcs = classes ? this.getArcsByClass(classes) : this.arcs;
+	return arcs.filter(function (arc) {
+		var isSource = portIds.indexOf(arc.source) != -1;
+		var isTarget = portIds.indexOf(arc.target) != -1;
+		if (end == 'source') {
+			return isSource;
+		}
+		if (end == 'target') {
+			return isTarget;
+		}
+		return isSource || isTarget;
+	});
+};
+
+ns.ValidationContext = ValidationContext;
+// ------- END VALIDATIONCONTEXT -------
+
+// helper for rules checking the class of the element referenced by each arc of some classes
+function arcsNotReferencing(ctx, arcClasses, end, glyphClasses, portOwnerClasses) {
+	return ctx.getArcsByClass(arcClasses).filter(function (arc) {
+		var ref = arc[end];
+		return glyphClasses.indexOf(ctx.getGlyphClass(ref)) == -1 &&
+			portOwnerClasses.indexOf(ctx.getPortOwnerClass(ref)) == -1;
+	});
+}
+
+// helper for rules listing the glyphs or arcs whose class is not part of a language, see types.LanguageGlyphClasses
+function notInClasses(elements, allowedClasses) {
+	return elements.filter(function (element) {
+		return allowedClasses.indexOf(element.class_) == -1;
+	});
+}
+
+// ------- COMMON RULES -------
+/**
+ * Rules applied whatever the language of the map.
+ * @type {Object[]}
+ */
+ns.commonRules = [
+	{
+		id: '00001',
+		text: "ID needs to be unique",
+		severity: Severity.ERROR,
+		fix: "Give a different id to each element",
+		validate: function (ctx) {
+			var elements = ctx.glyphs.concat(ctx.ports, ctx.arcs);
+			return elements.filter(function (element) {
+				return element.id != null && ctx.getIdCount(element.id) > 1;
+			});
+		}
+	},
+	{
+		id: '00002',
+		text: "An arc target should be a glyph defined in the diagram",
+		severity: Severity.ERROR,
+		fix: "Point the arc to the id of an existing glyph or port",
+		validate: function (ctx) {
+			return ctx.arcs.filter(function (arc) {
+				return !ctx.hasId(arc.target);
+			});
+		}
+	},
+	{
+		id: 'libsbgnjs-map-version',
+		text: "The version of the map should be a version of its language",
+		severity: Severity.ERROR,
+		fix: "Change the language or the version of the map so that they match",
+		validate: function (ctx) {
+			var versionLanguage = types.getLanguageOfMapVersion(ctx.map.version);
+			if (ctx.map.language != null && versionLanguage != null && versionLanguage != ctx.map.language) {
+				return [ctx.map];
+			}
+			return [];
+		}
+	}
+];
+// ------- END COMMON RULES -------
+
+// ------- REFERENCE RULES -------
+/**
+ * Rules checking that all the references between elements can be resolved.
+ * They are not part of the rules of the languages, see {@link Map#checkReferences}.
+ * @type {Object[]}
+ */
+ns.referenceRules = [
+	{
+		id: '00003',
+		text: "An arc source should be a glyph defined in the diagram",
+		severity: Severity.ERROR,
+		fix: "Point the arc to the id of an existing glyph or port",
+		validate: function (ctx) {
+			return ctx.arcs.filter(function (arc) {
+				return !ctx.hasId(arc.source);
+			});
+		}
+	},
+	ns.commonRules[1],
+	{
+		id: '00004',
+		text: "The compartmentRef of a glyph should be a glyph defined in the diagram",
+		severity: Severity.ERROR,
+		fix: "Set the compartmentRef to the id of an existing compartment, or remove it",
+		validate: function (ctx) {
+			return ctx.glyphs.filter(function (glyph) {
+				return glyph.compartmentRef != null && ctx.getGlyph(glyph.compartmentRef) == null;
+			});
+		}
+	},
+	{
+		id: '00005',
+		text: "The tagRef of a glyph should be a glyph defined in the diagram",
+		severity: Severity.ERROR,
+		fix: "Set the tagRef to the id of an existing tag, or remove it",
+		validate: function (ctx) {
+			// the tagRef of a terminal points to a tag of the map of its submap, see libsbgn.submaps
+			return ctx.glyphs.filter(function (glyph) {
+				return glyph.tagRef != null && glyph.class_ != GlyphClass.TERMINAL && ctx.getGlyph(glyph.tagRef) == null;
+			});
+		}
+	},
+	{
+		id: '00006',
+		text: "The target of a callout should be an element defined in the diagram",
+		severity: Severity.ERROR,
+		fix: "Point the callout to the id of an existing element",
+		validate: function (ctx) {
+			return ctx.glyphs.filter(function (glyph) {
+				return glyph.callout != null && glyph.callout.target != null && !ctx.hasId(glyph.callout.target);
+			});
+		}
+	}
+];
+// ------- END REFERENCE RULES -------
+
+// ------- PD RULES -------
+/**
+ * Rules of the Process Description language, same as the ones of the schematron validation.
+ * @type {Object[]}
+ */
+ns.pdRules = [
+	{
+		id: 'pd10101',
+		text: "Arc with class consumption must have source reference to glyph of EPN classes",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an entity pool node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.CONSUMPTION, 'source', EPN_OR_SOURCE_SINK, []);
+		}
+	},
+	{
+		id: 'pd10102',
+		text: "Arc with class consumption must have target reference to port on glyph with PN classes",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a port of a process node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.CONSUMPTION, 'target', [], PN_OR_PHENOTYPE);
+		}
+	},
+	{
+		id: 'pd10103',
+		text: "The 'source and sink' glyph can be connected to at most one consumption glyph",
+		severity: Severity.ERROR,
+		fix: "Remove the extra consumption arcs or add another source and sink glyph",
+		validate: function (ctx) {
+			var consumptions = ctx.getArcsByClass(ArcClass.CONSUMPTION);
+			return ctx.getGlyphsByClass(GlyphClass.SOURCE_AND_SINK).filter(function (glyph) {
+				return consumptions.filter(function (arc) { return arc.source == glyph.id; }).length > 1;
+			});
+		}
+	},
+	{
+		id: 'pd10104',
+		text: "The 'dissociation' glyph can only be connected to one consumption glyph",
+		severity: Severity.ERROR,
+		fix: "Remove the extra consumption arcs of the dissociation",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(GlyphClass.DISSOCIATION).filter(function (glyph) {
+				return ctx.getArcsOfPorts(glyph, 'target', ArcClass.CONSUMPTION).length != 1;
+			});
+		}
+	},
+	{
+		id: 'pd10105',
+		text: "Arc with class production must have source reference to port on glyph with PN classes",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to a port of a process node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.PRODUCTION, 'source', [], PN_OR_PHENOTYPE);
+		}
+	},
+	{
+		id: 'pd10106',
+		text: "Arc with class production must have target reference to glyph of EPN classes",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to an entity pool node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.PRODUCTION, 'target', EPN_OR_SOURCE_SINK, []);
+		}
+	},
+	{
+		id: 'pd10107',
+		text: "The 'source and sink' glyph can be connected to at most one production glyph",
+		severity: Severity.ERROR,
+		fix: "Remove the extra production arcs or add another source and sink glyph",
+		validate: function (ctx) {
+			var productions = ctx.getArcsByClass(ArcClass.PRODUCTION);
+			return ctx.getGlyphsByClass(GlyphClass.SOURCE_AND_SINK).filter(function (glyph) {
+				return productions.filter(function (arc) { return arc.target == glyph.id; }).length > 1;
+			});
+		}
+	},
+	{
+		id: 'pd10108',
+		text: "The association glyph can only be connected to one production glyph",
+		severity: Severity.ERROR,
+		fix: "Remove the extra production arcs of the association",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(GlyphClass.ASSOCIATION).filter(function (glyph) {
+				return ctx.getArcsOfPorts(glyph, 'source', ArcClass.PRODUCTION).length != 1;
+			});
+		}
+	},
+	{
+		id: 'pd10109',
+		text: "Modulation arc must have source reference to glyph of EPN classes or a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an entity pool node or a logical operator",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, MODULATION_CLASSES, 'source', EPN_OR_PERTURBING_AGENT, LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'pd10110',
+		text: "Modulation arc must have target reference to PN classes",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a process node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, MODULATION_CLASSES, 'target', PN_OR_PHENOTYPE, []);
+		}
+	},
+	{
+		id: 'pd10111',
+		text: "'and', 'or', and 'not' glyphs must be the source for exactly one arc",
+		severity: Severity.ERROR,
+		fix: "Connect the logical operator to exactly one outgoing arc",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(LOGIC_CLASSES).filter(function (glyph) {
+				return ctx.getArcsOfPorts(glyph, 'source').length != 1;
+			});
+		}
+	},
+	{
+		id: 'pd10112',
+		text: "If there are compartments defined, top-level glyphs must have a compartmentRef",
+		severity: Severity.ERROR,
+		fix: "Set the compartmentRef of the glyph to one of the compartments",
+		validate: function (ctx) {
+			var hasCompartments = ctx.getGlyphsByClass(GlyphClass.COMPARTMENT).length > 0;
+			return ctx.map.glyphs.filter(function (glyph) {
+				if (TOP_LEVEL_EPN.indexOf(glyph.class_) == -1) {
+					return false;
+				}
+				return hasCompartments != (glyph.compartmentRef != null);
+			});
+		}
+	},
+	{
+		id: 'pd10124',
+		text: "Arc with class logic arc must have source reference to glyph of EPN classes, or logic gates",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an entity pool node or a logical operator",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.LOGIC_ARC, 'source', EPN_CLASSES, LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'pd10125',
+		text: "Arc with class logic arc must have target reference to a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a logical operator",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.LOGIC_ARC, 'target', [], LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'pd10126',
+		text: "The 'not' glyph can only be the target of one logic arc glyph",
+		severity: Severity.ERROR,
+		fix: "Remove the extra logic arcs of the 'not' glyph",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(GlyphClass.NOT).filter(function (glyph) {
+				return ctx.getArcsOfPorts(glyph, 'target', ArcClass.LOGIC_ARC).length != 1;
+			});
+		}
+	},
+	{
+		id: 'pd10127',
+		text: "Arc with class equivalence arc must have source reference to glyph of EPN classes",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an entity pool node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.EQUIVALENCE_ARC, 'source', TOP_LEVEL_EPN, []);
+		}
+	},
+	{
+		id: 'pd10128',
+		text: "Arc with class equivalence arc must have target reference to glyph of classes 'tag', 'submap' or 'terminal'",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a tag, submap or terminal",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.EQUIVALENCE_ARC, 'target',
+				[GlyphClass.TAG, GlyphClass.SUBMAP, GlyphClass.TERMINAL], []);
+		}
+	},
+	{
+		id: 'pd10129',
+		text: "All state variables associated with a Stateful Entity Pool Node should be unique and not duplicated within that node",
+		severity: Severity.ERROR,
+		fix: "Remove or rename the duplicated state variable",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(EPN_CLASSES).filter(function (glyph) {
+				var seen = {};
+				return glyph.glyphMembers.some(function (member) {
+					if (member.class_ != GlyphClass.STATE_VARIABLE || member.state == null || !member.state.variable) {
+						return false;
+					}
+					var duplicated = seen.hasOwnProperty(member.state.variable);
+					seen[member.state.variable] = true;
+					return duplicated;
+				});
+			});
+		}
+	},
+	{
+		id: 'pd10131',
+		text: "EPNs should not be orphaned (i.e. they must be associated with at least one arc)",
+		severity: Severity.ERROR,
+		fix: "Connect the glyph to an arc or remove it",
+		validate: function (ctx) {
+			var arcs = ctx.getArcsByClass([ArcClass.PRODUCTION, ArcClass.CONSUMPTION, ArcClass.LOGIC_ARC,
+				ArcClass.EQUIVALENCE_ARC].concat(MODULATION_CLASSES));
+			return ctx.map.glyphs.filter(function (glyph) {
+				if (TOP_LEVEL_EPN.indexOf(glyph.class_) == -1) {
+					return false;
+				}
+				return !arcs.some(function (arc) {
+					return arc.source == glyph.id || arc.target == glyph.id;
+				});
+			});
+		}
+	},
+	{
+		id: 'pd10132',
+		text: "All process nodes (with the exception of phenotype) must have a LHS and RHS",
+		severity: Severity.ERROR,
+		fix: "Add the missing consumption or production arc",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(PN_CLASSES).filter(function (glyph) {
+				return glyph.ports.length != 2;
+			});
+		}
+	},
+	{
+		id: 'pd10133',
+		text: "All EPNs on the LHS of a process must be unique",
+		severity: Severity.ERROR,
+		fix: "Remove the duplicated consumption arcs",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(PN_CLASSES).filter(function (glyph) {
+				return glyph.ports.slice(0, 2).some(function (port) {
+					var sources = ctx.arcs.filter(function (arc) {
+						return arc.target == port.id && arc.class_ == ArcClass.CONSUMPTION;
+					}).map(function (arc) {
+						return arc.source;
+					});
+					return sources.some(function (source, i) {
+						return sources.indexOf(source) != i;
+					});
+				});
+			});
+		}
+	},
+	{
+		id: 'pd10140',
+		text: "This 'glyph class' is not allowed in Process Description",
+		severity: Severity.ERROR,
+		fix: "Use a glyph class of Process Description",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(PD_FORBIDDEN_CLASSES);
+		}
+	},
+	{
+		id: 'pd10141',
+		text: "All process nodes should have at least one input and at least one ouput pointing to the arcs",
+		severity: Severity.ERROR,
+		fix: "Add the missing input or output arc",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(GlyphClass.PROCESS).filter(function (glyph) {
+				return ctx.getArcsOfPorts(glyph).length < 2;
+			});
+		}
+	},
+	{
+		id: 'pd10142',
+		text: "logic Arc must be connected to either 'OR', 'AND' or 'NOT'",
+		severity: Severity.ERROR,
+		fix: "Connect the logic arc to an 'and', 'or' or 'not' glyph",
+		validate: function (ctx) {
+			return ctx.getArcsByClass(ArcClass.LOGIC_ARC).filter(function (arc) {
+				return LOGIC_CLASSES.indexOf(ctx.getPortOwnerClass(arc.source)) == -1 &&
+					LOGIC_CLASSES.indexOf(ctx.getPortOwnerClass(arc.target)) == -1;
+			});
+		}
+	},
+	{
+		id: 'libsbgnjs-pd-glyph-class',
+		text: "This 'glyph class' is not part of Process Description",
+		severity: Severity.ERROR,
+		fix: "Use a glyph class of Process Description",
+		validate: function (ctx) {
+			// the classes of pd10140 are already reported by it
+			return notInClasses(ctx.glyphs, types.LanguageGlyphClasses[types.Language.PD].concat(PD_FORBIDDEN_CLASSES));
+		}
+	},
+	{
+		id: 'libsbgnjs-pd-arc-class',
+		text: "This 'arc class' is not allowed in Process Description",
+		severity: Severity.ERROR,
+		fix: "Use an arc class of Process Description",
+		validate: function (ctx) {
+			return notInClasses(ctx.arcs, types.LanguageArcClasses[types.Language.PD]);
+		}
+	}
+];
+// ------- END PD RULES -------
+
+// ------- AF RULES -------
+/**
+ * Rules of the Activity Flow language.
+ * Logical operators can be referenced either directly or through their ports.
+ * @type {Object[]}
+ */
+ns.afRules = [
+	{
+		id: 'af10101',
+		text: "Influence arc must have source reference to a biological activity, a perturbation or a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to a biological activity, a perturbation or a logical operator",
+		validate: function (ctx) {
+			var classes = [GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.PERTURBATION].concat(AF_LOGIC_CLASSES);
+			return arcsNotReferencing(ctx, AF_INFLUENCE_CLASSES, 'source', classes, AF_LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'af10102',
+		text: "Influence arc must have target reference to a biological activity or a phenotype",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a biological activity or a phenotype",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, AF_INFLUENCE_CLASSES, 'target',
+				[GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.PHENOTYPE], []);
+		}
+	},
+	{
+		id: 'af10103',
+		text: "Arc with class logic arc must have source reference to a biological activity, a perturbation or a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to a biological activity, a perturbation or a logical operator",
+		validate: function (ctx) {
+			var classes = [GlyphClass.BIOLOGICAL_ACTIVITY, GlyphClass.PERTURBATION].concat(AF_LOGIC_CLASSES);
+			return arcsNotReferencing(ctx, ArcClass.LOGIC_ARC, 'source', classes, AF_LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'af10104',
+		text: "Arc with class logic arc must have target reference to a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a logical operator",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.LOGIC_ARC, 'target', AF_LOGIC_CLASSES, AF_LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'af10105',
+		text: "The 'not' and 'delay' glyphs can only be the target of one logic arc",
+		severity: Severity.ERROR,
+		fix: "Remove the extra logic arcs of the glyph",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass([GlyphClass.NOT, GlyphClass.DELAY]).filter(function (glyph) {
+				return ctx.getArcsOfGlyph(glyph, 'target', ArcClass.LOGIC_ARC).length != 1;
+			});
+		}
+	},
+	{
+		id: 'af10106',
+		text: "'and', 'or', 'not' and 'delay' glyphs must be the source for exactly one arc",
+		severity: Severity.ERROR,
+		fix: "Connect the logical operator to exactly one outgoing arc",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass(AF_LOGIC_CLASSES).filter(function (glyph) {
+				return ctx.getArcsOfGlyph(glyph, 'source').length != 1;
+			});
+		}
+	},
+	{
+		id: 'af10107',
+		text: "Arc with class equivalence arc must have source reference to an activity node",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an activity node",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.EQUIVALENCE_ARC, 'source', AF_ACTIVITY_CLASSES, []);
+		}
+	},
+	{
+		id: 'af10108',
+		text: "Arc with class equivalence arc must have target reference to glyph of classes 'tag', 'submap' or 'terminal'",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a tag, submap or terminal",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.EQUIVALENCE_ARC, 'target', REFERENCE_CLASSES, []);
+		}
+	},
+	{
+		id: 'af10109',
+		text: "This 'glyph class' is not allowed in Activity Flow",
+		severity: Severity.ERROR,
+		fix: "Use a glyph class of Activity Flow",
+		validate: function (ctx) {
+			return notInClasses(ctx.glyphs, types.LanguageGlyphClasses[types.Language.AF]);
+		}
+	},
+	{
+		id: 'af10110',
+		text: "This 'arc class' is not allowed in Activity Flow",
+		severity: Severity.ERROR,
+		fix: "Use an arc class of Activity Flow",
+		validate: function (ctx) {
+			return notInClasses(ctx.arcs, types.LanguageArcClasses[types.Language.AF]);
+		}
+	}
+];
+// ------- END AF RULES -------
+
+// ------- ER RULES -------
+/**
+ * Rules of the Entity Relationship language.
+ * Logical operators can be referenced either directly or through their ports.
+ * @type {Object[]}
+ */
+ns.erRules = [
+	{
+		id: 'er10101',
+		text: "Arc with class interaction must have source and target references to entity, outcome or interaction glyphs",
+		severity: Severity.ERROR,
+		fix: "Connect the interaction arc to entities, outcomes or interactions",
+		validate: function (ctx) {
+			var classes = [GlyphClass.ENTITY, GlyphClass.OUTCOME, GlyphClass.INTERACTION];
+			var wrongSources = arcsNotReferencing(ctx, ArcClass.INTERACTION, 'source', classes, classes);
+			var wrongTargets = arcsNotReferencing(ctx, ArcClass.INTERACTION, 'target', classes, classes);
+			return wrongSources.concat(wrongTargets.filter(function (arc) {
+				return wrongSources.indexOf(arc) == -1;
+			}));
+		}
+	},
+	{
+		id: 'er10102',
+		text: "Influence arc must have source reference to an entity, an outcome, a perturbing agent, a variable value or a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an entity, an outcome, a perturbing agent, a variable value or a logical operator",
+		validate: function (ctx) {
+			var classes = [GlyphClass.ENTITY, GlyphClass.OUTCOME, GlyphClass.PERTURBING_AGENT,
+				GlyphClass.VARIABLE_VALUE].concat(ER_LOGIC_CLASSES);
+			return arcsNotReferencing(ctx, ER_INFLUENCE_CLASSES, 'source', classes, ER_LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'er10103',
+		text: "Influence arc must have target reference to an interaction, an outcome, a variable value or another arc",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to an interaction, an outcome, a variable value or another arc",
+		validate: function (ctx) {
+			var classes = [GlyphClass.INTERACTION, GlyphClass.OUTCOME, GlyphClass.VARIABLE_VALUE];
+			return arcsNotReferencing(ctx, ER_INFLUENCE_CLASSES, 'target', classes, classes).filter(function (arc) {
+				return ctx.getArc(arc.target) == null;
+			});
+		}
+	},
+	{
+		id: 'er10104',
+		text: "Arc with class assignment must have source reference to an interaction or an outcome",
+		severity: Severity.ERROR,
+		fix: "Change the source of the arc to an interaction or an outcome",
+		validate: function (ctx) {
+			var classes = [GlyphClass.INTERACTION, GlyphClass.OUTCOME];
+			return arcsNotReferencing(ctx, ArcClass.ASSIGNMENT, 'source', classes, classes);
+		}
+	},
+	{
+		id: 'er10105',
+		text: "Arc with class assignment must have target reference to a variable value",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a variable value",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.ASSIGNMENT, 'target', [GlyphClass.VARIABLE_VALUE], []);
+		}
+	},
+	{
+		id: 'er10106',
+		text: "Arc with class logic arc must have target reference to a logical operator",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a logical operator",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.LOGIC_ARC, 'target', ER_LOGIC_CLASSES, ER_LOGIC_CLASSES);
+		}
+	},
+	{
+		id: 'er10107',
+		text: "The 'not' and 'delay' glyphs can only be the target of one logic arc",
+		severity: Severity.ERROR,
+		fix: "Remove the extra logic arcs of the glyph",
+		validate: function (ctx) {
+			return ctx.getGlyphsByClass([GlyphClass.NOT, GlyphClass.DELAY]).filter(function (glyph) {
+				return ctx.getArcsOfGlyph(glyph, 'target', ArcClass.LOGIC_ARC).length != 1;
+			});
+		}
+	},
+	{
+		id: 'er10108',
+		text: "Arc with class equivalence arc must have target reference to glyph of classes 'tag', 'submap' or 'terminal'",
+		severity: Severity.ERROR,
+		fix: "Change the target of the arc to a tag, submap or terminal",
+		validate: function (ctx) {
+			return arcsNotReferencing(ctx, ArcClass.EQUIVALENCE_ARC, 'target', REFERENCE_CLASSES, []);
+		}
+	},
+	{
+		id: 'er10109',
+		text: "This 'glyph class' is not allowed in Entity Relationship",
+		severity: Severity.ERROR,
+		fix: "Use a glyph class of Entity Relationship",
+		validate: function (ctx) {
+			return notInClasses(ctx.glyphs, types.LanguageGlyphClasses[types.Language.ER]);
+		}
+	},
+	{
+		id: 'er10110',
+		text: "This 'arc class' is not allowed in Entity Relationship",
+		severity: Severity.ERROR,
+		fix: "Use an arc class of Entity Relationship",
+		validate: function (ctx) {
+			return notInClasses(ctx.arcs, types.LanguageArcClasses[types.Language.ER]);
+		}
+	}
+];
+// ------- END ER RULES -------
+
+/**
+ * Rules to apply for each language, indexed by the language value as found in {@link Map}.
+ * @type {Object.<string, Object[]>}
+ */
+ns.ruleSets = {};
+ns.ruleSets[types.Language.PD] = ns.pdRules;
+ns.ruleSets[types.Language.AF] = ns.afRules;
+ns.ruleSets[types.Language.ER] = ns.erRules;
+
+/**
+ * Get the rules applying to a map, the ones of its language plus the common ones.
+ * The language is the one of {@link Map#getLanguage}, so it can come from the version of the map.
+ * Maps without language nor version are considered as process description.
+ * @param {Map} map
+ * @return {Object[]}
+ */
+ns.getRules = function (map) {
+	var language = map.getLanguage() || types.Language.PD;
+	var languageRules = ns.ruleSets.hasOwnProperty(language) ? ns.ruleSets[language] : [];
+	return ns.commonRules.concat(languageRules);
+};
+
+/**
+ * @param {Map} map
+ * @param {Object[]=} rules if omitted, the rules are chosen from the language of the map
+ * @param {string=} location location of the map, reported in the issues. Default is /map
+ * @return {Issue[]}
+ */
+ns.validateMap = function (map, rules, location) {
+	rules = rules || ns.getRules(map);
+	var ctx = new ns.ValidationContext(map, location);
+	var issues = [];
+	for(var i=0; i < rules.length; i++) {
+		var rule = rules[i];
+		var elements = rule.validate(ctx);
+		for(var j=0; j < elements.length; j++) {
+			var info = ctx.getElementInfo(elements[j]);
+			issues.push(new Issue({
+				text: rule.text,
+				pattern: rule.id,
+				severity: rule.severity,
+				elementId: elements[j].id,
+				elementType: info.type,
+				location: info.location,
+				fix: rule.fix
+			}));
+		}
+	}
+	return issues;
+};
+
+/**
+ * Validate all the maps of an sbgn element, or a single map.
+ * @param {Sbgn|Map} sbgnOrMap
+ * @param {Object[]=} rules if omitted, the rules are chosen from the language of each map
+ * @return {Issue[]}
+ */
+ns.validate = function (sbgnOrMap, rules) {
+	if (!sbgnOrMap.maps) {
+		return ns.validateMap(sbgnOrMap, rules);
+	}
+	var issues = [];
+	for(var i=0; i < sbgnOrMap.maps.length; i++) {
+		var location = '/sbgn/map[' + (i+1) + ']';
+		issues = issues.concat(ns.validateMap(sbgnOrMap.maps[i], rules, location));
+	}
+	return issues;
+};
+
+module.exports = ns;
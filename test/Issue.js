@@ -0,0 +1,60 @@
+var chai = require('chai');
+var should = chai.should();
+var Issue = require('../src/Issue').Issue;
+var Severity = require('../src/Issue').Severity;
+
+describe('Issue', function() {
+	it('should have default values', function() {
+		var issue = new Issue();
+		should.equal(issue.text, null);
+		should.equal(issue.pattern, null);
+		should.equal(issue.severity, null);
+		should.equal(issue.elementId, null);
+		should.equal(issue.elementType, null);
+		should.equal(issue.location, null);
+		should.equal(issue.fix, null);
+	});
+	it('should set and get all fields', function() {
+		var issue = new Issue();
+		issue.setText('text');
+		issue.setPattern('pd10101');
+		issue.setSeverity(Severity.WARNING);
+		issue.setElementId('a01');
+		issue.setElementType('arc');
+		issue.setLocation('/sbgn/map[1]/arc[1]');
+		issue.setFix('fix');
+		issue.setRole('role');
+		issue.getText().should.equal('text');
+		issue.getPattern().should.equal('pd10101');
+		issue.getSeverity().should.equal('warning');
+		issue.getElementId().should.equal('a01');
+		issue.getElementType().should.equal('arc');
+		issue.getLocation().should.equal('/sbgn/map[1]/arc[1]');
+		issue.getFix().should.equal('fix');
+		issue.getRole().should.equal('role');
+	});
+	it('should use the element id as role', function() {
+		var issue = new Issue({elementId: 'a01'});
+		issue.getRole().should.equal('a01');
+	});
+	describe('json', function() {
+		var params;
+		beforeEach(function() {
+			params = {text: 'text', pattern: 'pd10101', severity: Severity.ERROR, elementId: 'a01',
+				elementType: 'arc', location: '/sbgn/map[1]/arc[1]', fix: 'fix'};
+		});
+		it('should export to json', function() {
+			var issue = new Issue(params);
+			delete params.role;
+			issue.toJSON().should.deep.equal(params);
+			JSON.parse(JSON.stringify(issue)).should.deep.equal(params);
+		});
+		it('should import from json object or string', function() {
+			var issue = Issue.fromJSON(params);
+			issue.should.be.instanceOf(Issue);
+			issue.toJSON().should.deep.equal(params);
+			Issue.fromJSON(JSON.stringify(params)).toJSON().should.deep.equal(params);
+			issue.getRole().should.equal('a01');
+		});
+	});
+});
@@ -0,0 +1,253 @@
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+var sbgnjs = require('../src/libsbgn');
+var cytoscape = require('../src/cytoscape');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+var xml = "<map id='map1' language='process description'>"+
+	"<glyph id='A' class='macromolecule' compartmentRef='cell'><label text='EGFR'/><clone/><bbox x='20' y='20' w='60' h='40'/>"+
+		"<glyph id='sv1' class='state variable'><state value='P' variable='Y1068'/><bbox x='15' y='15' w='10' h='10'/></glyph>"+
+		"<glyph id='uoi1' class='unit of information'><label text='mt:prot'/><bbox x='15' y='55' w='10' h='10'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='cell' class='compartment'><label text='cell'/><bbox x='0' y='0' w='400' h='300'/></glyph>"+
+	"<glyph id='C' class='complex' compartmentRef='cell'><bbox x='200' y='20' w='100' h='60'/>"+
+		"<glyph id='C1' class='macromolecule'><bbox x='210' y='30' w='40' h='20'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='p' class='process' orientation='horizontal'><bbox x='100' y='100' w='20' h='20'/>"+
+		"<port id='p.1' x='90' y='110'/><port id='p.2' x='130' y='110'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p.1'>"+
+		"<glyph id='card1' class='cardinality'><label text='2'/></glyph>"+
+		"<start x='50' y='60'/><next x='50' y='110'/><end x='90' y='110'/>"+
+	"</arc>"+
+	"<arc id='a2' class='production' source='p.2' target='C'/>"+
+	"<arc id='a3' class='catalysis' source='C' target='a1'/>"+
+	"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='red' value='#ff000080'/></listOfColorDefinitions>"+
+		"<listOfStyles>"+
+			"<style id='s1' idList='A C a2 sv1'><g fill='red' stroke='#0000ff' strokeWidth='2' fontSize='12' textAnchor='start'/></style>"+
+			"<style id='s2' idList='cell.1'><g fill='#ffffff'/></style>"+
+		"</listOfStyles>"+
+	"</renderInformation></extension>"+
+"</map>";
+
+describe('cytoscape', function() {
+	var map;
+	beforeEach(function() {
+		map = sbgnjs.Map.fromXML(xml);
+	});
+
+	describe('toElements', function() {
+		it('should give the glyphs as nodes, with the parents first', function() {
+			var elements = cytoscape.toElements(map);
+			elements.nodes.map(function (node) { return node.data.id; }).should.deep.equal(['cell', 'p', 'A', 'C', 'C1']);
+			elements.nodes.forEach(function (node) {
+				node.group.should.equal('nodes');
+			});
+			var A = elements.nodes[2];
+			A.data.parent.should.equal('cell');
+			A.data['class'].should.equal('macromolecule');
+			A.data.label.should.equal('EGFR');
+			A.data.clonemarker.should.be.true;
+			A.data.bbox.should.deep.equal({x: 50, y: 40, w: 60, h: 40});
+			A.position.should.deep.equal({x: 50, y: 40});
+			elements.nodes[4].data.parent.should.equal('C');
+			should.not.exist(elements.nodes[0].data.parent);
+			elements.nodes[0].data.clonemarker.should.be.false;
+		});
+		it('should give the auxiliary units and ports in the data of the nodes', function() {
+			var elements = cytoscape.toElements(map);
+			elements.nodes[2].data.statesandinfos.should.deep.equal([
+				{id: 'sv1', clazz: 'state variable', state: {value: 'P', variable: 'Y1068'}, bbox: {x: -50, y: -50, w: 10, h: 10}},
+				{id: 'uoi1', clazz: 'unit of information', label: {text: 'mt:prot'}, bbox: {x: -50, y: 50, w: 10, h: 10}}
+			]);
+			var process = elements.nodes[1];
+			process.data.orientation.should.equal('horizontal');
+			process.data.ports.should.deep.equal([{id: 'p.1', x: -100, y: 0}, {id: 'p.2', x: 100, y: 0}]);
+		});
+		it('should give the arcs between nodes as edges', function() {
+			var edges = cytoscape.toElements(map).edges;
+			edges.map(function (edge) { return edge.data.id; }).should.deep.equal(['a1', 'a2']);
+			edges[0].group.should.equal('edges');
+			edges[0].data.should.deep.equal({
+				id: 'a1', 'class': 'consumption', source: 'A', target: 'p', porttarget: 'p.1', cardinality: 2,
+				bendPointPositions: [{x: 50, y: 110}]
+			});
+			edges[1].data.source.should.equal('p');
+			edges[1].data.portsource.should.equal('p.2');
+			should.not.exist(edges[1].data.porttarget);
+		});
+		it('should ignore unknown parents and give the glyphs of arcgroups', function() {
+			map.getElementById('A').compartmentRef = 'unknown';
+			map.addArcgroup(new sbgnjs.Arcgroup({class_: 'interaction', glyphs: [new sbgnjs.Glyph({id: 'tag1', class_: 'tag'})]}));
+			var nodes = cytoscape.toElements(map).nodes;
+			nodes.map(function (node) { return node.data.id; }).should.deep.equal(['A', 'cell', 'p', 'tag1', 'C', 'C1']);
+			should.not.exist(nodes[0].data.parent);
+		});
+	});
+
+	describe('toStylesheet', function() {
+		it('should give the styles of the render information', function() {
+			var stylesheet = cytoscape.toStylesheet(map);
+			stylesheet.should.deep.equal([
+				{selector: 'node#A, node#C', style: {
+					'font-size': 12, 'background-color': '#ff0000', 'background-opacity': 0.5, 'border-color': '#0000ff',
+					'border-width': 2, 'text-halign': 'left'
+				}},
+				{selector: 'edge#a2', style: {
+					'font-size': 12, 'line-color': '#0000ff', 'source-arrow-color': '#0000ff', 'target-arrow-color': '#0000ff',
+					width: 2, 'text-halign': 'left'
+				}}
+			]);
+		});
+		it('should escape the ids in the selectors', function() {
+			cytoscape.escapeId('cell.1').should.equal('cell\\.1');
+			map.renameId('cell', 'cell.1');
+			cytoscape.toStylesheet(map)[2].selector.should.equal('node#cell\\.1');
+		});
+		it('should be empty without render information', function() {
+			var result = sbgnjs.Map.fromXML("<map><glyph id='A' class='macromolecule'/></map>").toCytoscape();
+			result.elements.nodes.should.have.length(1);
+			should.not.exist(result.elements.nodes[0].position);
+			result.style.should.be.empty;
+		});
+	});
+
+	describe('fromCytoscape', function() {
+		var editorElements = [
+			{group: 'nodes', data: {id: 'cell', 'class': 'compartment', label: 'cell', bbox: {x: 200, y: 150, w: 400, h: 300},
+				'background-color': 'white', 'border-width': '3px'}},
+			{group: 'nodes', data: {id: 'A', 'class': 'macromolecule', label: 'EGFR', parent: 'cell', clonemarker: true,
+				bbox: {x: 50, y: 40, w: 60, h: 40}, statesandinfos: [
+					{id: 'sv1', clazz: 'state variable', state: {value: 'P', variable: 'Y1068'}, bbox: {x: -50, y: -50, w: 10, h: 10}},
+					{clazz: 'unit of information', label: {text: 'mt:prot'}, bbox: {x: 25, y: 50, w: 20, h: 10}}
+				], 'background-color': 'rgb(255, 0, 0)', 'background-opacity': 0.5}, position: {x: 60, y: 40}},
+			{group: 'nodes', data: {id: 'C', 'class': 'complex', parent: 'cell', bbox: {x: 250, y: 50, w: 100, h: 60}}},
+			{group: 'nodes', data: {id: 'C1', 'class': 'macromolecule', parent: 'C', bbox: {x: 230, y: 40, w: 40, h: 20}}},
+			{group: 'nodes', data: {id: 'p', 'class': 'process', bbox: {x: 110, y: 110, w: 20, h: 20},
+				ports: [{id: 'p.1', x: -100, y: 0}, {id: 'p.2', x: 100, y: 0}]}},
+			{group: 'edges', data: {id: 'a1', 'class': 'consumption', source: 'A', target: 'p', porttarget: 'p.1', cardinality: 0,
+				bendPointPositions: [{x: 60, y: 110}], 'line-color': '#00f'}},
+			{group: 'edges', data: {id: 'a2', 'class': 'production', source: 'p', portsource: 'p.2', target: 'C', cardinality: 2},
+				style: {'line-color': '#0000ff'}}
+		];
+
+		it('should read the glyphs and arcs of SBGN-aware editors', function() {
+			var map = sbgnjs.Map.fromCytoscape(editorElements, {id: 'map1'});
+			map.id.should.equal('map1');
+			map.language.should.equal('process description');
+			map.glyphs.map(function (glyph) { return glyph.id; }).should.deep.equal(['cell', 'A', 'C', 'p']);
+			var A = map.getElementById('A');
+			A.compartmentRef.should.equal('cell');
+			A.label.text.should.equal('EGFR');
+			should.exist(A.clone);
+			A.bbox.should.deep.equal(new sbgnjs.Bbox({x: 30, y: 20, w: 60, h: 40}));
+			A.glyphMembers[0].state.should.deep.equal(new sbgnjs.State({value: 'P', variable: 'Y1068'}));
+			// the units are placed from the center of their glyph, in percentage of its size
+			A.glyphMembers[0].bbox.should.deep.equal(new sbgnjs.Bbox({x: 25, y: 15, w: 10, h: 10}));
+			A.glyphMembers[1].bbox.should.deep.equal(new sbgnjs.Bbox({x: 65, y: 55, w: 20, h: 10}));
+			map.getElementById('C1').should.equal(map.getElementById('C').glyphMembers[0]);
+			should.not.exist(map.getElementById('C1').compartmentRef);
+			map.getElementById('p.1').x.should.equal(90);
+			map.getPortOwner('p.2').id.should.equal('p');
+		});
+		it('should give the arcs their ports, start, end and cardinality', function() {
+			var map = sbgnjs.Map.fromCytoscape({nodes: editorElements.slice(0, 5), edges: editorElements.slice(5)});
+			var a1 = map.getElementById('a1');
+			a1.target.should.equal('p.1');
+			a1.start.should.deep.equal(new sbgnjs.Start({x: 60, y: 40}));
+			a1.nexts.should.deep.equal([new sbgnjs.Next({x: 60, y: 110})]);
+			a1.end.should.deep.equal(new sbgnjs.End({x: 90, y: 110}));
+			a1.glyphs.should.be.empty;
+			var a2 = map.getElementById('a2');
+			a2.source.should.equal('p.2');
+			a2.glyphs[0].class_.should.equal('cardinality');
+			a2.glyphs[0].label.text.should.equal(2);
+			map.checkReferences().should.be.empty;
+			map.checkDuplicateIds().should.be.empty;
+		});
+		it('should give an id to the state variables and units of information without one', function() {
+			var map = sbgnjs.Map.fromCytoscape([
+				{group: 'nodes', data: {id: 'glyph1', 'class': 'macromolecule', statesandinfos: [
+					{clazz: 'state variable', state: {value: 'P'}},
+					{clazz: 'unit of information', label: {text: 'mt:prot'}}
+				]}}
+			]);
+			var units = map.getElementById('glyph1').glyphMembers;
+			units.map(function (unit) { return unit.id; }).should.deep.equal(['glyph2', 'glyph3']);
+			map.getElementById('glyph2').should.equal(units[0]);
+			map.toXML().should.contain('<glyph id="glyph2" class="state variable">');
+			map.checkDuplicateIds().should.be.empty;
+		});
+		it('should group the elements having the same style in the render information', function() {
+			var map = sbgnjs.Map.fromCytoscape(JSON.stringify(editorElements));
+			var render = map.extension.get('renderInformation');
+			render.listOfColorDefinitions.getAllColors().should.deep.equal(['#ffffff', '#ff000080', '#0000ff']);
+			var styles = render.listOfStyles.styles;
+			styles.map(function (style) { return style.idList; }).should.deep.equal(['cell', 'A', 'a1 a2']);
+			render.listOfColorDefinitions.getColorById(styles[0].renderGroup.fill).should.equal('#ffffff');
+			styles[0].renderGroup.strokeWidth.should.equal(3);
+			render.listOfColorDefinitions.getColorById(styles[2].renderGroup.stroke).should.equal('#0000ff');
+			map.checkDuplicateIds().should.be.empty;
+		});
+		it('should read back the maps written by toCytoscape', function() {
+			var original = sbgnjs.Map.fromXML(xml);
+			var map = sbgnjs.Map.fromCytoscape(JSON.parse(JSON.stringify(original.toCytoscape())), {id: 'map1'});
+			map.glyphs.map(function (glyph) { return glyph.id; }).should.deep.equal(['cell', 'p', 'A', 'C']);
+			map.getElementById('A').equals(original.getElementById('A')).should.be.true;
+			map.getElementById('C').equals(original.getElementById('C')).should.be.true;
+			map.getElementById('p').equals(original.getElementById('p')).should.be.true;
+			should.not.exist(map.getElementById('a3'));
+			map.toCytoscape().should.deep.equal(original.toCytoscape());
+		});
+		it('should guess the language from the classes', function() {
+			sbgnjs.Map.fromCytoscape([{data: {id: 'b', 'class': 'biological activity'}}]).language.should.equal('activity flow');
+			sbgnjs.Map.fromCytoscape([{data: {id: 'e', 'class': 'entity'}}]).language.should.equal('entity relationship');
+			should.not.exist(sbgnjs.Map.fromCytoscape([{data: {id: 'x', 'class': 'unknown'}}]).language);
+			sbgnjs.Map.fromCytoscape([], {language: 'activity flow'}).language.should.equal('activity flow');
+		});
+		it('should refuse what is not made of elements', function() {
+			(function () {
+				cytoscape.fromCytoscape({graph: []});
+			}).should.throw(Error, "Bad Cytoscape.js elements provided");
+			(function () {
+				cytoscape.fromCytoscape('[');
+			}).should.throw(Error, "Bad JSON provided");
+		});
+		it('should refuse nodes whose parents form a cycle', function() {
+			(function () {
+				cytoscape.fromCytoscape([
+					{data: {id: 'c1', 'class': 'complex', parent: 'c2'}},
+					{data: {id: 'c2', 'class': 'complex', parent: 'c1'}}
+				]);
+			}).should.throw(Error, "Bad Cytoscape.js elements provided, the parents of c1 form a cycle");
+			(function () {
+				cytoscape.fromCytoscape([{data: {id: 'c1', 'class': 'complex', parent: 'c1'}}]);
+			}).should.throw(Error, "the parents of c1 form a cycle");
+		});
+	});
+
+	describe('test files', function() {
+		fs.readdirSync(testFilesDir).filter(function (file) {
+			return /^(pd|af|er)\d+-pass/.test(file);
+		}).forEach(function (file) {
+			it(file + ' should give elements with known ends and parents', function() {
+				var sbgn = sbgnjs.Sbgn.fromXML(fs.readFileSync(path.join(testFilesDir, file), 'utf8'));
+				var elements = sbgn.maps[0].toCytoscape().elements;
+				var seen = {};
+				elements.nodes.forEach(function (node) {
+					if (node.data.parent != null) {
+						seen.should.have.property(node.data.parent);
+					}
+					seen[node.data.id] = true;
+				});
+				elements.edges.forEach(function (edge) {
+					seen.should.have.property(edge.data.source);
+					seen.should.have.property(edge.data.target);
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,119 @@
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+var sbgnjs = require('../src/libsbgn');
+var formatVersions = require('../src/formatVersions');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+var renderXml = "<extension><renderInformation id='render1' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='color1' value='#ffffff'/></listOfColorDefinitions>"+
+		"<listOfStyles><style id='style1' idList='glyph1'><g fill='color1'/></style></listOfStyles>"+
+	"</renderInformation></extension>";
+
+var xml02 = "<sbgn xmlns='http://sbgn.org/libsbgn/0.2'><map language='process description'>"+
+		"<glyph id='glyph1' class='macromolecule'><bbox x='0' y='0' w='60' h='30'/></glyph>"+
+		"<glyph id='glyph2' class='process'><bbox x='100' y='0' w='10' h='10'/><port id='glyph2.1' x='95' y='5'/></glyph>"+
+		"<arc id='arc1' class='consumption' source='glyph1' target='glyph2.1'/>"+renderXml+
+	"</map></sbgn>";
+
+var xml03 = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+	"<map id='top' language='process description' version='http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.3'>"+
+		"<glyph id='S' class='submap' mapRef='sub'><glyph id='T' class='terminal' tagRef='tag'/></glyph>"+
+	"</map>"+
+	"<map id='sub' language='process description'><glyph id='tag' class='tag'/></map>"+
+"</sbgn>";
+
+describe('formatVersions', function() {
+	describe('detection', function() {
+		it('should detect the version from the namespace', function() {
+			var file = fs.readFileSync(path.join(testFilesDir, 'pd10101-pass.sbgn.xml'), 'utf8');
+			sbgnjs.Sbgn.fromXML(file).getFormatVersion().should.equal('0.2');
+			sbgnjs.Sbgn.fromXML(xml03).getFormatVersion().should.equal('0.3');
+			should.not.exist(new sbgnjs.Sbgn({xmlns: 'http://example.org'}).getFormatVersion());
+			formatVersions.getNamespace(formatVersions.latest).should.equal(sbgnjs.xmlns);
+			(function () {
+				formatVersions.getNamespace('0.4');
+			}).should.throw(Error, "Unknown SBGN-ML version 0.4");
+		});
+		it('should only change the namespace of the sbgn element', function() {
+			var changed = formatVersions.setNamespaceOfXML(xml02.replace("<map", "<map xmlns:x='http://sbgn.org/libsbgn/0.2'"), '0.3');
+			changed.should.contain("<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>");
+			changed.should.contain("xmlns:x='http://sbgn.org/libsbgn/0.2'");
+			changed.should.contain("xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'");
+			formatVersions.setNamespaceOfXML('<sbgn:sbgn xmlns:sbgn="http://sbgn.org/libsbgn/0.3"/>', '0.2').should.equal(
+				'<sbgn:sbgn xmlns:sbgn="http://sbgn.org/libsbgn/0.2"/>');
+		});
+	});
+
+	describe('conversion to 0.2', function() {
+		it('should write a single map without the attributes of 0.3', function() {
+			var sbgn = sbgnjs.Sbgn.fromXML(xml03);
+			sbgn.removeMap('sub');
+			var written = sbgn.toXML({version: '0.2'});
+			written.should.equal('<sbgn xmlns="http://sbgn.org/libsbgn/0.2"><map language="process description">'+
+				'<glyph id="S" class="submap"><glyph id="T" class="terminal"/></glyph></map></sbgn>');
+			sbgn.maps[0].id.should.equal('top');
+			sbgn.toXML().should.contain('http://sbgn.org/libsbgn/0.3');
+		});
+		it('should give a document for each map', function() {
+			var converted = formatVersions.convertTo02(sbgnjs.Sbgn.fromXML(xml03));
+			converted.should.have.length(2);
+			converted.forEach(function (sbgn) {
+				sbgn.getFormatVersion().should.equal('0.2');
+				sbgn.maps.should.have.length(1);
+				should.not.exist(sbgn.maps[0].id);
+			});
+			should.not.exist(converted[0].maps[0].version);
+			(function () {
+				sbgnjs.Sbgn.fromXML(xml03).toXML({version: '0.2'});
+			}).should.throw(Error, "An SBGN-ML 0.2 document has a single map, this one has 2");
+		});
+		it('should refuse maps without language', function() {
+			var sbgn = sbgnjs.Sbgn.fromXML(xml03);
+			sbgn.maps[0].language = null;
+			formatVersions.convertTo02(sbgn)[0].maps[0].language.should.equal('process description');
+			sbgn.maps[1].language = null;
+			(function () {
+				formatVersions.convertTo02(sbgn);
+			}).should.throw(Error, "Can't convert the map sub to SBGN-ML 0.2, it has no language");
+		});
+	});
+
+	describe('conversion to 0.3', function() {
+		it('should read a 0.2 document as 0.3', function() {
+			var file = fs.readFileSync(path.join(testFilesDir, 'pd10101-pass.sbgn.xml'), 'utf8');
+			var original = sbgnjs.Sbgn.fromXML(file);
+			var sbgn = sbgnjs.Sbgn.fromXML(file, {version: '0.3'});
+			sbgn.getFormatVersion().should.equal('0.3');
+			sbgn.maps[0].id.should.equal('map1');
+			sbgn.maps[0].glyphs.should.deep.equal(original.maps[0].glyphs);
+			sbgnjs.Sbgn.fromXML(original.toXML({version: '0.3'})).equals(sbgn).should.be.true;
+		});
+		it('should merge documents renaming the ids used twice', function() {
+			var sbgn = formatVersions.convertTo03([sbgnjs.Sbgn.fromXML(xml02), sbgnjs.Sbgn.fromXML(xml02)]);
+			sbgn.maps.map(function (map) { return map.id; }).should.deep.equal(['map1', 'map2']);
+			sbgn.checkDuplicateIds().should.be.empty;
+			var second = sbgn.maps[1];
+			second.glyphs.map(function (glyph) { return glyph.id; }).should.deep.equal(['glyph3', 'glyph4']);
+			second.glyphs[1].ports[0].id.should.equal('glyph4.1');
+			second.arcs[0].id.should.equal('arc2');
+			second.arcs[0].source.should.equal('glyph3');
+			second.arcs[0].target.should.equal('glyph4.1');
+			var render = second.extension.get('renderInformation');
+			render.id.should.equal('renderInformation1');
+			render.listOfColorDefinitions.colorDefinitions[0].id.should.equal('color2');
+			render.listOfColorDefinitions.getColorById('color2').should.equal('#ffffff');
+			render.listOfStyles.styles[0].id.should.equal('style2');
+			render.listOfStyles.styles[0].idList.should.equal('glyph3');
+			render.listOfStyles.styles[0].renderGroup.fill.should.equal('color2');
+		});
+		it('should follow the new ids of maps in the submaps', function() {
+			var sbgn = formatVersions.convertTo03([sbgnjs.Sbgn.fromXML(xml03), sbgnjs.Sbgn.fromXML(xml03)]);
+			sbgn.maps.map(function (map) { return map.id; }).should.deep.equal(['top', 'sub', 'map1', 'map2']);
+			sbgn.resolveMapRef(sbgn.maps[2].glyphs[0]).should.equal(sbgn.maps[3]);
+			sbgn.checkSubmaps().should.be.empty;
+		});
+	});
+});
@@ -0,0 +1,83 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var graph = require('../src/graph');
+
+/*
+	A + B -> C (process p1, catalysed by E through an 'and' with F)
+	C -> D (process p2, inhibited by B)
+	G is isolated
+*/
+var xml = "<map language='process description'>"+
+	"<glyph id='A' class='simple chemical'/>"+
+	"<glyph id='B' class='macromolecule'/>"+
+	"<glyph id='C' class='complex'/>"+
+	"<glyph id='D' class='macromolecule'/>"+
+	"<glyph id='E' class='macromolecule'/>"+
+	"<glyph id='F' class='macromolecule'/>"+
+	"<glyph id='G' class='macromolecule'/>"+
+	"<glyph id='and' class='and'/>"+
+	"<glyph id='p1' class='process'><port id='p1.1'/><port id='p1.2'/></glyph>"+
+	"<glyph id='p2' class='process'/>"+
+	"<arc id='a1' class='consumption' source='A' target='p1.1'/>"+
+	"<arc id='a2' class='consumption' source='B' target='p1.1'/>"+
+	"<arc id='a3' class='production' source='p1.2' target='C'/>"+
+	"<arc id='a4' class='logic arc' source='E' target='and'/>"+
+	"<arc id='a5' class='logic arc' source='F' target='and'/>"+
+	"<arc id='a6' class='catalysis' source='and' target='p1'/>"+
+	"<arc id='a7' class='consumption' source='C' target='p2'/>"+
+	"<arc id='a8' class='production' source='p2' target='D'/>"+
+	"<arc id='a9' class='inhibition' source='B' target='p2'/>"+
+	"<arc id='a10' class='production' source='p2' target='unknown'/>"+
+	"</map>";
+
+function ids(glyphs) {
+	return glyphs.map(function (glyph) { return glyph.id; });
+}
+
+describe('graph', function() {
+	var map, g;
+	beforeEach(function() {
+		map = sbgnjs.Map.fromXML(xml);
+		g = map.toGraph();
+	});
+	it('should build nodes and edges', function() {
+		g.should.be.instanceOf(graph.Graph);
+		g.getNodes().should.have.length(10);
+		g.getEdges().should.have.length(9);
+		g.getEdges()[0].target.id.should.equal('p1');
+	});
+	it('should give participants of processes by role', function() {
+		var participants = g.getParticipants('p1');
+		Object.keys(participants).sort().should.deep.equal(['catalysis', 'consumption', 'production']);
+		ids(participants.consumption).should.deep.equal(['A', 'B']);
+		ids(g.getReactants('p1')).should.deep.equal(['A', 'B']);
+		ids(g.getProducts('p1')).should.deep.equal(['C']);
+		ids(g.getModifiers('p1')).should.deep.equal(['and']);
+		ids(g.getModifiers(map.getElementById('p2'))).should.deep.equal(['B']);
+		g.getParticipants('unknown').should.deep.equal({});
+	});
+	it('should give neighbors', function() {
+		ids(g.getNeighbors('B')).should.deep.equal(['p1', 'p2']);
+		ids(g.getNeighbors('p2', {direction: 'in'})).should.deep.equal(['C', 'B']);
+		ids(g.getNeighbors('p2', {direction: 'out'})).should.deep.equal(['D']);
+		ids(g.getNeighbors('p2', {arcClasses: ['inhibition']})).should.deep.equal(['B']);
+		g.getNeighbors('G').should.deep.equal([]);
+	});
+	it('should find shortest paths', function() {
+		ids(g.getShortestPath('A', 'D')).should.deep.equal(['A', 'p1', 'C', 'p2', 'D']);
+		ids(g.getShortestPath('B', 'D')).should.deep.equal(['B', 'p2', 'D']);
+		should.equal(g.getShortestPath('D', 'A'), null);
+		ids(g.getShortestPath('D', 'A', {directed: false})).should.deep.equal(['D', 'p2', 'C', 'p1', 'A']);
+		ids(g.getShortestPath('B', 'D', {arcClasses: ['consumption', 'production']}))
+			.should.deep.equal(['B', 'p1', 'C', 'p2', 'D']);
+		should.equal(g.getShortestPath('A', 'G'), null);
+		ids(g.getShortestPath('A', 'A')).should.deep.equal(['A']);
+	});
+	it('should find connected components', function() {
+		var components = g.getConnectedComponents();
+		components.should.have.length(2);
+		ids(components[0]).sort().should.deep.equal(['A', 'B', 'C', 'D', 'E', 'F', 'and', 'p1', 'p2']);
+		ids(components[1]).should.deep.equal(['G']);
+	});
+});
@@ -0,0 +1,127 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var ids = require('../src/ids');
+
+var renderXml = "<extension><renderInformation id='render1' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='color1' value='#ffffff'/></listOfColorDefinitions>"+
+		"<listOfStyles><style id='style1' idList='glyph1'><g fill='color1'/></style></listOfStyles>"+
+	"</renderInformation></extension>";
+
+describe('ids', function() {
+	describe('IdGenerator', function() {
+		var sbgn, map;
+		beforeEach(function() {
+			sbgn = sbgnjs.Sbgn.fromXML("<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+				"<map id='map1' language='process description'>"+
+					"<glyph id='glyph1' class='macromolecule'/><glyph id='glyph3' class='macromolecule'/>"+
+					"<arc id='arc1' class='consumption' source='glyph1' target='glyph3'/>"+renderXml+
+				"</map>"+
+				"<map id='map2' language='process description'><glyph id='glyph2' class='macromolecule'/></map>"+
+			"</sbgn>");
+			map = sbgn.maps[0];
+		});
+
+		it('should generate ids not used in the document', function() {
+			var generator = sbgn.getIdGenerator();
+			generator.should.be.instanceOf(ids.IdGenerator);
+			sbgn.getIdGenerator().should.equal(generator);
+			generator.next('glyph').should.equal('glyph4');
+			generator.next('glyph').should.equal('glyph5');
+			generator.next('arc').should.equal('arc2');
+			generator.next('map').should.equal('map3');
+			generator.next('style').should.equal('style2');
+			generator.next('colorDefinition').should.equal('color2');
+			generator.next('renderInformation').should.equal('renderInformation1');
+		});
+		it('should see the elements added after the first id', function() {
+			var generator = sbgn.getIdGenerator();
+			generator.next('glyph').should.equal('glyph4');
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph5'}));
+			map.glyphs[0].addPort(new sbgnjs.Port({id: 'glyph6'}));
+			map.extension.get('renderInformation').listOfStyles.addStyle(new sbgnjs.render.Style({id: 'glyph7'}));
+			generator.next('glyph').should.equal('glyph8');
+		});
+		it('should make the ids of ports from their glyph', function() {
+			var generator = sbgn.getIdGenerator();
+			map.glyphs[0].addPort(new sbgnjs.Port({id: 'glyph1.1'}));
+			generator.next('port', map.glyphs[0]).should.equal('glyph1.2');
+			generator.next('port', map.glyphs[1]).should.equal('glyph3.1');
+			generator.next('port').should.equal('port1');
+			generator.setPrefixes({port: 'p'});
+			generator.next('port', map.glyphs[0]).should.equal('p1');
+		});
+		it('should use the configured prefixes', function() {
+			var generator = new ids.IdGenerator(sbgn, {prefixes: {glyph: 'g_', arc: 'reaction'}});
+			generator.next('glyph').should.equal('g_1');
+			generator.next('arc').should.equal('reaction1');
+			generator.next('style').should.equal('style2');
+			(function () {
+				generator.next('compartment');
+			}).should.throw(Error, "Unknown kind of element compartment");
+			(function () {
+				generator.setPrefixes({node: 'n'});
+			}).should.throw(Error, "Unknown kind of element node");
+		});
+		it('should only know the map for the generator of a map', function() {
+			map.getIdGenerator().next('glyph').should.equal('glyph2');
+			sbgn.getIdGenerator().next('glyph').should.equal('glyph4');
+		});
+		it('should assign ids to the elements without one', function() {
+			var process = new sbgnjs.Glyph({class_: 'process'});
+			process.addPort(new sbgnjs.Port());
+			process.addPort(new sbgnjs.Port());
+			var arc = new sbgnjs.Arc({class_: 'production', source: 'glyph1', target: 'glyph3'});
+			arc.addGlyph(new sbgnjs.Glyph({class_: 'cardinality'}));
+			map.addGlyph(process);
+			map.addArc(arc);
+			map.extension.get('renderInformation').listOfStyles.addStyle(new sbgnjs.render.Style());
+			sbgn.getIdGenerator().assignIds(sbgn).should.equal(sbgn);
+			process.id.should.equal('glyph4');
+			process.ports.map(function (port) { return port.id; }).should.deep.equal(['glyph4.1', 'glyph4.2']);
+			arc.id.should.equal('arc2');
+			arc.glyphs[0].id.should.equal('glyph5');
+			map.extension.get('renderInformation').listOfStyles.styles[1].id.should.equal('style2');
+			map.getElementById('glyph4.2').should.equal(process.ports[1]);
+			sbgn.checkDuplicateIds().should.be.empty;
+		});
+		it('should assign ids to a single element', function() {
+			var glyph = new sbgnjs.Glyph({class_: 'complex'});
+			glyph.addGlyphMember(new sbgnjs.Glyph({class_: 'macromolecule'}));
+			sbgn.getIdGenerator().assignIds(glyph);
+			glyph.id.should.equal('glyph4');
+			glyph.glyphMembers[0].id.should.equal('glyph5');
+			(function () {
+				sbgn.getIdGenerator().assignIds(new sbgnjs.Bbox());
+			}).should.throw(Error, "Can't assign ids");
+		});
+	});
+
+	describe('checkDuplicateIds', function() {
+		it('should report duplicated ids across maps and render elements', function() {
+			var sbgn = sbgnjs.Sbgn.fromXML("<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+				"<map id='map1' language='process description'>"+
+					"<glyph id='glyph1' class='process'><port id='glyph1.1'/></glyph>"+
+					"<arc id='color1' class='consumption' source='glyph1.1' target='glyph1'/>"+renderXml+
+				"</map>"+
+				"<map id='glyph1' language='process description'><glyph id='glyph2' class='macromolecule'/></map>"+
+			"</sbgn>");
+			var issues = sbgn.checkDuplicateIds();
+			issues.map(function (issue) { return issue.elementType + ' ' + issue.location; }).should.deep.equal([
+				'glyph /sbgn/map[1]/glyph[1]',
+				'arc /sbgn/map[1]/arc[1]',
+				'colorDefinition /sbgn/map[1]/extension/renderInformation/listOfColorDefinitions/colorDefinition[1]',
+				'map /sbgn/map[2]'
+			]);
+			issues[0].should.be.instanceOf(require('../src/Issue').Issue);
+			issues[0].pattern.should.equal('00001');
+			issues[0].severity.should.equal('error');
+			issues[0].text.should.contain('glyph1 is used 2 times');
+			sbgn.maps[1].checkDuplicateIds().should.be.empty;
+			sbgn.maps[0].checkDuplicateIds().map(function (issue) { return issue.location; }).should.deep.equal([
+				'/map/arc[1]',
+				'/map/extension/renderInformation/listOfColorDefinitions/colorDefinition[1]'
+			]);
+		});
+	});
+});
@@ -0,0 +1,193 @@
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+var sbgnjs = require('../src/libsbgn');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+var completeXml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+	"<notes><html xmlns='http://www.w3.org/1999/xhtml'><body>a document</body></html></notes>"+
+	"<map id='map1' language='process description' version='http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.3'>"+
+		"<extension>"+
+			"<renderInformation id='render1' programName='sbgnviz' backgroundColor='#ffffff' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+				"<listOfColorDefinitions><colorDefinition id='color1' value='#ff0000'/></listOfColorDefinitions>"+
+				"<listOfBackgroundImages><backgroundImage id='image1' value='data:image/png;base64,AAA'/></listOfBackgroundImages>"+
+				"<listOfStyles><style id='style1' idList='glyph1 glyph2'><g fill='color1' strokeWidth='2' fontSize='11' backgroundImage='image1'/></style></listOfStyles>"+
+			"</renderInformation>"+
+			"<annotation><rdf:RDF xmlns:rdf='http://www.w3.org/1999/02/22-rdf-syntax-ns#' xmlns:bqmodel='http://biomodels.net/model-qualifiers/'>"+
+				"<rdf:Description rdf:about='#glyph1'><bqmodel:is><rdf:Bag>"+
+					"<rdf:li rdf:resource='http://identifiers.org/uniprot/P00533'/>"+
+				"</rdf:Bag></bqmodel:is></rdf:Description>"+
+			"</rdf:RDF></annotation>"+
+			"<myExtension xmlns='http://example.org'><data value='1'/></myExtension>"+
+		"</extension>"+
+		"<bbox x='0' y='0' w='500' h='300'/>"+
+		"<glyph id='compartment1' class='compartment'><label text='cytosol'/><bbox x='0' y='0' w='400' h='300'/></glyph>"+
+		"<glyph id='glyph1' class='macromolecule' compartmentRef='compartment1' compartmentOrder='2'>"+
+			"<notes><html xmlns='http://www.w3.org/1999/xhtml'><body>EGFR</body></html></notes>"+
+			"<label text='EGFR&#xA;receptor'><bbox x='12' y='12' w='50' h='20'/></label>"+
+			"<clone><label text='clone'/></clone>"+
+			"<bbox x='10.5' y='10' w='60' h='40'/>"+
+			"<glyph id='sv1' class='state variable'><state value='P' variable='Y1068'/><bbox x='5' y='5' w='10' h='10'/></glyph>"+
+			"<glyph id='uoi1' class='unit of information'><entity name='protein'/><label text='mt:prot'/><bbox x='5' y='45' w='10' h='10'/></glyph>"+
+		"</glyph>"+
+		"<glyph id='glyph2' class='process' orientation='horizontal'><bbox x='100' y='20' w='10' h='10'/>"+
+			"<port id='glyph2.1' x='95' y='25'/><port id='glyph2.2' x='115' y='25'/>"+
+		"</glyph>"+
+		"<glyph id='note1' class='annotation'><label text='a note'/><callout target='glyph1'><point x='70' y='30'/></callout><bbox x='200' y='200' w='50' h='20'/></glyph>"+
+		"<arc id='arc1' class='consumption' source='glyph1' target='glyph2.1'>"+
+			"<glyph id='card1' class='cardinality'><label text='2'/><bbox x='80' y='20' w='10' h='10'/></glyph>"+
+			"<start x='70' y='30'/><next x='80' y='30'/><next x='85' y='25'/><end x='95' y='25'/>"+
+		"</arc>"+
+		"<arcgroup class='interaction'><glyph id='glyph3' class='tag'/><arc id='arc2' class='equivalence arc' source='glyph1' target='glyph3'/></arcgroup>"+
+	"</map>"+
+"</sbgn>";
+
+/*
+	checks an object against the subset of JSON Schema used by libsbgn.jsonSchema, returns the paths of the errors
+*/
+function checkSchema(value, schema, root, at) {
+	if (schema.$ref) {
+		return checkSchema(value, root.definitions[schema.$ref.split('/').pop()], root, at);
+	}
+	var types = [].concat(schema.type || []);
+	var type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+	if (types.length > 0 && types.indexOf(type) == -1) {
+		return [at + ' should be ' + types.join(' or ')];
+	}
+	var errors = [];
+	if (type == 'array' && schema.items) {
+		value.forEach(function (item, i) {
+			errors = errors.concat(checkSchema(item, schema.items, root, at + '[' + i + ']'));
+		});
+	}
+	if (type == 'object') {
+		(schema.required || []).forEach(function (name) {
+			if (!value.hasOwnProperty(name)) {
+				errors.push(at + '.' + name + ' is required');
+			}
+		});
+		Object.keys(value).forEach(function (name) {
+			var property = schema.properties && schema.properties[name];
+			if (property == null && schema.additionalProperties === false) {
+				errors.push(at + '.' + name + ' is not allowed');
+			}
+			else if (property == null && typeof schema.additionalProperties == 'object') {
+				errors = errors.concat(checkSchema(value[name], schema.additionalProperties, root, at + '.' + name));
+			}
+			else if (property != null) {
+				errors = errors.concat(checkSchema(value[name], property, root, at + '.' + name));
+			}
+		});
+	}
+	return errors;
+}
+
+describe('json', function() {
+	describe('toJSON', function() {
+		it('should leave out the unset fields', function() {
+			new sbgnjs.Glyph().toJSON().should.deep.equal({});
+			new sbgnjs.Bbox({x: 1, y: 2}).toJSON().should.deep.equal({x: 1, y: 2});
+			var glyph = new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule', label: new sbgnjs.Label({text: 'EGFR'})});
+			glyph.toJSON().should.deep.equal({id: 'glyph1', 'class': 'macromolecule', label: {text: 'EGFR'}});
+			JSON.parse(JSON.stringify(glyph)).should.deep.equal(glyph.toJSON());
+		});
+		it('should give a clean shape for all the content of a document', function() {
+			var json = JSON.parse(JSON.stringify(sbgnjs.Sbgn.fromXML(completeXml)));
+			json.xmlns.should.equal('http://sbgn.org/libsbgn/0.3');
+			json.notes.content.should.contain('a document');
+			var map = json.maps[0];
+			map.glyphs[1].compartmentOrder.should.equal(2);
+			map.glyphs[1].glyphMembers[0].state.should.deep.equal({value: 'P', variable: 'Y1068'});
+			map.glyphs[2].ports.should.deep.equal([{id: 'glyph2.1', x: 95, y: 25}, {id: 'glyph2.2', x: 115, y: 25}]);
+			map.arcs[0].nexts.should.deep.equal([{x: 80, y: 30}, {x: 85, y: 25}]);
+			map.arcgroups[0].arcs[0].target.should.equal('glyph3');
+			var render = map.extension.renderInformation;
+			render.listOfColorDefinitions.should.deep.equal({colorDefinitions: [{id: 'color1', value: '#ff0000'}]});
+			render.listOfStyles.styles[0].renderGroup.should.deep.equal(
+				{fill: 'color1', strokeWidth: 2, fontSize: 11, backgroundImage: 'image1'});
+			map.extension.annotation.rdfElement.triples.should.have.length(3);
+			map.extension.myExtension.should.be.a('string');
+			map.extension.myExtension.should.contain('<data value="1"/>');
+		});
+	});
+
+	describe('fromJSON', function() {
+		it('should read the objects and strings written by toJSON', function() {
+			var sbgn = sbgnjs.Sbgn.fromXML(completeXml);
+			var fromObject = sbgnjs.Sbgn.fromJSON(sbgn.toJSON());
+			var fromString = sbgnjs.Sbgn.fromJSON(JSON.stringify(sbgn));
+			fromObject.equals(sbgn).should.be.true;
+			fromString.equals(sbgn).should.be.true;
+			fromString.toXML().should.equal(sbgn.toXML());
+		});
+		it('should index the elements read', function() {
+			var sbgn = sbgnjs.Sbgn.fromJSON(JSON.stringify(sbgnjs.Sbgn.fromXML(completeXml)));
+			var map = sbgn.maps[0];
+			map.getElementById('glyph2.2').should.equal(map.glyphs[2].ports[1]);
+			map.getElementById('glyph3').should.equal(map.arcgroups[0].glyphs[0]);
+			map.extension.get('renderInformation').listOfColorDefinitions.getColorById('color1').should.equal('#ff0000');
+			map.extension.get('annotation').rdfElement.getAllIds().should.deep.equal(['/#glyph1']);
+		});
+		it('should be available on every class of the model', function() {
+			[sbgnjs, sbgnjs.render, sbgnjs.annot].forEach(function (namespace) {
+				['Sbgn', 'Map', 'Glyph', 'Label', 'Bbox', 'State', 'Clone', 'Entity', 'Port', 'Arc', 'Start', 'End', 'Next',
+					'Point', 'Callout', 'Arcgroup', 'Extension', 'Notes', 'ColorDefinition', 'ListOfColorDefinitions',
+					'RenderGroup', 'Style', 'ListOfStyles', 'BackgroundImage', 'ListOfBackgroundImages', 'RenderInformation',
+					'Annotation', 'RdfElement'].filter(function (name) {
+					return namespace.hasOwnProperty(name);
+				}).forEach(function (name) {
+					var Class = namespace[name];
+					var element = new Class();
+					var read = Class.fromJSON(JSON.stringify(element));
+					read.should.be.instanceOf(Class);
+					read.equals(element).should.be.true;
+				});
+			});
+		});
+		it('should refuse what is not an object', function() {
+			(function () {
+				sbgnjs.Glyph.fromJSON('[]');
+			}).should.throw(Error, "Bad JSON provided, expected an object for glyph, got: array");
+			(function () {
+				sbgnjs.Map.fromJSON({glyphs: [null]});
+			}).should.throw(Error, "Bad JSON provided, expected an object for glyph, got: null");
+			(function () {
+				sbgnjs.Sbgn.fromJSON('{"maps": ');
+			}).should.throw(Error, "Bad JSON provided");
+			(function () {
+				sbgnjs.Extension.fromJSON({myExtension: {data: 1}});
+			}).should.throw(Error, "the unsupported extension myExtension must be an xml string");
+		});
+	});
+
+	describe('jsonSchema', function() {
+		it('should describe the json of a complete document', function() {
+			var json = JSON.parse(JSON.stringify(sbgnjs.Sbgn.fromXML(completeXml)));
+			checkSchema(json, sbgnjs.jsonSchema, sbgnjs.jsonSchema, '').should.be.empty;
+		});
+		it('should reject unknown fields', function() {
+			var json = {maps: [{glyphs: [{id: 'glyph1', class_: 'macromolecule', bbox: {x: '1'}}]}]};
+			checkSchema(json, sbgnjs.jsonSchema, sbgnjs.jsonSchema, '').should.deep.equal([
+				'.maps[0].glyphs[0].class_ is not allowed',
+				'.maps[0].glyphs[0].bbox.x should be number'
+			]);
+		});
+	});
+
+	describe('test files', function() {
+		fs.readdirSync(testFilesDir).filter(function (file) {
+			return /^(pd|af|er)\d+-(pass|fail)/.test(file);
+		}).forEach(function (file) {
+			it(file + ' should make the round trip from xml to json', function() {
+				var sbgn = sbgnjs.Sbgn.fromXML(fs.readFileSync(path.join(testFilesDir, file), 'utf8'));
+				var json = JSON.parse(JSON.stringify(sbgn));
+				checkSchema(json, sbgnjs.jsonSchema, sbgnjs.jsonSchema, '').should.be.empty;
+				var read = sbgnjs.Sbgn.fromJSON(json);
+				read.equals(sbgn).should.be.true;
+				read.toXML().should.equal(sbgn.toXML());
+			});
+		});
+	});
+});
@@ -103,6 +103,23 @@ describe('libsbgn-annotations', function() {
 			inline.toXML().should.equalIgnoreSpaces(headerRDF+inlineString+footerRDF);
 		});
 
+		describe('deepClone and equals', function() {
+			it('should copy the triples', function() {
+				var copy = simplest.deepClone();
+				copy.should.be.instanceOf(annot.Annotation);
+				copy.rdfElement.should.be.instanceOf(annot.RdfElement);
+				copy.rdfElement.store.should.not.equal(simplest.rdfElement.store);
+				copy.equals(simplest).should.equal(true);
+				copy.rdfElement.addResource(testID, {"bqmodel:is": testObject2});
+				copy.equals(simplest).should.equal(false);
+				simplest.rdfElement.getResourcesOfId(testID)[testRelation].should.deep.equal([testObject]);
+			});
+			it('should compare parsed annotations whatever the blank nodes', function() {
+				annot.Annotation.fromXML(header+simplestString+footer).equals(simplest).should.equal(true);
+				doubleRelation.equals(doubleDescription).should.equal(false);
+				inline.equals(inline.deepClone()).should.equal(true);
+			});
+		});
 		describe('getAllIds', function() {
 			it('should return empty list if no ids', function() {
 				empty.getAllIds().should.deep.equal([]);
@@ -130,6 +147,22 @@ describe('libsbgn-annotations', function() {
 				//emptyDescription.getResourcesOfId(testID).should.deep.equal({});
 			});
 		});
+		describe('removeResource', function() {
+			it('should remove the resource and number the bag again', function() {
+				var rdfElement = simplest.rdfElement.deepClone();
+				rdfElement.addResource(testID, {"bqmodel:is": testObject2});
+				rdfElement.addResource(testID, {"bqmodel:is": testObject + "0"});
+				rdfElement.removeResource(testID, {"bqmodel:is": testObject});
+				rdfElement.getResourcesOfId(testID)[testRelation].should.deep.equal([testObject2, testObject + "0"]);
+				rdfElement.addResource(testID, {"bqmodel:is": testObject});
+				rdfElement.getResourcesOfId(testID)[testRelation].should.have.length(3);
+			});
+			it('should remove the bag when it is empty', function() {
+				var rdfElement = simplest.rdfElement.deepClone();
+				rdfElement.removeResource(testID, {"bqmodel:is": testObject});
+				rdfElement.getAllIds().should.deep.equal([]);
+			});
+		});
 	});
 
 
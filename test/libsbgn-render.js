@@ -85,6 +85,14 @@ describe('libsbgn-render', function() {
 			it('getAllColors should return array of all colors', function() {
 				listof.getAllColors().should.deep.equal(["#FFFFFF", "#000000"]);
 			});
+			it('removeColorDefinition should update the color index', function() {
+				listof.removeColorDefinition("id1").value.should.equal("#FFFFFF");
+				listof.colorDefinitions.should.have.length(1);
+				should.not.exist(listof.getColorById("id1"));
+				listof.removeColorDefinition(0).id.should.equal("id2");
+				should.equal(listof.removeColorDefinition("id2"), null);
+				listof.getAllColors().should.be.empty;
+			});
 		});
 	});
 
@@ -254,6 +262,16 @@ describe('libsbgn-render', function() {
 				styleIndex['b'].stroke.should.equal('red');
 				styleIndex['e'].stroke.should.equal('yellow');
 			});
+			it('removeStyle', function() {
+				var listOf = new renderExt.ListOfStyles();
+				var style = new renderExt.Style({id: 's1', idList: 'a'});
+				listOf.addStyle(style);
+				listOf.addStyle(new renderExt.Style({id: 's2', idList: 'b'}));
+				listOf.removeStyle('s1').should.equal(style);
+				listOf.removeStyle(listOf.styles[0]).id.should.equal('s2');
+				should.equal(listOf.removeStyle('s1'), null);
+				listOf.styles.should.be.empty;
+			});
 		});
 	});
 
@@ -359,4 +377,38 @@ describe('libsbgn-render', function() {
 			styles[0].renderGroup.fontSize.should.equal(14);
 		});
 	});
+	describe('deepClone and equals', function() {
+		var renderInformation;
+		beforeEach(function() {
+			renderInformation = renderExt.RenderInformation.fromXML(
+				"<renderInformation id='ri' programName='test' backgroundColor='#ffffff'>"+
+				"<listOfColorDefinitions><colorDefinition id='c1' value='#000000'/></listOfColorDefinitions>"+
+				"<listOfBackgroundImages><backgroundImage id='b1' value='data'/></listOfBackgroundImages>"+
+				"<listOfStyles><style id='s1' idList='a b'><g fill='c1' fontSize='14'/></style></listOfStyles>"+
+				"</renderInformation>");
+		});
+		it('should deep copy', function() {
+			var copy = renderInformation.deepClone();
+			copy.should.be.instanceOf(renderExt.RenderInformation);
+			copy.toXML().should.equal(renderInformation.toXML());
+			copy.equals(renderInformation).should.equal(true);
+			copy.listOfStyles.styles[0].renderGroup.fontSize = 12;
+			renderInformation.listOfStyles.styles[0].renderGroup.fontSize.should.equal(14);
+			copy.equals(renderInformation).should.equal(false);
+		});
+		it('should map the ids of style idList', function() {
+			var style = renderInformation.listOfStyles.styles[0];
+			style.deepClone({a: 'c'}).idList.should.equal('c b');
+			style.deepClone().idList.should.equal('a b');
+			style.deepClone({s1: 's2'}).id.should.equal('s1');
+		});
+		it('should be available on all classes', function() {
+			['ColorDefinition', 'ListOfColorDefinitions', 'RenderGroup', 'Style', 'ListOfStyles', 'BackgroundImage',
+				'ListOfBackgroundImages', 'RenderInformation'].forEach(function (name) {
+				var obj = new renderExt[name]();
+				obj.deepClone().should.be.instanceOf(renderExt[name]);
+				obj.deepClone().equals(obj).should.equal(true);
+			});
+		});
+	});
 });
\ No newline at end of file
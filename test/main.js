@@ -86,6 +86,41 @@ describe('libsbgn', function() {
 				sbgn.maps[1].id.should.equal("m2");
 			});
 		});
+		describe('parse from XML asynchronously', function() {
+			it('should resolve with sbgn', function() {
+				return sbgnjs.Sbgn.fromXMLAsync("<sbgn><map id='m1'></map></sbgn>").then(function (sbgn) {
+					sbgn.should.be.instanceOf(sbgnjs.Sbgn);
+					sbgn.maps[0].id.should.equal("m1");
+				});
+			});
+			it('should reject malformed xml', function() {
+				return sbgnjs.Sbgn.fromXMLAsync("<sbgn><map></sbgn>").then(function () {
+					throw new Error("should not resolve");
+				}, function (err) {
+					err.line.should.equal(1);
+					err.column.should.equal(18);
+				});
+			});
+			it('should reject wrong tag', function() {
+				return sbgnjs.Sbgn.fromXMLAsync("<map></map>").then(function () {
+					throw new Error("should not resolve");
+				}, function (err) {
+					err.message.should.equal("Bad XML provided, expected tagName sbgn, got: map");
+				});
+			});
+			it('should be available on map, glyph and arc', function() {
+				return Promise.all([
+					sbgnjs.Map.fromXMLAsync("<map id='m1'></map>"),
+					sbgnjs.Glyph.fromXMLAsync("<glyph id='g1'></glyph>"),
+					sbgnjs.Arc.fromXMLAsync("<arc id='a1'></arc>")
+				]).then(function (result) {
+					result[0].should.be.instanceOf(sbgnjs.Map);
+					result[1].should.be.instanceOf(sbgnjs.Glyph);
+					result[2].should.be.instanceOf(sbgnjs.Arc);
+					result[2].id.should.equal('a1');
+				});
+			});
+		});
 		describe('write to XML', function() {
 			it('should write empty sbgn', function() {
 				var sbgn = new sbgnjs.Sbgn();
@@ -243,6 +278,383 @@ describe('libsbgn', function() {
 				macromolecules.length.should.equal(1);
 				macromolecules[0].id.should.equal("3");
 			});
+			it('getGlyphsByClass recursive', function() {
+				var map = new sbgnjs.Map();
+				var complex = new sbgnjs.Glyph({id: "1", class_ : "complex"});
+				complex.addGlyphMember(new sbgnjs.Glyph({id: "2", class_ : "macromolecule"}));
+				map.addGlyph(complex);
+				var arc = new sbgnjs.Arc({id: "3"});
+				arc.addGlyph(new sbgnjs.Glyph({id: "4", class_ : "cardinality"}));
+				map.addArc(arc);
+				var arcgroup = new sbgnjs.Arcgroup();
+				arcgroup.addGlyph(new sbgnjs.Glyph({id: "5", class_ : "macromolecule"}));
+				map.addArcgroup(arcgroup);
+				map.getGlyphsByClass("macromolecule").should.deep.equal([]);
+				map.getGlyphsByClass("macromolecule", true).map(function (g) { return g.id; }).should.deep.equal(["2", "5"]);
+				map.getGlyphsByClass("cardinality", true).should.have.length(1);
+			});
+		});
+		describe('getElementById', function() {
+			var map, complex, member, port, arc, arcgroup;
+			beforeEach(function() {
+				member = new sbgnjs.Glyph({id: "member", class_ : "macromolecule"});
+				complex = new sbgnjs.Glyph({id: "complex", class_ : "complex", glyphMembers: [member]});
+				port = new sbgnjs.Port({id: "port"});
+				complex.addPort(port);
+				arc = new sbgnjs.Arc({id: "arc"});
+				arcgroup = new sbgnjs.Arcgroup();
+				arcgroup.addArc(new sbgnjs.Arc({id: "grouparc"}));
+				map = new sbgnjs.Map({glyphs: [complex], arcs: [arc], arcgroups: [arcgroup]});
+			});
+			it('should find elements at any depth', function() {
+				map.getElementById("complex").should.equal(complex);
+				map.getElementById("member").should.equal(member);
+				map.getElementById("port").should.equal(port);
+				map.getElementById("arc").should.equal(arc);
+				map.getElementById("grouparc").should.equal(arcgroup.arcs[0]);
+				should.equal(map.getElementById("unknown"), null);
+			});
+			it('should be updated by add methods', function() {
+				map.getElementById("complex");
+				map.addGlyph(new sbgnjs.Glyph({id: "glyph"}));
+				map.addArc(new sbgnjs.Arc({id: "arc2"}));
+				member.addGlyphMember(new sbgnjs.Glyph({id: "submember"}));
+				complex.addPort(new sbgnjs.Port({id: "port2"}));
+				arc.addGlyph(new sbgnjs.Glyph({id: "cardinality"}));
+				arcgroup.addGlyph(new sbgnjs.Glyph({id: "tag"}));
+				["glyph", "arc2", "submember", "port2", "cardinality", "tag"].forEach(function (id) {
+					map.getElementById(id).id.should.equal(id);
+				});
+			});
+			it('should keep the first element of duplicated ids', function() {
+				map.addGlyph(new sbgnjs.Glyph({id: "complex"}));
+				map.getElementById("complex").should.equal(complex);
+			});
+			it('should be rebuilt after direct modifications', function() {
+				map.getElementById("complex");
+				map.glyphs.push(new sbgnjs.Glyph({id: "pushed"}));
+				should.equal(map.getElementById("pushed"), null);
+				map.rebuildIndex();
+				map.getElementById("pushed").id.should.equal("pushed");
+			});
+			it('should not change serialization', function() {
+				var xml = map.toXML();
+				map.getElementById("complex");
+				map.toXML().should.equal(xml);
+				Object.keys(map).should.not.include('idIndex');
+				Object.keys(complex).should.not.include('ownerMap');
+			});
+			it('should work on parsed maps', function() {
+				var parsed = sbgnjs.Map.fromXML("<map><glyph id='g1'><glyph id='g2'/><port id='p1'/></glyph><arc id='a1'/></map>");
+				parsed.getElementById("g2").should.be.instanceOf(sbgnjs.Glyph);
+				parsed.getElementById("p1").should.be.instanceOf(sbgnjs.Port);
+				parsed.getElementById("a1").should.be.instanceOf(sbgnjs.Arc);
+			});
+		});
+		describe('references', function() {
+			var map, compartment, process, entity, tag, arc1, arc2, arc3;
+			beforeEach(function() {
+				map = sbgnjs.Map.fromXML("<map>"+
+					"<glyph id='comp' class='compartment'/>"+
+					"<glyph id='tag' class='tag'/>"+
+					"<glyph id='entity' class='macromolecule' compartmentRef='comp' tagRef='tag'>"+
+						"<callout target='arc1'/></glyph>"+
+					"<glyph id='process' class='process'><port id='process.1'/><port id='process.2'/></glyph>"+
+					"<arc id='arc1' class='consumption' source='entity' target='process.1'/>"+
+					"<arc id='arc2' class='production' source='process.2' target='entity'/>"+
+					"<arcgroup class='interaction'><arc id='arc3' class='interaction' source='entity' target='comp'/></arcgroup>"+
+					"</map>");
+				compartment = map.glyphs[0];
+				tag = map.glyphs[1];
+				entity = map.glyphs[2];
+				process = map.glyphs[3];
+				arc1 = map.arcs[0];
+				arc2 = map.arcs[1];
+				arc3 = map.arcgroups[0].arcs[0];
+			});
+			it('should resolve arc ends', function() {
+				map.getSource(arc1).should.equal(entity);
+				map.getTarget(arc1).should.equal(process.ports[0]);
+				map.getSource(arc2).should.equal(process.ports[1]);
+				should.equal(map.getTarget(new sbgnjs.Arc({target: 'unknown'})), null);
+			});
+			it('should give the owner of ports', function() {
+				map.getPortOwner(process.ports[0]).should.equal(process);
+				map.getPortOwner('process.2').should.equal(process);
+				should.equal(map.getPortOwner('entity'), null);
+				should.equal(map.getPortOwner(new sbgnjs.Port({id: 'other'})), null);
+				map.resolveGlyph('process.1').should.equal(process);
+				map.resolveGlyph('entity').should.equal(entity);
+				should.equal(map.resolveGlyph('arc1'), null);
+			});
+			it('should give the owner of added ports', function() {
+				map.getElementById('process');
+				var port = new sbgnjs.Port({id: 'process.3'});
+				process.addPort(port);
+				map.getPortOwner(port).should.equal(process);
+			});
+			it('should resolve glyph references', function() {
+				map.getCompartment(entity).should.equal(compartment);
+				map.getTag(entity).should.equal(tag);
+				map.getCalloutTarget(entity).should.equal(arc1);
+				should.equal(map.getCompartment(process), null);
+				should.equal(map.getTag(process), null);
+				should.equal(map.getCalloutTarget(process), null);
+			});
+			it('should give incoming and outgoing arcs', function() {
+				map.getIncomingArcs(process).should.deep.equal([arc1]);
+				map.getOutgoingArcs(process).should.deep.equal([arc2]);
+				map.getIncomingArcs(entity).should.deep.equal([arc2]);
+				map.getOutgoingArcs(entity).should.deep.equal([arc1, arc3]);
+				map.getIncomingArcs(compartment).should.deep.equal([arc3]);
+				map.getAllArcs().should.have.length(3);
+			});
+			it('should report dangling references', function() {
+				map.checkReferences().should.deep.equal([]);
+				entity.compartmentRef = 'unknown';
+				entity.tagRef = 'process.1';
+				entity.callout.target = 'unknown';
+				arc1.source = 'unknown';
+				arc2.target = 'unknown';
+				var issues = map.checkReferences();
+				issues.map(function (issue) {
+					return issue.pattern + ' ' + issue.elementId;
+				}).should.deep.equal(['00003 arc1', '00002 arc2', '00004 entity', '00005 entity', '00006 entity']);
+				issues[0].should.be.instanceOf(require('../src/Issue').Issue);
+				issues[0].location.should.equal('/map/arc[1]');
+			});
+		});
+
+		describe('remove and replace', function() {
+			var map, style;
+			beforeEach(function() {
+				map = sbgnjs.Map.fromXML("<map>"+
+					"<glyph id='comp' class='compartment'/>"+
+					"<glyph id='entity' class='macromolecule' compartmentRef='comp'>"+
+						"<glyph id='entity.sv' class='state variable'/></glyph>"+
+					"<glyph id='note' class='annotation'><callout target='arc1'/></glyph>"+
+					"<glyph id='process' class='process'><port id='process.1'/><port id='process.2'/></glyph>"+
+					"<glyph id='product' class='simple chemical'/>"+
+					"<arc id='arc1' class='consumption' source='entity' target='process.1'/>"+
+					"<arc id='arc2' class='production' source='process.2' target='product'/>"+
+					"<arc id='arc3' class='catalysis' source='entity.sv' target='process'/>"+
+					"<arc id='arc4' class='necessary stimulation' source='product' target='arc1'/>"+
+					"<arcgroup class='interaction'><arc id='arc5' class='interaction' source='entity' target='comp'/></arcgroup>"+
+					"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+						"<listOfStyles><style id='s1' idList='entity process arc1 product'><g fill='#ffffff'/></style></listOfStyles>"+
+					"</renderInformation></extension>"+
+					"</map>");
+				style = map.extension.get('renderInformation').listOfStyles.styles[0];
+			});
+			function ids(list) {
+				return list.map(function (element) { return element.id; });
+			}
+			it('should remove a glyph with the arcs attached to it and their references', function() {
+				var entity = map.glyphs[1];
+				map.removeGlyph(entity).should.equal(entity);
+				ids(map.glyphs).should.deep.equal(['comp', 'note', 'process', 'product']);
+				// arc3 is attached to the state variable, arc4 to arc1
+				ids(map.arcs).should.deep.equal(['arc2']);
+				map.arcgroups[0].arcs.should.be.empty;
+				should.equal(map.glyphs[1].callout.target, null);
+				style.idList.should.equal('process product');
+				should.equal(map.getElementById('entity.sv'), null);
+				should.equal(map.getElementById('arc1'), null);
+				map.checkReferences().should.be.empty;
+			});
+			it('should remove glyphs by id, wherever they are', function() {
+				map.removeGlyph('entity.sv').id.should.equal('entity.sv');
+				map.glyphs[1].glyphMembers.should.be.empty;
+				ids(map.arcs).should.deep.equal(['arc1', 'arc2', 'arc4']);
+				map.removeGlyph('comp');
+				should.equal(map.glyphs[0].compartmentRef, null);
+				map.arcgroups[0].arcs.should.be.empty;
+				should.equal(map.removeGlyph('unknown'), null);
+				should.equal(map.removeGlyph('arc1'), null);
+				should.equal(map.removeGlyph(new sbgnjs.Glyph({id: 'product'})), null);
+				map.glyphs.should.have.length(4);
+			});
+			it('should remove arcs and the arcs attached to them', function() {
+				map.removeArc('arc1').id.should.equal('arc1');
+				ids(map.arcs).should.deep.equal(['arc2', 'arc3']);
+				style.idList.should.equal('entity process product');
+				map.removeArc('arc5');
+				map.arcgroups[0].arcs.should.be.empty;
+				map.removeArcgroup(0).should.be.instanceOf(sbgnjs.Arcgroup);
+				map.arcgroups.should.be.empty;
+			});
+			it('should remove ports and glyph members from their glyph', function() {
+				map.getElementById('process');
+				map.glyphs[3].removePort('process.2').id.should.equal('process.2');
+				ids(map.arcs).should.deep.equal(['arc1', 'arc3', 'arc4']);
+				should.equal(map.getPortOwner('process.2'), null);
+				map.glyphs[1].removeGlyphMember(0).id.should.equal('entity.sv');
+				ids(map.arcs).should.deep.equal(['arc1', 'arc4']);
+				should.equal(map.glyphs[1].removeGlyphMember('entity.sv'), null);
+			});
+			it('should only remove from the glyph when the map is not known', function() {
+				var glyph = new sbgnjs.Glyph({id: 'g'});
+				glyph.addPort(new sbgnjs.Port({id: 'g.1'}));
+				glyph.removePort(glyph.ports[0]).id.should.equal('g.1');
+				glyph.ports.should.be.empty;
+			});
+			it('should remove next points and glyphs of arcs', function() {
+				var arc = map.arcs[0];
+				arc.addNext(new sbgnjs.NextType({x: 1, y: 1}));
+				arc.addNext(new sbgnjs.NextType({x: 2, y: 2}));
+				arc.removeNext(0).x.should.equal(1);
+				arc.nexts.should.have.length(1);
+				should.equal(arc.removeNext(3), null);
+				arc.addGlyph(new sbgnjs.Glyph({id: 'cardinality', class_: 'cardinality'}));
+				map.removeGlyph('cardinality');
+				arc.glyphs.should.be.empty;
+			});
+			it('should replace glyphs and keep the references to the ids still there', function() {
+				var newProcess = new sbgnjs.Glyph({id: 'process', class_: 'omitted process'});
+				newProcess.addPort(new sbgnjs.Port({id: 'process.1'}));
+				map.replaceGlyph('process', newProcess).class_.should.equal('process');
+				map.glyphs[3].should.equal(newProcess);
+				map.getElementById('process').should.equal(newProcess);
+				map.getPortOwner('process.1').should.equal(newProcess);
+				ids(map.arcs).should.deep.equal(['arc1', 'arc3', 'arc4']);
+				style.idList.should.equal('entity process arc1 product');
+			});
+			it('should replace arcs', function() {
+				var newArc = new sbgnjs.Arc({id: 'arc6', class_: 'consumption', source: 'entity', target: 'process.1'});
+				map.replaceArc('arc1', newArc).id.should.equal('arc1');
+				ids(map.arcs).should.deep.equal(['arc6', 'arc2', 'arc3']);
+				should.equal(map.glyphs[2].callout.target, null);
+				map.replaceArc('arc5', new sbgnjs.Arc({id: 'arc5', class_: 'interaction'}));
+				map.arcgroups[0].arcs[0].should.equal(map.getElementById('arc5'));
+			});
+		});
+
+		describe('renameId', function() {
+			var map;
+			beforeEach(function() {
+				map = sbgnjs.Map.fromXML("<map id='map'>"+
+					"<glyph id='comp' class='compartment'/>"+
+					"<glyph id='tag' class='tag'/>"+
+					"<glyph id='entity' class='macromolecule' compartmentRef='comp' tagRef='tag'>"+
+						"<extension><annotation><rdf:RDF xmlns:rdf='http://www.w3.org/1999/02/22-rdf-syntax-ns#' "+
+							"xmlns:bqbiol='http://biomodels.net/biology-qualifiers/'>"+
+							"<rdf:Description rdf:about='#entity'><bqbiol:is><rdf:Bag>"+
+								"<rdf:li rdf:resource='http://identifiers.org/uniprot/P00533'/>"+
+							"</rdf:Bag></bqbiol:is></rdf:Description>"+
+						"</rdf:RDF></annotation></extension></glyph>"+
+					"<glyph id='note' class='annotation'><callout target='arc1'/></glyph>"+
+					"<glyph id='process' class='process'><port id='process.1'/><port id='process.2'/><port id='processed'/></glyph>"+
+					"<arc id='arc1' class='consumption' source='entity' target='process.1'/>"+
+					"<arc id='arc2' class='production' source='process.2' target='entity'/>"+
+					"<arc id='arc3' class='necessary stimulation' source='comp' target='arc1'/>"+
+					"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+						"<listOfStyles><style id='s1' idList='entity process arc1'><g fill='#ffffff'/></style></listOfStyles>"+
+					"</renderInformation></extension>"+
+					"</map>");
+			});
+			it('should update the references to a glyph', function() {
+				var entity = map.glyphs[2];
+				map.renameId('entity', 'egfr').should.equal(entity);
+				entity.id.should.equal('egfr');
+				map.arcs[0].source.should.equal('egfr');
+				map.arcs[1].target.should.equal('egfr');
+				map.getElementById('egfr').should.equal(entity);
+				should.equal(map.getElementById('entity'), null);
+				map.extension.get('renderInformation').listOfStyles.styles[0].idList.should.equal('egfr process arc1');
+				var rdfElement = entity.extension.get('annotation').rdfElement;
+				rdfElement.getAllIds().should.deep.equal(['/#egfr']);
+				sbgnjs.Map.fromXML(map.toXML()).glyphs[2].extension.get('annotation').toXML().should.contain('rdf:about="#egfr"');
+				map.checkReferences().should.be.empty;
+			});
+			it('should map the ids described by the annotations of a copy', function() {
+				var copy = map.deepClone({entity: 'egfr'});
+				copy.glyphs[2].extension.get('annotation').rdfElement.getAllIds().should.deep.equal(['/#egfr']);
+				map.glyphs[2].extension.get('annotation').rdfElement.getAllIds().should.deep.equal(['/#entity']);
+				map.deepClone().glyphs[2].extension.get('annotation').equals(map.glyphs[2].extension.get('annotation')).should.equal(true);
+			});
+			it('should update compartment, tag and callout references', function() {
+				map.renameId('comp', 'cytosol');
+				map.renameId('tag', 'tag1');
+				map.renameId('arc1', 'consumption1');
+				map.glyphs[2].compartmentRef.should.equal('cytosol');
+				map.glyphs[2].tagRef.should.equal('tag1');
+				map.glyphs[3].callout.target.should.equal('consumption1');
+				map.arcs[2].source.should.equal('cytosol');
+				map.arcs[2].target.should.equal('consumption1');
+				map.checkReferences().should.be.empty;
+			});
+			it('should rename a port and leave the ports of a renamed glyph', function() {
+				map.renameId('process', 'p1');
+				map.glyphs[4].ports.map(function (port) { return port.id; }).should.deep.equal(['process.1', 'process.2', 'processed']);
+				map.arcs[0].target.should.equal('process.1');
+				map.getPortOwner('process.2').should.equal(map.glyphs[4]);
+				map.renameId('process.1', 'p1.in');
+				map.arcs[0].target.should.equal('p1.in');
+				map.getPortOwner('p1.in').should.equal(map.glyphs[4]);
+			});
+			it('should fail on unknown ids and collisions, without changing anything', function() {
+				var before = map.toXML();
+				(function () { map.renameId('unknown', 'x'); }).should.throw(Error, "there is no element with this id");
+				(function () { map.renameId('entity', 'comp'); }).should.throw(Error, "already an element with id comp");
+				(function () { map.renameId('comp', 'map'); }).should.throw(Error, "already an element with id map");
+				(function () { map.renameId('entity', ''); }).should.throw(Error, "non empty string");
+				(function () { map.renameId('process', 'process.2'); }).should.throw(Error, "already an element with id process.2");
+				map.toXML().should.equal(before);
+				map.renameId('note', 'note').id.should.equal('note');
+			});
+			it('should be undone in one step', function() {
+				var original = sbgnjs.Map.fromXML(map.toXML());
+				var history = new sbgnjs.observable.History(map);
+				map.renameId('entity', 'egfr');
+				history.undoStack.should.have.length(1);
+				history.undo();
+				map.equals(original).should.be.true;
+				map.getElementById('entity').should.equal(map.glyphs[2]);
+				history.dispose();
+			});
+		});
+
+		describe('language and version', function() {
+			var pdVersion = 'http://identifiers.org/combine.specifications/sbgn.pd.level-1.version-1.3';
+			it('should read the official version identifiers', function() {
+				sbgnjs.types.parseMapVersion(sbgnjs.types.MapVersion.ER_LEVEL_1_VERSION_2).should.deep.equal(
+					{language: 'entity relationship', level: '1', version: '2'});
+				sbgnjs.types.parseMapVersion('http://identifiers.org/combine.specifications/sbgn.af.level-2.version-1.0').should.deep.equal(
+					{language: 'activity flow', level: '2', version: '1.0'});
+				should.not.exist(sbgnjs.types.parseMapVersion('1.3'));
+				should.not.exist(sbgnjs.types.parseMapVersion(null));
+				sbgnjs.types.getDefaultMapVersion('process description').should.equal(pdVersion);
+				should.not.exist(sbgnjs.types.getDefaultMapVersion('unknown'));
+			});
+			it('should derive the language from the version and the version from the language', function() {
+				new sbgnjs.Map({version: pdVersion}).getLanguage().should.equal('process description');
+				new sbgnjs.Map({language: 'activity flow', version: pdVersion}).getLanguage().should.equal('activity flow');
+				should.not.exist(new sbgnjs.Map({version: 'my version'}).getLanguage());
+				new sbgnjs.Map({language: 'entity relationship'}).getVersion().should.equal(sbgnjs.types.MapVersion.ER_LEVEL_1_VERSION_2);
+				new sbgnjs.Map({language: 'entity relationship', version: 'my version'}).getVersion().should.equal('my version');
+				should.not.exist(new sbgnjs.Map().getVersion());
+			});
+			it('should keep the language and the version consistent', function() {
+				var map = new sbgnjs.Map({language: 'process description', version: pdVersion});
+				map.setLanguage('activity flow');
+				map.version.should.equal(sbgnjs.types.MapVersion.AF_LEVEL_1_VERSION_1_2);
+				map.setVersion(sbgnjs.types.MapVersion.ER_LEVEL_1_VERSION_1_2);
+				map.language.should.equal('entity relationship');
+				map.setVersion('my version');
+				map.language.should.equal('entity relationship');
+				map.setLanguage('process description');
+				map.version.should.equal('my version');
+			});
+			it('should be undone in one step', function() {
+				var map = new sbgnjs.Map({language: 'process description', version: pdVersion});
+				var history = new sbgnjs.observable.History(map);
+				map.setLanguage('entity relationship');
+				history.undoStack.should.have.length(1);
+				history.undo();
+				map.language.should.equal('process description');
+				map.version.should.equal(pdVersion);
+				history.dispose();
+			});
 		});
 
 		describe('prefix management', function() {
@@ -1230,6 +1642,110 @@ describe('libsbgn', function() {
 			// MISSING CALLOUTS HERE TODO		
 		});
 	});
+
+	describe('deepClone and equals', function() {
+		var xml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+			"<map language='process description' id='map'>"+
+			"<extension><renderInformation id='ri' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+				"<listOfColorDefinitions><colorDefinition id='c1' value='#ffffff'/></listOfColorDefinitions>"+
+				"<listOfStyles><style id='s1' idList='comp glyph1'><g fill='c1'/></style></listOfStyles>"+
+			"</renderInformation></extension>"+
+			"<glyph id='comp' class='compartment'><bbox x='0' y='0' w='100' h='100'/></glyph>"+
+			"<glyph id='glyph1' class='macromolecule' compartmentRef='comp'>"+
+				"<label text='A'/><state value='P' variable='S1'/><clone/>"+
+				"<bbox x='10' y='10' w='10' h='10'/>"+
+				"<callout target='arc1'><point x='1' y='2'/></callout>"+
+				"<port id='glyph1.1' x='1' y='1'/>"+
+			"</glyph>"+
+			"<arc id='arc1' class='consumption' source='glyph1.1' target='comp'>"+
+				"<start x='1' y='1'/><next x='2' y='2'/><end x='3' y='3'/>"+
+			"</arc>"+
+			"<arcgroup class='interaction'><glyph id='tag' class='tag'/></arcgroup>"+
+			"</map></sbgn>";
+		var sbgn;
+		beforeEach(function() {
+			sbgn = sbgnjs.Sbgn.fromXML(xml);
+		});
+		it('should deep copy everything', function() {
+			var copy = sbgn.deepClone();
+			copy.should.be.instanceOf(sbgnjs.Sbgn);
+			copy.toXML().should.equal(sbgn.toXML());
+			copy.equals(sbgn).should.equal(true);
+			copy.maps[0].glyphs[1].should.not.equal(sbgn.maps[0].glyphs[1]);
+			copy.maps[0].glyphs[1].label.text = 'B';
+			sbgn.maps[0].glyphs[1].label.text.should.equal('A');
+			copy.equals(sbgn).should.equal(false);
+		});
+		it('should clone any element', function() {
+			var glyph = sbgn.maps[0].glyphs[1];
+			var copy = glyph.deepClone();
+			copy.equals(glyph).should.equal(true);
+			copy.should.be.instanceOf(sbgnjs.Glyph);
+			copy.clone.should.be.instanceOf(sbgnjs.Clone);
+			glyph.bbox.deepClone().should.be.instanceOf(sbgnjs.Bbox);
+			glyph.ports[0].deepClone().equals(glyph.ports[0]).should.equal(true);
+			sbgn.maps[0].arcs[0].deepClone().equals(sbgn.maps[0].arcs[0]).should.equal(true);
+			var renderInformation = sbgn.maps[0].extension.get('renderInformation');
+			var renderCopy = renderInformation.deepClone();
+			renderCopy.should.be.instanceOf(renderExt.RenderInformation);
+			renderCopy.equals(renderInformation).should.equal(true);
+			renderCopy.listOfColorDefinitions.getColorById('c1').should.equal('#ffffff');
+		});
+		it('should remap ids and references', function() {
+			var copy = sbgn.maps[0].deepClone({comp: 'comp2', 'glyph1.1': 'port2', arc1: 'arc2'});
+			copy.glyphs[0].id.should.equal('comp2');
+			copy.glyphs[1].id.should.equal('glyph1');
+			copy.glyphs[1].compartmentRef.should.equal('comp2');
+			copy.glyphs[1].ports[0].id.should.equal('port2');
+			copy.glyphs[1].callout.target.should.equal('arc2');
+			copy.arcs[0].id.should.equal('arc2');
+			copy.arcs[0].source.should.equal('port2');
+			copy.arcs[0].target.should.equal('comp2');
+			copy.extension.get('renderInformation').listOfStyles.styles[0].idList.should.equal('comp2 glyph1');
+			copy.getElementById('port2').should.equal(copy.glyphs[1].ports[0]);
+			sbgn.maps[0].glyphs[0].id.should.equal('comp');
+		});
+		it('should remap ids with a function', function() {
+			var copy = sbgn.deepClone(function (id) { return 'copy_' + id; });
+			copy.maps[0].id.should.equal('copy_map');
+			copy.maps[0].arcs[0].source.should.equal('copy_glyph1.1');
+			copy.maps[0].arcgroups[0].glyphs[0].id.should.equal('copy_tag');
+			copy.maps[0].extension.get('renderInformation').id.should.equal('ri');
+			copy.maps[0].extension.get('renderInformation').listOfColorDefinitions.colorDefinitions[0].id.should.equal('c1');
+		});
+		it('should ignore coordinates if asked', function() {
+			var copy = sbgn.deepClone();
+			copy.maps[0].glyphs[1].bbox.x = 50;
+			copy.maps[0].glyphs[1].ports[0].y = 50;
+			copy.maps[0].arcs[0].nexts[0].x = 50;
+			copy.maps[0].glyphs[1].callout.point.x = 50;
+			copy.equals(sbgn).should.equal(false);
+			copy.equals(sbgn, {ignoreCoordinates: true}).should.equal(true);
+			copy.maps[0].glyphs[1].label.text = 'B';
+			copy.equals(sbgn, {ignoreCoordinates: true}).should.equal(false);
+		});
+		it('should ignore extensions if asked', function() {
+			var copy = sbgn.deepClone();
+			copy.maps[0].extension.get('renderInformation').listOfStyles.styles[0].renderGroup.fill = 'other';
+			copy.equals(sbgn).should.equal(false);
+			copy.equals(sbgn, {ignoreExtensions: true}).should.equal(true);
+		});
+		it('should compare classes and missing values', function() {
+			new sbgnjs.Start({x: 1, y: 1}).equals(new sbgnjs.End({x: 1, y: 1})).should.equal(false);
+			new sbgnjs.Port().equals(new sbgnjs.Port()).should.equal(true);
+			new sbgnjs.Glyph({id: 'a'}).equals(null).should.equal(false);
+			new sbgnjs.Glyph({id: 'a'}).equals(new sbgnjs.Glyph({id: 'b'})).should.equal(false);
+		});
+		it('should be available on all classes', function() {
+			['Sbgn', 'Map', 'Extension', 'Notes', 'Glyph', 'Label', 'Bbox', 'State', 'Clone', 'Entity', 'Port', 'Arc',
+				'Start', 'End', 'Next', 'Point', 'Callout', 'Arcgroup'].forEach(function (name) {
+				var obj = new sbgnjs[name]();
+				var copy = obj.deepClone();
+				copy.should.be.instanceOf(sbgnjs[name]);
+				copy.equals(obj).should.equal(true);
+			});
+		});
+	});
 });
 
 describe('usage examples', function() {
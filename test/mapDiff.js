@@ -0,0 +1,201 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var mapDiff = require('../src/mapDiff');
+
+var ChangeType = mapDiff.ChangeType;
+
+var xml = "<map id='m' language='process description'>"+
+	"<glyph id='comp' class='compartment'><label text='cytosol'/><bbox x='0' y='0' w='500' h='500'/></glyph>"+
+	"<glyph id='A' class='macromolecule' compartmentRef='comp'><label text='Protein A'/>"+
+		"<bbox x='10' y='10' w='60' h='30'/>"+
+		"<glyph id='A.sv' class='state variable'><state value='P' variable='S1'/>"+
+		"<bbox x='5' y='5' w='10' h='10'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='B' class='simple chemical'><label text='ATP'/><bbox x='100' y='10' w='30' h='30'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='50' y='100' w='10' h='10'/>"+
+		"<port id='p.1' x='45' y='105'/><port id='p.2' x='65' y='105'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p.1'><start x='40' y='40'/><end x='45' y='105'/></arc>"+
+	"<arc id='a2' class='production' source='p.2' target='B'><start x='65' y='105'/><end x='100' y='25'/></arc>"+
+	"</map>";
+
+function getMap(string) {
+	return sbgnjs.Map.fromXML(string || xml);
+}
+
+function find(changes, type, attribute) {
+	return changes.filter(function (change) {
+		return change.type == type && (attribute == null || change.attribute == attribute);
+	});
+}
+
+describe('mapDiff', function() {
+	describe('matchMaps', function() {
+		it('should match elements with the same id', function() {
+			var matching = mapDiff.matchMaps(getMap(), getMap());
+			matching.glyphs.pairs.should.have.length(5);
+			matching.glyphs.added.should.be.empty;
+			matching.glyphs.removed.should.be.empty;
+			matching.ports.pairs.should.have.length(2);
+			matching.arcs.pairs.should.have.length(2);
+			matching.idMapping.should.include({A: 'A', 'p.1': 'p.1', a2: 'a2'});
+		});
+		it('should match glyphs without the same id on class and label', function() {
+			var mapB = getMap(xml.replace(/'A'/g, "'glyph42'").replace(/'A\.sv'/g, "'glyph43'"));
+			var matching = mapDiff.matchMaps(getMap(), mapB);
+			matching.glyphs.added.should.be.empty;
+			matching.glyphs.removed.should.be.empty;
+			matching.idMapping.should.include({A: 'glyph42', 'A.sv': 'glyph43'});
+		});
+		it('should match ports on their position and arcs on their ends', function() {
+			var mapB = getMap(xml.replace(/p\.1/g, 'in').replace(/p\.2/g, 'out').replace(/'a1'/g, "'arc1'"));
+			var matching = mapDiff.matchMaps(getMap(), mapB);
+			matching.idMapping.should.include({'p.1': 'in', 'p.2': 'out', a1: 'arc1'});
+			matching.arcs.added.should.be.empty;
+		});
+		it('should leave glyphs with another label unmatched', function() {
+			var mapB = getMap(xml.replace(/'B'/g, "'C'").replace('ATP', 'ADP'));
+			var matching = mapDiff.matchMaps(getMap(), mapB);
+			matching.glyphs.removed.should.have.length(1);
+			matching.glyphs.removed[0].element.id.should.equal('B');
+			matching.glyphs.added.should.have.length(1);
+			matching.glyphs.added[0].element.id.should.equal('C');
+		});
+	});
+
+	describe('diff', function() {
+		it('should find no change between identical maps', function() {
+			mapDiff.diff(getMap(), getMap()).should.be.empty;
+		});
+		it('should find no change when only ids differ', function() {
+			var mapB = getMap(xml.replace(/'A'/g, "'glyph42'").replace(/'comp'/g, "'c1'"));
+			mapDiff.diff(getMap(), mapB).should.be.empty;
+		});
+		it('should report added and removed elements', function() {
+			var mapB = getMap();
+			mapB.glyphs.splice(2, 1); // B
+			mapB.arcs.splice(1, 1);
+			mapB.addGlyph(new sbgnjs.Glyph({id: 'D', class_: 'macromolecule'}));
+			var changes = mapDiff.diff(getMap(), mapB);
+			var removed = find(changes, ChangeType.REMOVED);
+			removed.map(function (c) { return c.id; }).should.deep.equal(['B', 'a2']);
+			removed[0].elementType.should.equal('glyph');
+			removed[0].oldValue.should.equal(getMap().glyphs[2].toXML());
+			removed[1].elementType.should.equal('arc');
+			var added = find(changes, ChangeType.ADDED);
+			added.should.have.length(1);
+			added[0].newId.should.equal('D');
+			should.equal(added[0].id, null);
+			added[0].newValue.should.equal(mapB.glyphs[3].toXML());
+		});
+		it('should report the parent of added glyph members', function() {
+			var mapB = getMap();
+			mapB.glyphs[1].addGlyphMember(new sbgnjs.Glyph({id: 'A.ui', class_: 'unit of information'}));
+			var added = find(mapDiff.diff(getMap(), mapB), ChangeType.ADDED);
+			added.should.have.length(1);
+			added[0].parentId.should.equal('A');
+		});
+		it('should report renamed glyphs', function() {
+			var mapB = getMap();
+			mapB.glyphs[1].label.text = 'Protein A1';
+			var changes = mapDiff.diff(getMap(), mapB);
+			changes.should.have.length(1);
+			changes[0].type.should.equal(ChangeType.RENAMED);
+			changes[0].id.should.equal('A');
+			changes[0].oldValue.should.equal('Protein A');
+			changes[0].newValue.should.equal('Protein A1');
+		});
+		it('should report changed state variables and classes', function() {
+			var mapB = getMap();
+			mapB.glyphs[1].glyphMembers[0].state.value = 'Ub';
+			mapB.glyphs[2].class_ = 'simple chemical multimer';
+			var changes = mapDiff.diff(getMap(), mapB);
+			var state = find(changes, ChangeType.STATE_CHANGED);
+			state.should.have.length(1);
+			state[0].id.should.equal('A.sv');
+			state[0].parentId.should.equal('A');
+			state[0].oldValue.should.deep.equal({value: 'P', variable: 'S1'});
+			state[0].newValue.should.deep.equal({value: 'Ub', variable: 'S1'});
+			var classes = find(changes, ChangeType.CLASS_CHANGED);
+			classes.should.have.length(1);
+			classes[0].newValue.should.equal('simple chemical multimer');
+		});
+		it('should report rewired arcs', function() {
+			var mapB = getMap();
+			mapB.arcs[0].source = 'B';
+			var changes = mapDiff.diff(getMap(), mapB);
+			changes.should.have.length(1);
+			changes[0].type.should.equal(ChangeType.REWIRED);
+			changes[0].attribute.should.equal('source');
+			changes[0].oldValue.should.equal('A');
+			changes[0].newValue.should.equal('B');
+		});
+		it('should report moved elements', function() {
+			var mapB = getMap();
+			mapB.glyphs[3].bbox.x = 55;
+			mapB.glyphs[3].ports[0].x = 50;
+			mapB.arcs[0].end.x = 50;
+			mapB.arcs[0].addNext(new sbgnjs.NextType({x: 45, y: 80}));
+			var moved = find(mapDiff.diff(getMap(), mapB), ChangeType.MOVED);
+			moved.map(function (c) { return c.elementType + ':' + c.attribute; }).should.deep.equal(
+				['glyph:bbox', 'port:position', 'arc:end', 'arc:nexts']);
+			moved[0].oldValue.should.deep.equal({x: 50, y: 100, w: 10, h: 10});
+			moved[0].newValue.should.deep.equal({x: 55, y: 100, w: 10, h: 10});
+			moved[3].newValue.should.deep.equal([{x: 45, y: 80}]);
+		});
+		it('should report changed attributes', function() {
+			var mapB = getMap();
+			mapB.glyphs[1].compartmentRef = null;
+			mapB.glyphs[2].setClone(new sbgnjs.Clone());
+			mapB.language = 'activity flow';
+			var changes = find(mapDiff.diff(getMap(), mapB), ChangeType.ATTRIBUTE_CHANGED);
+			changes.map(function (c) { return c.elementType + ':' + c.attribute; }).should.deep.equal(
+				['map:language', 'glyph:compartmentRef', 'glyph:clone']);
+			changes[1].oldValue.should.equal('comp');
+			should.equal(changes[1].newValue, null);
+			changes[2].newValue.should.deep.equal({label: null});
+		});
+		it('should report changed styles', function() {
+			var renderXml = "<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+				"<listOfColorDefinitions><colorDefinition id='c1' value='#ffffff'/></listOfColorDefinitions>"+
+				"<listOfStyles><style id='s1' idList='A B'><g fill='c1' stroke='c1'/></style></listOfStyles>"+
+				"</renderInformation></extension>";
+			var withRender = xml.replace('</map>', renderXml + '</map>');
+			var mapB = getMap(withRender.replace(/'A'/g, "'glyph42'").replace("'A B'", "'glyph42 B'"));
+			var render = mapB.extension.get('renderInformation');
+			render.listOfColorDefinitions.colorDefinitions[0].value = '#000000';
+			render.listOfStyles.styles[0].renderGroup.fill = '#ff0000';
+			render.listOfStyles.addStyle(new sbgnjs.render.Style({id: 's2', idList: 'p'}));
+			var changes = mapDiff.diff(getMap(withRender), mapB);
+			var styles = find(changes, ChangeType.STYLE_CHANGED);
+			styles.map(function (c) { return c.elementType + ':' + c.attribute; }).should.deep.equal(
+				['colorDefinition:value', 'style:renderGroup.fill']);
+			styles[1].oldValue.should.equal('c1');
+			styles[1].newValue.should.equal('#ff0000');
+			var added = find(changes, ChangeType.ADDED);
+			added.should.have.length(1);
+			added[0].elementType.should.equal('style');
+			added[0].newId.should.equal('s2');
+		});
+		it('should be available on Map', function() {
+			var mapB = getMap();
+			mapB.glyphs[1].label.text = 'Protein A1';
+			getMap().diff(mapB).should.deep.equal(mapDiff.diff(getMap(), mapB));
+		});
+	});
+
+	describe('Change', function() {
+		it('should be serialized to JSON and back', function() {
+			var mapB = getMap();
+			mapB.glyphs[3].bbox.x = 55;
+			mapB.glyphs.splice(2, 1);
+			var changes = mapDiff.diff(getMap(), mapB);
+			changes.should.have.length(2);
+			var json = JSON.parse(JSON.stringify(changes));
+			var parsed = json.map(mapDiff.Change.fromJSON);
+			parsed.should.deep.equal(changes);
+			parsed[0].should.be.instanceOf(mapDiff.Change);
+			mapDiff.Change.fromJSON(JSON.stringify(changes[1])).should.deep.equal(changes[1]);
+		});
+	});
+});
@@ -0,0 +1,211 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var mapMerge = require('../src/mapMerge');
+
+var ConflictType = mapMerge.ConflictType;
+
+var xml = "<map id='m' language='process description'>"+
+	"<glyph id='comp' class='compartment'><label text='cytosol'/><bbox x='0' y='0' w='500' h='500'/></glyph>"+
+	"<glyph id='A' class='macromolecule' compartmentRef='comp'><label text='Protein A'/>"+
+		"<bbox x='10' y='10' w='60' h='30'/>"+
+		"<glyph id='A.sv' class='state variable'><state value='P' variable='S1'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='B' class='simple chemical'><label text='ATP'/><bbox x='100' y='10' w='30' h='30'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='50' y='100' w='10' h='10'/>"+
+		"<port id='p.1' x='45' y='105'/><port id='p.2' x='65' y='105'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p.1'/>"+
+	"<arc id='a2' class='production' source='p.2' target='B'/>"+
+	"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='c1' value='#ffffff'/></listOfColorDefinitions>"+
+		"<listOfStyles><style id='s1' idList='A B'><g fill='c1' stroke='#000000'/></style></listOfStyles>"+
+	"</renderInformation></extension>"+
+	"</map>";
+
+function getMap() {
+	return sbgnjs.Map.fromXML(xml);
+}
+
+function getStyle(map) {
+	return map.extension.get('renderInformation').listOfStyles.styles[0];
+}
+
+describe('mapMerge', function() {
+	var base, ours, theirs;
+	beforeEach(function() {
+		base = getMap();
+		ours = getMap();
+		theirs = getMap();
+	});
+
+	it('should give the same map when nothing changed', function() {
+		var result = mapMerge.merge(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		result.sbgn.should.be.instanceOf(sbgnjs.Sbgn);
+		result.sbgn.maps.should.have.length(1);
+		result.sbgn.maps[0].equals(base).should.be.true;
+		result.sbgn.maps[0].should.not.equal(ours);
+	});
+	it('should apply changes of both sides', function() {
+		ours.glyphs[1].label.text = 'Protein A1';
+		theirs.glyphs[1].bbox.x = 20;
+		theirs.glyphs[1].glyphMembers[0].state.value = 'Ub';
+		theirs.arcs[0].class_ = 'production';
+		theirs.glyphs[3].ports[0].x = 40;
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		var map = result.map;
+		map.glyphs[1].label.text.should.equal('Protein A1');
+		map.glyphs[1].bbox.x.should.equal(20);
+		map.glyphs[1].glyphMembers[0].state.value.should.equal('Ub');
+		map.arcs[0].class_.should.equal('production');
+		map.glyphs[3].ports[0].x.should.equal(40);
+		// the edited maps are left untouched
+		ours.glyphs[1].bbox.x.should.equal(10);
+	});
+	it('should match elements of theirs whose id changed', function() {
+		theirs = sbgnjs.Map.fromXML(xml.replace(/'A'/g, "'glyph42'").replace("idList='A B'", "idList='glyph42 B'"));
+		theirs.glyphs[1].bbox.y = 15;
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		result.map.glyphs[1].id.should.equal('A');
+		result.map.glyphs[1].bbox.y.should.equal(15);
+		getStyle(result.map).idList.should.equal('A B');
+	});
+	it('should report attributes changed on both sides', function() {
+		ours.glyphs[1].label.text = 'Protein A1';
+		theirs.glyphs[1].label.text = 'Protein A2';
+		ours.glyphs[2].bbox.x = 110;
+		theirs.glyphs[2].bbox.x = 110;
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.have.length(1);
+		var conflict = result.conflicts[0];
+		conflict.type.should.equal(ConflictType.BOTH_MODIFIED);
+		conflict.mapId.should.equal('m');
+		conflict.elementType.should.equal('glyph');
+		conflict.id.should.equal('A');
+		conflict.attribute.should.equal('label');
+		conflict.baseValue.should.equal('Protein A');
+		conflict.oursValue.should.equal('Protein A1');
+		conflict.theirsValue.should.equal('Protein A2');
+		result.map.glyphs[1].label.text.should.equal('Protein A1');
+	});
+	it('should remove elements removed in theirs and unchanged in ours', function() {
+		theirs.arcs.splice(1, 1);
+		theirs.glyphs[3].ports.splice(1, 1);
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		result.map.arcs.should.have.length(1);
+		result.map.glyphs[3].ports.should.have.length(1);
+		should.not.exist(result.map.getElementById('p.2'));
+	});
+	it('should report elements removed on one side and modified on the other', function() {
+		ours.glyphs[2].label.text = 'ADP';
+		theirs.glyphs.splice(2, 1);
+		theirs.arcs.splice(1, 1);
+		theirs.glyphs[0].label.text = 'nucleus';
+		ours.glyphs.splice(0, 1);
+		ours.glyphs[0].compartmentRef = null;
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		var types = result.conflicts.map(function (c) { return c.type + ':' + c.id; });
+		types.should.deep.equal([ConflictType.MODIFIED_AND_REMOVED + ':comp', ConflictType.MODIFIED_AND_REMOVED + ':B']);
+		should.equal(result.conflicts[0].oursValue, null);
+		result.conflicts[0].theirsValue.should.equal(theirs.glyphs[0].toXML());
+		result.map.glyphs.map(function (g) { return g.id; }).should.deep.equal(['A', 'B', 'p']);
+		result.map.glyphs[1].label.text.should.equal('ADP');
+	});
+	it('should add elements added in theirs', function() {
+		var c = new sbgnjs.Glyph({id: 'C', class_: 'macromolecule', compartmentRef: 'comp'});
+		c.addGlyphMember(new sbgnjs.Glyph({id: 'C.sv', class_: 'state variable'}));
+		theirs.addGlyph(c);
+		theirs.glyphs[1].addGlyphMember(new sbgnjs.Glyph({id: 'A.ui', class_: 'unit of information'}));
+		theirs.glyphs[3].addPort(new sbgnjs.Port({id: 'p.3'}));
+		theirs.addArc(new sbgnjs.Arc({id: 'a3', class_: 'catalysis', source: 'C', target: 'p'}));
+		ours.addGlyph(new sbgnjs.Glyph({id: 'D', class_: 'macromolecule'}));
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		var map = result.map;
+		map.glyphs.map(function (g) { return g.id; }).should.deep.equal(['comp', 'A', 'B', 'p', 'D', 'C']);
+		map.glyphs[5].glyphMembers.should.have.length(1);
+		map.glyphs[5].should.not.equal(c);
+		map.glyphs[1].glyphMembers[1].id.should.equal('A.ui');
+		map.glyphs[3].ports[2].id.should.equal('p.3');
+		map.getElementById('a3').target.should.equal('p');
+		map.getElementById('C.sv').should.equal(map.glyphs[5].glyphMembers[0]);
+	});
+	it('should report elements of theirs with the id of another element of ours', function() {
+		theirs.addGlyph(new sbgnjs.Glyph({id: 'X', class_: 'macromolecule'}));
+		ours.addGlyph(new sbgnjs.Glyph({id: 'X', class_: 'simple chemical'}));
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.have.length(1);
+		result.conflicts[0].type.should.equal(ConflictType.ID_COLLISION);
+		result.conflicts[0].id.should.equal('X');
+		result.map.getElementById('X').class_.should.equal('simple chemical');
+	});
+	it('should remove references to elements removed by the other side', function() {
+		theirs.glyphs.splice(2, 1);
+		theirs.arcs.splice(1, 1);
+		theirs.glyphs.splice(0, 1);
+		theirs.glyphs[0].compartmentRef = null;
+		ours.addArc(new sbgnjs.Arc({id: 'a3', class_: 'production', source: 'p.2', target: 'B'}));
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.map(function (c) { return c.type + ':' + c.elementType + ':' + c.attribute; }).should.deep.equal([
+			ConflictType.DANGLING_REFERENCE + ':arc:target',
+			ConflictType.DANGLING_REFERENCE + ':style:idList'
+		]);
+		result.conflicts[0].id.should.equal('a3');
+		result.map.arcs.map(function (a) { return a.id; }).should.deep.equal(['a1']);
+		getStyle(result.map).idList.should.equal('A');
+		result.map.checkReferences().should.be.empty;
+	});
+	it('should merge styles and color definitions', function() {
+		getStyle(ours).renderGroup.stroke = '#333333';
+		getStyle(theirs).renderGroup.fill = '#ff0000';
+		getStyle(theirs).idList = 'A B p';
+		var render = theirs.extension.get('renderInformation');
+		render.listOfColorDefinitions.colorDefinitions[0].value = '#eeeeee';
+		render.listOfStyles.addStyle(new sbgnjs.render.Style({id: 's2', idList: 'comp'}));
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.be.empty;
+		var style = getStyle(result.map);
+		style.renderGroup.stroke.should.equal('#333333');
+		style.renderGroup.fill.should.equal('#ff0000');
+		style.idList.should.equal('A B p');
+		var resultRender = result.map.extension.get('renderInformation');
+		resultRender.listOfColorDefinitions.colorDefinitions[0].value.should.equal('#eeeeee');
+		resultRender.listOfStyles.styles[1].id.should.equal('s2');
+	});
+	it('should report styles changed on both sides', function() {
+		getStyle(ours).renderGroup.fill = '#00ff00';
+		getStyle(theirs).renderGroup.fill = '#ff0000';
+		var result = mapMerge.mergeMaps(base, ours, theirs);
+		result.conflicts.should.have.length(1);
+		result.conflicts[0].elementType.should.equal('style');
+		result.conflicts[0].attribute.should.equal('renderGroup.fill');
+		getStyle(result.map).renderGroup.fill.should.equal('#00ff00');
+	});
+	it('should merge the maps of sbgn documents', function() {
+		function getSbgn(map) {
+			return new sbgnjs.Sbgn({xmlns: sbgnjs.xmlns, maps: [map]});
+		}
+		theirs.glyphs[1].label.text = 'Protein A2';
+		var theirsSbgn = getSbgn(theirs);
+		var added = new sbgnjs.Map({id: 'm2', language: 'activity flow'});
+		theirsSbgn.addMap(added);
+		var result = mapMerge.merge(getSbgn(base), getSbgn(ours), theirsSbgn);
+		result.conflicts.should.be.empty;
+		result.sbgn.maps.should.have.length(2);
+		result.sbgn.maps[0].glyphs[1].label.text.should.equal('Protein A2');
+		result.sbgn.maps[1].id.should.equal('m2');
+		result.sbgn.maps[1].should.not.equal(added);
+		sbgnjs.Sbgn.fromXML(result.sbgn.toXML()).maps.should.have.length(2);
+	});
+	it('should serialize conflicts to JSON and back', function() {
+		ours.glyphs[1].label.text = 'Protein A1';
+		theirs.glyphs[1].label.text = 'Protein A2';
+		var conflict = mapMerge.mergeMaps(base, ours, theirs).conflicts[0];
+		var parsed = mapMerge.Conflict.fromJSON(JSON.stringify(conflict));
+		parsed.should.be.instanceOf(mapMerge.Conflict);
+		parsed.should.deep.equal(conflict);
+	});
+});
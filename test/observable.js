@@ -0,0 +1,243 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var observable = require('../src/observable');
+
+var ChangeType = observable.ChangeType;
+
+var xml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'><map id='m' language='process description'>"+
+	"<glyph id='A' class='macromolecule'><label text='Protein A'/><bbox x='10' y='10' w='60' h='30'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='50' y='100' w='10' h='10'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p'><start x='40' y='40'/><end x='50' y='105'/></arc>"+
+	"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfStyles><style id='s1' idList='A'><g fill='#ffffff'/></style></listOfStyles>"+
+	"</renderInformation></extension>"+
+	"</map></sbgn>";
+
+describe('observable', function() {
+	var sbgn, map, events, listener;
+	beforeEach(function() {
+		sbgn = sbgnjs.Sbgn.fromXML(xml);
+		map = sbgn.maps[0];
+		events = [];
+		listener = function (event) { events.push(event); };
+	});
+
+	describe('observe', function() {
+		it('should emit set events for setters of the content', function() {
+			observable.observe(sbgn, listener);
+			var label = new sbgnjs.Label({text: 'EGFR'});
+			var oldLabel = map.glyphs[0].label;
+			map.glyphs[0].setLabel(label);
+			events.should.have.length(1);
+			events[0].should.be.instanceOf(observable.ChangeEvent);
+			events[0].type.should.equal(ChangeType.SET);
+			events[0].target.should.equal(map.glyphs[0]);
+			events[0].property.should.equal('label');
+			events[0].method.should.equal('setLabel');
+			events[0].oldValue.should.equal(oldLabel);
+			events[0].newValue.should.equal(label);
+		});
+		it('should emit add events for add methods', function() {
+			observable.observe(map, listener);
+			var glyph = new sbgnjs.Glyph({id: 'B', class_: 'simple chemical'});
+			map.addGlyph(glyph);
+			events.should.have.length(1);
+			events[0].type.should.equal(ChangeType.ADD);
+			events[0].property.should.equal('glyphs');
+			events[0].index.should.equal(2);
+			events[0].newValue.should.equal(glyph);
+		});
+		it('should follow the elements added or set after observing', function() {
+			observable.observe(map, listener);
+			var glyph = new sbgnjs.Glyph({id: 'B', class_: 'simple chemical'});
+			map.addGlyph(glyph);
+			glyph.setBbox(new sbgnjs.Bbox({x: 0, y: 0, w: 10, h: 10}));
+			var label = new sbgnjs.Label({text: 'ATP'});
+			glyph.setLabel(label);
+			label.setBbox(new sbgnjs.Bbox({x: 1, y: 1, w: 8, h: 8}));
+			events.map(function (e) { return e.method; }).should.deep.equal(['addGlyph', 'setBbox', 'setLabel', 'setBbox']);
+			events[3].target.should.equal(label);
+		});
+		it('should stop following replaced elements', function() {
+			observable.observe(map, listener);
+			var oldLabel = map.glyphs[0].label;
+			map.glyphs[0].setLabel(new sbgnjs.Label({text: 'EGFR'}));
+			oldLabel.setBbox(new sbgnjs.Bbox());
+			events.should.have.length(1);
+		});
+		it('should emit changes of the render and extensions', function() {
+			observable.observe(map, listener);
+			var style = map.extension.get('renderInformation').listOfStyles.styles[0];
+			style.setIdListFromArray(['A', 'p']);
+			style.setRenderGroup(new sbgnjs.render.RenderGroup({fill: '#000000'}));
+			map.extension.get('renderInformation').listOfStyles.addStyle(new sbgnjs.render.Style({id: 's2'}));
+			var annotation = new sbgnjs.annot.Annotation();
+			map.extension.add(annotation);
+			events.map(function (e) { return e.type + ':' + e.property; }).should.deep.equal(
+				['set:idList', 'set:renderGroup', 'add:styles', 'set:annotation']);
+			events[0].oldValue.should.equal('A');
+			events[0].newValue.should.equal('A p');
+			events[3].target.should.equal(map.extension.list);
+			should.not.exist(events[3].oldValue);
+		});
+		it('should not emit anything for elements not observed', function() {
+			observable.observe(map, listener);
+			var other = sbgnjs.Sbgn.fromXML(xml).maps[0];
+			other.glyphs[0].setLabel(new sbgnjs.Label({text: 'EGFR'}));
+			other.addGlyph(new sbgnjs.Glyph());
+			events.should.be.empty;
+			other.glyphs.should.have.length(3);
+		});
+		it('should only emit to the observers of the changed element', function() {
+			var glyphEvents = [];
+			observable.observe(map.glyphs[1], function (event) { glyphEvents.push(event); });
+			observable.observe(map, listener);
+			map.glyphs[0].setBbox(new sbgnjs.Bbox());
+			map.glyphs[1].setBbox(new sbgnjs.Bbox());
+			events.should.have.length(2);
+			glyphEvents.should.have.length(1);
+			glyphEvents[0].target.should.equal(map.glyphs[1]);
+		});
+		it('should stop emitting once unobserved', function() {
+			var stop = observable.observe(map, listener);
+			map.glyphs[0].setBbox(new sbgnjs.Bbox());
+			stop();
+			map.glyphs[0].setBbox(new sbgnjs.Bbox());
+			map.addArc(new sbgnjs.Arc());
+			events.should.have.length(1);
+			map.glyphs[0].observedBy.should.be.empty;
+		});
+		it('should set fields without setter', function() {
+			observable.observe(map, listener);
+			map.getElementById('A').should.equal(map.glyphs[0]);
+			observable.set(map.glyphs[0], 'id', 'B');
+			observable.set(map.glyphs[0], 'class_', 'simple chemical');
+			events.map(function (e) { return e.property + ':' + e.oldValue + ':' + e.newValue; }).should.deep.equal(
+				['id:A:B', 'class_:macromolecule:simple chemical']);
+			map.getElementById('B').should.equal(map.glyphs[0]);
+			should.not.exist(map.getElementById('A'));
+		});
+		it('should not change what is written or compared', function() {
+			observable.observe(sbgn, listener);
+			sbgn.toXML().should.equal(sbgnjs.Sbgn.fromXML(xml).toXML());
+			sbgn.equals(sbgnjs.Sbgn.fromXML(xml)).should.be.true;
+			should.not.exist(sbgn.deepClone().maps[0].observedBy);
+		});
+	});
+
+	describe('History', function() {
+		var history;
+		beforeEach(function() {
+			history = new observable.History(sbgn);
+		});
+		afterEach(function() {
+			history.dispose();
+		});
+
+		it('should undo and redo setters and add methods', function() {
+			var original = sbgnjs.Sbgn.fromXML(xml);
+			map.glyphs[0].setLabel(new sbgnjs.Label({text: 'EGFR'}));
+			map.addGlyph(new sbgnjs.Glyph({id: 'B', class_: 'simple chemical'}));
+			map.arcs[0].setStart(new sbgnjs.StartType({x: 0, y: 0}));
+			map.arcs[0].addNext(new sbgnjs.NextType({x: 20, y: 20}));
+			history.canUndo().should.be.true;
+			history.canRedo().should.be.false;
+			var modified = sbgn.deepClone();
+			while (history.undo()) {}
+			sbgn.equals(original).should.be.true;
+			should.not.exist(map.getElementById('B'));
+			history.canRedo().should.be.true;
+			while (history.redo()) {}
+			sbgn.equals(modified).should.be.true;
+			map.getElementById('B').should.equal(map.glyphs[2]);
+		});
+		it('should emit the undone changes to the listeners', function() {
+			observable.observe(sbgn, listener);
+			map.addGlyph(new sbgnjs.Glyph({id: 'B'}));
+			history.undo();
+			events.map(function (e) { return e.type; }).should.deep.equal([ChangeType.ADD, ChangeType.REMOVE]);
+			events[1].index.should.equal(2);
+			history.undo().should.be.false;
+		});
+		it('should group the changes of a transaction', function() {
+			var original = sbgnjs.Sbgn.fromXML(xml);
+			history.transaction(function () {
+				map.glyphs[0].setBbox(new sbgnjs.Bbox({x: 0, y: 0, w: 1, h: 1}));
+				history.transaction(function () {
+					observable.set(map.glyphs[1], 'class_', 'omitted process');
+				});
+				map.addArc(new sbgnjs.Arc({id: 'a2'}));
+			});
+			history.undoStack.should.have.length(1);
+			history.undo();
+			sbgn.equals(original).should.be.true;
+			history.redo();
+			map.glyphs[1].class_.should.equal('omitted process');
+			map.arcs.should.have.length(2);
+		});
+		it('should forget the undone steps after a new change', function() {
+			map.glyphs[0].setBbox(new sbgnjs.Bbox());
+			history.undo();
+			map.glyphs[1].setBbox(new sbgnjs.Bbox());
+			history.canRedo().should.be.false;
+		});
+		it('should keep at most limit steps', function() {
+			history.dispose();
+			history = new observable.History(map, {limit: 2});
+			for(var i=0; i < 4; i++) {
+				observable.set(map.glyphs[0].bbox, 'x', i);
+			}
+			history.undo().should.be.true;
+			history.undo().should.be.true;
+			history.undo().should.be.false;
+			map.glyphs[0].bbox.x.should.equal(1);
+		});
+		it('should undo a removal and its cascaded changes in one step', function() {
+			var original = sbgnjs.Sbgn.fromXML(xml);
+			observable.observe(sbgn, listener);
+			map.removeGlyph('A');
+			events.map(function (e) { return e.type + ':' + e.property + ':' + e.method; }).should.deep.equal(
+				['remove:arcs:removeArc', 'set:idList:setIdListFromArray', 'remove:glyphs:removeGlyph']);
+			history.undoStack.should.have.length(1);
+			history.undo();
+			sbgn.equals(original).should.be.true;
+			map.getElementById('a1').should.equal(map.arcs[0]);
+			history.redo();
+			map.glyphs.should.have.length(1);
+			map.arcs.should.be.empty;
+		});
+		it('should undo replacements and removals of render elements', function() {
+			var original = sbgnjs.Sbgn.fromXML(xml);
+			map.replaceGlyph('p', new sbgnjs.Glyph({id: 'p2', class_: 'omitted process'}));
+			map.extension.get('renderInformation').listOfStyles.removeStyle('s1');
+			var newMap = new sbgnjs.Map({id: 'other'});
+			sbgn.replaceMap(0, newMap).should.equal(map);
+			sbgn.maps.should.deep.equal([newMap]);
+			sbgn.removeMap(0);
+			history.undoStack.should.have.length(4);
+			sbgn.maps.should.be.empty;
+			while (history.undo()) {}
+			sbgn.equals(original).should.be.true;
+			map.getElementById('p').should.equal(map.glyphs[1]);
+		});
+		it('should make one step of a batch for each history recording it', function() {
+			var other = new observable.History(map);
+			var disposed = new observable.History(map);
+			observable.batch(function () {
+				map.glyphs[0].setBbox(new sbgnjs.Bbox());
+				map.glyphs[1].setBbox(new sbgnjs.Bbox());
+				disposed.dispose();
+			});
+			history.undoStack.should.have.length(1);
+			other.undoStack.should.have.length(1);
+			disposed.canUndo().should.be.false;
+			other.dispose();
+		});
+		it('should stop recording once disposed', function() {
+			history.dispose();
+			map.glyphs[0].setBbox(new sbgnjs.Bbox());
+			history.canUndo().should.be.false;
+		});
+	});
+});
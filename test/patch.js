@@ -0,0 +1,199 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var patch = require('../src/patch');
+
+var Operation = patch.Operation;
+
+var xml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'><map id='m' language='process description'>"+
+	"<glyph id='A' class='macromolecule'><label text='Protein A'/><bbox x='10' y='10' w='60' h='30'/>"+
+		"<glyph id='A.sv' class='state variable'><state value='P' variable='S1'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='B' class='simple chemical'><label text='ATP'/><bbox x='100' y='10' w='30' h='30'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='50' y='100' w='10' h='10'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p'/>"+
+	"<arc id='a2' class='production' source='p' target='B'/>"+
+	"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfStyles><style id='s1' idList='A B'><g fill='#ffffff'/></style></listOfStyles>"+
+	"</renderInformation></extension>"+
+	"</map></sbgn>";
+
+var resource = "http://identifiers.org/uniprot/P00533";
+
+describe('patch', function() {
+	var sbgn, map;
+	beforeEach(function() {
+		sbgn = sbgnjs.Sbgn.fromXML(xml);
+		map = sbgn.maps[0];
+	});
+
+	describe('applyPatch', function() {
+		it('should add and remove glyphs', function() {
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.ADD_GLYPH, mapId: 'm', glyph: "<glyph id='C' class='macromolecule'/>"},
+				{op: Operation.ADD_GLYPH, parentId: 'A', index: 0, glyph: "<glyph id='A.ui' class='unit of information'/>"},
+				{op: Operation.REMOVE_GLYPH, id: 'A.sv'}
+			]);
+			map.glyphs.map(function (g) { return g.id; }).should.deep.equal(['A', 'B', 'p', 'C']);
+			map.glyphs[0].glyphMembers.map(function (g) { return g.id; }).should.deep.equal(['A.ui']);
+			map.getElementById('C').should.equal(map.glyphs[3]);
+			should.not.exist(map.getElementById('A.sv'));
+			done[0].index.should.equal(3);
+			done[2].parentId.should.equal('A');
+			done[2].index.should.equal(1);
+			done[2].glyph.should.equal('<glyph id="A.sv" class="state variable"><state value="P" variable="S1"/></glyph>');
+		});
+		it('should add and remove arcs', function() {
+			patch.applyPatch(sbgn, [
+				{op: Operation.REMOVE_ARC, id: 'a1'},
+				{op: Operation.ADD_ARC, arc: "<arc id='a3' class='catalysis' source='B' target='p'/>"}
+			]);
+			map.arcs.map(function (a) { return a.id; }).should.deep.equal(['a2', 'a3']);
+			map.getElementById('a3').class_.should.equal('catalysis');
+		});
+		it('should add and remove the arcs of arcgroups', function() {
+			map.addArcgroup(new sbgnjs.Arcgroup({class_: 'interaction'}));
+			var before = sbgnjs.Sbgn.fromXML(sbgn.toXML());
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.ADD_ARC, arcgroup: 0, arc: "<arc id='a3' class='interaction' source='A' target='B'/>"},
+				{op: Operation.REMOVE_ARC, id: 'a3'}
+			]);
+			map.arcgroups[0].arcs.should.be.empty;
+			done[1].arcgroup.should.equal(0);
+			patch.applyPatch(sbgn, patch.invertPatch(done.slice(1)));
+			map.arcgroups[0].arcs.map(function (a) { return a.id; }).should.deep.equal(['a3']);
+			map.getElementById('a3').should.equal(map.arcgroups[0].arcs[0]);
+			patch.applyPatch(sbgn, patch.invertPatch(done.slice(0, 1)));
+			sbgn.equals(before).should.be.true;
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.ADD_ARC, arcgroup: 1, arc: "<arc id='a4' class='interaction'/>"}]);
+			}).should.throw(Error, "no arcgroup at position 1");
+		});
+		it('should set label text, bbox and style properties', function() {
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'},
+				{op: Operation.SET_LABEL_TEXT, id: 'p', value: 'binding'},
+				{op: Operation.MOVE_BBOX, id: 'B', value: {x: 120, y: 20, w: 30, h: 30}},
+				{op: Operation.SET_STYLE_PROPERTY, styleId: 's1', property: 'fill', value: '#ff0000'}
+			]);
+			map.glyphs[0].label.text.should.equal('EGFR');
+			map.glyphs[2].label.text.should.equal('binding');
+			map.glyphs[1].bbox.should.be.instanceOf(sbgnjs.Bbox);
+			map.glyphs[1].bbox.x.should.equal(120);
+			map.extension.get('renderInformation').listOfStyles.styles[0].renderGroup.fill.should.equal('#ff0000');
+			done[0].oldValue.should.equal('Protein A');
+			should.equal(done[1].oldValue, null);
+			done[2].oldValue.should.deep.equal({x: 100, y: 10, w: 30, h: 30});
+			done[3].oldValue.should.equal('#ffffff');
+		});
+		it('should add annotation resources', function() {
+			patch.applyPatch(sbgn, [
+				{op: Operation.ADD_ANNOTATION_RESOURCE, id: 'A', relation: 'bqbiol:is', resource: resource}
+			]);
+			var rdfElement = map.glyphs[0].extension.get('annotation').rdfElement;
+			rdfElement.getResourcesOfId('/#A')['http://biomodels.net/biology-qualifiers/is'].should.deep.equal([resource]);
+			var written = sbgnjs.Sbgn.fromXML(sbgn.toXML()).maps[0].glyphs[0];
+			written.extension.get('annotation').rdfElement.getResourcesOfId('/#A')
+				['http://biomodels.net/biology-qualifiers/is'].should.deep.equal([resource]);
+		});
+		it('should leave a resource that was already there when inverted', function() {
+			var operations = [{op: Operation.ADD_ANNOTATION_RESOURCE, id: 'A', relation: 'bqbiol:is', resource: resource}];
+			patch.applyPatch(sbgn, operations);
+			var before = sbgn.toXML();
+			var done = patch.applyPatch(sbgn, operations);
+			done[0].changed.should.equal(false);
+			sbgn.toXML().should.equal(before);
+			patch.applyPatch(sbgn, patch.invertPatch(done));
+			sbgn.toXML().should.equal(before);
+			map.glyphs[0].extension.get('annotation').rdfElement.getResourcesOfId('/#A')
+				['http://biomodels.net/biology-qualifiers/is'].should.deep.equal([resource]);
+		});
+		it('should not add back a resource that was already missing when inverted', function() {
+			var before = sbgn.toXML();
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.REMOVE_ANNOTATION_RESOURCE, id: 'A', relation: 'bqbiol:is', resource: resource}
+			]);
+			done[0].changed.should.equal(false);
+			patch.invertPatch(done).should.deep.equal([]);
+			sbgn.toXML().should.equal(before);
+		});
+		it('should not modify the original patch', function() {
+			var operations = [{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'}];
+			patch.applyPatch(sbgn, operations);
+			operations[0].should.not.have.property('oldValue');
+		});
+		it('should fail on unknown elements and leave the sbgn untouched', function() {
+			var before = sbgn.toXML();
+			(function () {
+				patch.applyPatch(sbgn, [
+					{op: Operation.REMOVE_ARC, id: 'a1'},
+					{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'},
+					{op: Operation.MOVE_BBOX, id: 'unknown', value: {x: 0, y: 0, w: 1, h: 1}}
+				]);
+			}).should.throw(Error, "no glyph with id unknown");
+			sbgn.toXML().should.equal(before);
+		});
+		it('should fail on duplicate ids, unknown maps and unknown operations', function() {
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.ADD_GLYPH, glyph: "<glyph id='a1' class='macromolecule'/>"}]);
+			}).should.throw(Error, "already an element with id a1");
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.ADD_GLYPH, glyph: "<glyph id='C' class='macromolecule'>"+
+					"<glyph id='A.sv' class='state variable'/></glyph>"}]);
+			}).should.throw(Error, "already an element with id A.sv");
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.ADD_GLYPH, glyph: "<glyph id='q' class='process'>"+
+					"<port id='q.1'/><port id='q.1'/></glyph>"}]);
+			}).should.throw(Error, "already an element with id q.1");
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.ADD_ARC, arc: "<arc id='a3' class='production' source='p' target='B'>"+
+					"<glyph id='B' class='cardinality'/></arc>"}]);
+			}).should.throw(Error, "already an element with id B");
+			should.not.exist(map.getElementById('C'));
+			(function () {
+				patch.applyPatch(sbgn, [{op: Operation.SET_LABEL_TEXT, mapId: 'other', id: 'A', value: 'x'}]);
+			}).should.throw(Error, "no map with id other");
+			(function () {
+				patch.applyPatch(sbgn, [{op: 'rotate', id: 'A'}]);
+			}).should.throw(Error, "unknown operation rotate");
+		});
+	});
+
+	describe('invertPatch', function() {
+		it('should revert every operation', function() {
+			var before = sbgnjs.Sbgn.fromXML(xml);
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.ADD_GLYPH, glyph: "<glyph id='C' class='macromolecule'/>"},
+				{op: Operation.ADD_ARC, arc: "<arc id='a3' class='catalysis' source='C' target='p'/>"},
+				{op: Operation.REMOVE_GLYPH, id: 'A.sv'},
+				{op: Operation.REMOVE_ARC, id: 'a1'},
+				{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'},
+				{op: Operation.MOVE_BBOX, id: 'B', value: {x: 120, y: 20, w: 30, h: 30}},
+				{op: Operation.SET_STYLE_PROPERTY, styleId: 's1', property: 'stroke', value: '#000000'},
+				{op: Operation.ADD_ANNOTATION_RESOURCE, id: 'B', relation: 'bqbiol:is', resource: resource},
+				{op: Operation.ADD_ANNOTATION_RESOURCE, id: 'B', relation: 'bqbiol:is', resource: resource + '0'}
+			]);
+			sbgn.equals(before).should.be.false;
+			var inverse = patch.invertPatch(JSON.parse(JSON.stringify(done)));
+			inverse[0].op.should.equal(Operation.REMOVE_ANNOTATION_RESOURCE);
+			inverse[inverse.length - 1].op.should.equal(Operation.REMOVE_GLYPH);
+			patch.applyPatch(sbgn, inverse);
+			sbgn.equals(before).should.be.true;
+		});
+		it('should give back the original patch when inverted twice', function() {
+			var done = patch.applyPatch(sbgn, [
+				{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'},
+				{op: Operation.REMOVE_ARC, id: 'a2'}
+			]);
+			patch.invertPatch(patch.invertPatch(done)).should.deep.equal(done);
+		});
+		it('should refuse operations without the value they replace', function() {
+			(function () {
+				patch.invertPatch([{op: Operation.SET_LABEL_TEXT, id: 'A', value: 'EGFR'}]);
+			}).should.throw(Error, "doesn't have the value it replaces");
+			(function () {
+				patch.invertPatch([{op: Operation.REMOVE_ARC, id: 'a1'}]);
+			}).should.throw(Error, "doesn't have the value it replaces");
+		});
+	});
+});
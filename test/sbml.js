@@ -0,0 +1,264 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var sbml = require('../src/sbml');
+
+var model = "<listOfCompartments><compartment id='cytosol' name='Cytosol'/></listOfCompartments>"+
+	"<listOfSpecies>"+
+		"<species id='glc' name='glucose' compartment='cytosol' sboTerm='SBO:0000247'/>"+
+		"<species id='g6p' name='glucose-6-phosphate' compartment='cytosol' sboTerm='SBO:0000247'/>"+
+		"<species id='atp' name='ATP' compartment='cytosol' sboTerm='SBO:0000247'/>"+
+		"<species id='hk' name='hexokinase' compartment='cytosol' sboTerm='SBO:0000252'/>"+
+		"<species id='x' compartment='cytosol'/>"+
+	"</listOfSpecies>"+
+	"<listOfReactions>"+
+		"<reaction id='r1' reversible='false'>"+
+			"<listOfReactants><speciesReference id='sr1' species='glc' stoichiometry='1'/>"+
+				"<speciesReference id='sr2' species='atp' stoichiometry='2'/></listOfReactants>"+
+			"<listOfProducts><speciesReference id='sr3' species='g6p' stoichiometry='1'/></listOfProducts>"+
+			"<listOfModifiers><modifierSpeciesReference id='sr4' species='hk' sboTerm='SBO:0000460'/></listOfModifiers>"+
+		"</reaction>"+
+		"<reaction id='r2' reversible='true' sboTerm='SBO:0000396'>"+
+			"<listOfReactants><speciesReference species='g6p'/></listOfReactants>"+
+			"<listOfProducts><speciesReference species='x'/></listOfProducts>"+
+		"</reaction>"+
+	"</listOfReactions>";
+
+var degradation = "<listOfCompartments><compartment id='c'/></listOfCompartments>"+
+	"<listOfSpecies><species id='a' compartment='c'/></listOfSpecies>"+
+	"<listOfReactions>"+
+		"<reaction id='d' reversible='false'><listOfReactants><speciesReference id='sr' species='a'/></listOfReactants></reaction>"+
+		"<reaction id='s' reversible='true'><listOfProducts><speciesReference species='a'/></listOfProducts></reaction>"+
+	"</listOfReactions>";
+
+function box(x, y, w, h) {
+	return "<layout:boundingBox><layout:position layout:x='" + x + "' layout:y='" + y + "'/>"+
+		"<layout:dimensions layout:width='" + w + "' layout:height='" + h + "'/></layout:boundingBox>";
+}
+
+function curve(points) {
+	var segments = '';
+	for (var i=0; i < points.length - 1; i++) {
+		segments += "<layout:curveSegment xsi:type='LineSegment'>"+
+			"<layout:start layout:x='" + points[i][0] + "' layout:y='" + points[i][1] + "'/>"+
+			"<layout:end layout:x='" + points[i+1][0] + "' layout:y='" + points[i+1][1] + "'/></layout:curveSegment>";
+	}
+	return "<layout:curve><layout:listOfCurveSegments>" + segments + "</layout:listOfCurveSegments></layout:curve>";
+}
+
+var layout = "<layout:listOfLayouts xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance'>"+
+	"<layout:layout layout:id='layout1'><layout:dimensions layout:width='400' layout:height='300'/>"+
+		"<layout:listOfCompartmentGlyphs><layout:compartmentGlyph layout:id='cg' layout:compartment='cytosol'>" + box(0, 0, 400, 300) + "</layout:compartmentGlyph></layout:listOfCompartmentGlyphs>"+
+		"<layout:listOfSpeciesGlyphs>"+
+			"<layout:speciesGlyph layout:id='sg_glc' layout:species='glc'>" + box(20, 100, 60, 20) + "</layout:speciesGlyph>"+
+			"<layout:speciesGlyph layout:id='sg_atp' layout:species='atp'>" + box(20, 20, 40, 20) + "</layout:speciesGlyph>"+
+			"<layout:speciesGlyph layout:id='sg_atp2' layout:species='atp'>" + box(300, 20, 40, 20) + "</layout:speciesGlyph>"+
+			"<layout:speciesGlyph layout:id='sg_g6p' layout:species='g6p'>" + box(300, 100, 60, 20) + "</layout:speciesGlyph>"+
+			"<layout:speciesGlyph layout:id='sg_hk' layout:species='hk'>" + box(160, 200, 60, 30) + "</layout:speciesGlyph>"+
+		"</layout:listOfSpeciesGlyphs>"+
+		"<layout:listOfReactionGlyphs><layout:reactionGlyph layout:id='rg1' layout:reaction='r1'>" + curve([[180, 110], [200, 110]])+
+			"<layout:listOfSpeciesReferenceGlyphs>"+
+				"<layout:speciesReferenceGlyph layout:id='srg1' layout:speciesReference='sr1' layout:speciesGlyph='sg_glc' layout:role='substrate'>" + curve([[180, 110], [80, 110]]) + "</layout:speciesReferenceGlyph>"+
+				"<layout:speciesReferenceGlyph layout:id='srg2' layout:speciesReference='sr2' layout:speciesGlyph='sg_atp' layout:role='sidesubstrate'>" + curve([[180, 110], [60, 30]]) + "</layout:speciesReferenceGlyph>"+
+				"<layout:speciesReferenceGlyph layout:id='srg3' layout:speciesReference='sr3' layout:speciesGlyph='sg_g6p' layout:role='product'>" + curve([[200, 110], [250, 110], [300, 110]]) + "</layout:speciesReferenceGlyph>"+
+				"<layout:speciesReferenceGlyph layout:id='srg4' layout:speciesReference='sr4' layout:speciesGlyph='sg_hk' layout:role='modifier'>" + curve([[190, 120], [190, 200]]) + "</layout:speciesReferenceGlyph>"+
+			"</layout:listOfSpeciesReferenceGlyphs>"+
+		"</layout:reactionGlyph></layout:listOfReactionGlyphs>"+
+		"<layout:listOfTextGlyphs><layout:textGlyph layout:id='tg1' layout:graphicalObject='sg_hk' layout:text='HK1'>" + box(160, 230, 60, 10) + "</layout:textGlyph></layout:listOfTextGlyphs>"+
+		"<render:listOfRenderInformation><render:renderInformation render:id='ri' render:backgroundColor='#ffffff'>"+
+			"<render:listOfColorDefinitions><render:colorDefinition render:id='yellow' render:value='#ffff00'/></render:listOfColorDefinitions>"+
+			"<render:listOfGradientDefinitions><render:linearGradient render:id='grad'/></render:listOfGradientDefinitions>"+
+			"<render:listOfStyles>"+
+				"<render:style render:id='byId' render:idList='sg_hk'><render:g render:fill='#ff0000'/></render:style>"+
+				"<render:style render:id='byRole' render:roleList='product'><render:g render:stroke='#00ff00' render:stroke-width='3'/></render:style>"+
+				"<render:style render:id='byType' render:typeList='SPECIESGLYPH'><render:g render:fill='yellow' render:stroke='grad' render:font-size='12' render:text-anchor='middle'/></render:style>"+
+			"</render:listOfStyles>"+
+		"</render:renderInformation></render:listOfRenderInformation>"+
+	"</layout:layout>"+
+	"<layout:layout layout:id='layout2'><layout:dimensions layout:width='100' layout:height='100'/></layout:layout>"+
+"</layout:listOfLayouts>";
+
+function document(content, level) {
+	return "<?xml version='1.0' encoding='UTF-8'?>"+
+		"<sbml xmlns='http://www.sbml.org/sbml/level3/version1/core' level='" + (level || 3) + "' version='1'"+
+		" xmlns:layout='http://www.sbml.org/sbml/level3/version1/layout/version1'"+
+		" xmlns:render='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<model id='glycolysis'>" + content + "</model></sbml>";
+}
+
+describe('sbml', function() {
+	var map;
+	beforeEach(function() {
+		map = sbgnjs.Map.fromSBML(document(model + layout));
+	});
+
+	describe('document', function() {
+		it('should read the model as a process description map', function() {
+			map.should.be.an.instanceof(sbgnjs.Map);
+			map.id.should.equal('glycolysis');
+			map.language.should.equal('process description');
+			map.bbox.w.should.equal(400);
+			map.bbox.h.should.equal(300);
+		});
+		it('should fail on bad documents', function() {
+			(function () { sbml.fromSBML('<sbml'); }).should.throw(/^Bad XML provided/);
+			(function () { sbml.fromSBML('<sbgn/>'); }).should.throw("Bad SBML provided, the root element isn't sbml");
+			(function () { sbml.fromSBML(document(model, 2)); }).should.throw('Only SBML Level 3 can be read, this document is of level 2');
+			(function () { sbml.fromSBML(document(model + layout), {layout: 'other'}); }).should.throw('No layout with id other in the SBML document');
+		});
+		it('should read the layout asked', function() {
+			var other = sbgnjs.Map.fromSBML(document(model + layout), {layout: 'layout2'});
+			other.bbox.w.should.equal(100);
+			other.glyphs.should.have.length(0);
+		});
+	});
+
+	describe('glyphs', function() {
+		it('should have the ids, classes, labels and coordinates of the layout', function() {
+			map.glyphs.map(function (glyph) { return glyph.id; }).should.deep.equal(['cg', 'sg_glc', 'sg_atp', 'sg_atp2', 'sg_g6p', 'sg_hk', 'rg1']);
+			var compartment = map.getElementById('cg');
+			compartment.class_.should.equal('compartment');
+			compartment.label.text.should.equal('Cytosol');
+			var glc = map.getElementById('sg_glc');
+			glc.class_.should.equal('simple chemical');
+			glc.label.text.should.equal('glucose');
+			glc.compartmentRef.should.equal('cg');
+			glc.bbox.should.deep.include({x: 20, y: 100, w: 60, h: 20});
+			map.getElementById('sg_hk').class_.should.equal('macromolecule');
+		});
+		it('should mark the species drawn several times as clones', function() {
+			should.exist(map.getElementById('sg_atp').clone);
+			should.exist(map.getElementById('sg_atp2').clone);
+			should.not.exist(map.getElementById('sg_glc').clone);
+		});
+		it('should place the processes on the curve of their reaction with two ports', function() {
+			var process = map.getElementById('rg1');
+			process.class_.should.equal('process');
+			process.orientation.should.equal('horizontal');
+			process.bbox.should.deep.include({x: 180, y: 100, w: 20, h: 20});
+			process.ports.map(function (port) { return [port.id, port.x, port.y]; }).should.deep.equal([['rg1.1', 180, 110], ['rg1.2', 200, 110]]);
+		});
+		it('should put the source and sinks past the port of the empty side', function() {
+			var degradationLayout = "<layout:listOfLayouts xmlns:xsi='http://www.w3.org/2001/XMLSchema-instance'><layout:layout layout:id='l'>"+
+				"<layout:listOfSpeciesGlyphs><layout:speciesGlyph layout:id='sg_a' layout:species='a'>" + box(20, 40, 40, 20) + "</layout:speciesGlyph></layout:listOfSpeciesGlyphs>"+
+				"<layout:listOfReactionGlyphs><layout:reactionGlyph layout:id='rg' layout:reaction='d'>" + curve([[100, 50], [120, 50]])+
+					"<layout:listOfSpeciesReferenceGlyphs><layout:speciesReferenceGlyph layout:id='srg' layout:speciesReference='sr' layout:speciesGlyph='sg_a'/></layout:listOfSpeciesReferenceGlyphs>"+
+				"</layout:reactionGlyph></layout:listOfReactionGlyphs>"+
+			"</layout:layout></layout:listOfLayouts>";
+			var withSink = sbgnjs.Map.fromSBML(document(degradation + degradationLayout));
+			var sink = withSink.glyphs[withSink.glyphs.length - 1];
+			sink.class_.should.equal('source and sink');
+			sink.bbox.should.deep.include({x: 150, y: 40, w: 20, h: 20});
+			var arc = withSink.arcs[withSink.arcs.length - 1];
+			[arc.class_, arc.source, arc.target].should.deep.equal(['production', 'rg.2', sink.id]);
+			arc.start.should.deep.include({x: 120, y: 50});
+			arc.end.should.deep.include({x: 160, y: 50});
+			withSink.validate().should.deep.equal([]);
+		});
+		it('should take the labels of the text glyphs', function() {
+			var label = map.getElementById('sg_hk').label;
+			label.text.should.equal('HK1');
+			label.bbox.should.deep.include({x: 160, y: 230, w: 60, h: 10});
+		});
+	});
+
+	describe('arcs', function() {
+		it('should have the classes of the participants', function() {
+			map.arcs.map(function (arc) { return [arc.id, arc.class_, arc.source, arc.target]; }).should.deep.equal([
+				['srg1', 'consumption', 'sg_glc', 'rg1.1'],
+				['srg2', 'consumption', 'sg_atp', 'rg1.1'],
+				['srg3', 'production', 'rg1.2', 'sg_g6p'],
+				['srg4', 'catalysis', 'sg_hk', 'rg1']
+			]);
+		});
+		it('should follow the curves from the source to the target', function() {
+			var arc = map.getElementById('srg1');
+			arc.start.should.deep.include({x: 80, y: 110});
+			arc.end.should.deep.include({x: 180, y: 110});
+			var product = map.getElementById('srg3');
+			product.start.should.deep.include({x: 200, y: 110});
+			product.nexts.should.have.length(1);
+			product.nexts[0].should.deep.include({x: 250, y: 110});
+			product.end.should.deep.include({x: 300, y: 110});
+		});
+		it('should give a cardinality to the stoichiometries other than 1', function() {
+			map.getElementById('srg2').glyphs.should.have.length(1);
+			map.getElementById('srg2').glyphs[0].class_.should.equal('cardinality');
+			map.getElementById('srg2').glyphs[0].label.text.should.equal(2);
+			map.getElementById('srg1').glyphs.should.have.length(0);
+		});
+	});
+
+	describe('render information', function() {
+		it('should convert the colors and the styles', function() {
+			var renderInformation = map.extension.get('renderInformation');
+			renderInformation.id.should.equal('ri');
+			renderInformation.backgroundColor.should.equal('#ffffff');
+			renderInformation.listOfColorDefinitions.getColorById('yellow').should.equal('#ffff00');
+			var styles = renderInformation.listOfStyles.styles;
+			styles.map(function (style) { return style.id; }).should.deep.equal(['byType', 'byRole', 'byId']);
+			styles[0].getIdListAsArray().should.deep.equal(['sg_glc', 'sg_atp', 'sg_atp2', 'sg_g6p', 'sg_hk']);
+			styles[0].renderGroup.fill.should.equal('yellow');
+			should.not.exist(styles[0].renderGroup.stroke);
+			styles[0].renderGroup.fontSize.should.equal(12);
+			styles[0].renderGroup.textAnchor.should.equal('middle');
+			styles[1].getIdListAsArray().should.deep.equal(['srg3']);
+			styles[1].renderGroup.strokeWidth.should.equal(3);
+		});
+		it('should let the styles by id win over the other ones', function() {
+			var styleMap = map.extension.get('renderInformation').listOfStyles.getStyleMap();
+			styleMap.sg_hk.fill.should.equal('#ff0000');
+			styleMap.sg_glc.fill.should.equal('yellow');
+		});
+	});
+
+	describe('models without layout', function() {
+		it('should have a glyph for each compartment, species and reaction', function() {
+			var noLayout = sbgnjs.Map.fromSBML(document(model));
+			noLayout.glyphs.map(function (glyph) { return glyph.id; }).should.deep.equal(['cytosol', 'glc', 'g6p', 'atp', 'hk', 'x', 'r1', 'r2']);
+			noLayout.getElementById('x').class_.should.equal('unspecified entity');
+			noLayout.getElementById('x').label.text.should.equal('x');
+			noLayout.getElementById('r2').class_.should.equal('uncertain process');
+			should.not.exist(noLayout.getElementById('glc').bbox);
+			should.not.exist(noLayout.extension);
+		});
+		it('should draw the reactants of reversible reactions as products', function() {
+			var noLayout = sbgnjs.Map.fromSBML(document(model));
+			noLayout.getAllArcs().filter(function (arc) {
+				return arc.source.indexOf('r2.') == 0 || arc.target.indexOf('r2.') == 0;
+			}).map(function (arc) { return [arc.class_, arc.source, arc.target]; }).should.deep.equal([
+				['production', 'r2.1', 'g6p'],
+				['production', 'r2.2', 'x']
+			]);
+		});
+		it('should attach the consumption and production arcs to the ports of the processes', function() {
+			var noLayout = sbgnjs.Map.fromSBML(document(model));
+			noLayout.getElementById('r1').ports.map(function (port) { return port.id; }).should.deep.equal(['r1.1', 'r1.2']);
+			noLayout.arcs.slice(0, 4).map(function (arc) { return [arc.class_, arc.source, arc.target]; }).should.deep.equal([
+				['consumption', 'glc', 'r1.1'],
+				['consumption', 'atp', 'r1.1'],
+				['production', 'r1.2', 'g6p'],
+				['catalysis', 'hk', 'r1']
+			]);
+		});
+		it('should add a source and sink for the reactions without reactants or products', function() {
+			var noLayout = sbgnjs.Map.fromSBML(document(degradation));
+			noLayout.glyphs.filter(function (glyph) {
+				return glyph.class_ == 'source and sink';
+			}).map(function (glyph) { return [glyph.id, glyph.compartmentRef]; }).should.deep.equal([
+				['glyph1', 'c'],
+				['glyph2', 'c']
+			]);
+			noLayout.arcs.map(function (arc) { return [arc.class_, arc.source, arc.target]; }).should.deep.equal([
+				['consumption', 'a', 'd.1'],
+				['production', 'd.2', 'glyph1'],
+				['production', 's.2', 'a'],
+				['production', 's.1', 'glyph2']
+			]);
+		});
+		it('should give valid maps', function() {
+			sbgnjs.Map.fromSBML(document(model)).validate().should.deep.equal([]);
+			sbgnjs.Map.fromSBML(document(degradation)).validate().should.deep.equal([]);
+		});
+	});
+});
@@ -0,0 +1,73 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var Issue = require('../src/Issue').Issue;
+var fs = require('fs');
+var path = require('path');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+// rules of the stylesheet left as they are for the browsers, where the validator of the model checks otherwise
+var STYLESHEET_DIFFERENCES = ['pd10133'];
+
+describe('schematronValidator', function() {
+	describe('node validation', function() {
+		it('should load rules from the xslt', function() {
+			var rules = sbgnjs.schematronValidator.loadRules();
+			rules.should.be.a('array');
+			rules.length.should.be.above(0);
+			rules[0].should.have.ownProperty('match');
+			rules[0].asserts.should.be.a('array');
+		});
+		it('should return an empty list for a valid map', function() {
+			var file = fs.readFileSync(path.join(testFilesDir, 'pd10101-pass.sbgn.xml'), 'utf8');
+			var errors = sbgnjs.Sbgn.doValidation(file);
+			errors.should.be.a('array');
+			errors.should.have.length(0);
+		});
+		it('should return Issue objects', function() {
+			var file = fs.readFileSync(path.join(testFilesDir, 'pd10101-fail.sbgn.xml'), 'utf8');
+			var errors = sbgnjs.Sbgn.doValidation(file);
+			errors.length.should.be.above(0);
+			errors[0].should.be.instanceOf(Issue);
+			errors[0].pattern.should.equal('pd10101');
+			errors[0].text.should.equal('Arc with class consumption must have source reference to glyph of EPN classes');
+			errors[0].role.should.equal('a01');
+			errors[0].elementId.should.equal('a01');
+			errors[0].elementType.should.equal('arc');
+			errors[0].location.should.match(/^\/sbgn\/map\[1\]\/arc\[\d+\]$/);
+		});
+		it('should return an issue for malformed xml', function() {
+			var errors = sbgnjs.Sbgn.doValidation("<sbgn><map>");
+			errors.should.have.length(1);
+			errors[0].should.be.instanceOf(Issue);
+			errors[0].severity.should.equal('error');
+			errors[0].text.should.equal('Bad XML provided, unclosed xml tag(s): sbgn, map at line 1, column 7');
+			sbgnjs.Sbgn.doValidation("<sbgn/>junk")[0].text.should.match(/^Bad XML provided, /);
+		});
+		it('should validate libsbgn 0.3 documents', function() {
+			var file = fs.readFileSync(path.join(testFilesDir, 'pd10101-fail.sbgn.xml'), 'utf8');
+			file = file.replace('libsbgn/0.2', 'libsbgn/0.3');
+			var errors = sbgnjs.Sbgn.doValidation(file);
+			errors.map(function (e) { return e.pattern; }).should.include('pd10101');
+		});
+	});
+
+	describe('test files', function() {
+		fs.readdirSync(testFilesDir).filter(function (file) {
+			return /^pd\d+-(pass|fail)/.test(file) && STYLESHEET_DIFFERENCES.indexOf(file.split('-')[0]) == -1;
+		}).forEach(function (file) {
+			var rule = file.split('-')[0];
+			var shouldPass = file.split('-')[1].startsWith('pass');
+			it(file + (shouldPass ? ' should pass ' : ' should fail ') + rule, function() {
+				var errors = sbgnjs.Sbgn.doValidation(fs.readFileSync(path.join(testFilesDir, file), 'utf8'));
+				var ruleErrors = errors.filter(function (e) { return e.pattern == rule; });
+				if (shouldPass) {
+					ruleErrors.should.have.length(0);
+				}
+				else {
+					ruleErrors.length.should.be.above(0);
+				}
+			});
+		});
+	});
+});
@@ -0,0 +1,134 @@
+var chai = require('chai');
+var should = chai.should();
+chai.use(require('chai-string'));
+var sbgnjs = require('../src/libsbgn');
+var streamParser = require('../src/streamParser');
+var utils = require('../src/utilities');
+var fs = require('fs');
+var path = require('path');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+var xml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'><notes><p>doc</p></notes>"+
+	"<map id='m1' language='process description'>"+
+		"<bbox x='0' y='0' w='100' h='100'/>"+
+		"<glyph id='g1' class='complex'><label text='a &amp; b'/><glyph id='g2' class='macromolecule'/></glyph>"+
+		"<arc id='a1' class='consumption' source='g1' target='p1'><start x='1' y='2'/><end x='3' y='4'/></arc>"+
+		"<arcgroup class='interaction'><glyph id='g3' class='tag'/></arcgroup>"+
+	"</map>"+
+	"<map id='m2'><glyph id='g4' class='macromolecule'/>"+
+	"<extension><renderInformation xmlns='http://www.sbml.org/sbml/level3/version1/render/version1' id='r1'/></extension>"+
+	"</map></sbgn>";
+
+describe('streamParser', function() {
+	it('should emit the elements of each map', function() {
+		var parser = new streamParser.StreamParser();
+		var events = [];
+		parser.on('sbgn', function (sbgn) { events.push('sbgn ' + sbgn.xmlns); });
+		parser.on('map', function (map) { events.push('map ' + map.id); });
+		parser.on('glyph', function (glyph, map) { events.push('glyph ' + glyph.id + ' ' + map.id); });
+		parser.on('arc', function (arc, map) { events.push('arc ' + arc.id + ' ' + map.id); });
+		parser.on('arcgroup', function (arcgroup, map) { events.push('arcgroup ' + arcgroup.class_ + ' ' + map.id); });
+		parser.on('mapEnd', function (map) { events.push('mapEnd ' + map.id); });
+		parser.on('end', function () { events.push('end'); });
+		parser.write(xml).end();
+		events.should.deep.equal([
+			'sbgn http://sbgn.org/libsbgn/0.3',
+			'map m1', 'glyph g1 m1', 'arc a1 m1', 'arcgroup interaction m1', 'mapEnd m1',
+			'map m2', 'glyph g4 m2', 'mapEnd m2',
+			'end'
+		]);
+	});
+	it('should build the same objects as fromXML', function() {
+		var glyphs = [];
+		var maps = [];
+		var parser = new streamParser.StreamParser();
+		parser.on('glyph', function (glyph) { glyphs.push(glyph); });
+		parser.on('mapEnd', function (map) { maps.push(map); });
+		parser.write(xml).end();
+		glyphs[0].should.be.instanceOf(sbgnjs.Glyph);
+		glyphs[0].label.text.should.equal('a & b');
+		glyphs[0].glyphMembers[0].id.should.equal('g2');
+		maps[0].glyphs.should.have.length(0);
+		maps[0].bbox.w.should.equal(100);
+		maps[1].extension.has('renderInformation').should.equal(true);
+		parser.sbgn.notes.content.should.equal('<p>doc</p>');
+	});
+	it('should keep elements if asked', function() {
+		var parser = new streamParser.StreamParser({keepElements: true});
+		parser.write(xml).end();
+		parser.sbgn.toXML().should.equal(sbgnjs.Sbgn.fromXML(xml).toXML());
+	});
+	it('should accept any chunk size', function() {
+		var parser = new streamParser.StreamParser({keepElements: true});
+		for(var i=0; i < xml.length; i += 7) {
+			parser.write(xml.substring(i, i + 7));
+		}
+		parser.end();
+		parser.sbgn.toXML().should.equal(sbgnjs.Sbgn.fromXML(xml).toXML());
+	});
+	it('should emit parse errors with line and column', function() {
+		var parser = new streamParser.StreamParser();
+		var errors = [];
+		parser.on('error', function (err) { errors.push(err); });
+		parser.write("<sbgn>\n<map></sbgn>").end();
+		errors.should.have.length(1);
+		errors[0].line.should.equal(2);
+		errors[0].message.should.startWith("Bad XML provided, Unexpected close tag");
+	});
+	it('should emit the errors of the parser of the elements', function() {
+		var parseString = utils.parseString;
+		utils.parseString = function (string, fn) {
+			fn(new Error('parser failure'));
+		};
+		var errors = [];
+		var parser = new streamParser.StreamParser();
+		parser.on('error', function (err) { errors.push(err); });
+		try {
+			parser.write(xml).end();
+		}
+		finally {
+			utils.parseString = parseString;
+		}
+		errors.should.have.length(1);
+		errors[0].message.should.equal('parser failure');
+	});
+	it('should emit the elements when the parser of the elements calls back later', function() {
+		var parseString = utils.parseString;
+		var pending = [];
+		utils.parseString = function (string, fn) {
+			pending.push(function () { parseString(string, fn); });
+		};
+		var events = [];
+		var parser = new streamParser.StreamParser();
+		parser.on('glyph', function (glyph, map) { events.push('glyph ' + glyph.id + ' ' + map.id); });
+		parser.on('mapEnd', function (map) { events.push('mapEnd ' + map.id); });
+		parser.on('end', function () { events.push('end'); });
+		try {
+			parser.write("<sbgn><map id='m1'><glyph id='g1' class='macromolecule'/></map></sbgn>").end();
+		}
+		finally {
+			utils.parseString = parseString;
+		}
+		events.should.have.length(0);
+		pending.reverse().forEach(function (callback) { callback(); });
+		events.should.deep.equal(['glyph g1 m1', 'mapEnd m1', 'end']);
+	});
+	it('should reject other root elements', function() {
+		return streamParser.parseAsync("<map></map>").then(function () {
+			throw new Error("should not resolve");
+		}, function (err) {
+			err.message.should.equal("Bad XML provided, expected tagName sbgn, got: map");
+		});
+	});
+	it('should read a file stream', function() {
+		var file = path.join(testFilesDir, 'pd10101-pass.sbgn.xml');
+		var count = 0;
+		return streamParser.parseAsync(fs.createReadStream(file), function (parser) {
+			parser.on('glyph', function () { count++; });
+		}, {keepElements: true}).then(function (sbgn) {
+			count.should.equal(sbgn.maps[0].glyphs.length);
+			sbgn.toXML().should.equal(sbgnjs.Sbgn.fromXML(fs.readFileSync(file, 'utf8')).toXML());
+		});
+	});
+});
@@ -0,0 +1,230 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var submaps = require('../src/submaps');
+var observable = require('../src/observable');
+
+var linkedXml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'>"+
+	"<map id='top' language='process description'>"+
+		"<glyph id='G' class='simple chemical'><label text='glucose'/><bbox x='0' y='0' w='40' h='40'/></glyph>"+
+		"<glyph id='S' class='submap' mapRef='sub'><label text='glycolysis'/><bbox x='100' y='0' w='200' h='100'/>"+
+			"<glyph id='T1' class='terminal' tagRef='tagG'><label text='glucose'/></glyph>"+
+			"<glyph id='T2' class='terminal'><label text='pyruvate'/></glyph>"+
+		"</glyph>"+
+		"<arc id='eq1' class='equivalence arc' source='G' target='T1'/>"+
+	"</map>"+
+	"<map id='sub' language='process description'>"+
+		"<glyph id='g2' class='simple chemical'><label text='glucose'/><bbox x='0' y='0' w='40' h='40'/></glyph>"+
+		"<glyph id='py' class='simple chemical'><label text='pyruvate'/><bbox x='200' y='0' w='40' h='40'/></glyph>"+
+		"<glyph id='p1' class='process'><bbox x='100' y='10' w='20' h='20'/></glyph>"+
+		"<glyph id='tagG' class='tag'><label text='glucose'/></glyph>"+
+		"<glyph id='tagP' class='tag'><label text='pyruvate'/></glyph>"+
+		"<arc id='c1' class='consumption' source='g2' target='p1'/>"+
+		"<arc id='pr1' class='production' source='p1' target='py'/>"+
+		"<arc id='eq2' class='equivalence arc' source='g2' target='tagG'/>"+
+		"<arc id='eq3' class='equivalence arc' source='py' target='tagP'/>"+
+	"</map>"+
+"</sbgn>";
+
+var flatXml = "<sbgn xmlns='http://sbgn.org/libsbgn/0.3'><map id='m' language='process description'>"+
+	"<glyph id='A' class='macromolecule'><label text='Protein A'/><bbox x='10' y='10' w='60' h='30'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='50' y='100' w='10' h='10'/><port id='p.1' x='45' y='105'/><port id='p.2' x='65' y='105'/></glyph>"+
+	"<glyph id='B' class='macromolecule'><label text='Protein B'/><bbox x='100' y='200' w='60' h='30'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p.1'/>"+
+	"<arc id='a2' class='production' source='p.2' target='B'/>"+
+	"<extension><renderInformation id='r' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='white' value='#ffffff'/></listOfColorDefinitions>"+
+		"<listOfStyles><style id='s1' idList='A B'><g fill='white'/></style></listOfStyles>"+
+	"</renderInformation></extension>"+
+"</map></sbgn>";
+
+describe('submaps', function() {
+	var sbgn, top, sub;
+	beforeEach(function() {
+		sbgn = sbgnjs.Sbgn.fromXML(linkedXml);
+		top = sbgn.maps[0];
+		sub = sbgn.maps[1];
+	});
+
+	describe('references between maps', function() {
+		it('should resolve the mapRef of submaps', function() {
+			sbgn.getMapById('sub').should.equal(sub);
+			should.not.exist(sbgn.getMapById('other'));
+			sbgn.resolveMapRef(top.getElementById('S')).should.equal(sub);
+			should.not.exist(sbgn.resolveMapRef(top.getElementById('G')));
+			submaps.getSubmapGlyphs(top).should.deep.equal([top.getElementById('S')]);
+		});
+		it('should link the terminals to the tags by tagRef or label', function() {
+			var links = submaps.getTerminalLinks(sbgn, top.getElementById('S'));
+			links.map(function (link) { return link.terminal.id + ':' + link.tag.id; }).should.deep.equal(['T1:tagG', 'T2:tagP']);
+		});
+		it('should not report the tagRef of terminals as dangling in their map', function() {
+			top.checkReferences().should.be.empty;
+		});
+	});
+
+	describe('getSubmapHierarchy', function() {
+		it('should list the submaps under the maps containing them', function() {
+			var roots = sbgn.getSubmapHierarchy();
+			roots.should.have.length(1);
+			roots[0].map.should.equal(top);
+			should.not.exist(roots[0].glyph);
+			roots[0].children.should.have.length(1);
+			roots[0].children[0].map.should.equal(sub);
+			roots[0].children[0].glyph.should.equal(top.getElementById('S'));
+			roots[0].children[0].children.should.be.empty;
+		});
+		it('should stop at cycles and unknown maps', function() {
+			sub.addGlyph(new sbgnjs.Glyph({id: 'S2', class_: 'submap', mapRef: 'top'}));
+			sub.addGlyph(new sbgnjs.Glyph({id: 'S3', class_: 'submap', mapRef: 'missing'}));
+			var roots = sbgn.getSubmapHierarchy();
+			roots.should.have.length(1);
+			roots[0].map.should.equal(top);
+			var children = roots[0].children[0].children;
+			children.map(function (node) { return node.glyph.id + ':' + node.cycle; }).should.deep.equal(['S2:true', 'S3:false']);
+			children[0].map.should.equal(top);
+			children[0].children.should.be.empty;
+			should.not.exist(children[1].map);
+		});
+	});
+
+	describe('checkSubmaps', function() {
+		it('should accept consistent maps', function() {
+			sbgn.checkSubmaps().should.be.empty;
+		});
+		it('should report unknown maps, cycles and terminals not matching the tags', function() {
+			observable.set(top.getElementById('T1'), 'tagRef', 'unknown');
+			top.getElementById('T2').label.text = 'lactate';
+			sub.addGlyph(new sbgnjs.Glyph({id: 'S2', class_: 'submap', mapRef: 'top'}));
+			top.addGlyph(new sbgnjs.Glyph({id: 'S3', class_: 'submap', mapRef: 'missing'}));
+			var issues = sbgn.checkSubmaps();
+			issues.map(function (issue) { return issue.pattern + ' ' + issue.elementId + ' ' + issue.location; }).should.deep.equal([
+				'00007 S3 /sbgn/map[1]/glyph[3]',
+				'00008 S2 /sbgn/map[2]/glyph[6]',
+				'00009 T1 /sbgn/map[1]/glyph[2]/glyph[1]',
+				'00009 T2 /sbgn/map[1]/glyph[2]/glyph[2]',
+				'00011 S /sbgn/map[1]/glyph[2]'
+			]);
+			issues[0].severity.should.equal('error');
+			issues[4].severity.should.equal('warning');
+		});
+		it('should report terminals whose label differs from their tag', function() {
+			top.getElementById('T1').label.text = 'Glucose';
+			var issues = sbgn.checkSubmaps();
+			issues.should.have.length(1);
+			issues[0].pattern.should.equal('00010');
+			issues[0].elementId.should.equal('T1');
+		});
+	});
+
+	describe('extractSubmap and inlineSubmap', function() {
+		it('should move glyphs into a new map linked by tags and terminals', function() {
+			var flat = sbgnjs.Sbgn.fromXML(flatXml);
+			var map = flat.maps[0];
+			var glyph = flat.extractSubmap(map, ['p', 'B'], {mapId: 'reaction', label: 'reaction of A'});
+			flat.maps.should.have.length(2);
+			var extracted = flat.maps[1];
+			extracted.id.should.equal('reaction');
+			glyph.class_.should.equal('submap');
+			glyph.mapRef.should.equal('reaction');
+			glyph.label.text.should.equal('reaction of A');
+			glyph.bbox.should.deep.equal(new sbgnjs.Bbox({x: 50, y: 100, w: 110, h: 130}));
+			map.glyphs.map(function (g) { return g.id; }).should.deep.equal(['A', glyph.id]);
+			map.arcs.should.have.length(1);
+			map.arcs[0].class_.should.equal('equivalence arc');
+			map.arcs[0].source.should.equal('A');
+			map.arcs[0].target.should.equal(glyph.glyphMembers[0].id);
+			map.extension.get('renderInformation').listOfStyles.styles[0].idList.should.equal('A');
+
+			var copyOfA = extracted.glyphs[2];
+			copyOfA.label.text.should.equal('Protein A');
+			copyOfA.id.should.not.equal('A');
+			extracted.glyphs.map(function (g) { return g.class_; }).should.deep.equal(
+				['process', 'macromolecule', 'macromolecule', 'tag']);
+			extracted.getElementById('a1').source.should.equal(copyOfA.id);
+			extracted.getElementById('a2').source.should.equal('p.2');
+			extracted.extension.get('renderInformation').listOfStyles.styles[0].getIdListAsArray().should.deep.equal([copyOfA.id, 'B']);
+			extracted.extension.get('renderInformation').listOfStyles.styles[0].renderGroup.fill.should.equal('#ffffff');
+
+			flat.checkSubmaps().should.be.empty;
+			flat.checkDuplicateIds().should.be.empty;
+			flat.validate().should.be.empty;
+		});
+		it('should move the processes attached to the glyphs with them, so that both maps are valid', function() {
+			var reaction = sbgnjs.Sbgn.fromXML("<sbgn><map id='m' language='process description'>"+
+				"<glyph id='a' class='macromolecule'><label text='a'/><bbox x='0' y='0' w='40' h='20'/></glyph>"+
+				"<glyph id='p' class='process'><bbox x='60' y='0' w='20' h='20'/>"+
+					"<port id='p.1' x='50' y='10'/><port id='p.2' x='90' y='10'/></glyph>"+
+				"<glyph id='b' class='macromolecule'><label text='b'/><bbox x='100' y='0' w='40' h='20'/></glyph>"+
+				"<arc id='c' class='consumption' source='a' target='p.1'><start x='40' y='10'/><end x='50' y='10'/></arc>"+
+				"<arc id='pr' class='production' source='p.2' target='b'><start x='90' y='10'/><end x='100' y='10'/></arc>"+
+				"</map></sbgn>");
+			var map = reaction.maps[0];
+			var glyph = reaction.extractSubmap(map, ['a']);
+			var extracted = reaction.maps[1];
+			map.glyphs.map(function (g) { return g.id; }).should.deep.equal(['b', glyph.id]);
+			extracted.glyphs.map(function (g) { return g.class_; }).should.deep.equal(['macromolecule', 'process', 'macromolecule', 'tag']);
+			extracted.getElementById('c').target.should.equal('p.1');
+			map.validate().should.be.empty;
+			extracted.validate().should.be.empty;
+			reaction.checkSubmaps().should.be.empty;
+		});
+		it('should give back the original map when inlining an extracted submap', function() {
+			var flat = sbgnjs.Sbgn.fromXML(flatXml);
+			var glyph = flat.extractSubmap(flat.maps[0], ['p', 'B']);
+			flat.inlineSubmap(glyph).should.equal(flat.maps[0]);
+			flat.maps.should.have.length(1);
+			flat.equals(sbgnjs.Sbgn.fromXML(flatXml)).should.be.true;
+		});
+		it('should undo an extraction in one step', function() {
+			var flat = sbgnjs.Sbgn.fromXML(flatXml);
+			var history = new observable.History(flat);
+			flat.extractSubmap(flat.maps[0], ['B']);
+			history.undoStack.should.have.length(1);
+			history.undo();
+			history.dispose();
+			flat.equals(sbgnjs.Sbgn.fromXML(flatXml)).should.be.true;
+			flat.maps[0].getElementById('B').should.equal(flat.maps[0].glyphs[2]);
+		});
+		it('should merge the glyphs linked through tags and terminals', function() {
+			sbgn.inlineSubmap('S');
+			sbgn.maps.should.have.length(1);
+			top.glyphs.map(function (g) { return g.id; }).should.deep.equal(['G', 'py', 'p1']);
+			top.arcs.map(function (a) { return a.id + ':' + a.source + ':' + a.target; }).should.deep.equal(
+				['c1:G:p1', 'pr1:p1:py']);
+			top.checkReferences().should.be.empty;
+		});
+		it('should rename the ids used elsewhere in the document', function() {
+			top.addGlyph(new sbgnjs.Glyph({id: 'p1', class_: 'macromolecule'}));
+			sbgn.inlineSubmap('S');
+			var process = top.getElementById(top.getElementById('c1').target);
+			process.class_.should.equal('process');
+			process.id.should.not.equal('p1');
+			top.getElementById('pr1').source.should.equal(process.id);
+			sbgn.checkDuplicateIds().should.be.empty;
+		});
+		it('should keep the map if asked, with new ids for the copies', function() {
+			sbgn.inlineSubmap('S', {keepMap: true});
+			sbgn.maps.should.have.length(2);
+			sbgn.maps[1].should.equal(sub);
+			should.not.exist(top.getElementById('c1'));
+			top.arcs.should.have.length(2);
+			sbgn.checkDuplicateIds().should.be.empty;
+		});
+		it('should refuse glyphs that are not submaps or not at the top level', function() {
+			(function () {
+				sbgn.inlineSubmap('G');
+			}).should.throw(Error, "Can't inline G, it isn't a submap glyph of the document");
+			(function () {
+				observable.set(top.getElementById('S'), 'mapRef', 'missing');
+				sbgn.inlineSubmap('S');
+			}).should.throw(Error, "no map with id missing");
+			(function () {
+				sbgn.extractSubmap(top, ['T1']);
+			}).should.throw(Error, "T1 isn't a glyph at the top level of the map");
+			(function () {
+				sbgn.extractSubmap(top, ['G'], {mapId: 'sub'});
+			}).should.throw(Error, "already an element with id sub");
+		});
+	});
+});
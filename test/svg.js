@@ -0,0 +1,189 @@
+var chai = require('chai');
+var should = chai.should();
+var fs = require('fs');
+var path = require('path');
+var sbgnjs = require('../src/libsbgn');
+var svg = require('../src/svg');
+var utils = require('../src/utilities');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+var xml = "<map id='map1' language='process description'>"+
+	"<bbox x='0' y='0' w='400' h='300'/>"+
+	"<glyph id='cell' class='compartment' compartmentOrder='1'><label text='cell'/><bbox x='0' y='0' w='400' h='300'/></glyph>"+
+	"<glyph id='A' class='macromolecule' compartmentRef='cell'><label text='EGFR&#xA;receptor'/><clone><label text='c'/></clone>"+
+		"<bbox x='20' y='20' w='60' h='40'/>"+
+		"<glyph id='sv1' class='state variable'><state value='P' variable='Y1068'/><bbox x='15' y='15' w='30' h='10'/></glyph>"+
+		"<glyph id='uoi1' class='unit of information'><label text='mt:prot'/><bbox x='15' y='55' w='30' h='10'/></glyph>"+
+	"</glyph>"+
+	"<glyph id='B' class='simple chemical'><label text='ATP &amp; &lt;ADP&gt;'/><bbox x='200' y='20' w='40' h='40'/></glyph>"+
+	"<glyph id='p' class='process'><bbox x='100' y='100' w='20' h='20'/>"+
+		"<port id='p.1' x='90' y='110'/><port id='p.2' x='130' y='110'/></glyph>"+
+	"<arc id='a1' class='consumption' source='A' target='p.1'>"+
+		"<glyph id='card1' class='cardinality'><label text='2'/><bbox x='50' y='80' w='10' h='10'/></glyph>"+
+		"<start x='50' y='60'/><next x='50' y='110'/><end x='90' y='110'/>"+
+	"</arc>"+
+	"<arc id='a2' class='production' source='p.2' target='B'><start x='130' y='110'/><end x='220' y='60'/></arc>"+
+	"<arc id='a3' class='catalysis' source='B' target='p'/>"+
+	"<extension><renderInformation id='r' backgroundColor='#ffffee' xmlns='http://www.sbml.org/sbml/level3/version1/render/version1'>"+
+		"<listOfColorDefinitions><colorDefinition id='red' value='#ff000080'/></listOfColorDefinitions>"+
+		"<listOfStyles>"+
+			"<style id='s1' idList='A a2'><g fill='red' stroke='#0000ff' strokeWidth='2' fontSize='14' fontColor='#00ff00' textAnchor='start'/></style>"+
+		"</listOfStyles>"+
+	"</renderInformation></extension>"+
+"</map>";
+
+/*
+	markup of the g element of an element of the map, without its members
+*/
+function getGroup(markup, id) {
+	var start = markup.indexOf('<g id="' + id + '"');
+	start.should.not.equal(-1, 'no group for ' + id);
+	return markup.slice(start, markup.indexOf('>', start) + 1) + markup.slice(markup.indexOf('>', start) + 1).split('<g ')[0];
+}
+
+function isWellFormed(markup) {
+	var parsed = null;
+	utils.parseString(markup, function (err, result) {
+		parsed = err == null ? result : null;
+	});
+	return parsed != null;
+}
+
+describe('svg', function() {
+	var map;
+	beforeEach(function() {
+		map = sbgnjs.Map.fromXML(xml);
+	});
+
+	describe('document', function() {
+		it('should be a well formed svg holding the map with some padding', function() {
+			var markup = map.toSVG();
+			isWellFormed(markup).should.be.true;
+			markup.should.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" xmlns:xlink="http:\/\/www.w3.org\/1999\/xlink" width="420" height="320" viewBox="-10 -10 420 320">/);
+			map.toSVG({padding: 0, scale: 2}).should.contain('width="800" height="600" viewBox="0 0 400 300"');
+		});
+		it('should draw the compartments, then the arcs, then the glyphs', function() {
+			var markup = map.toSVG();
+			var compartment = markup.indexOf('<g id="cell"');
+			var arc = markup.indexOf('<g id="a1"');
+			var glyph = markup.indexOf('<g id="A"');
+			compartment.should.be.below(arc);
+			arc.should.be.below(glyph);
+			markup.should.contain('<rect class="background" x="-10" y="-10" width="420" height="320" fill="#ffffee"/>');
+		});
+		it('should compute the bounds of maps without bbox', function() {
+			var small = sbgnjs.Map.fromXML("<map><glyph id='A' class='macromolecule'><bbox x='10' y='20' w='60' h='40'/></glyph></map>");
+			small.toSVG({padding: 5}).should.contain('viewBox="5 15 70 50"');
+			new sbgnjs.Map().toSVG().should.contain('viewBox="-10 -10 20 20"');
+		});
+	});
+
+	describe('glyphs', function() {
+		it('should draw the standard shape of each class', function() {
+			var shapes = {
+				'unspecified entity': '<ellipse',
+				'simple chemical': 'rx="20"',
+				'macromolecule': 'rx="8"',
+				'nucleic acid feature': '<path d="M0,0 H60',
+				'complex': '<polygon points="10,0 50,0 60,10',
+				'source and sink': '<line x1="0" y1="40" x2="60" y2="0"',
+				'perturbing agent': '<polygon points="0,0 60,0 45,20',
+				'phenotype': '<polygon points="15,0 45,0 60,20',
+				'tag': '<polygon points="0,0 40,0 60,20',
+				'association': 'fill="#000000"',
+				'annotation': '<polygon points="0,0 50,0 60,10'
+			};
+			Object.keys(shapes).forEach(function (glyphClass) {
+				var single = new sbgnjs.Map();
+				single.addGlyph(new sbgnjs.Glyph({id: 'g', class_: glyphClass, bbox: new sbgnjs.Bbox({x: 0, y: 0, w: 60, h: 40})}));
+				getGroup(single.toSVG(), 'g').should.contain(shapes[glyphClass], glyphClass);
+			});
+		});
+		it('should draw multimers as two shapes and operators with their symbol', function() {
+			var single = new sbgnjs.Map();
+			single.addGlyph(new sbgnjs.Glyph({id: 'm', class_: 'macromolecule multimer', bbox: new sbgnjs.Bbox({x: 0, y: 0, w: 60, h: 40})}));
+			single.addGlyph(new sbgnjs.Glyph({id: 'and', class_: 'and', bbox: new sbgnjs.Bbox({x: 100, y: 0, w: 20, h: 20})}));
+			var markup = single.toSVG();
+			getGroup(markup, 'm').match(/<rect/g).should.have.length(2);
+			getGroup(markup, 'm').should.contain('<rect x="5" y="5" width="55" height="35"');
+			getGroup(markup, 'and').should.contain('>AND</text>');
+		});
+		it('should draw the labels, escaped and on several lines', function() {
+			var markup = map.toSVG();
+			getGroup(markup, 'B').should.contain('>ATP &amp; &lt;ADP&gt;</text>');
+			getGroup(markup, 'A').should.contain('<tspan x="22" y="31.6">EGFR</tspan><tspan x="22" y="48.4">receptor</tspan>');
+			getGroup(markup, 'cell').should.contain('<text x="200" y="293.4"');
+		});
+		it('should draw the state variables, units of information and clone markers', function() {
+			var markup = map.toSVG();
+			getGroup(markup, 'sv1').should.contain('>P@Y1068</text>');
+			getGroup(markup, 'sv1').should.contain('rx="5"');
+			getGroup(markup, 'uoi1').should.contain('>mt:prot</text>');
+			markup.should.contain('<defs><clipPath id="libsbgn-clone-1"><rect x="20" y="48" width="60" height="12"/></clipPath></defs>');
+			getGroup(markup, 'A').should.contain('fill="#a9a9a9" stroke="none" clip-path="url(#libsbgn-clone-1)"');
+			getGroup(markup, 'A').should.contain('>c</text>');
+		});
+		it('should draw the ports of processes', function() {
+			getGroup(map.toSVG(), 'p').should.contain('<line x1="100" y1="110" x2="90" y2="110"');
+		});
+	});
+
+	describe('arcs', function() {
+		it('should draw the arrowhead of each class', function() {
+			var markup = map.toSVG();
+			getGroup(markup, 'a1').should.contain('<polyline points="50,60 50,110 90,110" fill="none"');
+			getGroup(markup, 'a1').should.not.contain('<polygon');
+			getGroup(markup, 'a2').should.contain('<polygon');
+			getGroup(markup, 'a3').should.contain('<circle');
+			getGroup(markup, 'a3').should.contain('fill="#ffffee"');
+			var heads = {'inhibition': '<line', 'modulation': '<polygon', 'stimulation': 'fill="#ffffff"',
+				'necessary stimulation': '<line', 'interaction': '<circle'};
+			Object.keys(heads).forEach(function (arcClass) {
+				var single = new sbgnjs.Map();
+				single.addArc(new sbgnjs.Arc({id: 'arc', class_: arcClass, start: new sbgnjs.Start({x: 0, y: 0}),
+					end: new sbgnjs.End({x: 100, y: 0})}));
+				getGroup(single.toSVG(), 'arc').should.contain(heads[arcClass], arcClass);
+			});
+		});
+		it('should go from the ports or glyphs when the arc has no start or end', function() {
+			getGroup(map.toSVG(), 'a3').should.contain('<polyline points="220,40 110,110"');
+		});
+		it('should draw the glyphs of the arcs', function() {
+			map.toSVG().should.contain('<g id="card1" class="glyph cardinality"><rect x="50" y="80" width="10" height="10"');
+		});
+	});
+
+	describe('render information', function() {
+		it('should honour the styles', function() {
+			var markup = map.toSVG();
+			getGroup(markup, 'A').should.contain('fill="#ff0000" fill-opacity="0.5" stroke="#0000ff" stroke-width="2"');
+			getGroup(markup, 'A').should.contain('text-anchor="start"');
+			getGroup(markup, 'A').should.contain('font-size="14"');
+			getGroup(markup, 'A').should.contain('fill="#00ff00"');
+			getGroup(markup, 'a2').should.contain('stroke="#0000ff" stroke-width="2"');
+			getGroup(markup, 'B').should.contain('fill="#ffffff" stroke="#000000" stroke-width="1.25"');
+		});
+		it('should be ignored if asked', function() {
+			var markup = map.toSVG({render: false});
+			markup.should.not.contain('#ff0000');
+			markup.should.not.contain('class="background"');
+		});
+	});
+
+	describe('test files', function() {
+		fs.readdirSync(testFilesDir).filter(function (file) {
+			return /^(pd|af|er)\d+-pass/.test(file);
+		}).forEach(function (file) {
+			it(file + ' should be drawn as a well formed svg', function() {
+				var sbgn = sbgnjs.Sbgn.fromXML(fs.readFileSync(path.join(testFilesDir, file), 'utf8'));
+				var markup = svg.toSVG(sbgn.maps[0]);
+				isWellFormed(markup).should.be.true;
+				markup.should.not.contain('NaN');
+				sbgn.maps[0].glyphs.forEach(function (glyph) {
+					markup.should.contain('<g id="' + glyph.id + '"');
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,166 @@
+var chai = require('chai');
+var should = chai.should();
+var sbgnjs = require('../src/libsbgn');
+var validator = require('../src/validator');
+var Issue = require('../src/Issue').Issue;
+var fs = require('fs');
+var path = require('path');
+
+var testFilesDir = path.join(__dirname, 'test-files');
+
+function getPatterns(issues) {
+	return issues.map(function (issue) { return issue.pattern; });
+}
+
+describe('validator', function() {
+	describe('validation context', function() {
+		it('should index glyphs at any depth and ports', function() {
+			var map = new sbgnjs.Map();
+			var complex = new sbgnjs.Glyph({id: 'complex', class_: 'complex'});
+			complex.addGlyphMember(new sbgnjs.Glyph({id: 'member', class_: 'macromolecule'}));
+			var process = new sbgnjs.Glyph({id: 'process', class_: 'process'});
+			process.addPort(new sbgnjs.Port({id: 'process.1'}));
+			map.addGlyph(complex);
+			map.addGlyph(process);
+			var ctx = new validator.ValidationContext(map);
+			ctx.getGlyph('member').should.equal(complex.glyphMembers[0]);
+			ctx.getGlyphClass('member').should.equal('macromolecule');
+			ctx.getPortOwner('process.1').should.equal(process);
+			ctx.getPortOwnerClass('process.1').should.equal('process');
+			should.equal(ctx.getGlyph('process.1'), null);
+			ctx.hasId('process.1').should.equal(true);
+		});
+	});
+
+	describe('validate', function() {
+		it('should return Issue objects', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'}));
+			var issues = map.validate();
+			issues.should.have.length(1);
+			issues[0].should.be.instanceOf(Issue);
+			issues[0].pattern.should.equal('pd10131');
+			issues[0].role.should.equal('glyph1');
+			issues[0].severity.should.equal('error');
+			issues[0].text.should.equal('EPNs should not be orphaned (i.e. they must be associated with at least one arc)');
+			issues[0].elementId.should.equal('glyph1');
+			issues[0].elementType.should.equal('glyph');
+			issues[0].location.should.equal('/map/glyph[1]');
+			issues[0].fix.should.be.a('string');
+		});
+		it('should locate nested elements, ports and arcs', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'compartment'}));
+			var complex = new sbgnjs.Glyph({id: 'complex', class_: 'complex'});
+			complex.addGlyphMember(new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'}));
+			complex.addPort(new sbgnjs.Port({id: 'glyph1'}));
+			map.addGlyph(complex);
+			map.addArc(new sbgnjs.Arc({id: 'glyph1', class_: 'consumption', source: 'complex', target: 'complex'}));
+			var issues = validator.validate(map, [validator.commonRules[0]]);
+			issues.map(function (issue) { return issue.elementType + ' ' + issue.location; }).should.deep.equal([
+				'glyph /map/glyph[1]',
+				'glyph /map/glyph[2]/glyph[1]',
+				'port /map/glyph[2]/port[1]',
+				'arc /map/arc[1]'
+			]);
+		});
+		it('should detect duplicated ids', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'compartment'}));
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'compartment'}));
+			getPatterns(map.validate()).should.deep.equal(['00001', '00001']);
+		});
+		it('should detect duplicated state variables', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			var glyph = new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'});
+			glyph.addGlyphMember(new sbgnjs.Glyph({id: 'sv1', class_: 'state variable',
+				state: new sbgnjs.State({value: 'P', variable: 'S1'})}));
+			glyph.addGlyphMember(new sbgnjs.Glyph({id: 'sv2', class_: 'state variable',
+				state: new sbgnjs.State({value: 'P', variable: 'S1'})}));
+			map.addGlyph(glyph);
+			getPatterns(map.validate()).should.include('pd10129');
+		});
+		it('should validate all maps of sbgn', function() {
+			var sbgn = new sbgnjs.Sbgn();
+			for(var i=0; i < 2; i++) {
+				var map = new sbgnjs.Map({language: 'process description'});
+				map.addGlyph(new sbgnjs.Glyph({id: 'glyph'+i, class_: 'macromolecule'}));
+				sbgn.addMap(map);
+			}
+			var issues = sbgn.validate();
+			issues.should.have.length(2);
+			issues[0].role.should.equal('glyph0');
+			issues[1].role.should.equal('glyph1');
+			issues[0].location.should.equal('/sbgn/map[1]/glyph[1]');
+			issues[1].location.should.equal('/sbgn/map[2]/glyph[1]');
+		});
+		it('should choose rules from the language of the map', function() {
+			var glyph = new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'});
+			getPatterns(new sbgnjs.Map({language: 'activity flow', glyphs: [glyph]}).validate()).should.deep.equal(['af10109']);
+			getPatterns(new sbgnjs.Map({language: 'entity relationship', glyphs: [glyph]}).validate()).should.deep.equal(['er10109']);
+			getPatterns(new sbgnjs.Map({language: 'process description', glyphs: [glyph]}).validate()).should.deep.equal(['pd10131']);
+		});
+		it('should choose rules from the version of maps without language', function() {
+			var glyph = new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'});
+			var map = new sbgnjs.Map({version: sbgnjs.types.MapVersion.AF_LEVEL_1_VERSION_1_2, glyphs: [glyph]});
+			getPatterns(map.validate()).should.deep.equal(['af10109']);
+		});
+		it('should report versions of another language', function() {
+			var map = new sbgnjs.Map({language: 'process description', version: sbgnjs.types.MapVersion.ER_LEVEL_1_VERSION_2});
+			var issues = map.validate();
+			getPatterns(issues).should.deep.equal(['libsbgnjs-map-version']);
+			issues[0].elementType.should.equal('map');
+			issues[0].location.should.equal('/map');
+			new sbgnjs.Map({language: 'process description', version: 'my version'}).validate().should.be.empty;
+		});
+		it('should report the classes not allowed in process description', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'entity'}));
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph2', class_: 'interaction'}));
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph3', class_: 'unknown'}));
+			map.addArc(new sbgnjs.Arc({id: 'arc1', class_: 'positive influence', source: 'glyph1', target: 'glyph2'}));
+			var issues = map.validate().filter(function (issue) {
+				return ['pd10140', 'libsbgnjs-pd-glyph-class', 'libsbgnjs-pd-arc-class'].indexOf(issue.pattern) != -1;
+			});
+			issues.map(function (issue) { return issue.pattern + ' ' + issue.elementId; }).should.deep.equal(
+				['pd10140 glyph1', 'libsbgnjs-pd-glyph-class glyph2', 'libsbgnjs-pd-glyph-class glyph3',
+				'libsbgnjs-pd-arc-class arc1']);
+		});
+		it('should only apply common rules to unknown languages', function() {
+			var map = new sbgnjs.Map({language: 'unknown'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'}));
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'}));
+			getPatterns(map.validate()).should.deep.equal(['00001', '00001']);
+		});
+		it('should accept a custom list of rules', function() {
+			var map = new sbgnjs.Map({language: 'process description'});
+			map.addGlyph(new sbgnjs.Glyph({id: 'glyph1', class_: 'macromolecule'}));
+			var rule = {id: 'custom', text: 'custom rule', severity: 'warning', validate: function (ctx) {
+				return ctx.getGlyphsByClass('macromolecule');
+			}};
+			var issues = validator.validate(map, [rule]);
+			issues.should.have.length(1);
+			issues[0].pattern.should.equal('custom');
+			issues[0].severity.should.equal('warning');
+		});
+	});
+
+	describe('test files', function() {
+		fs.readdirSync(testFilesDir).filter(function (file) {
+			return /^(pd|af|er)\d+-(pass|fail)/.test(file);
+		}).forEach(function (file) {
+			var rule = file.split('-')[0];
+			var shouldPass = file.split('-')[1].startsWith('pass');
+			it(file + (shouldPass ? ' should pass ' : ' should fail ') + rule, function() {
+				var sbgn = sbgnjs.Sbgn.fromXML(fs.readFileSync(path.join(testFilesDir, file), 'utf8'));
+				var ruleIssues = sbgn.validate().filter(function (issue) { return issue.pattern == rule; });
+				if (shouldPass) {
+					ruleIssues.should.have.length(0);
+				}
+				else {
+					ruleIssues.length.should.be.above(0);
+				}
+			});
+		});
+	});
+});